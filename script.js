@@ -9,12 +9,57 @@ class BlackjackPayoutTrainer {
     constructor() {
         try {
             this.gameState = new GameState();
+            this.tableRules = this.createTableRules();
             this.chipManager = new ChipManager(this.gameState);
-            this.scenarioManager = new ScenarioManager();
-            this.payoutCalculator = new PayoutCalculator();
+            this.scenarioManager = new ScenarioManager(this.tableRules);
+            this.payoutCalculator = new PayoutCalculator(this.tableRules);
+            this.payoutCalculator.setSpeedTargets(this.gameState.settings.speedTargets);
+            this.scenarioManager.setScenarioType(this.gameState.settings.scenarioType);
+            this.scenarioManager.setSeatCount(this.gameState.settings.seatCount);
+            this.scenarioManager.setBetSettings(this.gameState.settings.betSettings);
+            this.scenarioManager.setShoeSettings(this.gameState.settings.shoe);
+            this.adaptive = this.createAdaptiveDifficulty();
+            this.flashExposure = new FlashExposure(this.gameState.settings.flash.exposure, this.gameState.settings.flash.current);
+            this.curriculum = new Curriculum(this.gameState.loadCurriculumProgress());
+            this.reviewQueue = new ReviewQueue(this.gameState.loadReviewQueue());
+            if (this.gameState.settings.chipBank) {
+                this.chipManager.enableBank();
+            }
             this.uiController = new UIController();
             this.feedbackSystem = new FeedbackSystem();
             
+            // Index of the split hand currently being paid
+            this.activeHandIndex = 0;
+            // Amount collected on a surrender while the returned half is still to come
+            this.surrenderCollected = null;
+            // Index of the side bet currently being settled (side bets come before the main bet)
+            this.activeSideBetIndex = 0;
+            // Timed blitz run in progress (null during normal practice) and its countdown interval
+            this.blitzRun = null;
+            this.blitzTimer = null;
+            // Interval ticking the on-screen timer for the hand being paid
+            this.handTimer = null;
+            // Certification exam in progress (null outside an exam) and its countdown interval
+            this.examRun = null;
+            this.examTimer = null;
+            // The trainee's own table while a seeded exam is dealt under the shared exam table
+            this.practiceTable = null;
+            // Timeout that hides the bet stacks in flash mode, and whether the current hand's read was graded
+            this.flashTimer = null;
+            this.flashRecorded = false;
+            // Review mode: whether missed hands are being replayed, and the queued hand on the table
+            this.reviewing = false;
+            this.reviewEntryId = null;
+            // Misses from an exam or daily challenge, queued for review when the run ends
+            this.heldMisses = [];
+            // Daily challenge in progress (null outside the challenge)
+            this.dailyRun = null;
+            // Scenario type of a hand dealt outside the scenario manager (a review or daily challenge hand)
+            this.dealtScenarioType = null;
+            // Whether the current hand has been queued as a miss, or graded as a replay
+            this.missQueued = false;
+            this.reviewGraded = false;
+            
             // Performance monitoring
             this.performanceMetrics = {
                 startTime: Date.now(),
@@ -60,6 +105,7 @@ class BlackjackPayoutTrainer {
         
         // Initialize components
         this.chipManager.initializeChipTray();
+        this.initializeSettingsControls();
         this.setupEventListeners();
         
         // Run basic component tests
@@ -67,6 +113,12 @@ class BlackjackPayoutTrainer {
         this.payoutCalculator.runTests();
         this.gameState.runTests();
         
+        // Seed the session after the self-tests so they don't shift the sequence;
+        // a ?seed= link starts the shared drill directly
+        const linkedSeed = typeof window !== 'undefined' && window.location ?
+            new URLSearchParams(window.location.search).get('seed') : null;
+        this.startSession(linkedSeed || SeededRandom.createSeed(), { fixed: Boolean(linkedSeed) });
+        
         // Generate first scenario
         this.generateNewScenario();
         
@@ -75,2019 +127,7658 @@ class BlackjackPayoutTrainer {
     }
 
     /**
-     * Set up basic event listeners for the interface
+     * Build table rules from the saved settings
      */
-    setupEventListeners() {
-        // Reset game button
-        const resetBtn = document.getElementById('reset-game');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => this.resetGame());
+    createTableRules() {
+        return new TableRules({
+            blackjackPayout: this.gameState.settings.payoutTable,
+            ...this.gameState.settings.dealerRules,
+            sideBetOdds: this.gameState.settings.sideBetOdds
+        });
+    }
+
+    /**
+     * Load the trainee's weak spots for the current payout table, and target
+     * them if adaptive difficulty is on
+     */
+    createAdaptiveDifficulty() {
+        const adaptive = new AdaptiveDifficulty(this.gameState.loadAdaptiveData(this.tableRules.blackjackPayout));
+        this.scenarioManager.setAdaptiveDifficulty(this.gameState.settings.adaptive && !this.seededDrill ? adaptive : null);
+        return adaptive;
+    }
+
+    /**
+     * Restart scenario generation from a seed. A seed handed out by an
+     * instructor (fixed) pauses adaptive targeting, since that depends on
+     * each trainee's answers and would make the drills drift apart.
+     */
+    startSession(seed, { fixed = false } = {}) {
+        this.seededDrill = fixed;
+        this.scenarioManager.setSeed(seed);
+        this.scenarioManager.setAdaptiveDifficulty(this.gameState.settings.adaptive && !fixed ? this.adaptive : null);
+        this.gameState.setSeed(this.scenarioManager.getSeed());
+        this.updateSeedDisplay();
+    }
+
+    /**
+     * Start a drill from the seed typed into the seed field
+     */
+    startSeededSession() {
+        if (this.refuseDuringRun()) return;
+        const seedInput = document.getElementById('seed-input');
+        const seed = seedInput ? SeededRandom.normalizeSeed(seedInput.value) : '';
+        if (!seed) {
+            this.feedbackSystem.showFeedback('Enter a seed to start a shared drill', 'warning');
+            return;
         }
 
-        // Submit payout button
-        const submitBtn = document.getElementById('submit-payout');
-        if (submitBtn) {
-            submitBtn.addEventListener('click', () => this.submitPayout());
+        this.chipManager.clearAllSelections();
+        this.startSession(seed, { fixed: true });
+        this.feedbackSystem.showFeedback(`Drill started from seed ${seed} - anyone using this seed and these table settings gets the same hands`, 'info');
+        this.generateNewScenario();
+    }
+
+    /**
+     * Show the current seed in the seed field
+     */
+    updateSeedDisplay() {
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) {
+            seedInput.value = this.scenarioManager.getSeed();
         }
+    }
 
-        // Clear payout button
-        const clearBtn = document.getElementById('clear-payout');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => this.clearPayout());
+    /**
+     * Populate the table settings controls from the saved settings
+     */
+    initializeSettingsControls() {
+        const lessonSelect = document.getElementById('lesson-select');
+        if (lessonSelect) {
+            lessonSelect.addEventListener('change', (e) => this.startLesson(e.target.value));
+        }
+        this.updateLessonControls();
+
+        const payoutSelect = document.getElementById('payout-table-select');
+        if (payoutSelect) {
+            payoutSelect.innerHTML = Object.values(TableRules.BLACKJACK_PAYOUTS).map(payout =>
+                `<option value="${payout.ratio}">${payout.label}</option>`
+            ).join('');
+            payoutSelect.value = this.tableRules.blackjackPayout;
+            payoutSelect.addEventListener('change', (e) => this.changePayoutTable(e.target.value));
         }
 
-        // Show stats button
-        const statsBtn = document.getElementById('show-stats');
-        if (statsBtn) {
-            statsBtn.addEventListener('click', () => this.showDetailedStats());
+        const dealerRuleSelects = {
+            'soft17-select': ['soft17', TableRules.SOFT_17_RULES],
+            'hole-card-select': ['holeCard', TableRules.HOLE_CARD_RULES]
+        };
+        Object.entries(dealerRuleSelects).forEach(([id, [rule, options]]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.innerHTML = Object.entries(options).map(([value, info]) =>
+                    `<option value="${value}">${info.label}</option>`
+                ).join('');
+                select.value = this.tableRules[rule];
+                select.addEventListener('change', (e) => this.changeDealerRules({ [rule]: e.target.value }));
+            }
+        });
+
+        Object.entries(BlackjackPayoutTrainer.SIDE_BET_ODDS_SELECTS).forEach(([id, sideBetType]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.innerHTML = TableRules.SIDE_BET_PAY_TABLES[sideBetType].map(payTable =>
+                    `<option value="${payTable.odds.join('/')}">${payTable.label}</option>`
+                ).join('');
+                select.value = this.tableRules.getSideBetOddsKey(sideBetType);
+                select.addEventListener('change', (e) => this.changeSideBetOdds(sideBetType, e.target.value));
+            }
+        });
+
+        const scenarioTypeSelect = document.getElementById('scenario-type-select');
+        if (scenarioTypeSelect) {
+            scenarioTypeSelect.innerHTML = Object.entries(ScenarioManager.SCENARIO_TYPES).map(([type, info]) =>
+                `<option value="${type}">${info.label}</option>`
+            ).join('');
+            scenarioTypeSelect.value = this.scenarioManager.scenarioType;
+            scenarioTypeSelect.addEventListener('change', (e) => this.changeScenarioType(e.target.value));
         }
 
-        // Run tests button
-        const testBtn = document.getElementById('run-tests');
-        if (testBtn) {
-            testBtn.addEventListener('click', () => this.runTestSuite());
+        const seatCountSelect = document.getElementById('seat-count-select');
+        if (seatCountSelect) {
+            seatCountSelect.innerHTML = Array.from({ length: ScenarioManager.MAX_SEATS }, (_, index) =>
+                `<option value="${index + 1}">${index + 1}</option>`
+            ).join('');
+            seatCountSelect.value = String(this.scenarioManager.seatCount);
+            seatCountSelect.addEventListener('change', (e) => this.changeSeatCount(e.target.value));
         }
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => this.handleKeyboardInput(e));
+        const betTableTypeSelect = document.getElementById('bet-table-type-select');
+        if (betTableTypeSelect) {
+            betTableTypeSelect.innerHTML = Object.entries(BetGenerator.TABLE_TYPES).map(([type, info]) =>
+                `<option value="${type}">${info.label}</option>`
+            ).join('');
+            betTableTypeSelect.addEventListener('change', (e) => this.changeBetSettings({ tableType: e.target.value }));
+        }
+
+        const betInputs = {
+            'bet-min-input': 'minBet',
+            'bet-max-input': 'maxBet',
+            'bet-step-input': 'step',
+            'bet-awkward-select': 'awkwardWeight'
+        };
+        Object.entries(betInputs).forEach(([id, setting]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', (e) => this.changeBetSettings({ [setting]: Number(e.target.value) }));
+            }
+        });
+
+        const halfDollarToggle = document.getElementById('half-dollar-toggle');
+        if (halfDollarToggle) {
+            halfDollarToggle.addEventListener('change', (e) => this.changeBetSettings({ halfDollarBets: e.target.checked }));
+        }
+        this.updateBetSettingsControls();
+
+        const adaptiveToggle = document.getElementById('adaptive-toggle');
+        if (adaptiveToggle) {
+            adaptiveToggle.checked = this.gameState.settings.adaptive;
+            adaptiveToggle.addEventListener('change', (e) => this.toggleAdaptive(e.target.checked));
+        }
+
+        const deckCountSelect = document.getElementById('deck-count-select');
+        if (deckCountSelect) {
+            deckCountSelect.innerHTML = Shoe.DECK_COUNTS.map(deckCount =>
+                `<option value="${deckCount}">${deckCount} ${deckCount === 1 ? 'deck' : 'decks'}</option>`
+            ).join('');
+            deckCountSelect.value = String(this.scenarioManager.shoe.deckCount);
+            deckCountSelect.addEventListener('change', (e) => this.changeShoeSettings({ deckCount: Number(e.target.value) }));
+        }
+
+        const penetrationSelect = document.getElementById('penetration-select');
+        if (penetrationSelect) {
+            penetrationSelect.innerHTML = Shoe.PENETRATIONS.map(penetration =>
+                `<option value="${penetration}">${Math.round(penetration * 100)}%</option>`
+            ).join('');
+            penetrationSelect.value = String(this.scenarioManager.shoe.penetration);
+            penetrationSelect.addEventListener('change', (e) => this.changeShoeSettings({ penetration: Number(e.target.value) }));
+        }
+
+        PayoutCalculator.SPEED_TARGET_BANDS.forEach(band => {
+            const input = document.getElementById(`speed-target-${band.key}`);
+            if (input) {
+                input.value = String(this.payoutCalculator.speedTargets[band.key] / 1000);
+                input.addEventListener('change', (e) => this.changeSpeedTarget(band.key, Number(e.target.value)));
+            }
+        });
+
+        const blitzDurationSelect = document.getElementById('blitz-duration-select');
+        if (blitzDurationSelect) {
+            blitzDurationSelect.innerHTML = BlitzRun.DURATIONS.map(duration =>
+                `<option value="${duration}">${duration}s</option>`
+            ).join('');
+        }
+
+        const blitzButton = document.getElementById('blitz-toggle');
+        if (blitzButton) {
+            blitzButton.addEventListener('click', () => {
+                if (this.blitzRun) {
+                    this.endBlitz({ completed: false });
+                } else {
+                    this.startBlitz(blitzDurationSelect ? Number(blitzDurationSelect.value) : BlitzRun.DURATIONS[0]);
+                }
+            });
+        }
+
+        const examSettings = this.gameState.settings.exam;
+        const examHandsSelect = document.getElementById('exam-hands-select');
+        if (examHandsSelect) {
+            examHandsSelect.innerHTML = ExamRun.HAND_COUNTS.map(count =>
+                `<option value="${count}">${count} hands</option>`
+            ).join('');
+            examHandsSelect.value = String(examSettings.handCount);
+        }
+
+        const examTimeSelect = document.getElementById('exam-time-select');
+        if (examTimeSelect) {
+            examTimeSelect.innerHTML = ExamRun.TIME_LIMITS.map(timeLimit =>
+                `<option value="${timeLimit}">${timeLimit / 60} min</option>`
+            ).join('');
+            examTimeSelect.value = String(examSettings.timeLimit);
+        }
+
+        const examPassInput = document.getElementById('exam-pass-input');
+        if (examPassInput) {
+            examPassInput.value = String(examSettings.passThreshold);
+        }
+
+        const examButton = document.getElementById('exam-toggle');
+        if (examButton) {
+            examButton.addEventListener('click', () => {
+                if (this.examRun) {
+                    this.endExam({ completed: false });
+                } else {
+                    this.startExam();
+                }
+            });
+        }
+
+        const reviewStreakSelect = document.getElementById('review-streak-select');
+        if (reviewStreakSelect) {
+            reviewStreakSelect.innerHTML = ReviewQueue.STREAK_OPTIONS.map(streak =>
+                `<option value="${streak}">${streak}× in a row</option>`
+            ).join('');
+            reviewStreakSelect.value = String(this.gameState.settings.reviewStreak);
+            reviewStreakSelect.addEventListener('change', (e) => this.gameState.updateSettings({ reviewStreak: Number(e.target.value) }));
+        }
+
+        const reviewButton = document.getElementById('review-toggle');
+        if (reviewButton) {
+            reviewButton.addEventListener('click', () => {
+                if (this.reviewing) {
+                    this.endReview();
+                    this.generateNewScenario();
+                } else {
+                    this.startReview();
+                }
+            });
+        }
+        this.updateReviewDisplay();
+
+        const profileNameInput = document.getElementById('profile-name-input');
+        if (profileNameInput) {
+            profileNameInput.value = this.gameState.settings.profileName;
+            profileNameInput.addEventListener('change', (e) => {
+                this.gameState.updateSettings({ profileName: e.target.value.trim() });
+                this.updateDailyDisplay();
+            });
+        }
+
+        const dailyButton = document.getElementById('daily-toggle');
+        if (dailyButton) {
+            dailyButton.addEventListener('click', () => {
+                if (this.dailyRun) {
+                    this.endDailyChallenge({ completed: false });
+                } else {
+                    this.startDailyChallenge();
+                }
+            });
+        }
+        this.updateDailyDisplay();
+
+        const startSeedButton = document.getElementById('start-seed');
+        if (startSeedButton) {
+            startSeedButton.addEventListener('click', () => this.startSeededSession());
+        }
+
+        const flashToggle = document.getElementById('flash-toggle');
+        if (flashToggle) {
+            flashToggle.checked = this.gameState.settings.flash.enabled;
+            flashToggle.addEventListener('change', (e) => this.toggleFlash(e.target.checked));
+        }
+
+        const flashExposureSelect = document.getElementById('flash-exposure-select');
+        if (flashExposureSelect) {
+            flashExposureSelect.innerHTML = FlashExposure.EXPOSURES.map(exposure =>
+                `<option value="${exposure}">${(exposure / 1000).toFixed(1)}s</option>`
+            ).join('');
+            flashExposureSelect.value = String(this.flashExposure.startExposure);
+            flashExposureSelect.addEventListener('change', (e) => this.changeFlashExposure(Number(e.target.value)));
+        }
+        this.updateFlashDisplay();
+
+        const typedAnswersToggle = document.getElementById('typed-answers-toggle');
+        if (typedAnswersToggle) {
+            typedAnswersToggle.checked = Boolean(this.gameState.settings.typedAnswers);
+            typedAnswersToggle.addEventListener('change', (e) => this.toggleTypedAnswers(e.target.checked));
+        }
+
+        const chipBankToggle = document.getElementById('chip-bank-toggle');
+        if (chipBankToggle) {
+            chipBankToggle.checked = Boolean(this.chipManager.bank);
+            chipBankToggle.addEventListener('change', (e) => this.toggleChipBank(e.target.checked));
+        }
+
+        const changeSelect = document.getElementById('make-change-select');
+        if (changeSelect) {
+            changeSelect.innerHTML = ChipManager.CHANGE_OPTIONS.map((option, index) => {
+                const fromChip = this.chipManager.chips.find(chip => chip.value === option.from);
+                const intoChip = this.chipManager.chips.find(chip => chip.value === option.into);
+                return `<option value="${index}">${fromChip.label} → ${option.from / option.into}× ${intoChip.label}</option>`;
+            }).join('');
+        }
+
+        const bankButtons = {
+            'make-change': () => this.makeChange(changeSelect ? Number(changeSelect.value) : 0),
+            'fill-rack': () => this.fillRack(),
+            'end-shift': () => this.endShift()
+        };
+        Object.entries(bankButtons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        this.updateModeControls();
+        this.updateBankDisplay();
     }
 
     /**
-     * Display welcome message in feedback area
+     * Change the bet generator settings. Picking a table type starts from
+     * that table's limits; other changes keep the current limits.
      */
-    displayWelcomeMessage() {
-        this.feedbackSystem.showWelcomeMessage();
+    changeBetSettings(changes) {
+        if (this.refuseDuringRun()) return;
+        this.leaveLesson();
+        const current = this.scenarioManager.betGenerator.settings;
+        const settings = changes.tableType ?
+            { tableType: changes.tableType, awkwardWeight: current.awkwardWeight, halfDollarBets: current.halfDollarBets } :
+            { ...current, ...changes };
+
+        const widened = this.scenarioManager.setBetSettings(settings);
+        this.gameState.updateSettings({ betSettings: { ...this.scenarioManager.betGenerator.settings } });
+        this.updateBetSettingsControls();
+        if (widened) {
+            this.showWidenedBetLimits();
+        }
+        this.generateNewScenario();
     }
 
     /**
-     * Reset the game
+     * Explain a max bet raised so the table limits hold a bet the payout table allows
      */
-    resetGame() {
-        console.log('Resetting game...');
-        
-        // Show confirmation for reset if there's progress
-        if (this.gameState.score.total > 0) {
-            const stats = this.gameState.getSessionStats();
-            this.feedbackSystem.showFeedback(`
-                <h4>⚠️ Reset Game?</h4>
-                <p>You will lose your current progress:</p>
-                <div class="progress-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Current Score:</span>
-                        <span class="stat-value">${this.gameState.score.correct}/${this.gameState.score.total}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Accuracy:</span>
-                        <span class="stat-value">${this.gameState.getAccuracy()}%</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Best Streak:</span>
-                        <span class="stat-value">${stats.bestStreak}</span>
-                    </div>
-                </div>
-                <div style="margin-top: 15px;">
-                    <button onclick="window.blackjackTrainer.confirmReset()" class="submit-btn" style="margin-right: 10px;">Confirm Reset</button>
-                    <button onclick="window.blackjackTrainer.cancelReset()" class="clear-btn">Cancel</button>
-                </div>
-            `, 'warning');
-        } else {
-            this.performReset();
+    showWidenedBetLimits() {
+        const { minBet, maxBet } = this.scenarioManager.betGenerator.settings;
+        this.feedbackSystem.showFeedback(`Max bet raised to $${maxBet} - at ${this.tableRules.blackjackPayout} bets are multiples of $${this.tableRules.getBetMultiple()}, and none fit between $${minBet} and the old max`, 'info', { autoHide: true, duration: 3000 });
+    }
+
+    /**
+     * Change the speed target for one bet size band, in seconds
+     */
+    changeSpeedTarget(bandKey, seconds) {
+        const speedTargets = { ...this.payoutCalculator.speedTargets, [bandKey]: Math.round(seconds * 1000) };
+        this.payoutCalculator.setSpeedTargets(speedTargets);
+        this.gameState.updateSettings({ speedTargets: { ...this.payoutCalculator.speedTargets } });
+
+        const input = document.getElementById(`speed-target-${bandKey}`);
+        if (input) {
+            input.value = String(this.payoutCalculator.speedTargets[bandKey] / 1000);
         }
     }
 
     /**
-     * Confirm reset action
+     * Show the bet generator settings (after any clamping) in the controls
      */
-    confirmReset() {
-        this.performReset();
+    updateBetSettingsControls() {
+        const settings = this.scenarioManager.betGenerator.settings;
+        const values = {
+            'bet-table-type-select': settings.tableType,
+            'bet-min-input': settings.minBet,
+            'bet-max-input': settings.maxBet,
+            'bet-step-input': settings.step,
+            'bet-awkward-select': settings.awkwardWeight
+        };
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = String(value);
+            }
+        });
+
+        const halfDollarToggle = document.getElementById('half-dollar-toggle');
+        if (halfDollarToggle) {
+            halfDollarToggle.checked = settings.halfDollarBets;
+        }
+        this.updateHalfDollarControl();
     }
 
     /**
-     * Cancel reset action
+     * Disable the half-dollar toggle while it can't change the bets dealt:
+     * during an exam or daily challenge, or in a mode that only pays
+     * blackjacks at a payout that comes to quarters on a half-dollar bet
      */
-    cancelReset() {
-        this.displayCurrentScenario();
+    updateHalfDollarControl() {
+        const halfDollarToggle = document.getElementById('half-dollar-toggle');
+        if (!halfDollarToggle) return;
+
+        const available = this.scenarioManager.canDealHalfDollarBets();
+        halfDollarToggle.disabled = Boolean(this.examRun || this.dailyRun) || !available;
+        halfDollarToggle.title = available ? '' :
+            `${this.getScenarioTypeInfo().label} pays every hand as a blackjack, and ${this.tableRules.blackjackPayout} on a half-dollar bet comes to quarters ($12.50 pays ${PayoutCalculator.formatAmount(this.tableRules.calculateBlackjackPayout(12.5))}) - bets stay whole`;
     }
 
     /**
-     * Perform the actual reset
+     * Turn weak-spot targeting on or off (attempts are tracked either way)
      */
-    performReset() {
-        this.gameState.reset();
-        this.chipManager.clearAllSelections();
-        this.displayWelcomeMessage();
-        this.feedbackSystem.showFeedback('🔄 Game reset successfully! Starting fresh...', 'info', { autoHide: true, duration: 2000 });
-        
-        // Generate new scenario after brief delay
-        setTimeout(() => this.generateNewScenario(), 2500);
+    toggleAdaptive(enabled) {
+        this.gameState.updateSettings({ adaptive: enabled });
+        this.scenarioManager.setAdaptiveDifficulty(enabled && !this.seededDrill ? this.adaptive : null);
+        this.feedbackSystem.showFeedback(enabled ?
+            'Adaptive bets on - missed and slow amounts will come up more often' :
+            'Adaptive bets off - bets follow the table distribution', 'info');
     }
 
     /**
-     * Display current scenario (for cancel reset)
+     * Switch between an unlimited tray and a finite chip bank
      */
-    displayCurrentScenario() {
-        if (this.gameState.currentScenario) {
-            this.displayScenario(this.gameState.currentScenario);
+    toggleChipBank(enabled) {
+        if (enabled) {
+            this.chipManager.enableBank();
         } else {
-            this.generateNewScenario();
+            this.chipManager.disableBank();
         }
+        this.gameState.updateSettings({ chipBank: enabled });
+        this.updateBankDisplay();
+        this.feedbackSystem.showFeedback(enabled ?
+            `Chip bank on - the tray opens with $${this.chipManager.getTrayBalance().toFixed(2)}` :
+            'Chip bank off - the tray is unlimited', 'info');
     }
 
     /**
-     * Handle keyboard input for accessibility
+     * Break a tray chip into smaller chips (see ChipManager.CHANGE_OPTIONS)
      */
-    handleKeyboardInput(event) {
-        // Don't interfere with typing in input fields
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
-            return;
+    makeChange(optionIndex) {
+        const option = ChipManager.CHANGE_OPTIONS[optionIndex];
+        if (!option) return;
+
+        if (this.chipManager.makeChange(option.from, option.into)) {
+            this.feedbackSystem.showFeedback(`Broke a $${option.from} chip into ${option.from / option.into}× $${option.into}`, 'info');
+        } else {
+            this.feedbackSystem.showFeedback(`No $${option.from} chips left to break`, 'error');
         }
-
-        switch (event.key) {
-            case 'Enter':
-            case ' ':
-                // Submit payout
-                event.preventDefault();
-                this.submitPayout();
-                break;
-            case 'Escape':
-                // Clear payout
-                event.preventDefault();
-                this.clearPayout();
-                break;
-            case '1':
-                event.preventDefault();
-                this.selectChipByValue(1);
-                break;
-            case '2':
-                event.preventDefault();
-                this.selectChipByValue(2.50);
-                break;
-            case '3':
-                event.preventDefault();
-                this.selectChipByValue(5);
-                break;
-            case '4':
-                event.preventDefault();
-                this.selectChipByValue(25);
-                break;
-            case '5':
-                event.preventDefault();
-                this.selectChipByValue(100);
-                break;
-            case '6':
-                event.preventDefault();
-                this.selectChipByValue(500);
-                break;
-            case '7':
-                event.preventDefault();
-                this.selectChipByValue(1000);
-                break;
-            case 's':
-            case 'S':
-                // Show stats
-                event.preventDefault();
-                this.showDetailedStats();
-                break;
-            case 't':
-            case 'T':
-                // Run tests
-                event.preventDefault();
-                this.runTestSuite();
-                break;
-            case 'r':
-            case 'R':
-                // Reset game
-                event.preventDefault();
-                this.resetGame();
-                break;
-            case 'p':
-            case 'P':
-                // Show performance metrics
-                event.preventDefault();
-                this.showPerformanceMetrics();
-                break;
-            case 'h':
-            case 'H':
-            case '?':
-                // Show help
-                event.preventDefault();
-                this.showKeyboardHelp();
-                break;
-        }
-    }
+        this.updateBankDisplay();
+    }
 
     /**
-     * Select chip by value using keyboard
+     * Call for a fill: restock every short denomination to a full rack
      */
-    selectChipByValue(value) {
-        const chip = this.chipManager.getChipByValue(value);
-        if (chip) {
-            this.chipManager.selectChip(chip, { preventDefault: () => {} });
-        }
+    fillRack() {
+        const amount = this.chipManager.fillRack();
+        this.feedbackSystem.showFeedback(amount > 0 ?
+            `🧾 Fill received: $${amount.toFixed(2)}` :
+            'The rack is already full', 'info');
+        this.updateBankDisplay();
     }
 
     /**
-     * Show keyboard help
+     * End the shift: ask the dealer to count the tray before it is reconciled
      */
-    showKeyboardHelp() {
+    endShift() {
+        if (!this.chipManager.bank) return;
+
         this.feedbackSystem.showFeedback(`
-            <h4>⌨️ Keyboard Shortcuts</h4>
-            <div class="keyboard-help">
-                <div class="help-section">
-                    <h5>Chip Selection</h5>
-                    <p><strong>1-7:</strong> Select chips ($1, $2.50, $5, $25, $100, $500, $1000)</p>
-                </div>
-                <div class="help-section">
-                    <h5>Game Controls</h5>
-                    <p><strong>Enter/Space:</strong> Submit payout</p>
-                    <p><strong>Escape:</strong> Clear selection</p>
-                    <p><strong>S:</strong> Show statistics</p>
-                    <p><strong>T:</strong> Run tests</p>
-                    <p><strong>P:</strong> Show performance metrics</p>
-                    <p><strong>R:</strong> Reset game</p>
-                    <p><strong>H/?:</strong> Show this help</p>
-                </div>
+            <h4>🧮 Count the tray</h4>
+            <p>Enter how many chips of each denomination are in the tray, then reconcile against the shift ledger</p>
+            <div class="shift-count">
+                ${this.chipManager.chips.map(chip => `
+                    <label class="shift-count-item">${chip.label}
+                        <input type="number" class="setting-input shift-count-input" data-chip-value="${chip.value}" min="0" step="1" aria-label="Number of ${chip.label} chips in the tray">
+                    </label>
+                `).join('')}
             </div>
+            <button onclick="window.blackjackTrainer.reconcileShift()" class="submit-btn">Reconcile</button>
         `, 'info');
     }
 
     /**
-     * Show performance metrics
+     * Reconcile the tray from the count entered at the end of the shift
+     * (blank counts are none) and open a fresh rack
      */
-    showPerformanceMetrics() {
-        const metrics = this.performanceMetrics;
-        const uptime = Date.now() - metrics.startTime;
-        
-        const avgScenarioTime = metrics.scenarioGenerationTimes.length > 0 ?
-            metrics.scenarioGenerationTimes.reduce((a, b) => a + b, 0) / metrics.scenarioGenerationTimes.length : 0;
-        
-        const avgValidationTime = metrics.payoutValidationTimes.length > 0 ?
-            metrics.payoutValidationTimes.reduce((a, b) => a + b, 0) / metrics.payoutValidationTimes.length : 0;
-        
+    reconcileShift() {
+        const countedChips = Array.from(document.querySelectorAll('.shift-count-input')).map(input => ({
+            value: Number(input.dataset.chipValue),
+            count: Math.max(0, Math.floor(Number(input.value) || 0))
+        }));
+        const report = this.chipManager.reconcileBank(countedChips);
+        if (!report) return;
+
+        const miscounts = report.miscounts.length > 0 ? `
+            <p>Recount: ${report.miscounts.map(miscount =>
+                `${miscount.label} counted ${miscount.counted}, tray holds ${miscount.actual}`).join(' · ')}</p>` : '';
         this.feedbackSystem.showFeedback(`
-            <h4>⚡ Performance Metrics</h4>
-            <div class="performance-metrics">
-                <div class="progress-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Uptime:</span>
-                        <span class="stat-value">${Math.round(uptime / 1000)}s</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Scenarios Generated:</span>
-                        <span class="stat-value">${metrics.scenarioGenerationTimes.length}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Avg Scenario Time:</span>
-                        <span class="stat-value">${avgScenarioTime.toFixed(2)}ms</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Validations:</span>
-                        <span class="stat-value">${metrics.payoutValidationTimes.length}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Avg Validation Time:</span>
-                        <span class="stat-value">${avgValidationTime.toFixed(2)}ms</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Memory Usage:</span>
-                        <span class="stat-value">${this.getMemoryUsage()}</span>
-                    </div>
+            <h4>${report.isBalanced ? '✅ Tray balanced' : '❌ Tray does not balance'}</h4>
+            <div class="progress-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Opening Rack:</span>
+                    <span class="stat-value">$${report.openingBalance.toFixed(2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Fills (${report.fillCount}):</span>
+                    <span class="stat-value">+$${report.fillTotal.toFixed(2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Collected:</span>
+                    <span class="stat-value">+$${report.collected.toFixed(2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Paid Out:</span>
+                    <span class="stat-value">-$${report.paidOut.toFixed(2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Expected Tray:</span>
+                    <span class="stat-value">$${report.expectedBalance.toFixed(2)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Your Count:</span>
+                    <span class="stat-value" style="color: ${report.isBalanced ? '#00ff00' : '#ff6347'}">$${report.countedBalance.toFixed(2)}</span>
                 </div>
             </div>
-        `, 'info');
+            ${miscounts}
+        `, report.isBalanced ? 'success' : 'error');
+
+        this.chipManager.enableBank();
+        this.updateBankDisplay();
     }
 
     /**
-     * Get estimated memory usage
+     * Show the bank controls and tray balance when the tray is finite
      */
-    getMemoryUsage() {
-        if (performance.memory) {
-            const used = Math.round(performance.memory.usedJSHeapSize / 1024 / 1024);
-            return `${used}MB`;
+    updateBankDisplay() {
+        const bankControls = document.getElementById('bank-controls');
+        if (bankControls) {
+            bankControls.hidden = !this.chipManager.bank;
+        }
+
+        const trayBalance = document.getElementById('tray-balance');
+        if (trayBalance && this.chipManager.bank) {
+            trayBalance.textContent = `$${this.chipManager.getTrayBalance().toFixed(2)}`;
         }
-        return 'N/A';
     }
 
     /**
-     * Run the comprehensive test suite
+     * Change how many seats are dealt in a full table round
      */
-    async runTestSuite() {
-        if (typeof initializeTestSuite === 'undefined') {
-            this.feedbackSystem.showFeedback('❌ Test suite not available.', 'error');
-            return;
+    changeSeatCount(seatCount) {
+        if (this.refuseDuringRun()) return;
+        this.leaveLesson();
+        this.scenarioManager.setSeatCount(seatCount);
+        this.gameState.updateSettings({ seatCount: this.scenarioManager.seatCount });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Switch the type of scenario being drilled
+     */
+    changeScenarioType(scenarioType) {
+        if (this.refuseDuringRun()) return;
+        console.log(`Switching scenario type to ${scenarioType}`);
+        this.leaveLesson();
+        this.scenarioManager.setScenarioType(scenarioType);
+        this.gameState.updateSettings({ scenarioType: this.scenarioManager.scenarioType });
+        this.updateModeControls();
+        this.generateNewScenario();
+    }
+
+    /**
+     * Get the scenario type being drilled (a replayed or daily challenge hand keeps the type it was dealt in)
+     */
+    getScenarioType() {
+        return this.dealtScenarioType || this.scenarioManager.scenarioType;
+    }
+
+    /**
+     * Get the description of the scenario type being drilled
+     */
+    getScenarioTypeInfo() {
+        return ScenarioManager.SCENARIO_TYPES[this.getScenarioType()];
+    }
+
+    /**
+     * Show the controls that only apply to the current scenario type
+     */
+    updateModeControls() {
+        const showBetActions = this.getScenarioTypeInfo().betActions;
+        ['take-bet', 'leave-bet'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.hidden = !showBetActions;
+            }
+        });
+
+        const seatCountSetting = document.getElementById('seat-count-setting');
+        if (seatCountSetting) {
+            seatCountSetting.hidden = !this.getScenarioTypeInfo().multiSeat;
         }
 
-        this.feedbackSystem.showFeedback(`
-            <div class="loading-spinner"></div>
-            <h4>🧪 Running Test Suite...</h4>
-            <p>This may take a few moments. Check the console for detailed results.</p>
-        `, 'info');
+        const flagButton = document.getElementById('flag-payout');
+        if (flagButton) {
+            flagButton.hidden = this.getScenarioType() !== 'reverse';
+        }
+        this.updateHalfDollarControl();
+    }
 
-        try {
-            const testSuite = initializeTestSuite();
-            const results = await testSuite.runAllTests();
-            
-            const successRate = Math.round((results.passed / results.total) * 100);
-            const statusIcon = results.failed === 0 ? '✅' : '⚠️';
-            const statusColor = results.failed === 0 ? '#00ff00' : '#ffa500';
-            
-            this.feedbackSystem.showFeedback(`
-                <h4>${statusIcon} Test Suite Complete</h4>
-                <div class="test-results">
-                    <div class="progress-stats">
-                        <div class="stat-item">
-                            <span class="stat-label">Total Tests:</span>
-                            <span class="stat-value">${results.total}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Passed:</span>
-                            <span class="stat-value" style="color: #00ff00">${results.passed}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Failed:</span>
-                            <span class="stat-value" style="color: #ff6347">${results.failed}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Success Rate:</span>
-                            <span class="stat-value" style="color: ${statusColor}">${successRate}%</span>
-                        </div>
-                    </div>
-                    <div class="test-summary">
-                        <p><strong>Status:</strong> ${results.failed === 0 ? 'All tests passed!' : `${results.failed} test(s) failed`}</p>
-                        <p><strong>Note:</strong> Check the browser console for detailed test output.</p>
-                        ${results.failed > 0 ? '<p style="color: #ffa500;">Some tests failed. This may indicate issues that need attention.</p>' : ''}
-                    </div>
-                </div>
-            `, results.failed === 0 ? 'success' : 'warning');
-            
-        } catch (error) {
-            console.error('Test suite error:', error);
-            this.feedbackSystem.showFeedback(`
-                <h4>❌ Test Suite Error</h4>
-                <p>An error occurred while running the test suite:</p>
-                <p style="color: #ff6347; font-family: monospace;">${error.message}</p>
-                <p>Check the console for more details.</p>
-            `, 'error');
+    /**
+     * Refuse a change to how hands are dealt or answered during an exam or
+     * daily challenge, whose table is fixed when the run starts. Returns true
+     * when the change was refused.
+     */
+    refuseDuringRun() {
+        if (!this.examRun && !this.dailyRun) return false;
+
+        this.feedbackSystem.showFeedback('Table settings are locked until the exam or daily challenge ends', 'warning', { autoHide: true, duration: 2000 });
+        return true;
+    }
+
+    /**
+     * Lock the table and answer mode controls while an exam or daily challenge runs
+     */
+    updateRunLocks() {
+        const locked = Boolean(this.examRun || this.dailyRun);
+        BlackjackPayoutTrainer.RUN_LOCKED_CONTROLS.forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.disabled = locked;
+            }
+        });
+        this.updateHalfDollarControl();
+    }
+
+    /**
+     * Get the table hands are dealt under: payout table, dealer rules, side
+     * bet odds, training mode, seats, bet settings and shoe
+     */
+    getTableSetup() {
+        return {
+            payoutTable: this.tableRules.blackjackPayout,
+            dealerRules: { soft17: this.tableRules.soft17, holeCard: this.tableRules.holeCard },
+            sideBetOdds: this.tableRules.sideBetOdds,
+            scenarioType: this.scenarioManager.scenarioType,
+            seatCount: this.scenarioManager.seatCount,
+            betSettings: { ...this.scenarioManager.betGenerator.settings },
+            shoe: this.scenarioManager.shoe.getSettings()
+        };
+    }
+
+    /**
+     * Deal under a table setup (see getTableSetup) without saving it to the settings
+     */
+    applyTableSetup(setup) {
+        this.tableRules = new TableRules({ blackjackPayout: setup.payoutTable, ...setup.dealerRules, sideBetOdds: setup.sideBetOdds });
+        this.scenarioManager.setTableRules(this.tableRules);
+        this.payoutCalculator.setTableRules(this.tableRules);
+        this.scenarioManager.setScenarioType(setup.scenarioType);
+        this.scenarioManager.setSeatCount(setup.seatCount);
+        this.scenarioManager.setBetSettings(setup.betSettings);
+        this.scenarioManager.setShoeSettings(setup.shoe);
+        this.updateTableControls();
+    }
+
+    /**
+     * Switch the blackjack payout table and start a fresh session for it
+     */
+    changePayoutTable(ratio) {
+        if (this.refuseDuringRun()) return;
+        this.leaveLesson();
+        if (this.setPayoutTable(ratio)) {
+            this.generateNewScenario();
         }
     }
 
     /**
-     * Show detailed statistics
+     * Apply a blackjack payout table without dealing. Returns false if it is
+     * already the current table.
      */
-    showDetailedStats() {
-        const stats = this.gameState.getSessionStats();
-        const performance = this.gameState.getPerformanceRating();
-        const progressSummary = this.gameState.getProgressSummary();
-        
-        let historySection = '';
-        if (progressSummary) {
-            historySection = `
-                <div class="stats-section">
-                    <h5>Historical Progress</h5>
-                    <div class="progress-stats">
-                        <div class="stat-item">
-                            <span class="stat-label">Total Sessions:</span>
-                            <span class="stat-value">${progressSummary.totalSessions}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">All-Time Attempts:</span>
-                            <span class="stat-value">${progressSummary.totalAttempts}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Average Accuracy:</span>
-                            <span class="stat-value">${progressSummary.averageAccuracy}%</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Best Accuracy:</span>
-                            <span class="stat-value" style="color: #ffd700">${progressSummary.bestAccuracy}%</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">All-Time Best Streak:</span>
-                            <span class="stat-value" style="color: #ffd700">${progressSummary.bestStreak}</span>
-                        </div>
-                    </div>
-                </div>
-            `;
+    setPayoutTable(ratio) {
+        if (ratio === this.tableRules.blackjackPayout) return false;
+
+        console.log(`Switching blackjack payout table to ${ratio}`);
+        this.gameState.updateSettings({ payoutTable: ratio });
+        this.tableRules = this.createTableRules();
+        const { maxBet } = this.scenarioManager.betGenerator.settings;
+        this.scenarioManager.setTableRules(this.tableRules);
+        this.payoutCalculator.setTableRules(this.tableRules);
+        this.adaptive = this.createAdaptiveDifficulty();
+        this.updateHalfDollarControl();
+        if (this.scenarioManager.betGenerator.settings.maxBet !== maxBet) {
+            this.gameState.updateSettings({ betSettings: { ...this.scenarioManager.betGenerator.settings } });
+            this.updateBetSettingsControls();
+            this.showWidenedBetLimits();
         }
-        
-        this.feedbackSystem.showFeedback(`
-            <h4>📊 Detailed Statistics</h4>
-            <div class="detailed-stats">
-                <div class="stats-section">
-                    <h5>Current Session</h5>
-                    <div class="progress-stats">
-                        <div class="stat-item">
-                            <span class="stat-label">Attempts:</span>
-                            <span class="stat-value">${this.gameState.score.total}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Correct:</span>
-                            <span class="stat-value" style="color: #00ff00">${this.gameState.score.correct}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Incorrect:</span>
-                            <span class="stat-value" style="color: #ff6347">${this.gameState.score.total - this.gameState.score.correct}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Accuracy:</span>
-                            <span class="stat-value" style="color: ${performance.color}">${this.gameState.getAccuracy()}%</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Session Time:</span>
-                            <span class="stat-value">${stats.sessionTimeFormatted}</span>
-                        </div>
-                        <div class="stat-item">
-                            <span class="stat-label">Current Streak:</span>
-                            <span class="stat-value">${stats.currentStreak}</span>
-                        </div>
+
+        // Start a new session so accuracy isn't mixed across payout tables
+        this.gameState.reset();
+        return true;
+    }
+
+    /**
+     * Change how the dealer plays: soft 17 and peek / no hole card
+     */
+    changeDealerRules(changes) {
+        if (this.refuseDuringRun()) return;
+        const dealerRules = { soft17: this.tableRules.soft17, holeCard: this.tableRules.holeCard, ...changes };
+        this.gameState.updateSettings({ dealerRules });
+        this.tableRules = this.createTableRules();
+        this.scenarioManager.setTableRules(this.tableRules);
+        this.payoutCalculator.setTableRules(this.tableRules);
+        this.feedbackSystem.showFeedback(`Dealer rules: ${TableRules.SOFT_17_RULES[this.tableRules.soft17].label.toLowerCase()}, ${TableRules.HOLE_CARD_RULES[this.tableRules.holeCard].label.toLowerCase()}`, 'info', { autoHide: true, duration: 2500 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Change the house pay table a side bet is paid from (see TableRules.SIDE_BET_PAY_TABLES)
+     */
+    changeSideBetOdds(sideBetType, oddsKey) {
+        if (this.refuseDuringRun()) return;
+        const payTable = TableRules.SIDE_BET_PAY_TABLES[sideBetType].find(option => option.odds.join('/') === oddsKey);
+        if (!payTable) return;
+
+        const sideBetOdds = { ...this.tableRules.sideBetOdds, [sideBetType]: TableRules.createSideBetOdds(sideBetType, payTable.odds) };
+        this.gameState.updateSettings({ sideBetOdds });
+        this.tableRules = this.createTableRules();
+        this.scenarioManager.setTableRules(this.tableRules);
+        this.payoutCalculator.setTableRules(this.tableRules);
+        this.feedbackSystem.showFeedback(`${TableRules.SIDE_BETS[sideBetType].label} pays ${payTable.label}`, 'info', { autoHide: true, duration: 2500 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Start a curriculum lesson: switch to the payout table, scenario type
+     * and bets it is drilled with. An empty id returns to free practice.
+     */
+    startLesson(lessonId) {
+        if (this.refuseDuringRun()) return;
+        if (!lessonId) {
+            this.leaveLesson();
+            return;
+        }
+
+        const lesson = this.curriculum.getLesson(lessonId);
+        if (!lesson) return;
+        if (!this.curriculum.isUnlocked(lessonId)) {
+            this.feedbackSystem.showFeedback(
+                `🔒 ${lesson.title} unlocks after mastering ${this.curriculum.getMissingRequirements(lessonId).join(' and ')}`, 'error');
+            this.updateLessonControls();
+            return;
+        }
+
+        console.log(`Starting lesson ${lesson.id}`);
+        this.setPayoutTable(lesson.payoutTable);
+        this.scenarioManager.setScenarioType(lesson.scenarioType);
+        if (lesson.seatCount) {
+            this.scenarioManager.setSeatCount(lesson.seatCount);
+        }
+        this.scenarioManager.setBetSettings(lesson.betSettings);
+        this.gameState.updateSettings({
+            lesson: lesson.id,
+            scenarioType: this.scenarioManager.scenarioType,
+            seatCount: this.scenarioManager.seatCount,
+            betSettings: { ...this.scenarioManager.betGenerator.settings }
+        });
+
+        this.updateTableControls();
+        this.updateLessonControls();
+        this.feedbackSystem.showLessonIntro(lesson, this.curriculum.getMastery(lesson.id), this.curriculum.isMastered(lesson.id));
+        this.generateNewScenario();
+    }
+
+    /**
+     * Return to free practice. Changing the table by hand leaves the lesson,
+     * since its hands would no longer match what the lesson drills.
+     */
+    leaveLesson() {
+        if (!this.gameState.settings.lesson) return;
+
+        this.gameState.updateSettings({ lesson: null });
+        this.updateLessonControls();
+    }
+
+    /**
+     * Show the payout table, dealer rules, side bet pay tables, training
+     * mode, bet settings and shoe in their controls after they were changed
+     * from code
+     */
+    updateTableControls() {
+        const values = {
+            'payout-table-select': this.tableRules.blackjackPayout,
+            'soft17-select': this.tableRules.soft17,
+            'hole-card-select': this.tableRules.holeCard,
+            'scenario-type-select': this.scenarioManager.scenarioType,
+            'seat-count-select': this.scenarioManager.seatCount,
+            'deck-count-select': this.scenarioManager.shoe.deckCount,
+            'penetration-select': this.scenarioManager.shoe.penetration
+        };
+        Object.entries(BlackjackPayoutTrainer.SIDE_BET_ODDS_SELECTS).forEach(([id, sideBetType]) => {
+            values[id] = this.tableRules.getSideBetOddsKey(sideBetType);
+        });
+        Object.entries(values).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.value = String(value);
+            }
+        });
+        this.updateBetSettingsControls();
+        this.updateModeControls();
+    }
+
+    /**
+     * Fill the lesson picker (locked lessons are disabled, mastered ones
+     * ticked) and show progress toward the current lesson's mastery
+     */
+    updateLessonControls() {
+        const lessonId = this.gameState.settings.lesson;
+        const lessonSelect = document.getElementById('lesson-select');
+        if (lessonSelect) {
+            lessonSelect.innerHTML = '<option value="">Free practice</option>' + Curriculum.LESSONS.map((lesson, index) => {
+                const unlocked = this.curriculum.isUnlocked(lesson.id);
+                const mark = this.curriculum.isMastered(lesson.id) ? ' ✓' : unlocked ? '' : ' 🔒';
+                return `<option value="${lesson.id}"${unlocked ? '' : ' disabled'}>${index + 1}. ${lesson.title}${mark}</option>`;
+            }).join('');
+            lessonSelect.value = lessonId || '';
+        }
+
+        const lessonStatus = document.getElementById('lesson-status');
+        if (lessonStatus) {
+            const lesson = this.curriculum.getLesson(lessonId);
+            lessonStatus.hidden = !lesson;
+            if (lesson) {
+                const mastery = this.curriculum.getMastery(lesson.id);
+                lessonStatus.textContent = this.curriculum.isMastered(lesson.id) ? 'mastered ✓' :
+                    `${mastery.hands}/${Curriculum.MASTERY_WINDOW} hands · ${mastery.accuracy}% · ${(mastery.medianTime / 1000).toFixed(1)}s median ` +
+                    `(need ${lesson.mastery.accuracy}% · ${(lesson.mastery.medianTime / 1000).toFixed(1)}s)`;
+            }
+        }
+    }
+
+    /**
+     * Keep a missed hand for review the first time it is answered wrong.
+     * During review a miss starts the replayed hand's streak over instead.
+     * Misses in an exam or daily challenge are held until the run ends, so
+     * the queue doesn't mark the hands as they are answered.
+     */
+    queueMissedHand(scenario, validation) {
+        if (this.reviewEntryId !== null) {
+            this.gradeReviewHand(false);
+            return;
+        }
+        // A color-up has no cards or bet to replay
+        if (!(scenario instanceof BlackjackScenario) || this.missQueued) return;
+
+        this.missQueued = true;
+        // A seat from a full table is replayed on its own, as a mixed-outcome hand
+        const scenarioType = this.getScenarioTypeInfo().multiSeat ? 'mixed' : this.getScenarioType();
+        const miss = {
+            scenario: { ...scenario.toJSON(), scenarioType },
+            submitted: this.describeSettlement(scenario, validation, 'submitted'),
+            expected: this.describeSettlement(scenario, validation, 'expected'),
+            step: this.describeExamStep(scenario, validation)
+        };
+        if (this.examRun || this.dailyRun) {
+            this.heldMisses.push(miss);
+            return;
+        }
+
+        this.reviewQueue.add(miss);
+        this.gameState.saveReviewQueue(this.reviewQueue);
+        this.updateReviewDisplay();
+    }
+
+    /**
+     * Queue the misses held back during an exam or daily challenge once it ends
+     */
+    queueHeldMisses() {
+        if (this.heldMisses.length === 0) return;
+
+        this.heldMisses.forEach(miss => this.reviewQueue.add(miss));
+        this.heldMisses = [];
+        this.gameState.saveReviewQueue(this.reviewQueue);
+        this.updateReviewDisplay();
+    }
+
+    /**
+     * Grade the replayed hand once: it only counts as correct if it was
+     * settled without a miss
+     */
+    gradeReviewHand(isCorrect) {
+        if (this.reviewEntryId === null || this.reviewGraded) return;
+
+        this.reviewGraded = true;
+        const { entry, cleared } = this.reviewQueue.recordAttempt(this.reviewEntryId, isCorrect, this.gameState.settings.reviewStreak);
+        this.gameState.saveReviewQueue(this.reviewQueue);
+        this.updateReviewDisplay(cleared ? '✓ cleared' : `${entry.streak}/${this.gameState.settings.reviewStreak} in a row`);
+    }
+
+    /**
+     * Start replaying the missed hands in the review queue
+     */
+    startReview() {
+        if (this.blitzRun || this.examRun || this.dailyRun) {
+            this.feedbackSystem.showFeedback('Finish or stop the blitz, exam or daily challenge before reviewing missed hands', 'warning');
+            return;
+        }
+        if (this.reviewQueue.size === 0) {
+            this.feedbackSystem.showFeedback('No missed hands to review - hands you get wrong are kept here automatically', 'info', { autoHide: true, duration: 2500 });
+            return;
+        }
+
+        this.reviewing = true;
+        this.generateNewScenario();
+    }
+
+    /**
+     * Stop replaying missed hands (the queue is kept)
+     */
+    endReview() {
+        if (!this.reviewing) return;
+
+        this.reviewing = false;
+        this.reviewEntryId = null;
+        this.dealtScenarioType = null;
+        this.updateModeControls();
+        this.updateReviewDisplay();
+    }
+
+    /**
+     * Deal the next missed hand from the queue exactly as it was first dealt
+     */
+    dealReviewHand() {
+        const entry = this.reviewQueue.peek();
+        this.reviewEntryId = entry.id;
+        this.dealtScenarioType = entry.scenario.scenarioType;
+        this.updateModeControls();
+        this.gameState.setCurrentRound(null);
+        this.showScenario(BlackjackScenario.fromJSON(entry.scenario));
+        this.updateReviewDisplay();
+        this.feedbackSystem.showFeedback(`
+            <h4>🔁 Review - ${this.reviewQueue.size} missed ${this.reviewQueue.size === 1 ? 'hand' : 'hands'} left</h4>
+            <p>Each clears after ${this.gameState.settings.reviewStreak} correct in a row. This one was missed on ${new Date(entry.missedAt).toLocaleDateString()}${entry.step ? ` (${entry.step})` : ''} - you answered: ${entry.submitted}</p>
+        `, 'info');
+    }
+
+    /**
+     * Show the queue size, or the replayed hand's streak during review
+     */
+    updateReviewDisplay(note = null) {
+        const reviewButton = document.getElementById('review-toggle');
+        if (reviewButton) {
+            reviewButton.textContent = this.reviewing ? 'Stop' : 'Start';
+        }
+
+        const status = document.getElementById('review-status');
+        if (status) {
+            const queued = `${this.reviewQueue.size} queued`;
+            const entry = this.reviewing ? this.reviewQueue.getEntry(this.reviewEntryId) : null;
+            const progress = note || (entry ? `${entry.streak}/${this.gameState.settings.reviewStreak} in a row` : null);
+            status.textContent = progress ? `${progress} · ${queued}` : queued;
+        }
+    }
+
+    /**
+     * Start today's challenge under the name in the profile field. The first
+     * attempt of the day is the official one and is saved as soon as it
+     * starts, so seeing the hands and starting over doesn't help; later
+     * attempts are practice runs kept off the leaderboard.
+     */
+    startDailyChallenge() {
+        if (this.blitzRun || this.examRun || this.reviewing) {
+            this.feedbackSystem.showFeedback('Finish or stop the blitz, exam or review before the daily challenge', 'warning');
+            return;
+        }
+
+        const nameInput = document.getElementById('profile-name-input');
+        const profile = (nameInput ? nameInput.value : this.gameState.settings.profileName).trim();
+        if (!profile) {
+            this.feedbackSystem.showFeedback('Enter your name to play the daily challenge', 'warning');
+            return;
+        }
+        this.gameState.updateSettings({ profileName: profile });
+
+        const today = DailyChallenge.getDateKey();
+        const run = new DailyChallenge({ profile, official: !this.gameState.getDailyResult(today, profile) });
+        if (run.official) {
+            this.gameState.saveDailyResult(run.getResult());
+        }
+
+        this.chipManager.clearAllSelections();
+        this.dailyRun = run;
+        this.updateRunLocks();
+        this.feedbackSystem.showFeedback(`
+            <h4>📅 Daily Challenge ${run.date}${run.official ? '' : ' - practice run'}</h4>
+            <p>${run.handCount} hands, the same for everyone today. Each correct hand scores 100 points plus up to ${DailyChallenge.MAX_SPEED_BONUS} for speed.</p>
+            ${run.official ? '' : `<p>${FeedbackSystem.escapeHtml(profile)} has already played today - this run won't change the leaderboard</p>`}
+        `, 'info');
+        this.generateNewScenario();
+    }
+
+    /**
+     * Deal the next hand of the daily challenge
+     */
+    dealDailyHand() {
+        this.dealtScenarioType = DailyChallenge.SCENARIO_TYPE;
+        this.updateModeControls();
+        this.gameState.setCurrentRound(null);
+        this.showScenario(this.dailyRun.getNextScenario());
+        this.updateDailyDisplay();
+    }
+
+    /**
+     * Score a daily challenge answer, then deal the next hand. Each hand is
+     * answered once, as in an exam.
+     */
+    handleDailyAttempt(scenario, validation) {
+        const run = this.dailyRun;
+        run.recordHand(validation.isCorrect, this.gameState.getElapsedTime());
+        if (validation.isCorrect) {
+            this.settleChipBank(scenario, validation);
+        }
+        if (run.official) {
+            this.gameState.saveDailyResult(run.getResult());
+        }
+
+        if (run.isComplete()) {
+            this.endDailyChallenge({ completed: true });
+            return;
+        }
+
+        const { points } = run.hands[run.hands.length - 1];
+        this.feedbackSystem.showFeedback(validation.isCorrect ?
+            `✓ +${points}` : `✗ Answer was: ${this.describeSettlement(scenario, validation, 'expected')}`,
+            validation.isCorrect ? 'success' : 'error', { autoHide: true, duration: 800 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * End the daily challenge and show the day's leaderboard. An official
+     * attempt stopped early still counts, with the unanswered hands scoring
+     * nothing; a practice run stopped early is dropped.
+     */
+    endDailyChallenge({ completed = true } = {}) {
+        const run = this.dailyRun;
+        if (!run) return;
+
+        this.stopHandTimer();
+        this.dailyRun = null;
+        this.dealtScenarioType = null;
+        run.finish();
+        this.updateRunLocks();
+        this.queueHeldMisses();
+        this.updateModeControls();
+        this.chipManager.clearAllSelections();
+
+        const result = run.getResult();
+        if (run.official) {
+            this.gameState.saveDailyResult(result);
+        }
+        this.updateDailyDisplay();
+
+        if (!run.official && !completed) {
+            this.feedbackSystem.showFeedback('Practice run stopped', 'info', { autoHide: true, duration: 2000 });
+        } else {
+            this.feedbackSystem.showDailyResults(result, this.gameState.getDailyLeaderboard(run.date), run.official);
+        }
+        this.generateNewScenario();
+    }
+
+    /**
+     * Show progress through the daily challenge, or today's official score
+     */
+    updateDailyDisplay() {
+        const dailyButton = document.getElementById('daily-toggle');
+        if (dailyButton) {
+            dailyButton.textContent = this.dailyRun ? 'Stop' : 'Start';
+        }
+
+        const status = document.getElementById('daily-status');
+        if (!status) return;
+
+        if (this.dailyRun) {
+            const { score } = this.dailyRun.getResult();
+            status.textContent = `Hand ${this.dailyRun.hands.length + 1}/${this.dailyRun.handCount} · ${score} pts`;
+            return;
+        }
+
+        const today = DailyChallenge.getDateKey();
+        const profile = this.gameState.settings.profileName;
+        const result = profile ? this.gameState.getDailyResult(today, profile) : null;
+        if (result) {
+            const leaderboard = this.gameState.getDailyLeaderboard(today);
+            const rank = leaderboard.findIndex(entry => DailyChallenge.isSameProfile(entry.profile, profile)) + 1;
+            status.textContent = `Today: ${result.score} pts · #${rank} of ${leaderboard.length}`;
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    /**
+     * Set up basic event listeners for the interface
+     */
+    setupEventListeners() {
+        // Reset game button
+        const resetBtn = document.getElementById('reset-game');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetGame());
+        }
+
+        // Submit payout button
+        const submitBtn = document.getElementById('submit-payout');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', () => this.submitPayout());
+        }
+
+        // Clear payout button
+        const clearBtn = document.getElementById('clear-payout');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearPayout());
+        }
+
+        // Typed payout field: Enter submits and Escape clears, like the shortcuts
+        const typedInput = document.getElementById('typed-payout-input');
+        if (typedInput) {
+            typedInput.addEventListener('input', () => {
+                this.gameState.updatePayoutTotal(PayoutCalculator.parseAmount(typedInput.value) || 0);
+            });
+            typedInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.submitPayout();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.clearPayout();
+                }
+            });
+        }
+
+        // Take and leave bet buttons (mixed outcomes)
+        const takeBtn = document.getElementById('take-bet');
+        if (takeBtn) {
+            takeBtn.addEventListener('click', () => this.submitPayout('take'));
+        }
+
+        const leaveBtn = document.getElementById('leave-bet');
+        if (leaveBtn) {
+            leaveBtn.addEventListener('click', () => this.submitPayout('leave'));
+        }
+
+        // Flag a payout no bet could produce (reverse drill)
+        const flagBtn = document.getElementById('flag-payout');
+        if (flagBtn) {
+            flagBtn.addEventListener('click', () => this.submitPayout('flag'));
+        }
+
+        // Show stats button
+        const statsBtn = document.getElementById('show-stats');
+        if (statsBtn) {
+            statsBtn.addEventListener('click', () => this.showDetailedStats());
+        }
+
+        // Run tests button
+        const testBtn = document.getElementById('run-tests');
+        if (testBtn) {
+            testBtn.addEventListener('click', () => this.runTestSuite());
+        }
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => this.handleKeyboardInput(e));
+    }
+
+    /**
+     * Display welcome message in feedback area
+     */
+    displayWelcomeMessage() {
+        this.feedbackSystem.showWelcomeMessage(this.tableRules, this.curriculum.getNextLesson());
+    }
+
+    /**
+     * Reset the game
+     */
+    resetGame() {
+        console.log('Resetting game...');
+        
+        // Show confirmation for reset if there's progress
+        if (this.gameState.score.total > 0) {
+            const stats = this.gameState.getSessionStats();
+            this.feedbackSystem.showFeedback(`
+                <h4>⚠️ Reset Game?</h4>
+                <p>You will lose your current progress:</p>
+                <div class="progress-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Current Score:</span>
+                        <span class="stat-value">${this.gameState.score.correct}/${this.gameState.score.total}</span>
                     </div>
-                </div>
-                ${historySection}
-                <div class="stats-section">
-                    <h5>Performance Rating</h5>
-                    <div class="performance-rating" style="color: ${performance.color}; font-size: 1.2rem; font-weight: bold; text-align: center; margin: 10px 0;">
-                        ${performance.rating}
+                    <div class="stat-item">
+                        <span class="stat-label">Accuracy:</span>
+                        <span class="stat-value">${this.gameState.getAccuracy()}%</span>
                     </div>
-                    <div style="text-align: center; margin-top: 15px;">
-                        <button onclick="window.blackjackTrainer.gameState.clearSavedProgress(); window.blackjackTrainer.feedbackSystem.showFeedback('Progress history cleared!', 'info', {autoHide: true});" class="clear-btn" style="font-size: 0.9rem;">Clear History</button>
+                    <div class="stat-item">
+                        <span class="stat-label">Best Streak:</span>
+                        <span class="stat-value">${stats.bestStreak}</span>
                     </div>
                 </div>
-            </div>
-        `, 'info');
+                <div style="margin-top: 15px;">
+                    <button onclick="window.blackjackTrainer.confirmReset()" class="submit-btn" style="margin-right: 10px;">Confirm Reset</button>
+                    <button onclick="window.blackjackTrainer.cancelReset()" class="clear-btn">Cancel</button>
+                </div>
+            `, 'warning');
+        } else {
+            this.performReset();
+        }
+    }
+
+    /**
+     * Confirm reset action
+     */
+    confirmReset() {
+        this.performReset();
+    }
+
+    /**
+     * Cancel reset action
+     */
+    cancelReset() {
+        this.displayCurrentScenario();
+    }
+
+    /**
+     * Perform the actual reset
+     */
+    performReset() {
+        this.endBlitz({ completed: false });
+        this.endExam({ completed: false });
+        this.endReview();
+        this.endDailyChallenge({ completed: false });
+        this.gameState.reset();
+        this.chipManager.clearAllSelections();
+        this.startSession(SeededRandom.createSeed());
+        this.displayWelcomeMessage();
+        this.feedbackSystem.showFeedback('🔄 Game reset successfully! Starting fresh...', 'info', { autoHide: true, duration: 2000 });
+        
+        // Generate new scenario after brief delay
+        setTimeout(() => this.generateNewScenario(), 2500);
+    }
+
+    /**
+     * Display current scenario (for cancel reset)
+     */
+    displayCurrentScenario() {
+        if (this.gameState.currentScenario) {
+            this.displayScenario(this.gameState.currentScenario);
+        } else {
+            this.generateNewScenario();
+        }
+    }
+
+    /**
+     * Handle keyboard input for accessibility
+     */
+    handleKeyboardInput(event) {
+        // Don't interfere with typing in input fields
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+            return;
+        }
+
+        // With typed answers the digits go to the payout field instead of picking chips
+        if (this.isTypingAnswer() && /^[0-9.$]$/.test(event.key)) {
+            const typedInput = document.getElementById('typed-payout-input');
+            if (typedInput) {
+                typedInput.focus();
+            }
+            return;
+        }
+
+        switch (event.key) {
+            case 'Enter':
+            case ' ':
+                // Submit payout
+                event.preventDefault();
+                this.submitPayout();
+                break;
+            case 'Escape':
+                // Clear payout
+                event.preventDefault();
+                this.clearPayout();
+                break;
+            case '1':
+                event.preventDefault();
+                this.selectChipByValue(1);
+                break;
+            case '2':
+                event.preventDefault();
+                this.selectChipByValue(2.50);
+                break;
+            case '3':
+                event.preventDefault();
+                this.selectChipByValue(5);
+                break;
+            case '4':
+                event.preventDefault();
+                this.selectChipByValue(25);
+                break;
+            case '5':
+                event.preventDefault();
+                this.selectChipByValue(100);
+                break;
+            case '6':
+                event.preventDefault();
+                this.selectChipByValue(500);
+                break;
+            case '7':
+                event.preventDefault();
+                this.selectChipByValue(1000);
+                break;
+            case 's':
+            case 'S':
+                // Show stats
+                event.preventDefault();
+                this.showDetailedStats();
+                break;
+            case 't':
+            case 'T':
+                // Run tests
+                event.preventDefault();
+                this.runTestSuite();
+                break;
+            case 'r':
+            case 'R':
+                // Reset game
+                event.preventDefault();
+                this.resetGame();
+                break;
+            case 'p':
+            case 'P':
+                // Show performance metrics
+                event.preventDefault();
+                this.showPerformanceMetrics();
+                break;
+            case 'h':
+            case 'H':
+            case '?':
+                // Show help
+                event.preventDefault();
+                this.showKeyboardHelp();
+                break;
+        }
+    }
+
+    /**
+     * Select chip by value using keyboard
+     */
+    selectChipByValue(value) {
+        const chip = this.chipManager.getChipByValue(value);
+        if (chip) {
+            this.chipManager.selectChip(chip, { preventDefault: () => {} });
+        }
+    }
+
+    /**
+     * Show keyboard help
+     */
+    showKeyboardHelp() {
+        this.feedbackSystem.showFeedback(`
+            <h4>⌨️ Keyboard Shortcuts</h4>
+            <div class="keyboard-help">
+                <div class="help-section">
+                    <h5>Chip Selection</h5>
+                    <p><strong>1-7:</strong> Select chips ($1, $2.50, $5, $25, $100, $500, $1000)</p>
+                    <p>With typed answers on, digits go into the payout field instead</p>
+                </div>
+                <div class="help-section">
+                    <h5>Game Controls</h5>
+                    <p><strong>Enter/Space:</strong> Submit payout</p>
+                    <p><strong>Escape:</strong> Clear selection</p>
+                    <p><strong>S:</strong> Show statistics</p>
+                    <p><strong>T:</strong> Run tests</p>
+                    <p><strong>P:</strong> Show performance metrics</p>
+                    <p><strong>R:</strong> Reset game</p>
+                    <p><strong>H/?:</strong> Show this help</p>
+                </div>
+            </div>
+        `, 'info');
+    }
+
+    /**
+     * Show performance metrics
+     */
+    showPerformanceMetrics() {
+        const metrics = this.performanceMetrics;
+        const uptime = Date.now() - metrics.startTime;
+        
+        const avgScenarioTime = metrics.scenarioGenerationTimes.length > 0 ?
+            metrics.scenarioGenerationTimes.reduce((a, b) => a + b, 0) / metrics.scenarioGenerationTimes.length : 0;
+        
+        const avgValidationTime = metrics.payoutValidationTimes.length > 0 ?
+            metrics.payoutValidationTimes.reduce((a, b) => a + b, 0) / metrics.payoutValidationTimes.length : 0;
+        
+        this.feedbackSystem.showFeedback(`
+            <h4>⚡ Performance Metrics</h4>
+            <div class="performance-metrics">
+                <div class="progress-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Uptime:</span>
+                        <span class="stat-value">${Math.round(uptime / 1000)}s</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Scenarios Generated:</span>
+                        <span class="stat-value">${metrics.scenarioGenerationTimes.length}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Avg Scenario Time:</span>
+                        <span class="stat-value">${avgScenarioTime.toFixed(2)}ms</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Validations:</span>
+                        <span class="stat-value">${metrics.payoutValidationTimes.length}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Avg Validation Time:</span>
+                        <span class="stat-value">${avgValidationTime.toFixed(2)}ms</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Memory Usage:</span>
+                        <span class="stat-value">${this.getMemoryUsage()}</span>
+                    </div>
+                </div>
+            </div>
+        `, 'info');
+    }
+
+    /**
+     * Get estimated memory usage
+     */
+    getMemoryUsage() {
+        if (performance.memory) {
+            const used = Math.round(performance.memory.usedJSHeapSize / 1024 / 1024);
+            return `${used}MB`;
+        }
+        return 'N/A';
+    }
+
+    /**
+     * Run the comprehensive test suite
+     */
+    async runTestSuite() {
+        if (typeof initializeTestSuite === 'undefined') {
+            this.feedbackSystem.showFeedback('❌ Test suite not available.', 'error');
+            return;
+        }
+
+        this.feedbackSystem.showFeedback(`
+            <div class="loading-spinner"></div>
+            <h4>🧪 Running Test Suite...</h4>
+            <p>This may take a few moments. Check the console for detailed results.</p>
+        `, 'info');
+
+        try {
+            const testSuite = initializeTestSuite();
+            const results = await testSuite.runAllTests();
+            
+            const successRate = Math.round((results.passed / results.total) * 100);
+            const statusIcon = results.failed === 0 ? '✅' : '⚠️';
+            const statusColor = results.failed === 0 ? '#00ff00' : '#ffa500';
+            
+            this.feedbackSystem.showFeedback(`
+                <h4>${statusIcon} Test Suite Complete</h4>
+                <div class="test-results">
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Total Tests:</span>
+                            <span class="stat-value">${results.total}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Passed:</span>
+                            <span class="stat-value" style="color: #00ff00">${results.passed}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Failed:</span>
+                            <span class="stat-value" style="color: #ff6347">${results.failed}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Success Rate:</span>
+                            <span class="stat-value" style="color: ${statusColor}">${successRate}%</span>
+                        </div>
+                    </div>
+                    <div class="test-summary">
+                        <p><strong>Status:</strong> ${results.failed === 0 ? 'All tests passed!' : `${results.failed} test(s) failed`}</p>
+                        <p><strong>Note:</strong> Check the browser console for detailed test output.</p>
+                        ${results.failed > 0 ? '<p style="color: #ffa500;">Some tests failed. This may indicate issues that need attention.</p>' : ''}
+                    </div>
+                </div>
+            `, results.failed === 0 ? 'success' : 'warning');
+            
+        } catch (error) {
+            console.error('Test suite error:', error);
+            this.feedbackSystem.showFeedback(`
+                <h4>❌ Test Suite Error</h4>
+                <p>An error occurred while running the test suite:</p>
+                <p style="color: #ff6347; font-family: monospace;">${error.message}</p>
+                <p>Check the console for more details.</p>
+            `, 'error');
+        }
+    }
+
+    /**
+     * Show detailed statistics
+     */
+    showDetailedStats() {
+        const stats = this.gameState.getSessionStats();
+        const performance = this.gameState.getPerformanceRating();
+        const payoutTable = this.tableRules.blackjackPayout;
+        const progressSummary = this.gameState.getProgressSummary(payoutTable);
+        
+        let historySection = '';
+        if (progressSummary) {
+            historySection = `
+                <div class="stats-section">
+                    <h5>Historical Progress (Blackjack Pays ${payoutTable})</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Total Sessions:</span>
+                            <span class="stat-value">${progressSummary.totalSessions}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">All-Time Attempts:</span>
+                            <span class="stat-value">${progressSummary.totalAttempts}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Average Accuracy:</span>
+                            <span class="stat-value">${progressSummary.averageAccuracy}%</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Best Accuracy:</span>
+                            <span class="stat-value" style="color: #ffd700">${progressSummary.bestAccuracy}%</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">All-Time Best Streak:</span>
+                            <span class="stat-value" style="color: #ffd700">${progressSummary.bestStreak}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        let scoreSection = '';
+        if (stats.scoredAttempts > 0) {
+            scoreSection = `
+                <div class="stats-section">
+                    <h5>Payout Scores</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Average Score:</span>
+                            <span class="stat-value">${Math.round(stats.averageScore)}/100</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Best Score:</span>
+                            <span class="stat-value" style="color: #ffd700">${stats.bestScore}/100</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Chip Efficiency:</span>
+                            <span class="stat-value">${stats.chipGradedPayouts > 0 ? `${Math.round(stats.averageChipEfficiency * 100)}%` : '-'}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        let timingSection = '';
+        const timing = this.gameState.getTimingSummary();
+        if (timing) {
+            const formatSeconds = time => `${(time / 1000).toFixed(1)}s`;
+            const bandRows = PayoutCalculator.SPEED_TARGET_BANDS
+                .map(band => ({ band, summary: this.gameState.getTimingSummary({ band: band.key }) }))
+                .filter(({ summary }) => summary);
+            // Typed answers measure the mental math on its own, so they are shown apart
+            const typedTiming = this.gameState.getTimingSummary({ mode: 'typed' });
+            const chipTiming = this.gameState.getTimingSummary({ mode: 'chips' });
+            timingSection = `
+                <div class="stats-section">
+                    <h5>Response Times</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Median / p90:</span>
+                            <span class="stat-value">${formatSeconds(timing.median)} / ${formatSeconds(timing.p90)}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">First Chip (median):</span>
+                            <span class="stat-value">${timing.firstChipMedian !== null ? formatSeconds(timing.firstChipMedian) : '-'}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">On Target:</span>
+                            <span class="stat-value">${Math.round(timing.onTargetRate * 100)}% of ${timing.count}</span>
+                        </div>
+                        ${typedTiming ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Typed Answers:</span>
+                            <span class="stat-value">${formatSeconds(typedTiming.median)} / ${formatSeconds(typedTiming.p90)} · ${typedTiming.count} hands</span>
+                        </div>` : ''}
+                        ${typedTiming && chipTiming ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Chip Answers:</span>
+                            <span class="stat-value">${formatSeconds(chipTiming.median)} / ${formatSeconds(chipTiming.p90)} · ${chipTiming.count} hands</span>
+                        </div>` : ''}
+                        ${bandRows.map(({ band, summary }) => `
+                        <div class="stat-item">
+                            <span class="stat-label">${band.label} (target ${formatSeconds(this.payoutCalculator.speedTargets[band.key])}):</span>
+                            <span class="stat-value" style="color: ${summary.onTargetRate >= 0.5 ? '#00ff00' : '#ff6347'}">${formatSeconds(summary.median)} / ${formatSeconds(summary.p90)} · ${Math.round(summary.onTargetRate * 100)}%</span>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        let adaptiveSection = '';
+        const targets = this.adaptive.getTargets();
+        if (this.gameState.settings.adaptive &&
+            (targets.amounts.length > 0 || targets.shapes.length > 0 || targets.dueReviews.length > 0)) {
+            const describeTarget = (label, target) => `
+                        <div class="stat-item">
+                            <span class="stat-label">${label}:</span>
+                            <span class="stat-value" style="color: #ff6347">${target.accuracy}% · ${(target.averageTime / 1000).toFixed(1)}s</span>
+                        </div>`;
+            adaptiveSection = `
+                <div class="stats-section">
+                    <h5>Weak Spots Being Targeted</h5>
+                    <div class="progress-stats">
+                        ${targets.shapes.map(target => describeTarget(AdaptiveDifficulty.SHAPES[target.shape], target)).join('')}
+                        ${targets.amounts.map(target => describeTarget(PayoutCalculator.formatAmount(target.amount), target)).join('')}
+                        ${targets.dueReviews.length > 0 ? `
+                        <div class="stat-item">
+                            <span class="stat-label">Due for Review:</span>
+                            <span class="stat-value">${targets.dueReviews.map(amount => PayoutCalculator.formatAmount(amount)).join(', ')}</span>
+                        </div>` : ''}
+                    </div>
+                </div>
+            `;
+        }
+        
+        let roundSection = '';
+        if (stats.roundsCompleted > 0) {
+            roundSection = `
+                <div class="stats-section">
+                    <h5>Full Table Rounds</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Rounds:</span>
+                            <span class="stat-value">${stats.roundsCompleted}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Average Round:</span>
+                            <span class="stat-value">${(stats.averageRoundTime / 1000).toFixed(1)}s</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Best Round:</span>
+                            <span class="stat-value" style="color: #ffd700">${(stats.bestRoundTime / 1000).toFixed(1)}s</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        let blitzSection = '';
+        const blitzBests = BlitzRun.DURATIONS
+            .map(duration => ({ duration, best: this.gameState.getBestBlitzRun(duration, payoutTable) }))
+            .filter(({ best }) => best);
+        if (blitzBests.length > 0) {
+            blitzSection = `
+                <div class="stats-section">
+                    <h5>Blitz Bests (Blackjack Pays ${payoutTable})</h5>
+                    <div class="progress-stats">
+                        ${blitzBests.map(({ duration, best }) => `
+                        <div class="stat-item">
+                            <span class="stat-label">${duration}s:</span>
+                            <span class="stat-value" style="color: #ffd700">${best.correct}/${best.handsPaid} · ${best.accuracy}% · ${(best.averageTime / 1000).toFixed(1)}s avg</span>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        let examSection = '';
+        const exams = this.gameState.getExamHistory();
+        if (exams.length > 0) {
+            const lastExam = exams[exams.length - 1];
+            examSection = `
+                <div class="stats-section">
+                    <h5>Certification Exams</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Exams Passed:</span>
+                            <span class="stat-value">${exams.filter(exam => exam.passed).length} of ${exams.length}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Last Exam:</span>
+                            <span class="stat-value" style="color: ${lastExam.passed ? '#00ff00' : '#ff6347'}">${lastExam.passed ? 'Pass' : 'Fail'} · ${lastExam.accuracy}% (pass ${lastExam.passThreshold}%) · ${lastExam.payoutTable}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        let curriculumSection = '';
+        const startedLessons = Curriculum.LESSONS.filter(lesson => this.curriculum.getProgress(lesson.id).attempts > 0);
+        if (startedLessons.length > 0) {
+            curriculumSection = `
+                <div class="stats-section">
+                    <h5>Curriculum (${Curriculum.LESSONS.filter(lesson => this.curriculum.isMastered(lesson.id)).length} of ${Curriculum.LESSONS.length} mastered)</h5>
+                    <div class="progress-stats">
+                        ${startedLessons.map(lesson => {
+                            const mastery = this.curriculum.getMastery(lesson.id);
+                            const mastered = this.curriculum.isMastered(lesson.id);
+                            return `
+                        <div class="stat-item">
+                            <span class="stat-label">${lesson.title}:</span>
+                            <span class="stat-value"${mastered ? ' style="color: #ffd700"' : ''}>${mastered ? '✓ ' : ''}${mastery.accuracy}% · ${(mastery.medianTime / 1000).toFixed(1)}s median · ${this.curriculum.getProgress(lesson.id).attempts} hands</span>
+                        </div>`;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        let reviewSection = '';
+        if (this.reviewQueue.size > 0 || this.reviewQueue.clearedCount > 0) {
+            reviewSection = `
+                <div class="stats-section">
+                    <h5>Missed Hand Review</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Waiting for Review:</span>
+                            <span class="stat-value" style="color: ${this.reviewQueue.size > 0 ? '#ff6347' : '#00ff00'}">${this.reviewQueue.size}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Cleared:</span>
+                            <span class="stat-value">${this.reviewQueue.clearedCount}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+        
+        let dailySection = '';
+        const today = DailyChallenge.getDateKey();
+        const dailyLeaderboard = this.gameState.getDailyLeaderboard(today);
+        if (dailyLeaderboard.length > 0) {
+            dailySection = `
+                <div class="stats-section">
+                    <h5>Daily Challenge (${today})</h5>
+                    <div class="progress-stats">
+                        ${dailyLeaderboard.slice(0, 5).map((entry, index) => `
+                        <div class="stat-item">
+                            <span class="stat-label">#${index + 1} ${FeedbackSystem.escapeHtml(entry.profile)}:</span>
+                            <span class="stat-value"${index === 0 ? ' style="color: #ffd700"' : ''}>${entry.score} pts · ${entry.correct}/${entry.handCount} · ${(entry.totalTime / 1000).toFixed(1)}s</span>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        this.feedbackSystem.showFeedback(`
+            <h4>📊 Detailed Statistics</h4>
+            <div class="detailed-stats">
+                <div class="stats-section">
+                    <h5>Current Session</h5>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Attempts:</span>
+                            <span class="stat-value">${this.gameState.score.total}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Correct:</span>
+                            <span class="stat-value" style="color: #00ff00">${this.gameState.score.correct}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Incorrect:</span>
+                            <span class="stat-value" style="color: #ff6347">${this.gameState.score.total - this.gameState.score.correct}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Accuracy:</span>
+                            <span class="stat-value" style="color: ${performance.color}">${this.gameState.getAccuracy()}%</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Session Time:</span>
+                            <span class="stat-value">${stats.sessionTimeFormatted}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Current Streak:</span>
+                            <span class="stat-value">${stats.currentStreak}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Blackjack Pays:</span>
+                            <span class="stat-value">${payoutTable}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Dealer:</span>
+                            <span class="stat-value">${this.tableRules.getDealerRulesLabel()}</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Seed:</span>
+                            <span class="stat-value">${stats.seed}${this.seededDrill ? ' (shared drill)' : ''}</span>
+                        </div>
+                    </div>
+                </div>
+                ${scoreSection}
+                ${timingSection}
+                ${adaptiveSection}
+                ${roundSection}
+                ${blitzSection}
+                ${examSection}
+                ${curriculumSection}
+                ${reviewSection}
+                ${dailySection}
+                ${historySection}
+                <div class="stats-section">
+                    <h5>Performance Rating</h5>
+                    <div class="performance-rating" style="color: ${performance.color}; font-size: 1.2rem; font-weight: bold; text-align: center; margin: 10px 0;">
+                        ${performance.rating}
+                    </div>
+                    <div style="text-align: center; margin-top: 15px;">
+                        <button onclick="window.blackjackTrainer.gameState.clearSavedProgress(); window.blackjackTrainer.feedbackSystem.showFeedback('Progress history cleared!', 'info', {autoHide: true});" class="clear-btn" style="font-size: 0.9rem;">Clear History</button>
+                    </div>
+                </div>
+            </div>
+        `, 'info');
+    }
+
+    /**
+     * Submit payout attempt. The action is 'pay' for a chip payout (an empty
+     * payout is allowed), or 'take'/'leave' to settle the bet without paying.
+     */
+    submitPayout(action = 'pay') {
+        const currentScenario = this.gameState.currentScenario;
+        if (!currentScenario) {
+            this.feedbackSystem.showFeedback('No scenario available. Please reset the game.', 'error');
+            return;
+        }
+
+        // Taking or leaving the bet means nothing is paid out
+        const totalPayout = action === 'pay' ? this.getEnteredPayout(currentScenario) : 0;
+        if (totalPayout === null) {
+            this.feedbackSystem.showFeedback('Type the payout as an amount, e.g. 37.50', 'warning', { autoHide: true, duration: 2000 });
+            return;
+        }
+        console.log(`Payout submitted: $${totalPayout.toFixed(2)} (${action})`);
+
+        // A color-up is graded on the chips handed back, not a bet settlement
+        if (currentScenario instanceof ColorUpScenario) {
+            this.submitColorUp(currentScenario);
+            return;
+        }
+
+        // A reverse drill is answered with the original bet, or a flag that no bet fits
+        if (currentScenario.reverse) {
+            this.submitReverseBet(currentScenario, totalPayout, action);
+            return;
+        }
+
+        // Side bets are settled one at a time before the main bet
+        if (this.activeSideBetIndex < currentScenario.sideBets.length) {
+            this.submitSideBetPayout(currentScenario, totalPayout, action);
+            return;
+        }
+
+        // A surrender is settled in two steps: collect half, then return half
+        if (action === 'pay' && currentScenario.result === 'surrender') {
+            this.submitSurrenderAmount(currentScenario, totalPayout);
+            return;
+        }
+
+        // Split hands are paid one at a time, in the order they were played
+        if (action === 'pay' && currentScenario.isSplit()) {
+            this.submitSplitPayout(currentScenario, totalPayout);
+            return;
+        }
+
+        // Validate the payout with performance monitoring
+        const startTime = performance.now();
+        const validation = this.payoutCalculator.validatePayout(currentScenario, totalPayout, action);
+        const endTime = performance.now();
+        
+        // Track performance
+        this.performanceMetrics.payoutValidationTimes.push(endTime - startTime);
+        
+        // A hidden result is revealed once the trainee commits
+        this.revealSettledResult(currentScenario);
+        
+        if (validation.isCorrect) {
+            this.handleCorrectPayout(currentScenario, validation);
+        } else {
+            this.handleIncorrectPayout(currentScenario, validation);
+        }
+    }
+
+    /**
+     * Pay the hands of a split in turn. The combined total for every hand is
+     * also accepted as the first payout.
+     */
+    submitSplitPayout(scenario, totalPayout) {
+        const startTime = performance.now();
+        if (this.activeHandIndex === 0) {
+            const combined = this.payoutCalculator.validatePayout(scenario, totalPayout);
+            if (combined.isCorrect) {
+                this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+                this.revealSettledResult(scenario);
+                this.handleCorrectPayout(scenario, combined);
+                return;
+            }
+        }
+
+        const validation = this.payoutCalculator.validateHandPayout(scenario, this.activeHandIndex, totalPayout);
+        this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+
+        if (!validation.isCorrect) {
+            this.revealSettledResult(scenario);
+            this.handleIncorrectPayout(scenario, validation);
+            return;
+        }
+
+        if (validation.isLastHand) {
+            this.revealSettledResult(scenario);
+            this.handleCorrectPayout(scenario, validation);
+            return;
+        }
+
+        // Move on to the next hand
+        this.payOutEntry(scenario, validation);
+        this.updateBankDisplay();
+        this.activeHandIndex++;
+        this.clearPayoutEntry();
+        this.highlightActiveHand();
+        this.showStepFeedback(validation, `Now pay hand ${this.activeHandIndex + 1} of ${scenario.playerHands.length}`);
+    }
+
+    /**
+     * Grade the chips handed back for a color-up on value and chip count
+     */
+    submitColorUp(scenario) {
+        const startTime = performance.now();
+        const validation = this.payoutCalculator.validateColorUp(
+            scenario,
+            this.chipManager.getTotalValue(),
+            this.chipManager.getTotalChipCount(),
+            this.chipManager.chips
+        );
+        this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+
+        if (validation.isCorrect) {
+            this.handleCorrectPayout(scenario, validation);
+        } else {
+            this.handleIncorrectPayout(scenario, validation);
+        }
+    }
+
+    /**
+     * Check the bet built (or the flag raised) for a reverse drill
+     */
+    submitReverseBet(scenario, amount, action) {
+        const startTime = performance.now();
+        const validation = this.payoutCalculator.validateReverseBet(scenario, amount, action);
+        this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+
+        if (validation.isCorrect) {
+            this.handleCorrectPayout(scenario, validation);
+        } else {
+            this.handleIncorrectPayout(scenario, validation);
+        }
+    }
+
+    /**
+     * Settle the current side bet, then move on to the next side bet or the main bet
+     */
+    submitSideBetPayout(scenario, amount, action) {
+        const startTime = performance.now();
+        const validation = this.payoutCalculator.validateSideBetPayout(scenario, this.activeSideBetIndex, amount, action);
+        this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+
+        if (!validation.isCorrect) {
+            this.handleIncorrectPayout(scenario, validation);
+            return;
+        }
+
+        this.payOutEntry(scenario, validation);
+        this.updateBankDisplay();
+        this.activeSideBetIndex++;
+        this.clearPayoutEntry();
+        this.highlightActiveSideBet();
+        const nextStep = validation.isLastSideBet ?
+            'Now settle the main bet' : `Now settle the ${scenario.sideBets[this.activeSideBetIndex].label} bet`;
+        this.setInstructionText(nextStep);
+        this.showStepFeedback(validation, nextStep);
+    }
+
+    /**
+     * Confirm a correct intermediate step of a hand. Exams and the daily
+     * challenge only note that the step was taken, so the hand isn't graded early.
+     */
+    showStepFeedback(validation, nextStep) {
+        if (this.isHidingAnswers()) {
+            this.feedbackSystem.showFeedback(`
+                <h4>Step recorded</h4>
+                <p>${nextStep}</p>
+            `, 'info');
+            return;
+        }
+
+        this.feedbackSystem.showFeedback(`
+            <h4>${validation.message}</h4>
+            <p>${nextStep}</p>
+        `, 'success');
+    }
+
+    /**
+     * Take the chips for one half of a surrender. The first submit is the
+     * house's half, the second the half returned to the player.
+     */
+    submitSurrenderAmount(scenario, amount) {
+        if (this.surrenderCollected === null) {
+            this.surrenderCollected = amount;
+            this.clearPayoutEntry();
+            this.setInstructionText("Now return the player's half of the bet");
+            this.feedbackSystem.showFeedback(`
+                <h4>Collected $${amount.toFixed(2)} for the house</h4>
+                <p>Now select the chips returned to the player</p>
+            `, 'info');
+            return;
+        }
+
+        const startTime = performance.now();
+        const validation = this.payoutCalculator.validateSurrender(scenario, this.surrenderCollected, amount);
+        this.performanceMetrics.payoutValidationTimes.push(performance.now() - startTime);
+        this.surrenderCollected = null;
+
+        if (validation.isCorrect) {
+            this.handleCorrectPayout(scenario, validation);
+        } else {
+            this.setInstructionText("Player surrenders - collect the house's half of the bet");
+            this.handleIncorrectPayout(scenario, validation);
+        }
+    }
+
+    /**
+     * Replace the payout instruction shown under the hand result
+     */
+    setInstructionText(text) {
+        const instruction = document.getElementById('payout-instruction-text');
+        if (instruction) {
+            instruction.textContent = text;
+        }
+    }
+
+    /**
+     * Start a timed blitz run: scenarios follow one another with no
+     * explanations until the clock runs out
+     */
+    startBlitz(duration) {
+        if (this.examRun) {
+            this.feedbackSystem.showFeedback('Finish or stop the exam before starting a blitz', 'warning');
+            return;
+        }
+        if (this.reviewing || this.dailyRun) {
+            this.feedbackSystem.showFeedback('Stop the review or daily challenge before starting a blitz', 'warning');
+            return;
+        }
+
+        this.stopBlitzTimer();
+        this.blitzRun = new BlitzRun(duration);
+        this.blitzTimer = setInterval(() => this.tickBlitz(), 250);
+        this.updateBlitzDisplay();
+        this.feedbackSystem.showFeedback(`⏱ Blitz! Settle as many hands as you can in ${duration} seconds`, 'info', { autoHide: true, duration: 1500 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Update the countdown and end the run when time is up
+     */
+    tickBlitz() {
+        if (!this.blitzRun) return;
+
+        if (this.blitzRun.isOver()) {
+            this.endBlitz({ completed: true });
+        } else {
+            this.updateBlitzDisplay();
+        }
+    }
+
+    /**
+     * Settle a hand during a blitz run: record it and deal the next one
+     * straight away, right or wrong
+     */
+    handleBlitzAttempt(scenario, validation) {
+        const responseTime = this.gameState.getElapsedTime();
+        this.blitzRun.recordAttempt(validation.isCorrect, responseTime);
+        if (validation.isCorrect) {
+            this.settleChipBank(scenario, validation);
+        }
+        this.updateBlitzDisplay();
+
+        const actionAnswers = { take: 'take the bet', leave: 'leave the bet', surrender: 'collect half, return half', flag: 'flag the payout' };
+        const answer = actionAnswers[validation.expectedAction] || `$${validation.correctAmount.toFixed(2)}`;
+        this.feedbackSystem.showFeedback(validation.isCorrect ? '✓ Correct' : `✗ Answer was ${answer}`,
+            validation.isCorrect ? 'success' : 'error', { autoHide: true, duration: 800 });
+        this.dealNextTimedHand(validation.isCorrect);
+    }
+
+    /**
+     * Move straight on during a blitz or exam: the next seat of a full table
+     * round, or a new scenario
+     */
+    dealNextTimedHand(isCorrect) {
+        const round = this.gameState.currentRound;
+        if (round && !round.isLastSeat()) {
+            round.recordSeatAttempt(isCorrect);
+            this.showScenario(round.advanceSeat());
+        } else {
+            this.generateNewScenario();
+        }
+    }
+
+    /**
+     * End the blitz run. A run that went the full time is saved and summarised;
+     * one stopped early is discarded.
+     */
+    endBlitz({ completed = true } = {}) {
+        const run = this.blitzRun;
+        if (!run) return;
+
+        this.stopBlitzTimer();
+        this.stopHandTimer();
+        this.blitzRun = null;
+        run.finish();
+        this.updateBlitzDisplay();
+
+        if (!completed) {
+            this.feedbackSystem.showFeedback('Blitz stopped - the run was not saved', 'info', { autoHide: true, duration: 2000 });
+            this.generateNewScenario();
+            return;
+        }
+
+        const summary = run.getSummary();
+        const previousBest = this.gameState.getBestBlitzRun(run.duration);
+        this.gameState.saveBlitzResult(summary);
+        const isPersonalBest = !previousBest || BlitzRun.compare(summary, previousBest) < 0;
+
+        this.chipManager.clearAllSelections();
+        this.feedbackSystem.showBlitzSummary(summary, previousBest, isPersonalBest);
+    }
+
+    /**
+     * Stop the countdown interval
+     */
+    stopBlitzTimer() {
+        if (this.blitzTimer) {
+            clearInterval(this.blitzTimer);
+            this.blitzTimer = null;
+        }
+    }
+
+    /**
+     * Show the countdown and running count, and switch the blitz button between start and stop
+     */
+    updateBlitzDisplay() {
+        const timer = document.getElementById('blitz-timer');
+        if (timer) {
+            timer.hidden = !this.blitzRun;
+            if (this.blitzRun) {
+                const secondsLeft = Math.ceil(this.blitzRun.getTimeRemaining() / 1000);
+                timer.textContent = `⏱ ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')} · ${this.blitzRun.correct}/${this.blitzRun.handsPaid}`;
+                timer.classList.toggle('blitz-timer-low', secondsLeft <= 10);
+            }
+        }
+
+        const blitzButton = document.getElementById('blitz-toggle');
+        if (blitzButton) {
+            blitzButton.textContent = this.blitzRun ? 'Stop' : 'Start';
+        }
+    }
+
+    /**
+     * Start a certification exam with the settings in the exam controls. A
+     * seed in the exam seed field gives every candidate the same hands: the
+     * exam is then dealt under the shared exam table (ExamRun.SHARED_TABLE)
+     * instead of the trainee's own, which comes back when the exam ends.
+     */
+    startExam() {
+        if (this.blitzRun) {
+            this.feedbackSystem.showFeedback('Finish or stop the blitz before starting an exam', 'warning');
+            return;
+        }
+        if (this.reviewing || this.dailyRun) {
+            this.feedbackSystem.showFeedback('Stop the review or daily challenge before starting an exam', 'warning');
+            return;
+        }
+
+        const readNumber = (id, fallback) => {
+            const input = document.getElementById(id);
+            const value = input ? Number(input.value) : NaN;
+            return value > 0 ? value : fallback;
+        };
+        const current = this.gameState.settings.exam;
+        const settings = {
+            handCount: readNumber('exam-hands-select', current.handCount),
+            timeLimit: readNumber('exam-time-select', current.timeLimit),
+            passThreshold: Math.min(100, readNumber('exam-pass-input', current.passThreshold))
+        };
+        this.gameState.updateSettings({ exam: settings });
+
+        const seedInput = document.getElementById('exam-seed-input');
+        const sharedSeed = seedInput ? SeededRandom.normalizeSeed(seedInput.value) : '';
+        const seed = sharedSeed || SeededRandom.createSeed();
+
+        this.stopExamTimer();
+        this.chipManager.clearAllSelections();
+        if (sharedSeed) {
+            this.practiceTable = this.getTableSetup();
+            this.applyTableSetup(ExamRun.SHARED_TABLE);
+        }
+        this.startSession(seed, { fixed: true });
+        this.examRun = new ExamRun({ ...settings, seed: this.scenarioManager.getSeed(), table: this.getTableSetup() });
+        this.updateRunLocks();
+        this.examTimer = setInterval(() => this.tickExam(), 250);
+        this.updateExamDisplay();
+        this.feedbackSystem.showFeedback(`
+            <h4>📝 Exam started - ${settings.handCount} hands in ${settings.timeLimit / 60} minutes</h4>
+            <p>Each hand is answered once and nothing is marked until the end. Pass mark: ${settings.passThreshold}%</p>
+        `, 'info');
+        this.generateNewScenario();
+    }
+
+    /**
+     * Update the exam countdown and end the exam when time is up
+     */
+    tickExam() {
+        if (!this.examRun) return;
+
+        if (this.examRun.isTimeUp()) {
+            this.endExam({ completed: true });
+        } else {
+            this.updateExamDisplay();
+        }
+    }
+
+    /**
+     * Record an exam answer without marking it, then deal the next hand
+     */
+    handleExamAttempt(scenario, validation) {
+        const run = this.examRun;
+        run.recordHand({
+            hand: scenario.getResultDisplay(),
+            betAmount: scenario.betAmount,
+            step: this.describeExamStep(scenario, validation),
+            submitted: this.describeSettlement(scenario, validation, 'submitted'),
+            expected: this.describeSettlement(scenario, validation, 'expected'),
+            isCorrect: validation.isCorrect,
+            time: this.gameState.getElapsedTime(),
+            explanation: this.payoutCalculator.getPayoutBreakdown(scenario).explanation
+        });
+        if (validation.isCorrect) {
+            this.settleChipBank(scenario, validation);
+        }
+
+        if (run.isComplete()) {
+            this.endExam({ completed: true });
+            return;
+        }
+
+        this.updateExamDisplay();
+        this.feedbackSystem.showFeedback(`Hand ${run.hands.length} of ${run.handCount} recorded`, 'info', { autoHide: true, duration: 800 });
+        this.dealNextTimedHand(validation.isCorrect);
+    }
+
+    /**
+     * Name the part of a hand an exam answer settled, when it wasn't the whole hand
+     */
+    describeExamStep(scenario, validation) {
+        if (validation.sideBetIndex !== undefined) {
+            return `${scenario.sideBets[validation.sideBetIndex].label} side bet`;
+        }
+        if (validation.handIndex !== undefined) {
+            return `Split hand ${validation.handIndex + 1}`;
+        }
+        return '';
+    }
+
+    /**
+     * Describe the trainee's ('submitted') or the correct ('expected') settlement of an answer
+     */
+    describeSettlement(scenario, validation, which) {
+        const action = which === 'expected' ? validation.expectedAction : validation.action;
+        if (action === 'take') return 'Take bet';
+        if (action === 'leave') return 'Leave bet';
+        if (action === 'flag') return 'No valid bet';
+        if (scenario.reverse) {
+            return `Bet ${PayoutCalculator.formatAmount(which === 'expected' ? validation.correctAmount : validation.selectedAmount)}`;
+        }
+        if (action === 'surrender') {
+            const { collected, returned } = which === 'expected' ?
+                scenario.getSurrenderAmounts() :
+                { collected: validation.selectedAmount, returned: validation.selectedReturned };
+            return `Collect ${PayoutCalculator.formatAmount(collected)}, return ${PayoutCalculator.formatAmount(returned)}`;
+        }
+        return `Pay ${PayoutCalculator.formatAmount(which === 'expected' ? validation.correctAmount : validation.selectedAmount)}`;
+    }
+
+    /**
+     * End the exam. A finished exam (all hands answered or out of time) is
+     * graded, saved and reported; one stopped early is discarded. Either way
+     * practice carries on from a fresh seed.
+     */
+    endExam({ completed = true } = {}) {
+        const run = this.examRun;
+        if (!run) return;
+
+        this.stopExamTimer();
+        this.stopHandTimer();
+        this.examRun = null;
+        run.finish();
+        this.updateExamDisplay();
+        this.updateRunLocks();
+        this.queueHeldMisses();
+        this.chipManager.clearAllSelections();
+        if (this.practiceTable) {
+            this.applyTableSetup(this.practiceTable);
+            this.practiceTable = null;
+        }
+        this.startSession(SeededRandom.createSeed());
+
+        if (!completed) {
+            this.feedbackSystem.showFeedback('Exam stopped - no result was recorded', 'info', { autoHide: true, duration: 2000 });
+            this.generateNewScenario();
+            return;
+        }
+
+        const result = {
+            ...run.getResult(),
+            payoutTable: run.table.payoutTable,
+            dealerRules: new TableRules({ blackjackPayout: run.table.payoutTable, ...run.table.dealerRules }).getDealerRulesLabel(),
+            scenarioType: ScenarioManager.SCENARIO_TYPES[run.table.scenarioType].label,
+            date: new Date().toLocaleString()
+        };
+        this.gameState.saveExamResult(result);
+        this.feedbackSystem.renderExamReport(result);
+        this.generateNewScenario();
+        this.feedbackSystem.showExamResults(result);
+    }
+
+    /**
+     * Stop the exam countdown interval
+     */
+    stopExamTimer() {
+        if (this.examTimer) {
+            clearInterval(this.examTimer);
+            this.examTimer = null;
+        }
+    }
+
+    /**
+     * Show the exam countdown and progress, and switch the exam button between start and stop
+     */
+    updateExamDisplay() {
+        const timer = document.getElementById('exam-timer');
+        if (timer) {
+            timer.hidden = !this.examRun;
+            if (this.examRun) {
+                const secondsLeft = Math.ceil(this.examRun.getTimeRemaining() / 1000);
+                timer.textContent = `📝 ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')} · hand ${Math.min(this.examRun.hands.length + 1, this.examRun.handCount)}/${this.examRun.handCount}`;
+                timer.classList.toggle('exam-timer-low', secondsLeft <= 30);
+            }
+        }
+
+        const examButton = document.getElementById('exam-toggle');
+        if (examButton) {
+            examButton.textContent = this.examRun ? 'Stop' : 'Start';
+        }
+    }
+
+    /**
+     * Print the results page of the last exam
+     */
+    printExamReport() {
+        if (typeof window === 'undefined' || !window.print) return;
+
+        document.body.classList.add('print-exam-report');
+        window.print();
+        document.body.classList.remove('print-exam-report');
+    }
+
+    /**
+     * Record a correct payout and move on to the next scenario
+     */
+    handleCorrectPayout(scenario, validation) {
+        if (this.examRun) {
+            this.handleExamAttempt(scenario, validation);
+            return;
+        }
+        if (this.blitzRun) {
+            this.handleBlitzAttempt(scenario, validation);
+            return;
+        }
+        if (this.dailyRun) {
+            this.handleDailyAttempt(scenario, validation);
+            return;
+        }
+
+        this.gameState.enterFeedbackPhase();
+        this.gameState.recordCorrect();
+        this.gradeReviewHand(true);
+        this.gradeChipEfficiency(validation);
+        const timing = this.scoreAttempt(scenario, validation);
+        this.trackFlashExposure(validation);
+        this.trackLessonProgress(validation, timing);
+        this.revealFlash();
+        this.trackBetPerformance(scenario, validation, timing);
+        this.settleChipBank(scenario, validation);
+        this.feedbackSystem.showValidationResult(validation, scenario);
+        
+        // Show payout breakdown faster
+        const breakdown = this.payoutCalculator.getPayoutBreakdown(scenario);
+        setTimeout(() => {
+            this.feedbackSystem.showPayoutExplanation(scenario, breakdown);
+        }, 500);
+        
+        // At a full table the remaining seats are settled before a new round is dealt
+        const round = this.gameState.currentRound;
+        if (round) {
+            round.recordSeatAttempt(true);
+            if (!round.isLastSeat()) {
+                setTimeout(() => this.moveToNextSeat(), 800);
+                return;
+            }
+            setTimeout(() => this.completeRound(round), 800);
+            setTimeout(() => this.generateNewScenario(), 2000);
+            return;
+        }
+        
+        // Generate new scenario much faster for rapid practice
+        setTimeout(() => this.generateNewScenario(), 1000);
+    }
+
+    /**
+     * Compare the chips selected for a correct payout with the fewest possible
+     */
+    gradeChipEfficiency(validation) {
+        if (validation.action !== 'pay' || !(validation.correctAmount > 0)) return;
+
+        validation.chipEfficiency = this.payoutCalculator.calculateChipEfficiency(
+            validation.correctAmount,
+            this.chipManager.getTotalChipCount(),
+            this.chipManager.chips
+        );
+    }
+
+    /**
+     * Score the attempt on correctness, chips and time since the scenario was
+     * shown, against the speed target for the bet size. The first answer to a
+     * hand also goes into the session's timing distribution, and its timing
+     * entry is returned (null for later answers).
+     */
+    scoreAttempt(scenario, validation) {
+        const responseTime = this.gameState.getElapsedTime();
+        const { band, target } = this.payoutCalculator.getSpeedTarget(scenario.betAmount);
+        const timing = this.gameState.recordHandTime(target, band, this.isTypingAnswer(scenario) ? 'typed' : 'chips');
+        if (timing) {
+            this.stopHandTimer(timing);
+        }
+
+        validation.attemptScore = this.payoutCalculator.scoreAttempt(validation, responseTime, target);
+        this.gameState.recordAttemptScore(validation.attemptScore);
+        return timing;
+    }
+
+    /**
+     * Count the first answer to each hand toward the current lesson's
+     * mastery, and announce the lesson once it is mastered
+     */
+    trackLessonProgress(validation, timing) {
+        // Replayed misses would count the same hands twice
+        const lessonId = this.gameState.settings.lesson;
+        if (!lessonId || !timing || this.reviewing) return;
+
+        const mastered = this.curriculum.recordAttempt(lessonId, validation.isCorrect, timing.time);
+        this.gameState.saveCurriculumProgress(this.curriculum);
+        this.updateLessonControls();
+
+        if (mastered) {
+            const lesson = this.curriculum.getLesson(lessonId);
+            // Shown after the payout explanation so it isn't replaced by it
+            setTimeout(() => this.feedbackSystem.showLessonMastered(
+                lesson, this.curriculum.getMastery(lessonId), this.curriculum.getUnlockedBy(lessonId)
+            ), 600);
+        }
+    }
+
+    /**
+     * Record how the bet amount was handled for adaptive difficulty, on the
+     * first answer to each hand only. Color-ups, reverse drills and side bets
+     * aren't paid on the main bet, so they are skipped.
+     */
+    trackBetPerformance(scenario, validation, timing) {
+        // A retry after a miss would count the same bet again
+        if (!timing) return;
+        if (scenario instanceof ColorUpScenario || scenario.reverse || validation.sideBetIndex !== undefined) return;
+
+        const { target } = this.payoutCalculator.getSpeedTarget(scenario.betAmount);
+        this.adaptive.recordAttempt(scenario.betAmount, validation.isCorrect, timing.time, target);
+        this.gameState.saveAdaptiveData(this.tableRules.blackjackPayout, this.adaptive);
+    }
+
+    /**
+     * Move chips in and out of a finite tray once a scenario is settled:
+     * the payout leaves the tray and collected bets come back in
+     */
+    settleChipBank(scenario, validation) {
+        // A reverse drill only reads a payout someone else made
+        if (!this.chipManager.bank || scenario.reverse) return;
+
+        if (scenario instanceof ColorUpScenario) {
+            this.chipManager.payOutSelected();
+            this.chipManager.collectChips(scenario.pile);
+        } else {
+            // The chips selected for a surrender are the player's own bet, not tray chips
+            if (!scenario.surrendered) {
+                this.payOutEntry(scenario, validation);
+            }
+            const collected = this.payoutCalculator.calculateCollectedAmount(scenario);
+            if (collected > 0) {
+                this.chipManager.collectChips(this.payoutCalculator.calculateBetChips(collected));
+            }
+        }
+        this.updateBankDisplay();
+    }
+
+    /**
+     * Take the payout just made out of the tray. A typed payout never picks
+     * chips, so the chips it would take are removed for it. Taking or
+     * leaving the bet pays nothing, so any chips picked go back.
+     */
+    payOutEntry(scenario, validation) {
+        if (validation.action !== 'pay') {
+            this.clearPayoutEntry();
+        } else if (this.isTypingAnswer(scenario)) {
+            this.chipManager.payOutAmount(this.getEnteredPayout(scenario) || 0);
+        } else {
+            this.chipManager.payOutSelected();
+        }
+    }
+
+    /**
+     * Record an incorrect payout and suggest the chips that would have paid it
+     */
+    handleIncorrectPayout(scenario, validation) {
+        this.queueMissedHand(scenario, validation);
+        if (this.examRun) {
+            this.handleExamAttempt(scenario, validation);
+            return;
+        }
+        if (this.blitzRun) {
+            this.handleBlitzAttempt(scenario, validation);
+            return;
+        }
+        if (this.dailyRun) {
+            this.handleDailyAttempt(scenario, validation);
+            return;
+        }
+
+        this.gameState.enterFeedbackPhase();
+        this.gameState.recordIncorrect();
+        const timing = this.scoreAttempt(scenario, validation);
+        this.trackFlashExposure(validation);
+        this.trackLessonProgress(validation, timing);
+        this.revealFlash();
+        this.trackBetPerformance(scenario, validation, timing);
+        if (this.gameState.currentRound) {
+            this.gameState.currentRound.recordSeatAttempt(false);
+        }
+        this.feedbackSystem.showValidationResult(validation, scenario);
+        
+        // Show optimal chip combination (limited to what is left in the tray)
+        const formatChips = chips => chips.map(item => `${item.count}x ${item.chip.label}`).join(', ');
+        const describeChips = amount => formatChips(this.payoutCalculator.calculateOptimalChips(amount, this.chipManager.chips) || []);
+        
+        let chipSuggestion = null;
+        let alternatives = [];
+        let answerText = `$${validation.correctAmount.toFixed(2)}`;
+        if (validation.expectedAction === 'surrender') {
+            const { collected, returned } = scenario.getSurrenderAmounts();
+            chipSuggestion = `Collect ${describeChips(collected)}, return ${describeChips(returned)}`;
+            answerText = `collect $${collected.toFixed(2)}, return $${returned.toFixed(2)}`;
+        } else if (validation.expectedAction === 'take') {
+            chipSuggestion = 'Take the bet - no payout';
+        } else if (validation.expectedAction === 'leave') {
+            chipSuggestion = 'Leave the bet - no payout';
+        } else if (validation.expectedAction === 'flag') {
+            chipSuggestion = 'Flag it - no bet pays this amount';
+            answerText = 'no valid bet';
+        } else if (validation.optimalChips) {
+            chipSuggestion = formatChips(validation.optimalChips);
+        } else {
+            const combinations = this.payoutCalculator.findChipCombinations(
+                validation.correctAmount, this.chipManager.chips, { limit: 3, extraChips: 1 }
+            ).map(formatChips);
+            chipSuggestion = combinations[0] || null;
+            alternatives = combinations.slice(1);
+            if (!chipSuggestion && validation.correctAmount > 0 && this.chipManager.bank) {
+                chipSuggestion = 'Not enough chips in the tray - make change or call for a fill';
+            }
+        }
+        let ruleText = validation.expectedAction === 'pay' ?
+            `${scenario.payoutRatio} payout` : scenario.getResultDisplay();
+        if (scenario.reverse) {
+            ruleText = this.payoutCalculator.getPayoutBreakdown(scenario).explanation;
+        }
+        if (validation.handIndex !== undefined) {
+            ruleText = `hand ${validation.handIndex + 1}: ${scenario.getHandResultDisplay(scenario.playerHands[validation.handIndex].result)}`;
+        } else if (validation.sideBetIndex !== undefined) {
+            const sideBet = scenario.sideBets[validation.sideBetIndex];
+            ruleText = `${sideBet.label}: ${sideBet.getOutcomeDisplay()}`;
+        }
+        
+        if (chipSuggestion) {
+            setTimeout(() => {
+                this.feedbackSystem.showFeedback(`
+                    <h4>💡 Try: ${chipSuggestion}</h4>
+                    ${alternatives.length > 0 ? `<p>Also works: ${alternatives.join(' or ')}</p>` : ''}
+                    <p>Correct answer: ${answerText} (${ruleText})</p>
+                    <div class="progress-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">Accuracy:</span>
+                            <span class="stat-value">${this.gameState.getAccuracy()}%</span>
+                        </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Streak Reset:</span>
+                            <span class="stat-value">0</span>
+                        </div>
+                    </div>
+                    <p style="color: #d4af37; font-style: italic;">Clear and try again quickly!</p>
+                `, 'info');
+            }, 400);
+        }
+    }
+
+    /**
+     * Mark the side bet that is currently being settled
+     */
+    highlightActiveSideBet() {
+        document.querySelectorAll('.side-bet').forEach(sideBetElement => {
+            sideBetElement.classList.toggle('side-bet-active',
+                Number(sideBetElement.dataset.sideBetIndex) === this.activeSideBetIndex);
+        });
+    }
+
+    /**
+     * Mark the split hand that is currently being paid
+     */
+    highlightActiveHand() {
+        document.querySelectorAll('.split-hand').forEach(handElement => {
+            handElement.classList.toggle('hand-active',
+                Number(handElement.dataset.handIndex) === this.activeHandIndex);
+        });
+    }
+
+    /**
+     * Check if answers are kept from the trainee until the hand is scored
+     */
+    isHidingAnswers() {
+        return Boolean(this.examRun || this.dailyRun);
+    }
+
+    /**
+     * Reveal the result once a hand is settled, unless answers are being hidden
+     */
+    revealSettledResult(scenario) {
+        if (!this.isHidingAnswers()) {
+            this.revealResult(scenario);
+        }
+    }
+
+    /**
+     * Show the hand result, which some modes hide while the trainee decides
+     */
+    revealResult(scenario) {
+        const handResult = document.getElementById('hand-result');
+        if (handResult) {
+            handResult.textContent = scenario.getResultDisplay();
+            handResult.className = `result-value result-${scenario.result}`;
+        }
+    }
+
+    /**
+     * Clear payout selection
+     */
+    clearPayout() {
+        console.log('Clearing payout selection...');
+        this.clearPayoutEntry();
+        this.feedbackSystem.showFeedback('Payout selection cleared.', 'info');
+    }
+
+    /**
+     * Clear the chips selected for a payout and any typed amount
+     */
+    clearPayoutEntry() {
+        this.chipManager.clearAllSelections();
+        const typedInput = document.getElementById('typed-payout-input');
+        if (typedInput) {
+            typedInput.value = '';
+        }
+    }
+
+    /**
+     * Check if a scenario is answered by typing the amount. Color-ups are
+     * graded on the chips handed back, so they always use the tray.
+     */
+    isTypingAnswer(scenario = this.gameState.currentScenario) {
+        return Boolean(this.gameState.settings.typedAnswers) && !(scenario instanceof ColorUpScenario);
+    }
+
+    /**
+     * Get the amount being paid: the typed amount in typed-answer mode (null
+     * if it isn't a valid amount), otherwise the chips selected
+     */
+    getEnteredPayout(scenario) {
+        if (!this.isTypingAnswer(scenario)) {
+            return this.chipManager.getTotalValue();
+        }
+        const typedInput = document.getElementById('typed-payout-input');
+        return PayoutCalculator.parseAmount(typedInput ? typedInput.value : '');
+    }
+
+    /**
+     * Switch between paying with chips and typing the payout amount
+     */
+    toggleTypedAnswers(enabled) {
+        if (this.refuseDuringRun()) return;
+        this.gameState.updateSettings({ typedAnswers: enabled });
+        this.clearPayoutEntry();
+        this.updateAnswerMode();
+        this.feedbackSystem.showFeedback(enabled ?
+            '⌨️ Typed answers on - type the payout and press Enter' :
+            'Typed answers off - pay with chips from the tray', 'info', { autoHide: true, duration: 2000 });
+    }
+
+    /**
+     * Show the typed payout field or the chip tray for the current scenario
+     */
+    updateAnswerMode() {
+        const typing = this.isTypingAnswer();
+        document.body.classList.toggle('typed-answers', typing);
+
+        const typedInput = document.getElementById('typed-payout-input');
+        if (typedInput && typing) {
+            typedInput.focus();
+        }
+    }
+
+    /**
+     * Generate and display a new scenario with performance monitoring
+     */
+    generateNewScenario() {
+        if (this.dailyRun) {
+            this.dealDailyHand();
+            return;
+        }
+        if (this.reviewing) {
+            if (this.reviewQueue.size > 0) {
+                this.dealReviewHand();
+                return;
+            }
+            this.endReview();
+            this.feedbackSystem.showFeedback('✅ Review queue cleared - every missed hand has been paid correctly. Back to practice', 'success', { autoHide: true, duration: 3000 });
+        }
+
+        try {
+            const startTime = performance.now();
+            const shuffleCount = this.scenarioManager.shoe.shuffleCount;
+            // A full table deals a whole round; its seats are settled one by one
+            const round = this.getScenarioTypeInfo().multiSeat ? this.scenarioManager.generateTableRound() : null;
+            const scenario = round ? round.getActiveSeat() : this.scenarioManager.generateScenario();
+            const endTime = performance.now();
+            
+            // Track performance
+            this.performanceMetrics.scenarioGenerationTimes.push(endTime - startTime);
+            
+            this.gameState.setCurrentRound(round);
+            this.showScenario(scenario);
+            if (this.scenarioManager.shoe.shuffleCount !== shuffleCount) {
+                this.announceShuffle();
+            }
+            this.updateShoeDisplay();
+            
+            // Log performance if it's slow
+            const generationTime = endTime - startTime;
+            if (generationTime > 50) {
+                console.warn(`Slow scenario generation: ${generationTime.toFixed(2)}ms`);
+            }
+        } catch (error) {
+            console.error('Error generating scenario:', error);
+            this.feedbackSystem.showFeedback(`
+                <h4>❌ Scenario Generation Error</h4>
+                <p>Failed to generate a new scenario. Please try again.</p>
+                <button onclick="window.blackjackTrainer.generateNewScenario()" class="submit-btn">Try Again</button>
+            `, 'error');
+        }
+    }
+
+    /**
+     * Let the trainee know the cut card came out and the shoe was shuffled
+     */
+    announceShuffle() {
+        const { deckCount } = this.scenarioManager.shoe.getStatus();
+        this.feedbackSystem.showFeedback(
+            `🔀 Shuffle - the cut card came out, so this hand is dealt from a fresh ${deckCount}-deck shoe`,
+            'info', { autoHide: true, duration: 2500 });
+
+        const shoeStatus = document.getElementById('shoe-status');
+        if (shoeStatus) {
+            shoeStatus.classList.add('shuffling');
+            setTimeout(() => shoeStatus.classList.remove('shuffling'), 1200);
+        }
+    }
+
+    /**
+     * Show how far through the shoe dealing is
+     */
+    updateShoeDisplay() {
+        const shoeStatus = document.getElementById('shoe-status');
+        if (!shoeStatus) return;
+
+        const status = this.scenarioManager.shoe.getStatus();
+        shoeStatus.textContent = `Shoe: ${status.cardsRemaining} of ${status.totalCards} cards left` +
+            (status.cutCardReached ? ' · cut card out - shuffle after this hand' : ` · cut at ${Math.round(status.penetration * 100)}%`);
+    }
+
+    /**
+     * Change the number of decks or the cut-card penetration and start a fresh shoe
+     */
+    changeShoeSettings(changes) {
+        if (this.refuseDuringRun()) return;
+        this.scenarioManager.setShoeSettings({ ...this.scenarioManager.shoe.getSettings(), ...changes });
+        this.gameState.updateSettings({ shoe: this.scenarioManager.shoe.getSettings() });
+        this.feedbackSystem.showFeedback(`New ${this.scenarioManager.shoe.deckCount}-deck shoe shuffled up`, 'info', { autoHide: true, duration: 2000 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Make a scenario the current one and reset the per-scenario settlement state
+     */
+    showScenario(scenario) {
+        this.gameState.setCurrentScenario(scenario);
+        this.activeHandIndex = 0;
+        this.surrenderCollected = null;
+        this.activeSideBetIndex = 0;
+        this.displayScenario(scenario);
+        this.clearPayoutEntry();
+        this.updateAnswerMode();
+        this.startHandTimer(scenario);
+        this.startFlash();
+        this.missQueued = false;
+        this.reviewGraded = false;
+    }
+
+    /**
+     * Turn flash mode on or off
+     */
+    toggleFlash(enabled) {
+        if (this.refuseDuringRun()) return;
+        this.gameState.updateSettings({ flash: { ...this.gameState.settings.flash, enabled } });
+        this.feedbackSystem.showFeedback(enabled ?
+            `⚡ Flash on - bets disappear after ${(this.flashExposure.exposure / 1000).toFixed(2)}s` :
+            'Flash off - bets stay on the table', 'info', { autoHide: true, duration: 2000 });
+        this.generateNewScenario();
+    }
+
+    /**
+     * Start flash mode over from a new exposure time (milliseconds)
+     */
+    changeFlashExposure(exposure) {
+        if (this.refuseDuringRun()) return;
+        this.flashExposure = new FlashExposure(exposure);
+        this.gameState.updateSettings({ flash: { ...this.gameState.settings.flash, exposure, current: null } });
+        this.updateFlashDisplay();
+        this.generateNewScenario();
+    }
+
+    /**
+     * In flash mode, hide the bet stacks once the exposure time has passed
+     */
+    startFlash() {
+        this.revealFlash();
+        this.flashRecorded = false;
+        if (!this.gameState.settings.flash.enabled) return;
+
+        // displayScenario draws the bet stacks 150ms after the scenario is shown
+        this.flashTimer = setTimeout(() => {
+            this.flashTimer = null;
+            const gameTable = document.querySelector('.game-table');
+            if (gameTable) {
+                gameTable.classList.add('flash-hidden');
+            }
+        }, this.flashExposure.exposure + 150);
+    }
+
+    /**
+     * Show the bet stacks again (after an answer, or for a new scenario)
+     */
+    revealFlash() {
+        if (this.flashTimer) {
+            clearTimeout(this.flashTimer);
+            this.flashTimer = null;
+        }
+        const gameTable = document.querySelector('.game-table');
+        if (gameTable) {
+            gameTable.classList.remove('flash-hidden');
+        }
+    }
+
+    /**
+     * Shorten or lengthen the flash exposure from the first answer to a hand
+     */
+    trackFlashExposure(validation) {
+        if (!this.gameState.settings.flash.enabled || this.flashRecorded) return;
+
+        this.flashRecorded = true;
+        const exposure = this.flashExposure.recordAttempt(validation.isCorrect);
+        this.gameState.updateSettings({ flash: { ...this.gameState.settings.flash, current: exposure } });
+        this.updateFlashDisplay();
+    }
+
+    /**
+     * Show the current flash exposure beside the flash controls
+     */
+    updateFlashDisplay() {
+        const status = document.getElementById('flash-exposure-status');
+        if (status) {
+            status.textContent = `now ${(this.flashExposure.exposure / 1000).toFixed(2)}s`;
+        }
+    }
+
+    /**
+     * Start the on-screen timer for a hand against its speed target
+     */
+    startHandTimer(scenario) {
+        this.stopHandTimer();
+        const { target } = this.payoutCalculator.getSpeedTarget(scenario.betAmount);
+        const update = () => {
+            const elapsed = this.gameState.getElapsedTime();
+            this.showHandTime(`⏲ ${(elapsed / 1000).toFixed(1)}s / ${(target / 1000).toFixed(1)}s`, elapsed > target);
+        };
+        update();
+        this.handTimer = setInterval(update, 100);
+    }
+
+    /**
+     * Stop the hand timer, freezing it on the recorded time if there is one
+     */
+    stopHandTimer(timing = null) {
+        if (this.handTimer) {
+            clearInterval(this.handTimer);
+            this.handTimer = null;
+        }
+        if (timing) {
+            const firstChip = timing.firstChip !== null ? ` · first chip ${(timing.firstChip / 1000).toFixed(1)}s` : '';
+            this.showHandTime(`⏲ ${(timing.time / 1000).toFixed(1)}s${firstChip}`, timing.time > timing.target);
+        }
+    }
+
+    /**
+     * Write the hand timer text, flagged when the hand is over its target
+     */
+    showHandTime(text, overTarget) {
+        const timer = document.getElementById('hand-timer');
+        if (timer) {
+            timer.textContent = text;
+            timer.classList.toggle('hand-timer-over', overTarget);
+        }
+    }
+
+    /**
+     * Move on to the next seat of a full table round
+     */
+    moveToNextSeat() {
+        const round = this.gameState.currentRound;
+        if (!round) return;
+
+        this.showScenario(round.advanceSeat());
+        this.feedbackSystem.showFeedback(`
+            <h4>Seat ${round.activeSeatIndex + 1} (${round.getSettlePosition()} of ${round.seats.length})</h4>
+            <p>Settle the next spot</p>
+        `, 'info');
+    }
+
+    /**
+     * Finish a full table round: record its time and show the per-seat score
+     */
+    completeRound(round) {
+        const roundTime = round.finish();
+        this.gameState.recordRoundComplete(roundTime);
+
+        const seatSummary = round.seatResults.map((seatResult, index) =>
+            `<div class="stat-item">
+                <span class="stat-label">Seat ${index + 1}:</span>
+                <span class="stat-value" style="color: ${seatResult.firstTry ? '#00ff00' : '#ff6347'}">${seatResult.firstTry ? '✓' : `✗ (${seatResult.attempts} tries)`}</span>
+            </div>`
+        ).join('');
+
+        this.feedbackSystem.showFeedback(`
+            <h4>🏁 Round complete in ${(roundTime / 1000).toFixed(1)}s</h4>
+            <p>${round.getFirstTryCount()} of ${round.seats.length} seats settled correctly first time</p>
+            <div class="progress-stats">${seatSummary}</div>
+        `, 'success');
+    }
+
+    /**
+     * Build the chip stacks for a payout made from the tray's denominations
+     * in the fewest chips (the tray's own counts don't limit it)
+     */
+    getPayoutStacks(amount) {
+        const denominations = this.chipManager.chips.map(chip => new Chip(chip.value, chip.color, chip.label));
+        return (this.payoutCalculator.calculateOptimalChips(amount, denominations) || [])
+            .map(({ chip, count }) => ({ value: chip.value, color: chip.color, label: chip.label, count }));
+    }
+
+    /**
+     * Render chips (as returned by calculateBetChips) as casino-style stacks
+     */
+    renderChipStacks(betChips) {
+        let chipsHtml = '';
+        
+        // Group chips by denomination and create proper casino-style stacks
+        betChips.forEach(chipType => {
+            chipsHtml += `<div class="bet-chip-group">`;
+            
+            if (chipType.count <= 5) {
+                // Small stack - show individual chips
+                chipsHtml += `<div class="bet-chip-stack">`;
+                for (let i = 0; i < chipType.count; i++) {
+                    chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${chipType.count - i}">${chipType.label}</div>`;
+                }
+                chipsHtml += `</div>`;
+            } else {
+                // Large stack - show as organized casino stack
+                const fullStacks = Math.floor(chipType.count / 5);
+                const remainder = chipType.count % 5;
+                
+                // Show full stacks of 5
+                for (let stack = 0; stack < fullStacks; stack++) {
+                    chipsHtml += `<div class="bet-chip-stack casino-stack">`;
+                    for (let i = 0; i < 5; i++) {
+                        chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${5 - i}">${chipType.label}</div>`;
+                    }
+                    chipsHtml += `<div class="stack-count">5</div>`;
+                    chipsHtml += `</div>`;
+                }
+                
+                // Show remainder chips
+                if (remainder > 0) {
+                    chipsHtml += `<div class="bet-chip-stack">`;
+                    for (let i = 0; i < remainder; i++) {
+                        chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${remainder - i}">${chipType.label}</div>`;
+                    }
+                    chipsHtml += `</div>`;
+                }
+            }
+            
+            chipsHtml += `</div>`;
+        });
+        
+        return chipsHtml;
+    }
+
+    /**
+     * Render split or doubled hands, each with its own bet. A double down
+     * card is turned sideways and its bet shown as a second stack.
+     */
+    renderPlayedHands(scenario) {
+        const handsHtml = scenario.playerHands.map((played, index) => {
+            const cards = played.hand.cards.map((card, cardIndex) => {
+                const isDoubleCard = played.doubled && cardIndex === played.hand.cards.length - 1;
+                return isDoubleCard ?
+                    `<span class="card-sideways">${card.display}</span>` : card.display;
+            }).join(' ');
+            const baseChips = this.renderChipStacks(this.payoutCalculator.calculateBetChips(played.getBaseBet()));
+            const betHtml = played.doubled ?
+                `${baseChips}<span class="double-divider">+</span>${baseChips}` : baseChips;
+
+            return `
+                <div class="split-hand hand-display" data-hand-index="${index}">
+                    <div class="cards">${cards}</div>
+                    <div class="hand-value">${played.hand.getDisplayValue()}</div>
+                    <div class="bet-chips-display" aria-label="Bet on hand ${index + 1}: ${PayoutCalculator.formatAmount(played.betAmount)}">${betHtml}</div>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="split-hands">${handsHtml}</div>`;
+    }
+
+    /**
+     * Render every seat of a full table round with its bet. Seat 1 (first base)
+     * sits on the dealer's left, so seats are laid out right to left.
+     */
+    renderTableSeats(round) {
+        const hideResult = this.getScenarioTypeInfo().hideResult;
+        const seatsHtml = round.seats.map((seat, index) => {
+            const seatResult = round.seatResults[index];
+            const classes = ['table-seat', 'hand-display'];
+            if (index === round.activeSeatIndex) classes.push('seat-active');
+            if (seatResult.settled) classes.push('seat-settled');
+            const resultText = seatResult.settled || !hideResult ? seat.getResultDisplay() : '?';
+
+            return `
+                <div class="${classes.join(' ')}" data-seat-index="${index}">
+                    <div class="seat-label">Seat ${index + 1}</div>
+                    <div class="cards">${seat.playerHand.getCardsDisplay()}</div>
+                    <div class="hand-value">${seat.playerHand.getDisplayValue()}</div>
+                    <div class="bet-chips-display" aria-label="Seat ${index + 1} bet: ${PayoutCalculator.formatAmount(seat.betAmount)}">
+                        ${this.renderChipStacks(this.payoutCalculator.calculateBetChips(seat.betAmount))}
+                    </div>
+                    <div class="seat-result result-${seatResult.settled || !hideResult ? seat.result : 'hidden'}">${resultText}</div>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="table-seats">${seatsHtml}</div>`;
+    }
+
+    /**
+     * Render each side bet with its chips and pay table
+     */
+    renderSideBets(scenario) {
+        return scenario.sideBets.map((sideBet, index) => {
+            const payTable = sideBet.payTable.map(entry => `${entry.label} ${entry.odds}:1`).join(' · ');
+            return `
+                <div class="side-bet" data-side-bet-index="${index}">
+                    <span class="side-bet-label">${sideBet.label}</span>
+                    <div class="bet-chips-display" aria-label="${sideBet.label} bet: $${sideBet.amount}">
+                        ${this.renderChipStacks(this.payoutCalculator.calculateBetChips(sideBet.amount))}
+                    </div>
+                    <span class="side-bet-paytable">${payTable}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Display a color-up pile in place of the cards and bets
+     */
+    displayColorUpScenario(scenario) {
+        const dealerCards = document.getElementById('dealer-cards');
+        if (dealerCards) {
+            dealerCards.innerHTML = `
+                <div class="hand-display">
+                    <div class="hand-value">Color up</div>
+                </div>
+            `;
+        }
+
+        // The pile is shown in uneven stacks, as it comes across the table
+        const playerCards = document.getElementById('player-cards');
+        if (playerCards) {
+            playerCards.innerHTML = `
+                <div class="color-up-pile hand-display">
+                    <div class="bet-chips-display">${this.renderChipStacks(scenario.pile)}</div>
+                    <div class="hand-value">${scenario.getPileChipCount()} chips</div>
+                </div>
+            `;
+        }
+
+        ['main-bet-info', 'insurance-info', 'side-bet-info'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.hidden = true;
+            }
+        });
+
+        const handResult = document.getElementById('hand-result');
+        if (handResult) {
+            handResult.textContent = scenario.getResultDisplay();
+            handResult.className = 'result-value result-color-up';
+        }
+
+        this.setInstructionText(this.getScenarioTypeInfo().instruction);
+        this.feedbackSystem.showFeedback(`
+            <h4>🎨 Color Up</h4>
+            <p>Count the pile, then hand back the same value in as few chips as possible.</p>
+        `, 'info');
+    }
+
+    /**
+     * Display the current scenario in the UI with animations
+     */
+    displayScenario(scenario) {
+        if (scenario instanceof ColorUpScenario) {
+            this.displayColorUpScenario(scenario);
+            return;
+        }
+
+        // Add faster transition class to game table
+        const gameTable = document.querySelector('.game-table');
+        if (gameTable) {
+            gameTable.classList.add('scenario-transition');
+            setTimeout(() => gameTable.classList.remove('scenario-transition'), 400);
+        }
+
+        // Update dealer cards with faster animation
+        const dealerCards = document.getElementById('dealer-cards');
+        if (dealerCards) {
+            dealerCards.style.opacity = '0';
+            dealerCards.style.transform = 'translateY(-5px)';
+            
+            setTimeout(() => {
+                dealerCards.innerHTML = `
+                    <div class="hand-display">
+                        <div class="cards">${scenario.dealerHand.getCardsDisplay()}</div>
+                        <div class="hand-value">${scenario.dealerHand.getDisplayValue()}</div>
+                    </div>
+                `;
+                
+                dealerCards.style.transition = 'all 0.2s ease';
+                dealerCards.style.opacity = '1';
+                dealerCards.style.transform = 'translateY(0)';
+            }, 50);
+        }
+
+        // Update player cards with faster animation
+        const playerCards = document.getElementById('player-cards');
+        if (playerCards) {
+            playerCards.style.opacity = '0';
+            playerCards.style.transform = 'translateY(-5px)';
+            
+            setTimeout(() => {
+                const round = this.gameState.currentRound;
+                playerCards.innerHTML = round ? this.renderTableSeats(round) : scenario.isMultiHand() ?
+                    this.renderPlayedHands(scenario) : `
+                    <div class="hand-display">
+                        <div class="cards">${scenario.playerHand.getCardsDisplay()}</div>
+                        <div class="hand-value">${scenario.playerHand.getDisplayValue()}</div>
+                    </div>
+                `;
+                this.highlightActiveHand();
+                
+                playerCards.style.transition = 'all 0.2s ease';
+                playerCards.style.opacity = '1';
+                playerCards.style.transform = 'translateY(0)';
+            }, 100);
+        }
+
+        // Split and doubled hands carry their own bets beside the cards
+        const mainBetInfo = document.getElementById('main-bet-info');
+        if (mainBetInfo) {
+            mainBetInfo.hidden = scenario.isMultiHand() || Boolean(this.gameState.currentRound);
+        }
+
+        // Update bet chips display with animation
+        const betChipsDisplay = document.getElementById('bet-chips');
+        if (betChipsDisplay) {
+            betChipsDisplay.style.transform = 'scale(0.8)';
+            betChipsDisplay.style.opacity = '0';
+            
+            setTimeout(() => {
+                // A reverse drill hides the bet - it is what the trainee has to find
+                betChipsDisplay.innerHTML = scenario.reverse ?
+                    '<div class="hidden-bet" aria-label="Bet hidden">?</div>' :
+                    this.renderChipStacks(this.payoutCalculator.calculateBetChips(scenario.betAmount));
+                betChipsDisplay.style.transition = 'all 0.2s ease';
+                betChipsDisplay.style.transform = 'scale(1)';
+                betChipsDisplay.style.opacity = '1';
+            }, 150);
+        }
+
+        // A reverse drill shows the payout already stacked beside the bet spot
+        const reversePayoutInfo = document.getElementById('reverse-payout-info');
+        const reversePayoutChips = document.getElementById('reverse-payout-chips');
+        if (reversePayoutInfo && reversePayoutChips) {
+            reversePayoutInfo.hidden = !scenario.reverse;
+            reversePayoutChips.innerHTML = scenario.reverse ? this.renderChipStacks(this.getPayoutStacks(scenario.reverse.shownPayout)) : '';
+        }
+
+        // Show the insurance bet beside the main bet when there is one
+        const insuranceInfo = document.getElementById('insurance-info');
+        const insuranceChips = document.getElementById('insurance-chips');
+        if (insuranceInfo && insuranceChips) {
+            insuranceInfo.hidden = !(scenario.insuranceBet > 0);
+            insuranceChips.innerHTML = scenario.insuranceBet > 0 ?
+                this.renderChipStacks(this.payoutCalculator.calculateBetChips(scenario.insuranceBet)) : '';
+        }
+
+        // Side bets sit beside the main bet with their pay tables
+        const sideBetInfo = document.getElementById('side-bet-info');
+        const sideBetChips = document.getElementById('side-bet-chips');
+        if (sideBetInfo && sideBetChips) {
+            sideBetInfo.hidden = !scenario.hasSideBets();
+            sideBetChips.innerHTML = scenario.hasSideBets() ? this.renderSideBets(scenario) : '';
+            this.highlightActiveSideBet();
+        }
+
+        // Update hand result with faster animation
+        const handResult = document.getElementById('hand-result');
+        if (handResult) {
+            handResult.style.transform = 'scale(0.9)';
+            handResult.style.opacity = '0';
+            
+            setTimeout(() => {
+                // The trainee has to work out the result from the cards in some modes
+                if (this.getScenarioTypeInfo().hideResult) {
+                    handResult.textContent = '?';
+                    handResult.className = 'result-value result-hidden';
+                } else {
+                    handResult.textContent = scenario.getResultDisplay();
+                    handResult.className = `result-value result-${scenario.result}`;
+                }
+                handResult.style.transition = 'all 0.2s ease';
+                handResult.style.transform = 'scale(1)';
+                handResult.style.opacity = '1';
+                
+                // Add special effect for blackjack
+                if (scenario.result === 'blackjack' && !this.getScenarioTypeInfo().hideResult) {
+                    handResult.style.animation = 'chipPulse 0.3s ease';
+                }
+            }, 200);
+        }
+
+        // Update instruction with faster animation
+        const instruction = document.getElementById('payout-instruction-text');
+        if (instruction) {
+            instruction.style.opacity = '0';
+            
+            setTimeout(() => {
+                const scenarioType = this.getScenarioTypeInfo();
+                const round = this.gameState.currentRound;
+                if (round) {
+                    instruction.textContent = `Seat ${round.activeSeatIndex + 1} (${round.getSettlePosition()} of ${round.seats.length}): ${scenarioType.instruction} (blackjack pays ${scenario.tableRules.blackjackPayout})`;
+                } else if (scenario.evenMoney) {
+                    instruction.textContent = 'Player takes even money on their blackjack - pay it';
+                } else if (scenario.hasSideBets()) {
+                    instruction.textContent = `Settle the ${scenario.sideBets[0].label} bet first, then the main bet (blackjack pays ${scenario.tableRules.blackjackPayout})`;
+                } else if (scenario.result === 'surrender') {
+                    instruction.textContent = "Player surrenders - collect the house's half of the bet";
+                } else if (scenario.reverse) {
+                    instruction.textContent = `Blackjack pays ${scenario.tableRules.blackjackPayout} - read the payout and build the original bet, or flag it if no bet pays that amount`;
+                } else if (this.getScenarioType() === 'blackjack') {
+                    instruction.textContent = `${scenarioType.instruction} (${scenario.payoutRatio})`;
+                } else {
+                    instruction.textContent = `${scenarioType.instruction} (blackjack pays ${scenario.tableRules.blackjackPayout})`;
+                }
+                
+                instruction.style.transition = 'opacity 0.2s ease';
+                instruction.style.opacity = '1';
+            }, 250);
+        }
+
+        // Show current stats instead of scenario details for faster practice
+        setTimeout(() => {
+            const stats = this.gameState.getSessionStats();
+            const performance = this.gameState.getPerformanceRating();
+            // Exams, the daily challenge and modes that hide the result don't give it away with the required amount
+            const run = this.examRun || this.dailyRun;
+            const prompt = run ?
+                `Hand ${run.hands.length + 1} of ${run.handCount}` :
+                this.getScenarioTypeInfo().hideResult ?
+                `${this.getScenarioTypeInfo().instruction} - read the cards first!` :
+                `Calculate ${scenario.payoutRatio} payout quickly! Required: $${scenario.correctPayout.toFixed(2)}`;
+            
+            this.feedbackSystem.showFeedback(`
+                <h4>⚡ Speed Training Mode</h4>
+                <div class="progress-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Score:</span>
+                        <span class="stat-value">${this.gameState.score.correct}/${this.gameState.score.total}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Accuracy:</span>
+                        <span class="stat-value" style="color: ${performance.color}">${this.gameState.getAccuracy()}%</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Current Streak:</span>
+                        <span class="stat-value">${stats.currentStreak}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Best Streak:</span>
+                        <span class="stat-value">${stats.bestStreak}</span>
+                    </div>
+                </div>
+                <p style="margin-top: 10px; font-style: italic; color: #d4af37;">${prompt}</p>
+            `, 'info');
+        }, 200);
+    }
+}
+
+// Controls that change how hands are dealt or answered, locked during an exam or daily challenge
+BlackjackPayoutTrainer.RUN_LOCKED_CONTROLS = [
+    'lesson-select', 'payout-table-select', 'soft17-select', 'hole-card-select', 'perfect-pairs-odds-select',
+    'twenty-one-odds-select', 'scenario-type-select',
+    'seat-count-select', 'bet-table-type-select', 'bet-min-input', 'bet-max-input', 'bet-step-input',
+    'bet-awkward-select', 'deck-count-select', 'penetration-select', 'seed-input',
+    'start-seed', 'flash-toggle', 'flash-exposure-select', 'typed-answers-toggle'
+];
+
+// Side bet pay table controls and the side bet each one sets
+BlackjackPayoutTrainer.SIDE_BET_ODDS_SELECTS = {
+    'perfect-pairs-odds-select': 'perfect-pairs',
+    'twenty-one-odds-select': '21+3'
+};
+
+/**
+ * Game State Management Module
+ * Manages the current state of the game including scenarios, selections, and scoring
+ */
+class GameState {
+    constructor() {
+        this.currentScenario = null;
+        this.currentRound = null; // Full table round the current scenario belongs to
+        this.selectedChips = [];
+        this.currentPayout = 0;
+        this.score = {
+            correct: 0,
+            total: 0,
+            accuracy: 0
+        };
+        this.gameActive = false;
+        this.uiController = null;
+        this.sessionStats = {
+            startTime: Date.now(),
+            scenariosCompleted: 0,
+            averageTime: 0,
+            bestStreak: 0,
+            currentStreak: 0,
+            roundsCompleted: 0,
+            averageRoundTime: 0,
+            bestRoundTime: null,
+            scoredAttempts: 0,
+            averageScore: 0,
+            bestScore: 0,
+            chipGradedPayouts: 0,
+            averageChipEfficiency: 0,
+            handTimes: [], // { time, firstChip, target, band, mode } per hand, newest last
+            seed: null
+        };
+        this.gamePhase = 'waiting'; // waiting, playing, feedback, complete
+        
+        // Load saved settings before progress so progress can be matched to the table rules
+        this.settings = this.loadSettings();
+        this.loadProgress();
+    }
+
+    /**
+     * Get default training settings
+     */
+    getDefaultSettings() {
+        return {
+            payoutTable: '3:2',
+            scenarioType: 'blackjack',
+            seatCount: 5,
+            chipBank: false,
+            betSettings: { tableType: 'low-limit' },
+            adaptive: true,
+            shoe: { ...Shoe.DEFAULT_SETTINGS },
+            dealerRules: { soft17: 'S17', holeCard: 'peek' },
+            sideBetOdds: {}, // House side bet odds (see TableRules.sideBetOdds); empty for the standard pay tables
+            speedTargets: {}, // Milliseconds per bet size band; missing bands use the defaults
+            exam: { ...ExamRun.DEFAULT_SETTINGS },
+            typedAnswers: false,
+            flash: { enabled: false, exposure: FlashExposure.DEFAULT_EXPOSURE, current: null },
+            lesson: null, // Curriculum lesson being practiced (null for free practice)
+            reviewStreak: ReviewQueue.DEFAULT_STREAK, // Correct replays in a row that clear a missed hand
+            profileName: '' // Name the daily challenge is played under
+        };
+    }
+
+    /**
+     * Load training settings from localStorage
+     */
+    loadSettings() {
+        try {
+            const savedSettings = JSON.parse(localStorage.getItem('blackjack-payout-trainer-settings') || '{}');
+            return { ...this.getDefaultSettings(), ...savedSettings };
+        } catch (error) {
+            console.warn('Could not load settings from localStorage:', error);
+            return this.getDefaultSettings();
+        }
+    }
+
+    /**
+     * Update and persist training settings
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        try {
+            localStorage.setItem('blackjack-payout-trainer-settings', JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save settings to localStorage:', error);
+        }
+    }
+
+    /**
+     * Set UI controller reference
+     */
+    setUIController(uiController) {
+        this.uiController = uiController;
+    }
+
+    /**
+     * Update selected chips
+     */
+    updateSelectedChips(chips) {
+        this.selectedChips = chips;
+        this.saveProgress();
+    }
+
+    /**
+     * Update current payout total
+     */
+    updatePayoutTotal(total) {
+        this.currentPayout = total;
+        if (this.uiController) {
+            this.uiController.updatePayoutTotal(total);
+        }
+    }
+
+    /**
+     * Set current scenario and transition to playing phase
+     */
+    setCurrentScenario(scenario) {
+        this.currentScenario = scenario;
+        this.gamePhase = 'playing';
+        this.gameActive = true;
+        this.scenarioStartTime = Date.now();
+        this.firstChipTime = null;
+        this.handTimeRecorded = false;
+        this.saveProgress();
+    }
+
+    /**
+     * Get the milliseconds since the current hand was shown (0 before the first hand)
+     */
+    getElapsedTime() {
+        return this.scenarioStartTime ? Date.now() - this.scenarioStartTime : 0;
+    }
+
+    /**
+     * Note how long the trainee took to pick up the first chip of a hand
+     */
+    recordFirstChip() {
+        if (this.scenarioStartTime && this.firstChipTime === null && this.gamePhase === 'playing') {
+            this.firstChipTime = this.getElapsedTime();
+        }
+    }
+
+    /**
+     * Record the time from showing a hand to its first submitted answer.
+     * Retries after a wrong answer don't count again. Returns the timing entry
+     * (null if the hand was already timed).
+     */
+    recordHandTime(target, band, mode = 'chips') {
+        if (!this.scenarioStartTime || this.handTimeRecorded) return null;
+
+        const entry = { time: this.getElapsedTime(), firstChip: this.firstChipTime, target, band, mode };
+        this.handTimeRecorded = true;
+        this.sessionStats.handTimes = [...this.sessionStats.handTimes, entry].slice(-GameState.MAX_HAND_TIMES);
+        this.saveProgress();
+        return entry;
+    }
+
+    /**
+     * Get the spread of hand times, optionally for one bet size band or
+     * answer mode ('chips' or 'typed'): median, 90th percentile, median time
+     * to first chip and the share on target
+     */
+    getTimingSummary({ band = null, mode = null } = {}) {
+        const entries = this.sessionStats.handTimes.filter(entry =>
+            (!band || entry.band === band) && (!mode || (entry.mode || 'chips') === mode));
+        if (entries.length === 0) return null;
+
+        const times = entries.map(entry => entry.time);
+        const firstChipTimes = entries.filter(entry => entry.firstChip !== null).map(entry => entry.firstChip);
+        return {
+            count: entries.length,
+            median: GameState.percentile(times, 50),
+            p90: GameState.percentile(times, 90),
+            firstChipMedian: firstChipTimes.length > 0 ? GameState.percentile(firstChipTimes, 50) : null,
+            onTargetRate: entries.filter(entry => entry.time <= entry.target).length / entries.length
+        };
+    }
+
+    /**
+     * Get a percentile of a list of numbers (nearest rank)
+     */
+    static percentile(values, percent) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.max(1, Math.ceil((percent / 100) * sorted.length));
+        return sorted[rank - 1];
+    }
+
+    /**
+     * Set the full table round being settled (null outside table mode)
+     */
+    setCurrentRound(round) {
+        this.currentRound = round;
+    }
+
+    /**
+     * Record a finished table round and its time
+     */
+    recordRoundComplete(timeSpent) {
+        const roundsCompleted = this.sessionStats.roundsCompleted + 1;
+        this.sessionStats.averageRoundTime =
+            (this.sessionStats.averageRoundTime * (roundsCompleted - 1) + timeSpent) / roundsCompleted;
+        this.sessionStats.roundsCompleted = roundsCompleted;
+        if (this.sessionStats.bestRoundTime === null || timeSpent < this.sessionStats.bestRoundTime) {
+            this.sessionStats.bestRoundTime = timeSpent;
+        }
+        this.saveProgress();
+    }
+
+    /**
+     * Record the composite score for an attempt (see PayoutCalculator.scoreAttempt)
+     */
+    recordAttemptScore(attemptScore) {
+        const stats = this.sessionStats;
+        stats.scoredAttempts++;
+        stats.averageScore = (stats.averageScore * (stats.scoredAttempts - 1) + attemptScore.total) / stats.scoredAttempts;
+        stats.bestScore = Math.max(stats.bestScore, attemptScore.total);
+
+        if (attemptScore.chipEfficiency !== null) {
+            stats.chipGradedPayouts++;
+            stats.averageChipEfficiency = (stats.averageChipEfficiency * (stats.chipGradedPayouts - 1) +
+                attemptScore.chipEfficiency) / stats.chipGradedPayouts;
+        }
+        this.saveProgress();
+    }
+
+    /**
+     * Record the seed the session's scenarios are generated from
+     */
+    setSeed(seed) {
+        this.sessionStats.seed = seed;
+        this.saveProgress();
+    }
+
+    /**
+     * Transition to feedback phase
+     */
+    enterFeedbackPhase() {
+        this.gamePhase = 'feedback';
+        this.gameActive = false;
+    }
+
+    /**
+     * Complete current scenario
+     */
+    completeScenario() {
+        this.sessionStats.scenariosCompleted++;
+        if (this.scenarioStartTime) {
+            this.updateSessionStats(this.getElapsedTime());
+        }
+        this.gamePhase = 'waiting';
+        this.saveProgress();
+    }
+
+    /**
+     * Update session statistics
+     */
+    updateSessionStats(timeSpent) {
+        const totalTime = this.sessionStats.averageTime * (this.sessionStats.scenariosCompleted - 1) + timeSpent;
+        this.sessionStats.averageTime = totalTime / this.sessionStats.scenariosCompleted;
+    }
+
+    /**
+     * Update the score display in the UI with animations
+     */
+    updateScoreDisplay() {
+        const correctCount = document.getElementById('correct-count');
+        const totalCount = document.getElementById('total-count');
+        const accuracyPercent = document.getElementById('accuracy-percent');
+        const scoreDisplay = document.querySelector('.score-display');
+
+        // Add update animation
+        if (scoreDisplay) {
+            scoreDisplay.classList.add('score-update');
+            setTimeout(() => scoreDisplay.classList.remove('score-update'), 500);
+        }
+
+        if (correctCount) {
+            correctCount.style.transform = 'scale(1.2)';
+            correctCount.textContent = this.score.correct;
+            setTimeout(() => {
+                correctCount.style.transition = 'transform 0.3s ease';
+                correctCount.style.transform = 'scale(1)';
+            }, 100);
+        }
+
+        if (totalCount) {
+            totalCount.style.transform = 'scale(1.2)';
+            totalCount.textContent = this.score.total;
+            setTimeout(() => {
+                totalCount.style.transition = 'transform 0.3s ease';
+                totalCount.style.transform = 'scale(1)';
+            }, 150);
+        }
+
+        if (accuracyPercent) {
+            const accuracy = this.getAccuracy();
+            accuracyPercent.style.transform = 'scale(1.2)';
+            accuracyPercent.textContent = accuracy;
+            
+            // Add color coding for accuracy with animation
+            let color = '#ff6347';
+            if (accuracy >= 90) {
+                color = '#00ff00';
+            } else if (accuracy >= 70) {
+                color = '#ffd700';
+            }
+            
+            setTimeout(() => {
+                accuracyPercent.style.transition = 'all 0.3s ease';
+                accuracyPercent.style.transform = 'scale(1)';
+                accuracyPercent.style.color = color;
+            }, 200);
+        }
+    }
+
+    /**
+     * Record a correct answer
+     */
+    recordCorrect() {
+        this.score.correct++;
+        this.score.total++;
+        this.sessionStats.currentStreak++;
+        
+        // Update best streak
+        if (this.sessionStats.currentStreak > this.sessionStats.bestStreak) {
+            this.sessionStats.bestStreak = this.sessionStats.currentStreak;
+        }
+        
+        this.updateScoreDisplay();
+        this.completeScenario();
+        this.saveProgress();
+    }
+
+    /**
+     * Record an incorrect answer
+     */
+    recordIncorrect() {
+        this.score.total++;
+        this.sessionStats.currentStreak = 0; // Reset streak
+        this.updateScoreDisplay();
+        this.saveProgress();
+    }
+
+    /**
+     * Reset the game state
+     */
+    reset() {
+        this.currentScenario = null;
+        this.currentRound = null;
+        this.selectedChips = [];
+        this.currentPayout = 0;
+        this.score = {
+            correct: 0,
+            total: 0,
+            accuracy: 0
+        };
+        this.sessionStats = {
+            startTime: Date.now(),
+            scenariosCompleted: 0,
+            averageTime: 0,
+            bestStreak: 0,
+            currentStreak: 0,
+            roundsCompleted: 0,
+            averageRoundTime: 0,
+            bestRoundTime: null,
+            scoredAttempts: 0,
+            averageScore: 0,
+            bestScore: 0,
+            chipGradedPayouts: 0,
+            averageChipEfficiency: 0,
+            handTimes: [],
+            seed: this.sessionStats.seed // Scenarios carry on from the same seed
+        };
+        this.gameActive = false;
+        this.gamePhase = 'waiting';
+        this.updateScoreDisplay();
+        this.saveProgress();
+    }
+
+    /**
+     * Get current accuracy percentage
+     */
+    getAccuracy() {
+        return this.score.total > 0 ? 
+            Math.round((this.score.correct / this.score.total) * 100) : 0;
+    }
+
+    /**
+     * Get session statistics
+     */
+    getSessionStats() {
+        const sessionTime = Date.now() - this.sessionStats.startTime;
+        return {
+            ...this.sessionStats,
+            sessionTime: Math.round(sessionTime / 1000), // in seconds
+            averageTimeFormatted: this.formatTime(this.sessionStats.averageTime),
+            sessionTimeFormatted: this.formatTime(sessionTime)
+        };
+    }
+
+    /**
+     * Format time in milliseconds to readable string
+     */
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        
+        if (minutes > 0) {
+            return `${minutes}m ${remainingSeconds}s`;
+        }
+        return `${remainingSeconds}s`;
+    }
+
+    /**
+     * Check if game is in a specific phase
+     */
+    isInPhase(phase) {
+        return this.gamePhase === phase;
+    }
+
+    /**
+     * Get performance rating based on accuracy
+     */
+    getPerformanceRating() {
+        const accuracy = this.getAccuracy();
+        if (accuracy >= 95) return { rating: 'Excellent', color: '#00ff00' };
+        if (accuracy >= 85) return { rating: 'Great', color: '#32cd32' };
+        if (accuracy >= 75) return { rating: 'Good', color: '#ffd700' };
+        if (accuracy >= 60) return { rating: 'Fair', color: '#ffa500' };
+        return { rating: 'Needs Practice', color: '#ff6347' };
+    }
+
+    /**
+     * Save progress to localStorage
+     */
+    saveProgress() {
+        try {
+            const saveData = {
+                score: this.score,
+                sessionStats: this.sessionStats,
+                gamePhase: this.gamePhase,
+                payoutTable: this.settings.payoutTable,
+                timestamp: Date.now(),
+                version: '1.0' // For future compatibility
+            };
+            localStorage.setItem('blackjack-payout-trainer-progress', JSON.stringify(saveData));
+            
+            // Also save to session history
+            this.saveToHistory();
+        } catch (error) {
+            console.warn('Could not save progress to localStorage:', error);
+        }
+    }
+
+    /**
+     * Save session to history
+     */
+    saveToHistory() {
+        try {
+            const historyKey = 'blackjack-payout-trainer-history';
+            let history = JSON.parse(localStorage.getItem(historyKey) || '[]');
+            
+            // Add current session if it has meaningful progress
+            if (this.score.total > 0) {
+                const sessionData = {
+                    date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
+                    payoutTable: this.settings.payoutTable,
+                    score: { ...this.score },
+                    sessionStats: { ...this.sessionStats },
+                    accuracy: this.getAccuracy(),
+                    performance: this.getPerformanceRating(),
+                    timestamp: Date.now()
+                };
+                
+                // Remove existing entry for today at this payout table and add new one
+                history = history.filter(entry =>
+                    entry.date !== sessionData.date || (entry.payoutTable || '3:2') !== sessionData.payoutTable
+                );
+                history.push(sessionData);
+                
+                // Keep only last 30 days
+                history = history.slice(-30);
+                
+                localStorage.setItem(historyKey, JSON.stringify(history));
+            }
+        } catch (error) {
+            console.warn('Could not save session history:', error);
+        }
+    }
+
+    /**
+     * Get session history
+     */
+    getSessionHistory() {
+        try {
+            const historyKey = 'blackjack-payout-trainer-history';
+            return JSON.parse(localStorage.getItem(historyKey) || '[]');
+        } catch (error) {
+            console.warn('Could not load session history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a finished blitz run. Blitz runs are kept apart from the practice
+     * history so timed play doesn't skew practice accuracy.
+     */
+    saveBlitzResult(summary) {
+        try {
+            const history = this.getBlitzHistory();
+            history.push({
+                ...summary,
+                payoutTable: this.settings.payoutTable,
+                scenarioType: this.settings.scenarioType,
+                date: new Date().toISOString().split('T')[0],
+                timestamp: Date.now()
+            });
+            localStorage.setItem('blackjack-payout-trainer-blitz', JSON.stringify(history.slice(-50)));
+        } catch (error) {
+            console.warn('Could not save blitz result:', error);
+        }
+    }
+
+    /**
+     * Get every saved blitz run, oldest first
+     */
+    getBlitzHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('blackjack-payout-trainer-blitz') || '[]');
+        } catch (error) {
+            console.warn('Could not load blitz history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the best blitz run of a given length at a payout table (null if none)
+     */
+    getBestBlitzRun(duration, payoutTable = this.settings.payoutTable) {
+        const runs = this.getBlitzHistory()
+            .filter(run => run.duration === duration && run.payoutTable === payoutTable)
+            .sort(BlitzRun.compare);
+        return runs[0] || null;
+    }
+
+    /**
+     * Save a graded exam. Only the summary is kept; the hand-by-hand report
+     * is printed at the end of the exam.
+     */
+    saveExamResult(result) {
+        try {
+            const { hands, ...summary } = result;
+            const history = this.getExamHistory();
+            history.push({ ...summary, timestamp: Date.now() });
+            localStorage.setItem('blackjack-payout-trainer-exams', JSON.stringify(history.slice(-50)));
+        } catch (error) {
+            console.warn('Could not save exam result:', error);
+        }
+    }
+
+    /**
+     * Get every saved exam result, oldest first
+     */
+    getExamHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('blackjack-payout-trainer-exams') || '[]');
+        } catch (error) {
+            console.warn('Could not load exam history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a trainee's official daily challenge result. An attempt is saved
+     * when it starts and again when it ends, so it replaces any earlier
+     * entry for the same day and profile.
+     */
+    saveDailyResult(result) {
+        try {
+            const history = this.getDailyHistory().filter(entry =>
+                !(entry.date === result.date && DailyChallenge.isSameProfile(entry.profile, result.profile)));
+            history.push({ ...result, timestamp: Date.now() });
+            localStorage.setItem('blackjack-payout-trainer-daily', JSON.stringify(history.slice(-500)));
+        } catch (error) {
+            console.warn('Could not save daily challenge result:', error);
+        }
+    }
+
+    /**
+     * Get every saved daily challenge result, oldest first
+     */
+    getDailyHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('blackjack-payout-trainer-daily') || '[]');
+        } catch (error) {
+            console.warn('Could not load daily challenge history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a profile's official result for a day (null if they haven't played)
+     */
+    getDailyResult(date, profile) {
+        return this.getDailyHistory().find(entry =>
+            entry.date === date && DailyChallenge.isSameProfile(entry.profile, profile)) || null;
+    }
+
+    /**
+     * Get a day's results, best first
+     */
+    getDailyLeaderboard(date) {
+        return this.getDailyHistory()
+            .filter(entry => entry.date === date)
+            .sort(DailyChallenge.compare);
+    }
+
+    /**
+     * Get progress summary, optionally limited to one payout table
+     */
+    getProgressSummary(payoutTable = null) {
+        const history = this.getSessionHistory()
+            .filter(session => !payoutTable || (session.payoutTable || '3:2') === payoutTable);
+        if (history.length === 0) return null;
+
+        const totalSessions = history.length;
+        const totalAttempts = history.reduce((sum, session) => sum + session.score.total, 0);
+        const totalCorrect = history.reduce((sum, session) => sum + session.score.correct, 0);
+        const averageAccuracy = totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0;
+        const bestAccuracy = Math.max(...history.map(session => session.accuracy));
+        const bestStreak = Math.max(...history.map(session => session.sessionStats.bestStreak));
+
+        return {
+            totalSessions,
+            totalAttempts,
+            totalCorrect,
+            averageAccuracy,
+            bestAccuracy,
+            bestStreak,
+            recentSessions: history.slice(-7) // Last 7 sessions
+        };
+    }
+
+    /**
+     * Load progress from localStorage
+     */
+    loadProgress() {
+        try {
+            const savedData = localStorage.getItem('blackjack-payout-trainer-progress');
+            if (savedData) {
+                const data = JSON.parse(savedData);
+                
+                // Only load if saved within last 24 hours at the same payout table
+                const hoursSinceLastSave = (Date.now() - data.timestamp) / (1000 * 60 * 60);
+                const sameTable = (data.payoutTable || '3:2') === this.settings.payoutTable;
+                if (hoursSinceLastSave < 24 && sameTable) {
+                    this.score = data.score || this.score;
+                    this.sessionStats = { ...this.sessionStats, ...data.sessionStats };
+                    console.log('Progress loaded from previous session');
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load progress from localStorage:', error);
+        }
+    }
+
+    /**
+     * Load the adaptive difficulty data saved for a payout table
+     */
+    loadAdaptiveData(payoutTable) {
+        try {
+            const data = JSON.parse(localStorage.getItem('blackjack-payout-trainer-adaptive') || '{}');
+            return data[payoutTable] || {};
+        } catch (error) {
+            console.warn('Could not load adaptive difficulty data:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save adaptive difficulty data for a payout table
+     */
+    saveAdaptiveData(payoutTable, adaptive) {
+        try {
+            const data = JSON.parse(localStorage.getItem('blackjack-payout-trainer-adaptive') || '{}');
+            data[payoutTable] = adaptive.toJSON();
+            localStorage.setItem('blackjack-payout-trainer-adaptive', JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save adaptive difficulty data:', error);
+        }
+    }
+
+    /**
+     * Load the saved progress through the curriculum lessons
+     */
+    loadCurriculumProgress() {
+        try {
+            return JSON.parse(localStorage.getItem('blackjack-payout-trainer-curriculum') || '{}');
+        } catch (error) {
+            console.warn('Could not load curriculum progress:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save progress through the curriculum lessons
+     */
+    saveCurriculumProgress(curriculum) {
+        try {
+            localStorage.setItem('blackjack-payout-trainer-curriculum', JSON.stringify(curriculum.toJSON()));
+        } catch (error) {
+            console.warn('Could not save curriculum progress:', error);
+        }
+    }
+
+    /**
+     * Load the queue of missed hands waiting for review
+     */
+    loadReviewQueue() {
+        try {
+            return JSON.parse(localStorage.getItem('blackjack-payout-trainer-review') || '{}');
+        } catch (error) {
+            console.warn('Could not load review queue:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the queue of missed hands
+     */
+    saveReviewQueue(reviewQueue) {
+        try {
+            localStorage.setItem('blackjack-payout-trainer-review', JSON.stringify(reviewQueue.toJSON()));
+        } catch (error) {
+            console.warn('Could not save review queue:', error);
+        }
+    }
+
+    /**
+     * Clear saved progress
+     */
+    clearSavedProgress() {
+        try {
+            localStorage.removeItem('blackjack-payout-trainer-progress');
+            console.log('Saved progress cleared');
+        } catch (error) {
+            console.warn('Could not clear saved progress:', error);
+        }
+    }
+
+    /**
+     * Run unit tests for game state management
+     */
+    runTests() {
+        console.log('Running GameState tests...');
+
+        // Test score tracking
+        const initialCorrect = this.score.correct;
+        this.recordCorrect();
+        console.assert(this.score.correct === initialCorrect + 1, 'Should increment correct score');
+
+        // Test accuracy calculation
+        this.score.correct = 8;
+        this.score.total = 10;
+        console.assert(this.getAccuracy() === 80, 'Should calculate 80% accuracy');
+
+        // Test phase transitions
+        this.gamePhase = 'waiting';
+        console.assert(this.isInPhase('waiting'), 'Should be in waiting phase');
+
+        // Test performance rating
+        this.score.correct = 95;
+        this.score.total = 100;
+        const rating = this.getPerformanceRating();
+        console.assert(rating.rating === 'Excellent', 'Should get excellent rating for 95%');
+
+        console.log('GameState tests passed!');
+    }
+}
+
+// Hand timings kept for the session's timing distribution
+GameState.MAX_HAND_TIMES = 200;
+
+/**
+ * Chip Data Model
+ * Represents a single chip with its properties and state
+ */
+class Chip {
+    constructor(value, color, label) {
+        this.value = value;
+        this.color = color;
+        this.label = label;
+        this.count = Chip.UNLIMITED_COUNT; // Available chips in tray
+        this.selected = 0; // Currently selected chips
+        this.id = `chip-${value.toString().replace('.', '-')}`;
+    }
+
+    /**
+     * Check if chip can be selected
+     */
+    canSelect() {
+        return this.count > this.selected;
+    }
+
+    /**
+     * Select one chip
+     */
+    select() {
+        if (this.canSelect()) {
+            this.selected++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Deselect one chip
+     */
+    deselect() {
+        if (this.selected > 0) {
+            this.selected--;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get total value of selected chips
+     */
+    getSelectedValue() {
+        return this.value * this.selected;
+    }
+
+    /**
+     * Reset selection
+     */
+    resetSelection() {
+        this.selected = 0;
+    }
+}
+
+// Chips available of each denomination when the tray isn't a finite bank
+Chip.UNLIMITED_COUNT = 50;
+
+/**
+ * Chip Bank Class
+ * The ledger for a finite chip tray over a shift: what it opened with, fills
+ * from the cage, chips paid out and losing bets collected
+ */
+class ChipBank {
+    constructor(rack = ChipBank.STANDARD_RACK) {
+        this.rack = rack.map(tube => ({ ...tube }));
+        this.openingBalance = this.rack.reduce((total, tube) => total + tube.value * tube.count, 0);
+        this.fills = [];
+        this.paidOut = 0;
+        this.collected = 0;
+    }
+
+    /**
+     * Get the number of chips of a denomination in a full rack
+     */
+    getRackCount(value) {
+        const tube = this.rack.find(rackTube => rackTube.value === value);
+        return tube ? tube.count : 0;
+    }
+
+    /**
+     * Record chips paid out to players
+     */
+    recordPayout(amount) {
+        this.paidOut += amount;
+    }
+
+    /**
+     * Record losing bets collected into the tray
+     */
+    recordCollection(amount) {
+        this.collected += amount;
+    }
+
+    /**
+     * Record a fill brought to the table
+     */
+    recordFill(amount) {
+        this.fills.push({ amount, time: Date.now() });
+    }
+
+    /**
+     * Get the total of every fill this shift
+     */
+    getFillTotal() {
+        return this.fills.reduce((total, fill) => total + fill.amount, 0);
+    }
+
+    /**
+     * Get what the tray should hold according to the ledger
+     */
+    getExpectedBalance() {
+        return Math.round((this.openingBalance + this.getFillTotal() + this.collected - this.paidOut) * 100) / 100;
+    }
+
+    /**
+     * Compare the ledger with the value of the tray as the dealer counted it
+     */
+    reconcile(countedBalance) {
+        const expectedBalance = this.getExpectedBalance();
+        const difference = Math.round((countedBalance - expectedBalance) * 100) / 100;
+        return {
+            openingBalance: this.openingBalance,
+            fillTotal: this.getFillTotal(),
+            fillCount: this.fills.length,
+            collected: this.collected,
+            paidOut: this.paidOut,
+            expectedBalance,
+            countedBalance,
+            difference,
+            isBalanced: Math.abs(difference) < 0.01
+        };
+    }
+}
+
+// A dealer's opening rack - small enough that busy shifts run short of chips
+ChipBank.STANDARD_RACK = [
+    { value: 1, count: 40 },
+    { value: 2.50, count: 20 },
+    { value: 5, count: 60 },
+    { value: 25, count: 40 },
+    { value: 100, count: 20 },
+    { value: 500, count: 4 },
+    { value: 1000, count: 2 }
+];
+
+/**
+ * Chip Management Module
+ * Handles chip denominations, visual representations, and selection logic
+ */
+class ChipManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.chips = [
+            new Chip(1, 'chip-1', '$1'),
+            new Chip(2.50, 'chip-2-50', '$2.50'),
+            new Chip(5, 'chip-5', '$5'),
+            new Chip(25, 'chip-25', '$25'),
+            new Chip(100, 'chip-100', '$100'),
+            new Chip(500, 'chip-500', '$500'),
+            new Chip(1000, 'chip-1000', '$1000')
+        ];
+        this.chipElements = new Map();
+        this.payoutAreaElement = null;
+        this.bank = null; // ChipBank when the tray is finite
+    }
+
+    /**
+     * Start a shift with a finite tray filled from the rack
+     */
+    enableBank(rack = ChipBank.STANDARD_RACK) {
+        this.bank = new ChipBank(rack);
+        this.chips.forEach(chip => {
+            chip.count = this.bank.getRackCount(chip.value);
+            this.updateChipVisuals(chip);
+        });
+    }
+
+    /**
+     * Go back to an unlimited tray
+     */
+    disableBank() {
+        this.bank = null;
+        this.chips.forEach(chip => {
+            chip.count = Chip.UNLIMITED_COUNT;
+            this.updateChipVisuals(chip);
+        });
+    }
+
+    /**
+     * Get the value of every chip in the tray (including any being selected)
+     */
+    getTrayBalance() {
+        return Math.round(this.chips.reduce((total, chip) => total + chip.value * chip.count, 0) * 100) / 100;
+    }
+
+    /**
+     * Remove the selected chips from a finite tray once they are paid out
+     */
+    payOutSelected() {
+        if (!this.bank) return 0;
+
+        const amount = this.getTotalValue();
+        this.chips.forEach(chip => {
+            chip.count -= chip.selected;
+            chip.selected = 0;
+            this.updateChipVisuals(chip);
+        });
+        this.bank.recordPayout(amount);
+        return amount;
+    }
+
+    /**
+     * Remove a payout that wasn't picked from a finite tray (a typed answer),
+     * paid with the fewest chips the tray holds. A tray that can't make the
+     * amount is left as it is.
+     */
+    payOutAmount(amount) {
+        if (!this.bank) return 0;
+
+        const chipsNeeded = new ChipSolver(this.chips).solve(amount);
+        if (!chipsNeeded) return 0;
+
+        this.chips.forEach(chip => {
+            const needed = chipsNeeded.find(item => item.chip === chip);
+            chip.selected = needed ? needed.count : 0;
+        });
+        return this.payOutSelected();
+    }
+
+    /**
+     * Put collected chips ([{ value, count }]) into a finite tray
+     */
+    collectChips(chipTypes) {
+        if (!this.bank) return 0;
+
+        let amount = 0;
+        chipTypes.forEach(chipType => {
+            const chip = this.chips.find(trayChip => trayChip.value === chipType.value);
+            if (chip) {
+                chip.count += chipType.count;
+                amount += chipType.value * chipType.count;
+                this.updateChipVisuals(chip);
+            }
+        });
+        this.bank.recordCollection(amount);
+        return amount;
+    }
+
+    /**
+     * Break one chip into smaller chips of equal value
+     */
+    makeChange(fromValue, intoValue) {
+        const fromChip = this.chips.find(chip => chip.value === fromValue);
+        const intoChip = this.chips.find(chip => chip.value === intoValue);
+        const ratio = fromValue / intoValue;
+        if (!this.bank || !fromChip || !intoChip || !Number.isInteger(ratio) || !fromChip.canSelect()) {
+            return false;
+        }
+
+        fromChip.count--;
+        intoChip.count += ratio;
+        this.updateChipVisuals(fromChip);
+        this.updateChipVisuals(intoChip);
+        return true;
+    }
+
+    /**
+     * Restock every short denomination back to a full rack; returns the fill amount
+     */
+    fillRack() {
+        if (!this.bank) return 0;
+
+        let amount = 0;
+        this.chips.forEach(chip => {
+            const shortfall = this.bank.getRackCount(chip.value) - chip.count;
+            if (shortfall > 0) {
+                chip.count += shortfall;
+                amount += shortfall * chip.value;
+                this.updateChipVisuals(chip);
+            }
+        });
+        if (amount > 0) {
+            this.bank.recordFill(amount);
+        }
+        return amount;
+    }
+
+    /**
+     * Reconcile the tray against the shift ledger from the dealer's count of
+     * it ([{ value, count }]). The counted total is checked against the
+     * ledger, and each denomination against the chips left in the tray.
+     */
+    reconcileBank(countedChips) {
+        if (!this.bank) return null;
+
+        const countOf = value => {
+            const counted = countedChips.find(chipType => chipType.value === value);
+            return counted ? counted.count : 0;
+        };
+        const countedBalance = Math.round(this.chips.reduce((total, chip) => total + chip.value * countOf(chip.value), 0) * 100) / 100;
+        const miscounts = this.chips
+            .filter(chip => countOf(chip.value) !== chip.count)
+            .map(chip => ({ label: chip.label, counted: countOf(chip.value), actual: chip.count }));
+        return { ...this.bank.reconcile(countedBalance), miscounts };
+    }
+
+    /**
+     * Initialize the chip tray display
+     */
+    initializeChipTray() {
+        const chipTray = document.getElementById('chip-tray');
+        if (!chipTray) return;
+
+        chipTray.innerHTML = '';
+        this.chipElements.clear();
+        
+        this.chips.forEach((chip, index) => {
+            const chipContainer = document.createElement('div');
+            chipContainer.className = 'chip-container';
+            chipContainer.dataset.number = (index + 1).toString();
+            
+            const chipElement = document.createElement('div');
+            chipElement.className = `chip ${chip.color}`;
+            chipElement.dataset.value = chip.value;
+            chipElement.innerHTML = chip.label;
+            chipElement.title = `Select ${chip.label} chip (${chip.count - chip.selected} available) - Press ${index + 1}`;
+            chipElement.id = chip.id;
+            chipElement.tabIndex = 0; // Make focusable for keyboard navigation
+            chipElement.setAttribute('role', 'button');
+            chipElement.setAttribute('aria-pressed', 'false');
+            chipElement.setAttribute('aria-describedby', `chip-help-${chip.id}`);
+            
+            // Add click event listener
+            chipElement.addEventListener('click', (e) => this.selectChip(chip, e));
+            
+            // Add keyboard event listener
+            chipElement.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.selectChip(chip, e);
+                } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.focusNextChip(index);
+                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.focusPreviousChip(index);
+                }
+            });
+            
+            // Add focus event listener for screen reader announcements
+            chipElement.addEventListener('focus', () => {
+                this.announceChipFocus(chip);
+            });
+            
+            // Add hover effects
+            chipElement.addEventListener('mouseenter', () => this.showChipHover(chipElement, chip));
+            chipElement.addEventListener('mouseleave', () => this.hideChipHover(chipElement));
+            
+            chipContainer.appendChild(chipElement);
+            chipTray.appendChild(chipContainer);
+            
+            this.chipElements.set(chip.id, chipElement);
+        });
+
+        // Initialize payout area reference
+        this.payoutAreaElement = document.getElementById('payout-chips');
+    }
+
+    /**
+     * Handle chip selection with visual feedback
+     */
+    selectChip(chip, event) {
+        if (!chip.canSelect()) {
+            this.showFeedback(this.bank ?
+                `Out of ${chip.label} chips - make change or call for a fill` :
+                'No more chips of this denomination available', 'error');
+            return;
+        }
+
+        // Select the chip
+        if (chip.select()) {
+            // Update visual feedback
+            this.updateChipVisuals(chip);
+            
+            // Add chip to payout area
+            this.addChipToPayoutArea(chip);
+            
+            // Update game state
+            if (this.gameState) {
+                this.gameState.recordFirstChip();
+                this.gameState.updateSelectedChips(this.getSelectedChips());
+                this.gameState.updatePayoutTotal(this.getTotalValue());
+            }
+
+            // Visual selection feedback
+            const chipElement = this.chipElements.get(chip.id);
+            if (chipElement) {
+                chipElement.classList.add('chip-selected');
+                chipElement.setAttribute('aria-pressed', 'true');
+                setTimeout(() => {
+                    chipElement.classList.remove('chip-selected');
+                    chipElement.setAttribute('aria-pressed', 'false');
+                }, 200);
+            }
+
+            // Announce selection to screen readers
+            const totalValue = this.getTotalValue();
+            this.announceToScreenReader(`${chip.label} chip selected. ${chip.selected} selected. Payout total: $${totalValue.toFixed(2)}`);
+
+            // Play selection sound effect (placeholder)
+            this.playChipSound();
+        }
+    }
+
+    /**
+     * Add selected chip to payout area with stacking
+     */
+    addChipToPayoutArea(chip) {
+        if (!this.payoutAreaElement) return;
+
+        // Find existing stack for this chip type or create new one
+        let chipStack = this.payoutAreaElement.querySelector(`[data-chip-type="${chip.id}"]`);
+        
+        if (!chipStack) {
+            // Create new chip stack
+            chipStack = document.createElement('div');
+            chipStack.className = 'chip-stack';
+            chipStack.dataset.chipType = chip.id;
+            chipStack.dataset.count = '0';
+            this.payoutAreaElement.appendChild(chipStack);
+        }
+
+        // Create the chip element
+        const payoutChip = document.createElement('div');
+        payoutChip.className = `chip ${chip.color} payout-chip`;
+        payoutChip.dataset.value = chip.value;
+        payoutChip.innerHTML = chip.label;
+        payoutChip.title = `Click to remove ${chip.label} chip`;
+        
+        // Add click handler to remove chip
+        payoutChip.addEventListener('click', () => this.removeChipFromPayout(chip, payoutChip, chipStack));
+        
+        // Calculate stacking position
+        const currentCount = parseInt(chipStack.dataset.count);
+        const stackOffset = currentCount * 3; // 3px offset per chip
+        
+        // Position the chip in the stack
+        payoutChip.style.position = 'relative';
+        payoutChip.style.zIndex = currentCount + 1;
+        payoutChip.style.marginTop = currentCount > 0 ? `-${77 - stackOffset}px` : '0';
+        payoutChip.style.marginLeft = currentCount > 0 ? `${stackOffset}px` : '0';
+        
+        // Add with animation
+        payoutChip.style.opacity = '0';
+        payoutChip.style.transform = 'scale(0.8) translateY(20px)';
+        chipStack.appendChild(payoutChip);
+        
+        // Update stack count
+        chipStack.dataset.count = (currentCount + 1).toString();
+        
+        // Add stack count indicator
+        this.updateStackCountIndicator(chipStack, chip);
+        
+        // Animate in
+        requestAnimationFrame(() => {
+            payoutChip.style.transition = 'all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
+            payoutChip.style.opacity = '1';
+            payoutChip.style.transform = 'scale(1) translateY(0)';
+        });
+
+        // Add chip movement sound effect
+        this.playChipStackSound();
+    }
+
+    /**
+     * Remove chip from payout area with stack management
+     */
+    removeChipFromPayout(chip, chipElement, chipStack) {
+        if (chip.deselect()) {
+            // Animate out
+            chipElement.style.transition = 'all 0.3s ease';
+            chipElement.style.opacity = '0';
+            chipElement.style.transform = 'scale(0.8) translateY(-20px)';
+            
+            setTimeout(() => {
+                if (chipElement.parentNode) {
+                    chipElement.parentNode.removeChild(chipElement);
+                    
+                    // Update stack count
+                    const currentCount = parseInt(chipStack.dataset.count) - 1;
+                    chipStack.dataset.count = currentCount.toString();
+                    
+                    // Remove stack if empty
+                    if (currentCount === 0) {
+                        chipStack.remove();
+                    } else {
+                        // Update stack count indicator
+                        this.updateStackCountIndicator(chipStack, chip);
+                        // Reposition remaining chips in stack
+                        this.repositionChipsInStack(chipStack);
+                    }
+                }
+            }, 300);
+
+            // Update visuals and state
+            this.updateChipVisuals(chip);
+            
+            if (this.gameState) {
+                this.gameState.updateSelectedChips(this.getSelectedChips());
+                this.gameState.updatePayoutTotal(this.getTotalValue());
+            }
+
+            // Play removal sound
+            this.playChipRemoveSound();
+        }
+    }
+
+    /**
+     * Update stack count indicator
+     */
+    updateStackCountIndicator(chipStack, chip) {
+        const count = parseInt(chipStack.dataset.count);
+        
+        // Remove existing indicator
+        const existingIndicator = chipStack.querySelector('.stack-count');
+        if (existingIndicator) {
+            existingIndicator.remove();
+        }
+        
+        // Add new indicator if more than 1 chip
+        if (count > 1) {
+            const indicator = document.createElement('div');
+            indicator.className = 'stack-count';
+            indicator.textContent = count;
+            indicator.title = `${count} × ${chip.label} = $${(count * chip.value).toFixed(2)}`;
+            chipStack.appendChild(indicator);
+        }
+    }
+
+    /**
+     * Reposition chips in a stack after removal
+     */
+    repositionChipsInStack(chipStack) {
+        const chips = chipStack.querySelectorAll('.payout-chip');
+        chips.forEach((chipElement, index) => {
+            const stackOffset = index * 3;
+            chipElement.style.zIndex = index + 1;
+            chipElement.style.marginTop = index > 0 ? `-${77 - stackOffset}px` : '0';
+            chipElement.style.marginLeft = index > 0 ? `${stackOffset}px` : '0';
+        });
+    }
+
+    /**
+     * Update chip visual state
+     */
+    updateChipVisuals(chip) {
+        const chipElement = this.chipElements.get(chip.id);
+        if (!chipElement) return;
+
+        // Update tooltip
+        chipElement.title = `Select ${chip.label} chip (${chip.count - chip.selected} available)`;
+        
+        // A finite tray shows how many of each chip are left
+        const chipContainer = chipElement.parentElement;
+        if (chipContainer && chipContainer.dataset) {
+            if (this.bank) {
+                chipContainer.dataset.available = chip.count - chip.selected;
+            } else {
+                delete chipContainer.dataset.available;
+            }
+        }
+        
+        // Update visual state based on availability
+        if (!chip.canSelect()) {
+            chipElement.classList.add('chip-unavailable');
+        } else {
+            chipElement.classList.remove('chip-unavailable');
+        }
+
+        // Show selection count if any selected
+        if (chip.selected > 0) {
+            chipElement.classList.add('chip-has-selection');
+            chipElement.dataset.selectedCount = chip.selected;
+        } else {
+            chipElement.classList.remove('chip-has-selection');
+            delete chipElement.dataset.selectedCount;
+        }
+    }
+
+    /**
+     * Show hover feedback
+     */
+    showChipHover(chipElement, chip) {
+        chipElement.style.transform = 'translateY(-3px) scale(1.05)';
+        
+        // Show denomination info
+        const info = document.createElement('div');
+        info.className = 'chip-hover-info';
+        info.innerHTML = `${chip.label}<br>Available: ${chip.count - chip.selected}`;
+        info.style.position = 'absolute';
+        info.style.bottom = '100%';
+        info.style.left = '50%';
+        info.style.transform = 'translateX(-50%)';
+        info.style.background = 'rgba(0,0,0,0.8)';
+        info.style.color = 'white';
+        info.style.padding = '5px 10px';
+        info.style.borderRadius = '5px';
+        info.style.fontSize = '0.8rem';
+        info.style.whiteSpace = 'nowrap';
+        info.style.zIndex = '1000';
+        
+        chipElement.style.position = 'relative';
+        chipElement.appendChild(info);
+    }
+
+    /**
+     * Hide hover feedback
+     */
+    hideChipHover(chipElement) {
+        chipElement.style.transform = '';
+        
+        const hoverInfo = chipElement.querySelector('.chip-hover-info');
+        if (hoverInfo) {
+            hoverInfo.remove();
+        }
+    }
+
+    /**
+     * Get all selected chips
+     */
+    getSelectedChips() {
+        return this.chips.filter(chip => chip.selected > 0);
+    }
+
+    /**
+     * Get total value of selected chips
+     */
+    getTotalValue() {
+        return this.chips.reduce((total, chip) => total + chip.getSelectedValue(), 0);
+    }
+
+    /**
+     * Clear all selections with animation
+     */
+    clearAllSelections() {
+        // Animate out all payout chips
+        const payoutChips = this.payoutAreaElement ? 
+            this.payoutAreaElement.querySelectorAll('.payout-chip') : [];
+        
+        payoutChips.forEach((chipElement, index) => {
+            setTimeout(() => {
+                chipElement.style.transition = 'all 0.3s ease';
+                chipElement.style.opacity = '0';
+                chipElement.style.transform = 'scale(0.8) translateY(-20px)';
+            }, index * 50); // Stagger the animations
+        });
+
+        // Clear chip selections and update visuals
+        setTimeout(() => {
+            this.chips.forEach(chip => {
+                chip.resetSelection();
+                this.updateChipVisuals(chip);
+            });
+
+            // Clear payout area
+            if (this.payoutAreaElement) {
+                this.payoutAreaElement.innerHTML = '';
+            }
+
+            // Update game state
+            if (this.gameState) {
+                this.gameState.updateSelectedChips([]);
+                this.gameState.updatePayoutTotal(0);
+            }
+        }, payoutChips.length * 50 + 300);
+    }
+
+    /**
+     * Get total count of selected chips
+     */
+    getTotalChipCount() {
+        return this.chips.reduce((total, chip) => total + chip.selected, 0);
+    }
+
+    /**
+     * Get selected chips breakdown
+     */
+    getSelectedChipsBreakdown() {
+        return this.chips
+            .filter(chip => chip.selected > 0)
+            .map(chip => ({
+                denomination: chip.label,
+                count: chip.selected,
+                value: chip.value,
+                totalValue: chip.getSelectedValue()
+            }));
+    }
+
+    /**
+     * Play chip selection sound (placeholder)
+     */
+    playChipSound() {
+        // Placeholder for sound effect
+        console.log('Chip selection sound');
+    }
+
+    /**
+     * Play chip stacking sound (placeholder)
+     */
+    playChipStackSound() {
+        // Placeholder for sound effect
+        console.log('Chip stack sound');
+    }
+
+    /**
+     * Play chip removal sound (placeholder)
+     */
+    playChipRemoveSound() {
+        // Placeholder for sound effect
+        console.log('Chip remove sound');
+    }
+
+    /**
+     * Show feedback message
+     */
+    showFeedback(message, type) {
+        // This will be enhanced when feedback system is implemented
+        console.log(`${type.toUpperCase()}: ${message}`);
+    }
+
+    /**
+     * Get chip by value
+     */
+    getChipByValue(value) {
+        return this.chips.find(chip => chip.value === value);
+    }
+
+    /**
+     * Focus next chip for keyboard navigation
+     */
+    focusNextChip(currentIndex) {
+        const nextIndex = (currentIndex + 1) % this.chips.length;
+        const nextChip = this.chips[nextIndex];
+        const nextElement = this.chipElements.get(nextChip.id);
+        if (nextElement) {
+            nextElement.focus();
+        }
+    }
+
+    /**
+     * Focus previous chip for keyboard navigation
+     */
+    focusPreviousChip(currentIndex) {
+        const prevIndex = currentIndex === 0 ? this.chips.length - 1 : currentIndex - 1;
+        const prevChip = this.chips[prevIndex];
+        const prevElement = this.chipElements.get(prevChip.id);
+        if (prevElement) {
+            prevElement.focus();
+        }
+    }
+
+    /**
+     * Announce chip focus for screen readers
+     */
+    announceChipFocus(chip) {
+        const announcement = `${chip.label} chip. ${chip.count - chip.selected} available. ${chip.selected} selected. Press Enter or Space to select.`;
+        this.announceToScreenReader(announcement);
+    }
+
+    /**
+     * Announce message to screen readers
+     */
+    announceToScreenReader(message) {
+        // Create or update screen reader announcement element
+        let announcer = document.getElementById('screen-reader-announcer');
+        if (!announcer) {
+            announcer = document.createElement('div');
+            announcer.id = 'screen-reader-announcer';
+            announcer.setAttribute('aria-live', 'assertive');
+            announcer.setAttribute('aria-atomic', 'true');
+            announcer.style.position = 'absolute';
+            announcer.style.left = '-10000px';
+            announcer.style.width = '1px';
+            announcer.style.height = '1px';
+            announcer.style.overflow = 'hidden';
+            document.body.appendChild(announcer);
+        }
+        
+        // Clear and set new message
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Validate if current selection matches target amount
+     */
+    validateSelection(targetAmount) {
+        const currentTotal = this.getTotalValue();
+        return Math.abs(currentTotal - targetAmount) < 0.01; // Account for floating point precision
+    }
+}
+
+// Ways to break a chip into the tray's smaller chips when a denomination runs out
+ChipManager.CHANGE_OPTIONS = [
+    { from: 5, into: 1 },
+    { from: 5, into: 2.50 },
+    { from: 25, into: 5 },
+    { from: 100, into: 25 },
+    { from: 500, into: 100 },
+    { from: 1000, into: 500 }
+];
+
+/**
+ * Card Class
+ * Represents a playing card with suit and rank
+ */
+class Card {
+    constructor(suit, rank) {
+        this.suit = suit;
+        this.rank = rank;
+        this.value = this.getCardValue();
+        this.display = this.getDisplayString();
+    }
+
+    /**
+     * Get the blackjack value of the card
+     */
+    getCardValue() {
+        if (this.rank === 'A') return 11; // Ace high initially
+        if (['K', 'Q', 'J'].includes(this.rank)) return 10;
+        return parseInt(this.rank);
+    }
+
+    /**
+     * Get display string for the card
+     */
+    getDisplayString() {
+        const suitSymbols = {
+            'hearts': '♥',
+            'diamonds': '♦',
+            'clubs': '♣',
+            'spades': '♠'
+        };
+        return `${this.rank}${suitSymbols[this.suit]}`;
+    }
+
+    /**
+     * Check if card is an Ace
+     */
+    isAce() {
+        return this.rank === 'A';
+    }
+
+    /**
+     * Get the card colour ('red' or 'black')
+     */
+    getColor() {
+        return ['hearts', 'diamonds'].includes(this.suit) ? 'red' : 'black';
+    }
+
+    /**
+     * Get the rank order for straights (ace low = 1 through king = 13)
+     */
+    getRankOrder() {
+        return Card.RANKS.indexOf(this.rank) + 1;
+    }
+}
+
+Card.RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+Card.SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+/**
+ * Hand Class
+ * Represents a blackjack hand with cards and value calculation
+ */
+class Hand {
+    constructor() {
+        this.cards = [];
+        this.value = 0;
+        this.softAces = 0;
+        this.isBlackjack = false;
+        this.isBust = false;
+        this.isSplitHand = false; // 21 on a split hand is not a blackjack
+    }
+
+    /**
+     * Add a card to the hand
+     */
+    addCard(card) {
+        this.cards.push(card);
+        this.calculateValue();
+    }
+
+    /**
+     * Calculate the hand value considering Aces
+     */
+    calculateValue() {
+        this.value = 0;
+        this.softAces = 0;
+
+        // Add up all card values
+        for (const card of this.cards) {
+            this.value += card.value;
+            if (card.isAce()) {
+                this.softAces++;
+            }
+        }
+
+        // Convert Aces from 11 to 1 if needed
+        while (this.value > 21 && this.softAces > 0) {
+            this.value -= 10;
+            this.softAces--;
+        }
+
+        // Check for blackjack (21 with exactly 2 cards, not after a split)
+        this.isBlackjack = (this.value === 21 && this.cards.length === 2 && !this.isSplitHand);
+        
+        // Check for bust
+        this.isBust = (this.value > 21);
+    }
+
+    /**
+     * Get the display value of the hand
+     */
+    getDisplayValue() {
+        if (this.isBust) return `${this.value} (BUST)`;
+        if (this.isBlackjack) return `${this.value} (BLACKJACK)`;
+        return this.value.toString();
+    }
+
+    /**
+     * Get cards display string
+     */
+    getCardsDisplay() {
+        return this.cards.map(card => card.display).join(' ');
+    }
+
+    /**
+     * Check if hand is soft (contains usable Ace)
+     */
+    isSoft() {
+        return this.softAces > 0;
+    }
+}
+
+/**
+ * Played Hand Class
+ * A player hand together with the bet riding on it (doubled or split hands)
+ */
+class PlayedHand {
+    constructor(hand, betAmount, options = {}) {
+        this.hand = hand;
+        this.betAmount = betAmount; // Total riding on the hand, including any double
+        this.doubled = options.doubled || false;
+        this.fromSplit = options.fromSplit || false;
+        this.result = null;
+    }
+
+    /**
+     * Get the original bet before any double down
+     */
+    getBaseBet() {
+        return this.doubled ? this.betAmount / 2 : this.betAmount;
+    }
+}
+
+/**
+ * Shoe Class
+ * A dealing shoe of one or more decks. Cards are dealt continuously from hand
+ * to hand; when the cut card comes out the current round is finished and the
+ * shoe is shuffled before the next one.
+ */
+class Shoe {
+    constructor(settings = {}, random = new SeededRandom(SeededRandom.createSeed())) {
+        this.random = random;
+        this.shuffleCount = 0;
+        this.roundCards = [];
+        this.configure(settings);
+    }
+
+    /**
+     * Set the number of decks and the cut-card penetration, then shuffle a fresh shoe
+     */
+    configure({ deckCount = this.deckCount, penetration = this.penetration } = {}) {
+        this.deckCount = Shoe.DECK_COUNTS.includes(Number(deckCount)) ? Number(deckCount) : Shoe.DEFAULT_SETTINGS.deckCount;
+        this.penetration = Shoe.PENETRATIONS.includes(Number(penetration)) ? Number(penetration) : Shoe.DEFAULT_SETTINGS.penetration;
+
+        this.allCards = [];
+        for (let deck = 0; deck < this.deckCount; deck++) {
+            Card.SUITS.forEach(suit => Card.RANKS.forEach(rank => this.allCards.push(new Card(suit, rank))));
+        }
+        this.shuffle();
+    }
+
+    /**
+     * Get the settings needed to build the same kind of shoe
+     */
+    getSettings() {
+        return { deckCount: this.deckCount, penetration: this.penetration };
+    }
+
+    /**
+     * Shuffle every card that isn't in play back into the shoe and place the cut card
+     */
+    shuffle(inPlay = []) {
+        this.cards = this.allCards.filter(card => !inPlay.includes(card));
+        for (let i = this.cards.length - 1; i > 0; i--) {
+            const j = this.random.int(i + 1);
+            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+        }
+
+        // Cards are dealt from the end of the array; the cut card sits this many cards from the back
+        this.cutCardPosition = Math.round(this.allCards.length * (1 - this.penetration));
+        this.cutCardReached = false;
+        this.shuffleCount++;
+    }
+
+    /**
+     * Start a new round, shuffling first if the cut card came out last round.
+     * Returns true when the shoe was shuffled.
+     */
+    startRound() {
+        this.roundCards = [];
+        if (!this.cutCardReached) return false;
+
+        this.shuffle();
+        return true;
+    }
+
+    /**
+     * Deal the top card of the shoe
+     */
+    deal() {
+        return this.dealMatching(() => true);
+    }
+
+    /**
+     * Deal the card nearest the top of the shoe that matches. Cards passed
+     * over stay in the shoe in order, so a drill that needs a particular card
+     * changes only the order cards come out in - never what is in the shoe.
+     */
+    dealMatching(predicate) {
+        let index = this.findFromTop(predicate);
+        if (index < 0) {
+            // Dealt out mid-round: the discards are shuffled back in without the cards on the table
+            this.shuffle(this.roundCards);
+            index = this.findFromTop(predicate);
+        }
+        if (index < 0) {
+            throw new Error('No matching card left in the shoe');
+        }
+
+        const [card] = this.cards.splice(index, 1);
+        this.roundCards.push(card);
+        if (this.cards.length <= this.cutCardPosition) {
+            this.cutCardReached = true;
+        }
+        return card;
+    }
+
+    /**
+     * Find the index of the matching card nearest the top of the shoe (-1 if none)
+     */
+    findFromTop(predicate) {
+        for (let i = this.cards.length - 1; i >= 0; i--) {
+            if (predicate(this.cards[i])) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Get how far through the shoe dealing is
+     */
+    getStatus() {
+        return {
+            deckCount: this.deckCount,
+            penetration: this.penetration,
+            cardsRemaining: this.cards.length,
+            totalCards: this.allCards.length,
+            cutCardReached: this.cutCardReached
+        };
+    }
+}
+
+Shoe.DECK_COUNTS = [1, 2, 6, 8];
+// Share of the shoe dealt before the cut card comes out
+Shoe.PENETRATIONS = [0.5, 0.65, 0.75, 0.85];
+Shoe.DEFAULT_SETTINGS = { deckCount: 6, penetration: 0.75 };
+
+/**
+ * Table Rules Class
+ * Describes the house rules a table is dealt under (blackjack payout ratio)
+ */
+class TableRules {
+    constructor(options = {}) {
+        this.blackjackPayout = TableRules.BLACKJACK_PAYOUTS[options.blackjackPayout] ?
+            options.blackjackPayout : '3:2';
+        // Side bet odds, e.g. { 'perfect-pairs': { 'perfect-pair': 30 } } to match a house's pay table
+        this.sideBetOdds = options.sideBetOdds || {};
+        // Dealer rules (see TableRules.SOFT_17_RULES and TableRules.HOLE_CARD_RULES)
+        this.soft17 = TableRules.SOFT_17_RULES[options.soft17] ? options.soft17 : 'S17';
+        this.holeCard = TableRules.HOLE_CARD_RULES[options.holeCard] ? options.holeCard : 'peek';
+    }
+
+    /**
+     * Check if the dealer draws on a hand: below 17, or on a soft 17 at an H17 table
+     */
+    dealerHits(dealerHand) {
+        if (dealerHand.value < 17) return true;
+        return dealerHand.value === 17 && dealerHand.isSoft() && this.soft17 === 'H17';
+    }
+
+    /**
+     * Check if the dealer peeks for blackjack before the players act
+     */
+    dealerPeeks() {
+        return this.holeCard === 'peek';
+    }
+
+    /**
+     * Get a short description of the dealer rules, e.g. "H17 · No hole card"
+     */
+    getDealerRulesLabel() {
+        return `${this.soft17} · ${TableRules.HOLE_CARD_RULES[this.holeCard].shortLabel}`;
+    }
+
+    /**
+     * Get the blackjack payout definition for this table
+     */
+    getBlackjackPayout() {
+        return TableRules.BLACKJACK_PAYOUTS[this.blackjackPayout];
+    }
+
+    /**
+     * Get the multiplier applied to the bet for a blackjack
+     */
+    getBlackjackMultiplier() {
+        return this.getBlackjackPayout().multiplier;
+    }
+
+    /**
+     * Get the payout multipliers for every result type
+     */
+    getPayoutRules() {
+        return {
+            blackjack: this.getBlackjackMultiplier(),
+            win: 1.0,        // 1:1 payout
+            push: 0.0,       // Return original bet (no additional payout)
+            lose: 0.0,       // No payout
+            surrender: 0.0   // Half the bet is collected, half returned (no payout)
+        };
+    }
+
+    /**
+     * Get the bet multiple required for blackjacks to pay in whole chips
+     */
+    getBetMultiple() {
+        return this.getBlackjackPayout().betMultiple;
+    }
+
+    /**
+     * Calculate the blackjack payout for a bet, rounded to cents
+     */
+    calculateBlackjackPayout(betAmount) {
+        return Math.round(betAmount * this.getBlackjackMultiplier() * 100) / 100;
+    }
+
+    /**
+     * Work back from a blackjack payout to the bet it pays. Returns null when
+     * no bet in whole betUnits (1 for whole dollars, 0.5 with half-dollar
+     * bets) pays exactly that amount.
+     */
+    findBlackjackBet(payout, betUnit = 1) {
+        const bet = Math.round(payout / this.getBlackjackMultiplier() * 100) / 100;
+        const units = bet / betUnit;
+        const wholeUnits = Math.abs(units - Math.round(units)) < 1e-9;
+        return bet > 0 && wholeUnits && this.calculateBlackjackPayout(bet) === payout ? bet : null;
+    }
+
+    /**
+     * Split a surrendered bet into the half the house collects and the half
+     * returned to the player. An odd cent stays with the player.
+     */
+    calculateSurrenderAmounts(betAmount) {
+        const collected = Math.floor(betAmount * 50) / 100;
+        return { collected, returned: Math.round((betAmount - collected) * 100) / 100 };
+    }
+
+    /**
+     * Get the pay table for a side bet, with any house odds applied
+     */
+    getSideBetPayTable(sideBetType) {
+        const overrides = this.sideBetOdds[sideBetType] || {};
+        return TableRules.SIDE_BETS[sideBetType].payTable.map(entry => ({
+            ...entry,
+            odds: overrides[entry.outcome] !== undefined ? overrides[entry.outcome] : entry.odds
+        }));
+    }
+
+    /**
+     * Get a side bet's odds in pay table order, e.g. '25/12/6' (see TableRules.SIDE_BET_PAY_TABLES)
+     */
+    getSideBetOddsKey(sideBetType) {
+        return this.getSideBetPayTable(sideBetType).map(entry => entry.odds).join('/');
+    }
+
+    /**
+     * Build the odds overrides for a side bet from odds listed in pay table order
+     */
+    static createSideBetOdds(sideBetType, odds) {
+        return Object.fromEntries(TableRules.SIDE_BETS[sideBetType].payTable.map((entry, index) => [entry.outcome, odds[index]]));
+    }
+}
+
+// Whether the dealer draws or stands on a soft 17 (an ace counted as 11)
+TableRules.SOFT_17_RULES = {
+    S17: { label: 'Stands on soft 17' },
+    H17: { label: 'Hits soft 17' }
+};
+
+// With a peek the dealer checks for blackjack before anyone acts, so doubles and
+// splits are never made into a dealer blackjack. With no hole card (European) the
+// dealer's second card comes after the players act, and a dealer blackjack takes
+// every bet on the hand - doubles and splits included.
+TableRules.HOLE_CARD_RULES = {
+    peek: { label: 'Peek for blackjack', shortLabel: 'Peek' },
+    enhc: { label: 'No hole card (ENHC)', shortLabel: 'No hole card' }
+};
+
+// Supported blackjack payout tables. 6:5 and 7:5 games only take bets in
+// multiples of $5 so the payout can always be made with table chips.
+TableRules.BLACKJACK_PAYOUTS = {
+    '3:2': { ratio: '3:2', multiplier: 1.5, betMultiple: 1, label: '3:2 (Standard)' },
+    '6:5': { ratio: '6:5', multiplier: 1.2, betMultiple: 5, label: '6:5' },
+    '7:5': { ratio: '7:5', multiplier: 1.4, betMultiple: 5, label: '7:5' },
+    '2:1': { ratio: '2:1', multiplier: 2.0, betMultiple: 1, label: '2:1 (Promotion)' }
+};
+
+// Side bets settled on the player's first two cards (and the dealer upcard for 21+3).
+// Each pay table lists its winning outcomes from best to worst; odds are X to 1.
+TableRules.SIDE_BETS = {
+    'perfect-pairs': {
+        label: 'Perfect Pairs',
+        payTable: [
+            { outcome: 'perfect-pair', label: 'Perfect Pair', odds: 25 },
+            { outcome: 'colored-pair', label: 'Colored Pair', odds: 12 },
+            { outcome: 'mixed-pair', label: 'Mixed Pair', odds: 6 }
+        ]
+    },
+    '21+3': {
+        label: '21+3',
+        payTable: [
+            { outcome: 'suited-trips', label: 'Suited Trips', odds: 100 },
+            { outcome: 'straight-flush', label: 'Straight Flush', odds: 40 },
+            { outcome: 'three-of-a-kind', label: 'Three of a Kind', odds: 30 },
+            { outcome: 'straight', label: 'Straight', odds: 10 },
+            { outcome: 'flush', label: 'Flush', odds: 5 }
+        ]
+    }
+};
+
+// House pay tables offered for each side bet, odds in pay table order. The
+// first is the standard table above.
+TableRules.SIDE_BET_PAY_TABLES = {
+    'perfect-pairs': [
+        { odds: [25, 12, 6], label: '25/12/6 (Standard)' },
+        { odds: [30, 10, 5], label: '30/10/5' },
+        { odds: [25, 10, 5], label: '25/10/5' }
+    ],
+    '21+3': [
+        { odds: [100, 40, 30, 10, 5], label: '100/40/30/10/5 (Standard)' },
+        { odds: [9, 9, 9, 9, 9], label: '9:1 on any win (Classic)' }
+    ]
+};
+
+/**
+ * Side Bet Class
+ * A side bet and its outcome, evaluated from the cards it is settled on
+ */
+class SideBet {
+    constructor(type, amount, cards, tableRules = new TableRules()) {
+        this.type = type;
+        this.amount = amount;
+        this.cards = cards; // Player's first two cards, then the dealer upcard
+        this.label = TableRules.SIDE_BETS[type].label;
+        this.payTable = tableRules.getSideBetPayTable(type);
+        this.outcome = this.evaluate();
+    }
+
+    /**
+     * Evaluate the winning outcome for the bet, or null if it loses
+     */
+    evaluate() {
+        switch (this.type) {
+            case 'perfect-pairs':
+                return this.evaluatePerfectPairs(this.cards[0], this.cards[1]);
+            case '21+3':
+                return this.evaluateTwentyOnePlusThree(this.cards.slice(0, 3));
+            default:
+                console.warn(`Unknown side bet type: ${this.type}`);
+                return null;
+        }
+    }
+
+    /**
+     * Perfect Pairs: same suit, same colour or any pair of the player's two cards
+     */
+    evaluatePerfectPairs(first, second) {
+        if (first.rank !== second.rank) return null;
+        if (first.suit === second.suit) return 'perfect-pair';
+        if (first.getColor() === second.getColor()) return 'colored-pair';
+        return 'mixed-pair';
+    }
+
+    /**
+     * 21+3: the three cards scored as a three-card poker hand
+     */
+    evaluateTwentyOnePlusThree(cards) {
+        const isFlush = cards.every(card => card.suit === cards[0].suit);
+        const isTrips = cards.every(card => card.rank === cards[0].rank);
+        const orders = cards.map(card => card.getRankOrder()).sort((a, b) => a - b);
+        const isRun = orders[1] === orders[0] + 1 && orders[2] === orders[1] + 1;
+        // Aces play high as well as low (Q-K-A)
+        const isStraight = isRun || (orders[0] === 1 && orders[1] === 12 && orders[2] === 13);
+
+        if (isTrips && isFlush) return 'suited-trips';
+        if (isStraight && isFlush) return 'straight-flush';
+        if (isTrips) return 'three-of-a-kind';
+        if (isStraight) return 'straight';
+        if (isFlush) return 'flush';
+        return null;
+    }
+
+    /**
+     * Get the cards the bet is settled on (two for Perfect Pairs, three for 21+3)
+     */
+    getCardsDisplay() {
+        return this.cards.slice(0, this.type === '21+3' ? 3 : 2).map(card => card.display).join(' ');
+    }
+
+    /**
+     * Check if the side bet wins
+     */
+    isWin() {
+        return this.outcome !== null;
+    }
+
+    /**
+     * Get the pay table entry for the outcome (null on a loss)
+     */
+    getPayTableEntry() {
+        return this.payTable.find(entry => entry.outcome === this.outcome) || null;
+    }
+
+    /**
+     * Get the odds paid on the outcome (0 on a loss)
+     */
+    getOdds() {
+        const entry = this.getPayTableEntry();
+        return entry ? entry.odds : 0;
+    }
+
+    /**
+     * Calculate the payout on the side bet from its pay table (odds are X to 1)
+     */
+    calculatePayout() {
+        return Math.round(this.amount * this.getOdds() * 100) / 100;
+    }
+
+    /**
+     * Get the outcome display string
+     */
+    getOutcomeDisplay() {
+        const entry = this.getPayTableEntry();
+        return entry ? `${entry.label} (${entry.odds}:1)` : 'No win';
+    }
+}
+
+/**
+ * Blackjack Scenario Class
+ * Represents a complete blackjack scenario for practice
+ */
+class BlackjackScenario {
+    constructor(playerHand, dealerHand, betAmount, tableRules = new TableRules(), options = {}) {
+        this.playerHand = playerHand;
+        this.dealerHand = dealerHand;
+        this.betAmount = betAmount;
+        this.tableRules = tableRules;
+        this.insuranceBet = options.insuranceBet || 0; // Side bet against a dealer ace
+        this.evenMoney = options.evenMoney || false;   // Player blackjack paid 1:1 against a dealer ace
+        this.surrendered = options.surrendered || false; // Player gave up half the bet instead of playing
+        // Reverse drill ({ shownPayout, betUnit }): the payout is already made and the bet is read back from it
+        this.reverse = options.reverse || null;
+        // Every hand the player has in action with its own bet (more than one after a split)
+        this.playerHands = options.playerHands || [new PlayedHand(playerHand, betAmount)];
+        this.playerHands.forEach(played => {
+            // A surrendered hand is settled before the cards are compared
+            played.result = this.surrendered ? 'surrender' : this.determineHandResult(played.hand);
+        });
+        this.result = this.determineResult();
+        this.insuranceResult = this.determineInsuranceResult();
+        // Side bets ({ type, amount }) are settled on the first two player cards and the dealer upcard
+        const sideBetCards = [playerHand.cards[0], playerHand.cards[1], dealerHand.cards[0]];
+        this.sideBets = (options.sideBets || []).map(({ type, amount }) =>
+            new SideBet(type, amount, sideBetCards, tableRules)
+        );
+        this.correctPayout = this.calculateCorrectPayout();
+        this.payoutRatio = this.getPayoutRatio();
+    }
+
+    /**
+     * Get plain data that deals this exact scenario again (see fromJSON):
+     * the cards, every bet and the table rules it was settled under
+     */
+    toJSON() {
+        const cards = hand => hand.cards.map(card => ({ suit: card.suit, rank: card.rank }));
+        return {
+            tableRules: {
+                blackjackPayout: this.tableRules.blackjackPayout,
+                soft17: this.tableRules.soft17,
+                holeCard: this.tableRules.holeCard,
+                sideBetOdds: this.tableRules.sideBetOdds
+            },
+            betAmount: this.betAmount,
+            dealerCards: cards(this.dealerHand),
+            playerHands: this.playerHands.map(played => ({
+                cards: cards(played.hand),
+                betAmount: played.betAmount,
+                doubled: played.doubled,
+                fromSplit: played.fromSplit,
+                isSplitHand: played.hand.isSplitHand
+            })),
+            insuranceBet: this.insuranceBet,
+            evenMoney: this.evenMoney,
+            surrendered: this.surrendered,
+            reverse: this.reverse,
+            sideBets: this.sideBets.map(sideBet => ({ type: sideBet.type, amount: sideBet.amount }))
+        };
+    }
+
+    /**
+     * Rebuild a scenario from the data saved by toJSON
+     */
+    static fromJSON(data) {
+        const buildHand = (cards, isSplitHand = false) => {
+            const hand = new Hand();
+            hand.isSplitHand = isSplitHand;
+            cards.forEach(card => hand.addCard(new Card(card.suit, card.rank)));
+            return hand;
+        };
+        const playerHands = data.playerHands.map(played => new PlayedHand(
+            buildHand(played.cards, played.isSplitHand), played.betAmount, { doubled: played.doubled, fromSplit: played.fromSplit }
+        ));
+
+        return new BlackjackScenario(playerHands[0].hand, buildHand(data.dealerCards), data.betAmount, new TableRules(data.tableRules), {
+            playerHands,
+            insuranceBet: data.insuranceBet,
+            evenMoney: data.evenMoney,
+            surrendered: data.surrendered,
+            reverse: data.reverse,
+            sideBets: data.sideBets
+        });
+    }
+
+    /**
+     * Check if the player split into more than one hand
+     */
+    isSplit() {
+        return this.playerHands.length > 1;
+    }
+
+    /**
+     * Check if the player has more than a single flat bet (split or doubled)
+     */
+    isMultiHand() {
+        return this.isSplit() || this.playerHands[0].doubled;
+    }
+
+    /**
+     * Get the total amount wagered across all player hands
+     */
+    getTotalBet() {
+        return this.playerHands.reduce((total, played) => total + played.betAmount, 0);
+    }
+
+    /**
+     * Check if the scenario has an insurance or even money decision
+     */
+    hasInsurance() {
+        return this.insuranceBet > 0 || this.evenMoney;
+    }
+
+    /**
+     * Check if the scenario has side bets to settle
+     */
+    hasSideBets() {
+        return this.sideBets.length > 0;
+    }
+
+    /**
+     * Calculate the payout on every side bet (paid separately from the main bet)
+     */
+    calculateSideBetPayout() {
+        return this.sideBets.reduce((total, sideBet) => total + sideBet.calculatePayout(), 0);
+    }
+
+    /**
+     * Get the halves of a surrendered bet: { collected, returned }
+     */
+    getSurrenderAmounts() {
+        return this.tableRules.calculateSurrenderAmounts(this.betAmount);
+    }
+
+    /**
+     * Determine the overall result: the single hand's result, or 'split'
+     */
+    determineResult() {
+        return this.isSplit() ? 'split' : this.playerHands[0].result;
+    }
+
+    /**
+     * Determine the result of a player hand by comparing it with the dealer hand
+     */
+    determineHandResult(player) {
+        const dealer = this.dealerHand;
+
+        // Busts and naturals settle the hand before totals are compared
+        if (player.isBust) return 'lose';
+        if (player.isBlackjack && dealer.isBlackjack) return 'push';
+        if (player.isBlackjack) return 'blackjack';
+        if (dealer.isBlackjack) return 'lose';
+        if (dealer.isBust) return 'win';
+
+        if (player.value > dealer.value) return 'win';
+        if (player.value < dealer.value) return 'lose';
+        return 'push';
+    }
+
+    /**
+     * Determine the insurance result: insurance wins only if the dealer has blackjack
+     */
+    determineInsuranceResult() {
+        if (this.insuranceBet <= 0) return null;
+        return this.dealerHand.isBlackjack ? 'win' : 'lose';
+    }
+
+    /**
+     * Calculate the insurance payout (2:1 on the insurance bet)
+     */
+    calculateInsurancePayout() {
+        return this.insuranceResult === 'win' ? this.insuranceBet * 2 : 0;
+    }
+
+    /**
+     * Calculate the correct payout amount for the hand result, including insurance
+     */
+    calculateCorrectPayout() {
+        // Even money is paid before the dealer checks the hole card
+        if (this.evenMoney) return this.betAmount;
+
+        return this.calculateMainPayout() + this.calculateInsurancePayout();
+    }
+
+    /**
+     * Calculate the payout on the main bet alone (every player hand)
+     */
+    calculateMainPayout() {
+        return this.playerHands.reduce((total, played) => total + this.calculateHandPayout(played), 0);
+    }
+
+    /**
+     * Calculate the payout on a single player hand and the bet riding on it
+     */
+    calculateHandPayout(played) {
+        switch (played.result) {
+            case 'blackjack':
+                return this.tableRules.calculateBlackjackPayout(played.betAmount);
+            case 'win':
+                return played.betAmount;
+            default:
+                return 0; // Push returns the bet, lose or surrender takes it - no payout either way
+        }
+    }
+
+    /**
+     * Describe why a hand resolved the way it did
+     */
+    getOutcomeReason(player = this.playerHand) {
+        const dealer = this.dealerHand;
+
+        if (this.surrendered) return `Player surrenders ${player.value} against a dealer ${dealer.cards[0].rank}`;
+        if (player.isBust) return `Player busts with ${player.value}`;
+        if (player.isBlackjack && dealer.isBlackjack) return 'Both player and dealer have blackjack';
+        if (player.isBlackjack) return 'Player has blackjack (21 with 2 cards)';
+        if (dealer.isBlackjack) {
+            return this.isMultiHand() && !this.tableRules.dealerPeeks() ?
+                'Dealer draws to blackjack with no hole card - doubled and split bets lose too' : 'Dealer has blackjack';
+        }
+        if (dealer.isBust) return `Dealer busts with ${dealer.value}`;
+        if (player.value > dealer.value) return `Player ${player.value} beats dealer ${dealer.value}`;
+        if (player.value < dealer.value) return `Dealer ${dealer.value} beats player ${player.value}`;
+        return `Tie game (both have ${player.value})`;
+    }
+
+    /**
+     * Get the payout ratio string
+     */
+    getPayoutRatio() {
+        if (this.evenMoney) return '1:1 (Even Money)';
+        if (this.insuranceResult === 'win') return 'Insurance 2:1';
+        if (this.isSplit()) return 'Per hand';
+
+        switch (this.result) {
+            case 'blackjack':
+                return this.tableRules.blackjackPayout;
+            case 'win':
+                return '1:1';
+            case 'push':
+                return 'Push';
+            case 'lose':
+                return 'Lose';
+            case 'surrender':
+                return 'Half bet';
+            default:
+                return 'Unknown';
+        }
+    }
+
+    /**
+     * Get result display string
+     */
+    getResultDisplay() {
+        if (this.evenMoney) return 'EVEN MONEY';
+
+        let display = this.getMainResultDisplay();
+        if (this.insuranceResult) {
+            display = `INSURANCE ${this.insuranceResult === 'win' ? 'WINS' : 'LOSES'} · ${display}`;
+        }
+        this.sideBets.forEach(sideBet => {
+            display += ` · ${sideBet.label.toUpperCase()}: ${sideBet.isWin() ? sideBet.getPayTableEntry().label.toUpperCase() : 'LOSES'}`;
+        });
+        return display;
+    }
+
+    /**
+     * Get result display string for the main bet
+     */
+    getMainResultDisplay() {
+        if (this.isSplit()) {
+            return `SPLIT: ${this.playerHands.map(played => this.getHandResultDisplay(played.result)).join(' / ')}`;
+        }
+        if (this.playerHands[0].doubled) {
+            return `DOUBLE DOWN · ${this.getHandResultDisplay(this.result)}`;
+        }
+        return this.getHandResultDisplay(this.result);
+    }
+
+    /**
+     * Get result display string for a single hand result
+     */
+    getHandResultDisplay(result) {
+        switch (result) {
+            case 'blackjack':
+                return 'BLACKJACK!';
+            case 'win':
+                return 'WIN';
+            case 'push':
+                return 'PUSH';
+            case 'lose':
+                return 'LOSE';
+            case 'surrender':
+                return 'SURRENDER';
+            default:
+                return 'UNKNOWN';
+        }
+    }
+}
+
+/**
+ * Color Up Scenario Class
+ * A pile of small chips to exchange for the fewest larger chips of equal value
+ */
+class ColorUpScenario {
+    constructor(pile) {
+        this.pile = pile; // [{ value, color, label, count }], largest denomination first
+        this.totalValue = pile.reduce((total, chipType) => total + chipType.value * chipType.count, 0);
+        this.betAmount = this.totalValue;
+        this.correctPayout = this.totalValue;
+        this.result = 'color-up';
+        this.payoutRatio = 'Color up';
+        this.sideBets = [];
+    }
+
+    /**
+     * Count the chips in the pile
+     */
+    getPileChipCount() {
+        return this.pile.reduce((total, chipType) => total + chipType.count, 0);
+    }
+
+    /**
+     * Get result display string
+     */
+    getResultDisplay() {
+        return 'COLOR UP';
+    }
+}
+
+// Small chips a color-up pile is made of
+ColorUpScenario.PILE_CHIPS = [
+    { value: 25, color: 'chip-25', label: '$25' },
+    { value: 5, color: 'chip-5', label: '$5' },
+    { value: 1, color: 'chip-1', label: '$1' }
+];
+
+/**
+ * Table Round Class
+ * One round at a full table: every seat played against the same dealer hand.
+ * Seats are dealt from first base (the dealer's left) and settled right to
+ * left, from third base back to first base.
+ */
+class TableRound {
+    constructor(dealerHand, seats) {
+        this.dealerHand = dealerHand;
+        this.seats = seats; // A BlackjackScenario per seat, first base first
+        this.activeSeatIndex = seats.length - 1;
+        this.seatResults = seats.map(() => ({ attempts: 0, settled: false, firstTry: false }));
+        this.startTime = Date.now();
+        this.endTime = null;
+    }
+
+    /**
+     * Get the scenario for the seat being settled
+     */
+    getActiveSeat() {
+        return this.seats[this.activeSeatIndex];
+    }
+
+    /**
+     * Check if the active seat is the last one to settle (first base)
+     */
+    isLastSeat() {
+        return this.activeSeatIndex === 0;
+    }
+
+    /**
+     * Get where the active seat comes in the settling order (1 for third base)
+     */
+    getSettlePosition() {
+        return this.seats.length - this.activeSeatIndex;
+    }
+
+    /**
+     * Record an attempt at settling the active seat
+     */
+    recordSeatAttempt(isCorrect) {
+        const seatResult = this.seatResults[this.activeSeatIndex];
+        seatResult.attempts++;
+        if (isCorrect) {
+            seatResult.settled = true;
+            seatResult.firstTry = seatResult.attempts === 1;
+        }
     }
 
     /**
-     * Submit payout attempt
+     * Move on to the next seat toward first base
      */
-    submitPayout() {
-        const currentScenario = this.gameState.currentScenario;
-        if (!currentScenario) {
-            this.feedbackSystem.showFeedback('No scenario available. Please reset the game.', 'error');
-            return;
+    advanceSeat() {
+        if (!this.isLastSeat()) {
+            this.activeSeatIndex--;
         }
+        return this.getActiveSeat();
+    }
 
-        const totalPayout = this.chipManager.getTotalValue();
-        console.log(`Payout submitted: $${totalPayout.toFixed(2)}`);
-        
-        // Since we're always doing blackjack now, remove lose scenario handling
-
-        // Validate the payout with performance monitoring
-        const startTime = performance.now();
-        const validation = this.payoutCalculator.validatePayout(currentScenario, totalPayout);
-        const endTime = performance.now();
-        
-        // Track performance
-        this.performanceMetrics.payoutValidationTimes.push(endTime - startTime);
-        
-        if (validation.isCorrect) {
-            // Correct payout
-            this.gameState.enterFeedbackPhase();
-            this.gameState.recordCorrect();
-            this.feedbackSystem.showValidationResult(validation, currentScenario);
-            
-            // Show payout breakdown faster
-            const breakdown = this.payoutCalculator.getPayoutBreakdown(currentScenario);
-            setTimeout(() => {
-                this.feedbackSystem.showPayoutExplanation(currentScenario, breakdown);
-            }, 500);
-            
-            // Generate new scenario much faster for rapid practice
-            setTimeout(() => this.generateNewScenario(), 1000);
-            
-        } else {
-            // Incorrect payout
-            this.gameState.enterFeedbackPhase();
-            this.gameState.recordIncorrect();
-            this.feedbackSystem.showValidationResult(validation, currentScenario);
-            
-            // Show optimal chip combination
-            const optimalChips = this.payoutCalculator.calculateOptimalChips(
-                validation.correctAmount, 
-                this.chipManager.chips
-            );
-            
-            if (optimalChips) {
-                setTimeout(() => {
-                    const chipSuggestion = optimalChips.map(item => 
-                        `${item.count}x ${item.chip.label}`
-                    ).join(', ');
-                    
-                    this.feedbackSystem.showFeedback(`
-                        <h4>💡 Try: ${chipSuggestion}</h4>
-                        <p>Correct answer: $${validation.correctAmount.toFixed(2)} (3:2 payout)</p>
-                        <div class="progress-stats">
-                            <div class="stat-item">
-                                <span class="stat-label">Accuracy:</span>
-                                <span class="stat-value">${this.gameState.getAccuracy()}%</span>
-                            </div>
-                            <div class="stat-item">
-                                <span class="stat-label">Streak Reset:</span>
-                                <span class="stat-value">0</span>
-                            </div>
-                        </div>
-                        <p style="color: #d4af37; font-style: italic;">Clear and try again quickly!</p>
-                    `, 'info');
-                }, 400);
-            }
-        }
+    /**
+     * Check if every seat has been settled
+     */
+    isComplete() {
+        return this.seatResults.every(seatResult => seatResult.settled);
     }
 
     /**
-     * Clear payout selection
+     * Mark the round finished and return the time it took in milliseconds
      */
-    clearPayout() {
-        console.log('Clearing payout selection...');
-        this.chipManager.clearAllSelections();
-        this.feedbackSystem.showFeedback('Payout selection cleared.', 'info');
+    finish() {
+        this.endTime = Date.now();
+        return this.getRoundTime();
     }
 
     /**
-     * Generate and display a new scenario with performance monitoring
+     * Get the time spent on the round so far (or in total once finished)
      */
-    generateNewScenario() {
-        try {
-            const startTime = performance.now();
-            const scenario = this.scenarioManager.generateScenario();
-            const endTime = performance.now();
-            
-            // Track performance
-            this.performanceMetrics.scenarioGenerationTimes.push(endTime - startTime);
-            
-            this.gameState.setCurrentScenario(scenario);
-            this.displayScenario(scenario);
-            this.chipManager.clearAllSelections();
-            
-            // Log performance if it's slow
-            const generationTime = endTime - startTime;
-            if (generationTime > 50) {
-                console.warn(`Slow scenario generation: ${generationTime.toFixed(2)}ms`);
-            }
-        } catch (error) {
-            console.error('Error generating scenario:', error);
-            this.feedbackSystem.showFeedback(`
-                <h4>❌ Scenario Generation Error</h4>
-                <p>Failed to generate a new scenario. Please try again.</p>
-                <button onclick="window.blackjackTrainer.generateNewScenario()" class="submit-btn">Try Again</button>
-            `, 'error');
-        }
+    getRoundTime() {
+        return (this.endTime || Date.now()) - this.startTime;
     }
 
     /**
-     * Display the current scenario in the UI with animations
+     * Count the seats settled correctly on the first attempt
      */
-    displayScenario(scenario) {
-        // Add faster transition class to game table
-        const gameTable = document.querySelector('.game-table');
-        if (gameTable) {
-            gameTable.classList.add('scenario-transition');
-            setTimeout(() => gameTable.classList.remove('scenario-transition'), 400);
-        }
+    getFirstTryCount() {
+        return this.seatResults.filter(seatResult => seatResult.firstTry).length;
+    }
+}
 
-        // Update dealer cards with faster animation
-        const dealerCards = document.getElementById('dealer-cards');
-        if (dealerCards) {
-            dealerCards.style.opacity = '0';
-            dealerCards.style.transform = 'translateY(-5px)';
-            
-            setTimeout(() => {
-                dealerCards.innerHTML = `
-                    <div class="hand-display">
-                        <div class="cards">${scenario.dealerHand.getCardsDisplay()}</div>
-                        <div class="hand-value">${scenario.dealerHand.getDisplayValue()}</div>
-                    </div>
-                `;
-                
-                dealerCards.style.transition = 'all 0.2s ease';
-                dealerCards.style.opacity = '1';
-                dealerCards.style.transform = 'translateY(0)';
-            }, 50);
-        }
+/**
+ * Blitz Run Class
+ * A timed run of continuous scenarios: every hand counts once, right or wrong,
+ * and the run ends when the clock does
+ */
+class BlitzRun {
+    constructor(duration = BlitzRun.DURATIONS[0]) {
+        this.duration = duration; // Seconds
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.handsPaid = 0;
+        this.correct = 0;
+        this.totalTime = 0;
+        this.currentStreak = 0;
+        this.bestStreak = 0;
+    }
 
-        // Update player cards with faster animation
-        const playerCards = document.getElementById('player-cards');
-        if (playerCards) {
-            playerCards.style.opacity = '0';
-            playerCards.style.transform = 'translateY(-5px)';
-            
-            setTimeout(() => {
-                playerCards.innerHTML = `
-                    <div class="hand-display">
-                        <div class="cards">${scenario.playerHand.getCardsDisplay()}</div>
-                        <div class="hand-value">${scenario.playerHand.getDisplayValue()}</div>
-                    </div>
-                `;
-                
-                playerCards.style.transition = 'all 0.2s ease';
-                playerCards.style.opacity = '1';
-                playerCards.style.transform = 'translateY(0)';
-            }, 100);
+    /**
+     * Record a hand settled during the run
+     */
+    recordAttempt(isCorrect, responseTime) {
+        this.handsPaid++;
+        this.totalTime += responseTime;
+        if (isCorrect) {
+            this.correct++;
+            this.currentStreak++;
+            this.bestStreak = Math.max(this.bestStreak, this.currentStreak);
+        } else {
+            this.currentStreak = 0;
         }
+    }
 
-        // Update bet chips display with animation
-        const betChipsDisplay = document.getElementById('bet-chips');
-        if (betChipsDisplay) {
-            betChipsDisplay.style.transform = 'scale(0.8)';
-            betChipsDisplay.style.opacity = '0';
-            
-            setTimeout(() => {
-                // Calculate bet chips and organize them casino-style
-                const betChips = this.payoutCalculator.calculateBetChips(scenario.betAmount);
-                let chipsHtml = '';
-                
-                // Group chips by denomination and create proper casino-style stacks
-                betChips.forEach(chipType => {
-                    chipsHtml += `<div class="bet-chip-group">`;
-                    
-                    if (chipType.count <= 5) {
-                        // Small stack - show individual chips
-                        chipsHtml += `<div class="bet-chip-stack">`;
-                        for (let i = 0; i < chipType.count; i++) {
-                            chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${chipType.count - i}">${chipType.label}</div>`;
-                        }
-                        chipsHtml += `</div>`;
-                    } else {
-                        // Large stack - show as organized casino stack
-                        const fullStacks = Math.floor(chipType.count / 5);
-                        const remainder = chipType.count % 5;
-                        
-                        // Show full stacks of 5
-                        for (let stack = 0; stack < fullStacks; stack++) {
-                            chipsHtml += `<div class="bet-chip-stack casino-stack">`;
-                            for (let i = 0; i < 5; i++) {
-                                chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${5 - i}">${chipType.label}</div>`;
-                            }
-                            chipsHtml += `<div class="stack-count">5</div>`;
-                            chipsHtml += `</div>`;
-                        }
-                        
-                        // Show remainder chips
-                        if (remainder > 0) {
-                            chipsHtml += `<div class="bet-chip-stack">`;
-                            for (let i = 0; i < remainder; i++) {
-                                chipsHtml += `<div class="bet-chip ${chipType.color}" style="z-index: ${remainder - i}">${chipType.label}</div>`;
-                            }
-                            chipsHtml += `</div>`;
-                        }
-                    }
-                    
-                    chipsHtml += `</div>`;
-                });
-                
-                betChipsDisplay.innerHTML = chipsHtml;
-                betChipsDisplay.style.transition = 'all 0.2s ease';
-                betChipsDisplay.style.transform = 'scale(1)';
-                betChipsDisplay.style.opacity = '1';
-            }, 150);
-        }
+    /**
+     * Get the milliseconds left on the clock
+     */
+    getTimeRemaining(now = Date.now()) {
+        return Math.max(0, this.startTime + this.duration * 1000 - now);
+    }
 
-        // Update hand result with faster animation
-        const handResult = document.getElementById('hand-result');
-        if (handResult) {
-            handResult.style.transform = 'scale(0.9)';
-            handResult.style.opacity = '0';
-            
-            setTimeout(() => {
-                handResult.textContent = scenario.getResultDisplay();
-                handResult.className = `result-value result-${scenario.result}`;
-                handResult.style.transition = 'all 0.2s ease';
-                handResult.style.transform = 'scale(1)';
-                handResult.style.opacity = '1';
-                
-                // Add special effect for blackjack
-                if (scenario.result === 'blackjack') {
-                    handResult.style.animation = 'chipPulse 0.3s ease';
-                }
-            }, 200);
-        }
+    /**
+     * Check if the clock has run out
+     */
+    isOver(now = Date.now()) {
+        return this.getTimeRemaining(now) === 0;
+    }
 
-        // Update instruction with faster animation
-        const instruction = document.getElementById('payout-instruction-text');
-        if (instruction) {
-            instruction.style.opacity = '0';
-            
-            setTimeout(() => {
-                // Since we're always doing blackjack now
-                instruction.textContent = `Calculate the blackjack payout (${scenario.payoutRatio})`;
-                
-                instruction.style.transition = 'opacity 0.2s ease';
-                instruction.style.opacity = '1';
-            }, 250);
-        }
+    /**
+     * Stop the clock
+     */
+    finish() {
+        this.endTime = Date.now();
+    }
 
-        // Show current stats instead of scenario details for faster practice
-        setTimeout(() => {
-            const stats = this.gameState.getSessionStats();
-            const performance = this.gameState.getPerformanceRating();
-            
-            this.feedbackSystem.showFeedback(`
-                <h4>⚡ Speed Training Mode</h4>
-                <div class="progress-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Score:</span>
-                        <span class="stat-value">${this.gameState.score.correct}/${this.gameState.score.total}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Accuracy:</span>
-                        <span class="stat-value" style="color: ${performance.color}">${this.gameState.getAccuracy()}%</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Current Streak:</span>
-                        <span class="stat-value">${stats.currentStreak}</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Best Streak:</span>
-                        <span class="stat-value">${stats.bestStreak}</span>
-                    </div>
-                </div>
-                <p style="margin-top: 10px; font-style: italic; color: #d4af37;">Calculate 3:2 payout quickly! Required: $${scenario.correctPayout.toFixed(2)}</p>
-            `, 'info');
-        }, 200);
+    /**
+     * Get the end-of-run summary
+     */
+    getSummary() {
+        return {
+            duration: this.duration,
+            handsPaid: this.handsPaid,
+            correct: this.correct,
+            accuracy: this.handsPaid > 0 ? Math.round((this.correct / this.handsPaid) * 100) : 0,
+            averageTime: this.handsPaid > 0 ? Math.round(this.totalTime / this.handsPaid) : 0,
+            bestStreak: this.bestStreak
+        };
+    }
+
+    /**
+     * Rank two run summaries: most hands paid correctly, then accuracy
+     */
+    static compare(a, b) {
+        return b.correct - a.correct || b.accuracy - a.accuracy;
     }
 }
 
+// Run lengths in seconds
+BlitzRun.DURATIONS = [60, 120];
+
 /**
- * Game State Management Module
- * Manages the current state of the game including scenarios, selections, and scoring
+ * Exam Run Class
+ * A certification exam: a fixed number of hands against a time limit, each
+ * answered once with no feedback, graded against a pass threshold at the end
  */
-class GameState {
-    constructor() {
-        this.currentScenario = null;
-        this.selectedChips = [];
-        this.currentPayout = 0;
-        this.score = {
-            correct: 0,
-            total: 0,
-            accuracy: 0
-        };
-        this.gameActive = false;
-        this.uiController = null;
-        this.sessionStats = {
-            startTime: Date.now(),
-            scenariosCompleted: 0,
-            averageTime: 0,
-            bestStreak: 0,
-            currentStreak: 0
-        };
-        this.gamePhase = 'waiting'; // waiting, playing, feedback, complete
-        
-        // Load saved progress
-        this.loadProgress();
+class ExamRun {
+    constructor({ handCount, timeLimit, passThreshold, seed, table = null } = ExamRun.DEFAULT_SETTINGS) {
+        this.handCount = handCount;
+        this.timeLimit = timeLimit; // Seconds
+        this.passThreshold = passThreshold; // Percent of hands correct
+        this.seed = seed;
+        this.table = table; // Table the exam is dealt under (see BlackjackPayoutTrainer.getTableSetup)
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.hands = []; // One entry per answered hand, in order
     }
 
     /**
-     * Set UI controller reference
+     * Record an answered hand
      */
-    setUIController(uiController) {
-        this.uiController = uiController;
+    recordHand(entry) {
+        this.hands.push({ number: this.hands.length + 1, ...entry });
     }
 
     /**
-     * Update selected chips
+     * Check if every hand has been answered
      */
-    updateSelectedChips(chips) {
-        this.selectedChips = chips;
-        this.saveProgress();
+    isComplete() {
+        return this.hands.length >= this.handCount;
+    }
+
+    /**
+     * Get the milliseconds left before the time limit
+     */
+    getTimeRemaining(now = Date.now()) {
+        return Math.max(0, this.startTime + this.timeLimit * 1000 - now);
+    }
+
+    /**
+     * Check if the time limit has been reached
+     */
+    isTimeUp(now = Date.now()) {
+        return this.getTimeRemaining(now) === 0;
+    }
+
+    /**
+     * Stop the clock
+     */
+    finish() {
+        this.endTime = Date.now();
+    }
+
+    /**
+     * Grade the exam. Hands left unanswered when time ran out count as wrong.
+     */
+    getResult() {
+        const correct = this.hands.filter(hand => hand.isCorrect).length;
+        const answeredTime = this.hands.reduce((total, hand) => total + hand.time, 0);
+        const accuracy = Math.round((correct / this.handCount) * 100);
+        return {
+            handCount: this.handCount,
+            answered: this.hands.length,
+            correct,
+            accuracy,
+            passThreshold: this.passThreshold,
+            passed: accuracy >= this.passThreshold,
+            timedOut: !this.isComplete(),
+            timeLimit: this.timeLimit,
+            totalTime: (this.endTime || Date.now()) - this.startTime,
+            averageTime: this.hands.length > 0 ? Math.round(answeredTime / this.hands.length) : 0,
+            seed: this.seed,
+            hands: this.hands
+        };
+    }
+}
+
+ExamRun.DEFAULT_SETTINGS = { handCount: 20, timeLimit: 600, passThreshold: 90 };
+// Table a seeded exam is dealt under, so the seed alone decides the hands
+ExamRun.SHARED_TABLE = {
+    payoutTable: '3:2',
+    dealerRules: { soft17: 'S17', holeCard: 'peek' },
+    sideBetOdds: {},
+    scenarioType: 'mixed',
+    seatCount: 1,
+    betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 1, awkwardWeight: 0.5, halfDollarBets: false },
+    shoe: { deckCount: 6, penetration: 0.75 }
+};
+ExamRun.HAND_COUNTS = [10, 20, 50];
+// Time limits in seconds
+ExamRun.TIME_LIMITS = [300, 600, 900, 1800];
+
+/**
+ * Daily Challenge Class
+ * The same hands for everyone on a given day: the seed comes from the date
+ * and the hands are dealt up front under fixed table rules, so the
+ * trainee's own settings don't change them. Each correct hand scores 100
+ * points plus a speed bonus.
+ */
+class DailyChallenge {
+    constructor({ date = new Date(), profile = '', official = true } = {}) {
+        this.date = DailyChallenge.getDateKey(date);
+        this.seed = DailyChallenge.getSeed(this.date);
+        this.profile = profile;
+        this.official = official; // Only the first attempt of the day goes on the leaderboard
+        this.scenarios = DailyChallenge.dealHands(this.seed);
+        this.handCount = this.scenarios.length;
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.hands = []; // { isCorrect, time, points } for each answered hand
     }
 
     /**
-     * Update current payout total
+     * Get the day a date falls on (local time) as YYYY-MM-DD
      */
-    updatePayoutTotal(total) {
-        this.currentPayout = total;
-        if (this.uiController) {
-            this.uiController.updatePayoutTotal(total);
-        }
+    static getDateKey(date = new Date()) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
     }
 
     /**
-     * Set current scenario and transition to playing phase
+     * Get the seed for a day's challenge
      */
-    setCurrentScenario(scenario) {
-        this.currentScenario = scenario;
-        this.gamePhase = 'playing';
-        this.gameActive = true;
-        this.scenarioStartTime = Date.now();
-        this.saveProgress();
+    static getSeed(dateKey) {
+        return SeededRandom.normalizeSeed(`DAY-${dateKey}`);
     }
 
     /**
-     * Transition to feedback phase
+     * Deal the challenge hands from a seed under the fixed challenge rules
      */
-    enterFeedbackPhase() {
-        this.gamePhase = 'feedback';
-        this.gameActive = false;
+    static dealHands(seed) {
+        const scenarioManager = new ScenarioManager(new TableRules(DailyChallenge.TABLE_RULES), seed);
+        scenarioManager.setScenarioType(DailyChallenge.SCENARIO_TYPE);
+        scenarioManager.setBetSettings(DailyChallenge.BET_SETTINGS);
+        return Array.from({ length: DailyChallenge.HAND_COUNT }, () => scenarioManager.generateScenario());
     }
 
     /**
-     * Complete current scenario
+     * Score one hand: nothing for a miss, 100 for a correct settlement plus a
+     * bonus that shrinks to nothing at DailyChallenge.BONUS_TIME
      */
-    completeScenario() {
-        if (this.scenarioStartTime) {
-            const timeSpent = Date.now() - this.scenarioStartTime;
-            this.updateSessionStats(timeSpent);
-        }
-        this.sessionStats.scenariosCompleted++;
-        this.gamePhase = 'waiting';
-        this.saveProgress();
+    static scoreHand(isCorrect, time) {
+        if (!isCorrect) return 0;
+        const bonus = Math.max(0, 1 - time / DailyChallenge.BONUS_TIME);
+        return 100 + Math.round(DailyChallenge.MAX_SPEED_BONUS * bonus);
     }
 
     /**
-     * Update session statistics
+     * Get the hand to settle next (null once every hand is answered)
      */
-    updateSessionStats(timeSpent) {
-        const totalTime = this.sessionStats.averageTime * (this.sessionStats.scenariosCompleted - 1) + timeSpent;
-        this.sessionStats.averageTime = totalTime / this.sessionStats.scenariosCompleted;
+    getNextScenario() {
+        return this.scenarios[this.hands.length] || null;
     }
 
     /**
-     * Update the score display in the UI with animations
+     * Record the answer to the current hand
      */
-    updateScoreDisplay() {
-        const correctCount = document.getElementById('correct-count');
-        const totalCount = document.getElementById('total-count');
-        const accuracyPercent = document.getElementById('accuracy-percent');
-        const scoreDisplay = document.querySelector('.score-display');
-
-        // Add update animation
-        if (scoreDisplay) {
-            scoreDisplay.classList.add('score-update');
-            setTimeout(() => scoreDisplay.classList.remove('score-update'), 500);
-        }
-
-        if (correctCount) {
-            correctCount.style.transform = 'scale(1.2)';
-            correctCount.textContent = this.score.correct;
-            setTimeout(() => {
-                correctCount.style.transition = 'transform 0.3s ease';
-                correctCount.style.transform = 'scale(1)';
-            }, 100);
-        }
-
-        if (totalCount) {
-            totalCount.style.transform = 'scale(1.2)';
-            totalCount.textContent = this.score.total;
-            setTimeout(() => {
-                totalCount.style.transition = 'transform 0.3s ease';
-                totalCount.style.transform = 'scale(1)';
-            }, 150);
-        }
-
-        if (accuracyPercent) {
-            const accuracy = this.getAccuracy();
-            accuracyPercent.style.transform = 'scale(1.2)';
-            accuracyPercent.textContent = accuracy;
-            
-            // Add color coding for accuracy with animation
-            let color = '#ff6347';
-            if (accuracy >= 90) {
-                color = '#00ff00';
-            } else if (accuracy >= 70) {
-                color = '#ffd700';
-            }
-            
-            setTimeout(() => {
-                accuracyPercent.style.transition = 'all 0.3s ease';
-                accuracyPercent.style.transform = 'scale(1)';
-                accuracyPercent.style.color = color;
-            }, 200);
-        }
+    recordHand(isCorrect, time) {
+        this.hands.push({ isCorrect, time, points: DailyChallenge.scoreHand(isCorrect, time) });
     }
 
     /**
-     * Record a correct answer
+     * Check if every hand has been answered
      */
-    recordCorrect() {
-        this.score.correct++;
-        this.score.total++;
-        this.sessionStats.currentStreak++;
-        
-        // Update best streak
-        if (this.sessionStats.currentStreak > this.sessionStats.bestStreak) {
-            this.sessionStats.bestStreak = this.sessionStats.currentStreak;
-        }
-        
-        this.updateScoreDisplay();
-        this.completeScenario();
-        this.saveProgress();
+    isComplete() {
+        return this.hands.length >= this.handCount;
     }
 
     /**
-     * Record an incorrect answer
+     * Stop the clock
      */
-    recordIncorrect() {
-        this.score.total++;
-        this.sessionStats.currentStreak = 0; // Reset streak
-        this.updateScoreDisplay();
-        this.saveProgress();
+    finish() {
+        this.endTime = Date.now();
     }
 
     /**
-     * Reset the game state
+     * Get the result for the leaderboard. Hands left unanswered score nothing.
      */
-    reset() {
-        this.currentScenario = null;
-        this.selectedChips = [];
-        this.currentPayout = 0;
-        this.score = {
-            correct: 0,
-            total: 0,
-            accuracy: 0
-        };
-        this.sessionStats = {
-            startTime: Date.now(),
-            scenariosCompleted: 0,
-            averageTime: 0,
-            bestStreak: 0,
-            currentStreak: 0
+    getResult() {
+        const correct = this.hands.filter(hand => hand.isCorrect).length;
+        return {
+            date: this.date,
+            seed: this.seed,
+            profile: this.profile,
+            handCount: this.handCount,
+            answered: this.hands.length,
+            correct,
+            accuracy: Math.round((correct / this.handCount) * 100),
+            totalTime: (this.endTime || Date.now()) - this.startTime,
+            score: this.hands.reduce((total, hand) => total + hand.points, 0)
         };
-        this.gameActive = false;
-        this.gamePhase = 'waiting';
-        this.updateScoreDisplay();
-        this.saveProgress();
     }
 
     /**
-     * Get current accuracy percentage
+     * Rank two results: highest score, then the faster total time
      */
-    getAccuracy() {
-        return this.score.total > 0 ? 
-            Math.round((this.score.correct / this.score.total) * 100) : 0;
+    static compare(a, b) {
+        return b.score - a.score || a.totalTime - b.totalTime;
     }
 
     /**
-     * Get session statistics
+     * Check if two profile names are the same trainee (case and spacing aside)
      */
-    getSessionStats() {
-        const sessionTime = Date.now() - this.sessionStats.startTime;
-        return {
-            ...this.sessionStats,
-            sessionTime: Math.round(sessionTime / 1000), // in seconds
-            averageTimeFormatted: this.formatTime(this.sessionStats.averageTime),
-            sessionTimeFormatted: this.formatTime(sessionTime)
-        };
+    static isSameProfile(a, b) {
+        return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    }
+}
+
+// Everyone plays the same table: mixed outcomes at a standard 3:2 $5 table
+DailyChallenge.HAND_COUNT = 20;
+DailyChallenge.SCENARIO_TYPE = 'mixed';
+DailyChallenge.TABLE_RULES = { blackjackPayout: '3:2', soft17: 'S17', holeCard: 'peek' };
+DailyChallenge.BET_SETTINGS = { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 1, awkwardWeight: 0.5, halfDollarBets: false };
+// Speed bonus for an instant answer, falling to nothing at BONUS_TIME (milliseconds)
+DailyChallenge.MAX_SPEED_BONUS = 50;
+DailyChallenge.BONUS_TIME = 10000;
+
+/**
+ * Seeded Random Class
+ * A small seedable PRNG (mulberry32) so the same seed always deals the same
+ * sequence of scenarios. Seeds are short codes such as "K7F2QX".
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
     }
 
     /**
-     * Format time in milliseconds to readable string
+     * Get the next number in [0, 1)
      */
-    formatTime(ms) {
-        const seconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        
-        if (minutes > 0) {
-            return `${minutes}m ${remainingSeconds}s`;
-        }
-        return `${remainingSeconds}s`;
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
 
     /**
-     * Check if game is in a specific phase
+     * Get a whole number from 0 up to (but not including) max
      */
-    isInPhase(phase) {
-        return this.gamePhase === phase;
+    int(max) {
+        return Math.floor(this.next() * max);
     }
 
     /**
-     * Get performance rating based on accuracy
+     * Return true with the given probability
      */
-    getPerformanceRating() {
-        const accuracy = this.getAccuracy();
-        if (accuracy >= 95) return { rating: 'Excellent', color: '#00ff00' };
-        if (accuracy >= 85) return { rating: 'Great', color: '#32cd32' };
-        if (accuracy >= 75) return { rating: 'Good', color: '#ffd700' };
-        if (accuracy >= 60) return { rating: 'Fair', color: '#ffa500' };
-        return { rating: 'Needs Practice', color: '#ff6347' };
+    chance(probability) {
+        return this.next() < probability;
     }
 
     /**
-     * Save progress to localStorage
+     * Pick an item from an array
      */
-    saveProgress() {
-        try {
-            const saveData = {
-                score: this.score,
-                sessionStats: this.sessionStats,
-                gamePhase: this.gamePhase,
-                timestamp: Date.now(),
-                version: '1.0' // For future compatibility
-            };
-            localStorage.setItem('blackjack-payout-trainer-progress', JSON.stringify(saveData));
-            
-            // Also save to session history
-            this.saveToHistory();
-        } catch (error) {
-            console.warn('Could not save progress to localStorage:', error);
-        }
+    pick(items) {
+        return items[this.int(items.length)];
     }
 
     /**
-     * Save session to history
+     * Seeds are case-insensitive codes
      */
-    saveToHistory() {
-        try {
-            const historyKey = 'blackjack-payout-trainer-history';
-            let history = JSON.parse(localStorage.getItem(historyKey) || '[]');
-            
-            // Add current session if it has meaningful progress
-            if (this.score.total > 0) {
-                const sessionData = {
-                    date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-                    score: { ...this.score },
-                    sessionStats: { ...this.sessionStats },
-                    accuracy: this.getAccuracy(),
-                    performance: this.getPerformanceRating(),
-                    timestamp: Date.now()
-                };
-                
-                // Remove existing entry for today and add new one
-                history = history.filter(entry => entry.date !== sessionData.date);
-                history.push(sessionData);
-                
-                // Keep only last 30 days
-                history = history.slice(-30);
-                
-                localStorage.setItem(historyKey, JSON.stringify(history));
-            }
-        } catch (error) {
-            console.warn('Could not save session history:', error);
-        }
+    static normalizeSeed(seed) {
+        return String(seed).trim().toUpperCase();
     }
 
     /**
-     * Get session history
+     * Hash a seed code to a 32-bit starting state (FNV-1a)
      */
-    getSessionHistory() {
-        try {
-            const historyKey = 'blackjack-payout-trainer-history';
-            return JSON.parse(localStorage.getItem(historyKey) || '[]');
-        } catch (error) {
-            console.warn('Could not load session history:', error);
-            return [];
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return hash >>> 0;
     }
 
     /**
-     * Get progress summary
+     * Create a fresh seed code for a new session
      */
-    getProgressSummary() {
-        const history = this.getSessionHistory();
-        if (history.length === 0) return null;
+    static createSeed() {
+        return Array.from({ length: SeededRandom.SEED_LENGTH }, () =>
+            SeededRandom.SEED_CHARACTERS[Math.floor(Math.random() * SeededRandom.SEED_CHARACTERS.length)]
+        ).join('');
+    }
+}
 
-        const totalSessions = history.length;
-        const totalAttempts = history.reduce((sum, session) => sum + session.score.total, 0);
-        const totalCorrect = history.reduce((sum, session) => sum + session.score.correct, 0);
-        const averageAccuracy = totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0;
-        const bestAccuracy = Math.max(...history.map(session => session.accuracy));
-        const bestStreak = Math.max(...history.map(session => session.sessionStats.bestStreak));
+// Seed codes avoid characters that are easy to misread (0/O, 1/I)
+SeededRandom.SEED_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+SeededRandom.SEED_LENGTH = 6;
 
-        return {
-            totalSessions,
-            totalAttempts,
-            totalCorrect,
-            averageAccuracy,
-            bestAccuracy,
-            bestStreak,
-            recentSessions: history.slice(-7) // Last 7 sessions
+/**
+ * Bet Generator Class
+ * Picks bet amounts within a table's limits: most bets sit near the minimum
+ * on round amounts, with a configurable share of awkward amounts
+ */
+class BetGenerator {
+    constructor(settings = {}) {
+        this.configure(settings);
+    }
+
+    /**
+     * Apply generator settings on top of the defaults for the table type
+     */
+    configure(settings = {}) {
+        const tableType = BetGenerator.TABLE_TYPES[settings.tableType] ? settings.tableType : 'low-limit';
+        const { minBet, maxBet, step } = BetGenerator.TABLE_TYPES[tableType];
+        const merged = { minBet, maxBet, step, awkwardWeight: 0.5, halfDollarBets: false, ...settings, tableType };
+
+        this.settings = {
+            ...merged,
+            minBet: Math.max(1, Math.round(Number(merged.minBet)) || minBet),
+            maxBet: Math.round(Number(merged.maxBet)) || maxBet,
+            step: Math.max(1, Math.round(Number(merged.step)) || step),
+            awkwardWeight: Math.min(Math.max(Number(merged.awkwardWeight) || 0, 0), 1),
+            halfDollarBets: Boolean(merged.halfDollarBets)
         };
+        this.settings.maxBet = Math.max(this.settings.maxBet, this.settings.minBet);
+        this.betAmounts = null;
     }
 
     /**
-     * Load progress from localStorage
+     * Get the table type description (distribution shape and defaults)
      */
-    loadProgress() {
-        try {
-            const savedData = localStorage.getItem('blackjack-payout-trainer-progress');
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                
-                // Only load if saved within last 24 hours
-                const hoursSinceLastSave = (Date.now() - data.timestamp) / (1000 * 60 * 60);
-                if (hoursSinceLastSave < 24) {
-                    this.score = data.score || this.score;
-                    this.sessionStats = { ...this.sessionStats, ...data.sessionStats };
-                    console.log('Progress loaded from previous session');
+    getTableType() {
+        return BetGenerator.TABLE_TYPES[this.settings.tableType];
+    }
+
+    /**
+     * Get every bet the table can be dealt: whole amounts from the minimum in
+     * steps, plus half-dollar amounts ($2.50 multiples) when enabled
+     */
+    getBetAmounts() {
+        if (!this.betAmounts) {
+            const { minBet, maxBet, step, halfDollarBets } = this.settings;
+            const amounts = [];
+            for (let amount = minBet; amount <= maxBet; amount += step) {
+                amounts.push(amount);
+            }
+            if (halfDollarBets) {
+                for (let amount = Math.ceil(minBet / 2.5) * 2.5; amount <= maxBet; amount += 2.5) {
+                    if (!Number.isInteger(amount)) amounts.push(amount);
                 }
             }
-        } catch (error) {
-            console.warn('Could not load progress from localStorage:', error);
+            this.betAmounts = amounts.sort((a, b) => a - b);
         }
+        return this.betAmounts;
+    }
+
+    /**
+     * Get how likely an amount is within its pool: bets thin out away from
+     * the minimum, and players favor the table's round amounts
+     */
+    getWeight(amount) {
+        const { spread, favoredMultiple } = this.getTableType();
+        let weight = Math.pow(this.settings.minBet / amount, spread);
+        if (amount % favoredMultiple === 0) weight *= 3;
+        if (amount % 10 === 7) weight *= 2; // The classic awkward bet
+        return weight;
     }
 
     /**
-     * Clear saved progress
+     * Pick a bet from the allowed amounts. The awkward weight is the share of
+     * bets drawn from awkward amounts (see BetGenerator.isAwkward); bias
+     * optionally scales each amount's weight.
      */
-    clearSavedProgress() {
-        try {
-            localStorage.removeItem('blackjack-payout-trainer-progress');
-            console.log('Saved progress cleared');
-        } catch (error) {
-            console.warn('Could not clear saved progress:', error);
+    pick(isAllowed = () => true, { random = Math.random, bias = null } = {}) {
+        const amounts = this.getBetAmounts().filter(isAllowed);
+        if (amounts.length === 0) return null;
+
+        const awkward = amounts.filter(amount => BetGenerator.isAwkward(amount));
+        const plain = amounts.filter(amount => !BetGenerator.isAwkward(amount));
+
+        // A strongly biased amount pulls the awkward/plain split toward its pool
+        const pull = pool => bias && pool.length > 0 ? Math.max(...pool.map(bias)) : 1;
+        const awkwardShare = this.settings.awkwardWeight * pull(awkward);
+        const plainShare = (1 - this.settings.awkwardWeight) * pull(plain);
+        const useAwkward = plain.length === 0 ||
+            (awkward.length > 0 && random() * (awkwardShare + plainShare) < awkwardShare);
+        const pool = useAwkward ? awkward : plain;
+
+        const weights = pool.map(amount => this.getWeight(amount) * (bias ? bias(amount) : 1));
+        let target = random() * weights.reduce((total, weight) => total + weight, 0);
+        for (let i = 0; i < pool.length; i++) {
+            target -= weights[i];
+            if (target < 0) return pool[i];
         }
+        return pool[pool.length - 1];
     }
 
     /**
-     * Run unit tests for game state management
+     * Check whether an amount is awkward to pay: odd, ending in 7, or a half dollar
      */
-    runTests() {
-        console.log('Running GameState tests...');
-
-        // Test score tracking
-        const initialCorrect = this.score.correct;
-        this.recordCorrect();
-        console.assert(this.score.correct === initialCorrect + 1, 'Should increment correct score');
-
-        // Test accuracy calculation
-        this.score.correct = 8;
-        this.score.total = 10;
-        console.assert(this.getAccuracy() === 80, 'Should calculate 80% accuracy');
-
-        // Test phase transitions
-        this.gamePhase = 'waiting';
-        console.assert(this.isInPhase('waiting'), 'Should be in waiting phase');
-
-        // Test performance rating
-        this.score.correct = 95;
-        this.score.total = 100;
-        const rating = this.getPerformanceRating();
-        console.assert(rating.rating === 'Excellent', 'Should get excellent rating for 95%');
-
-        console.log('GameState tests passed!');
+    static isAwkward(amount) {
+        return !Number.isInteger(amount) || amount % 2 === 1 || amount % 10 === 7;
     }
 }
 
+// Typical limits and bet distribution for each kind of table
+BetGenerator.TABLE_TYPES = {
+    'low-limit': { label: '$5 Table', minBet: 5, maxBet: 500, step: 1, favoredMultiple: 5, spread: 1.2 },
+    'mid-limit': { label: '$25 Table', minBet: 25, maxBet: 2000, step: 1, favoredMultiple: 25, spread: 1.0 },
+    'high-limit': { label: '$100 High Limit', minBet: 100, maxBet: 10000, step: 5, favoredMultiple: 100, spread: 0.8 }
+};
+
 /**
- * Chip Data Model
- * Represents a single chip with its properties and state
+ * Adaptive Difficulty Class
+ * Tracks accuracy and response time per bet amount and bet shape, biases
+ * bet selection toward weak spots, and resurfaces missed amounts on a
+ * spaced-repetition schedule (counted in hands)
  */
-class Chip {
-    constructor(value, color, label) {
-        this.value = value;
-        this.color = color;
-        this.label = label;
-        this.count = 50; // Available chips in tray
-        this.selected = 0; // Currently selected chips
-        this.id = `chip-${value.toString().replace('.', '-')}`;
+class AdaptiveDifficulty {
+    constructor(data = {}) {
+        this.amounts = data.amounts || {};
+        this.shapes = data.shapes || {};
+        this.handCount = data.handCount || 0;
+
+        // A review served but never attempted becomes due again
+        Object.values(this.amounts).forEach(stats => {
+            if (stats.review) stats.review.served = false;
+        });
     }
 
     /**
-     * Check if chip can be selected
+     * Get the shapes a bet amount belongs to (see AdaptiveDifficulty.SHAPES)
      */
-    canSelect() {
-        return this.count > this.selected;
+    static getShapes(amount) {
+        const shapes = [];
+        if (!Number.isInteger(amount)) shapes.push('half-dollar');
+        else if (amount % 2 === 1) shapes.push('odd');
+        if (amount % 25 === 0) shapes.push('multiple-of-25');
+        if (amount > 100) shapes.push('over-100');
+        return shapes;
     }
 
     /**
-     * Select one chip
+     * Record a settled bet and reschedule its review. The speed target is
+     * the one for the bet's size band (see PayoutCalculator.getSpeedTarget).
      */
-    select() {
-        if (this.canSelect()) {
-            this.selected++;
-            return true;
+    recordAttempt(amount, isCorrect, responseTime, speedTarget = PayoutCalculator.SPEED_TARGET.target) {
+        this.handCount++;
+
+        const key = String(amount);
+        this.amounts[key] = this.updateStats(this.amounts[key], isCorrect, responseTime, speedTarget);
+        AdaptiveDifficulty.getShapes(amount).forEach(shape => {
+            this.shapes[shape] = this.updateStats(this.shapes[shape], isCorrect, responseTime, speedTarget);
+        });
+
+        const stats = this.amounts[key];
+        if (!isCorrect) {
+            stats.review = { interval: 1, due: this.handCount + 1, served: false };
+        } else if (stats.review) {
+            // Each correct review doubles the gap until the amount graduates
+            const interval = stats.review.interval * 2;
+            stats.review = interval > AdaptiveDifficulty.MAX_REVIEW_INTERVAL ?
+                null : { interval, due: this.handCount + interval, served: false };
         }
-        return false;
     }
 
     /**
-     * Deselect one chip
+     * Add an attempt to a running accuracy and time tally. The speed targets
+     * are tallied too, since a shape's bets can fall in different bands.
      */
-    deselect() {
-        if (this.selected > 0) {
-            this.selected--;
-            return true;
-        }
-        return false;
+    updateStats(stats = { attempts: 0, correct: 0, totalTime: 0, review: null }, isCorrect, responseTime, speedTarget) {
+        return {
+            ...stats,
+            attempts: stats.attempts + 1,
+            correct: stats.correct + (isCorrect ? 1 : 0),
+            totalTime: stats.totalTime + responseTime,
+            totalTarget: AdaptiveDifficulty.getTotalTarget(stats) + speedTarget
+        };
     }
 
     /**
-     * Get total value of selected chips
+     * Get the speed targets tallied for a tally's attempts. Tallies saved
+     * before targets were tallied count the default target per attempt.
      */
-    getSelectedValue() {
-        return this.value * this.selected;
+    static getTotalTarget(stats) {
+        return stats.totalTarget !== undefined ? stats.totalTarget : stats.attempts * PayoutCalculator.SPEED_TARGET.target;
     }
 
     /**
-     * Reset selection
+     * Score how weak a tally is: the error rate (shrunk toward zero while
+     * there are few attempts) plus up to half a point for answers slower
+     * than their speed targets
      */
-    resetSelection() {
-        this.selected = 0;
+    getWeakness(stats) {
+        if (!stats || stats.attempts === 0) return 0;
+
+        const errorRate = (stats.attempts - stats.correct) / (stats.attempts + 1);
+        const target = AdaptiveDifficulty.getTotalTarget(stats) / stats.attempts;
+        const slowness = Math.min(Math.max((stats.totalTime / stats.attempts - target) / target, 0), 1);
+        return errorRate + slowness * 0.5;
     }
-}
 
-/**
- * Chip Management Module
- * Handles chip denominations, visual representations, and selection logic
- */
-class ChipManager {
-    constructor(gameState) {
-        this.gameState = gameState;
-        this.chips = [
-            new Chip(1, 'chip-1', '$1'),
-            new Chip(2.50, 'chip-2-50', '$2.50'),
-            new Chip(5, 'chip-5', '$5'),
-            new Chip(25, 'chip-25', '$25'),
-            new Chip(100, 'chip-100', '$100'),
-            new Chip(500, 'chip-500', '$500'),
-            new Chip(1000, 'chip-1000', '$1000')
-        ];
-        this.chipElements = new Map();
-        this.payoutAreaElement = null;
+    /**
+     * Get the weight multiplier for a bet amount: weak amounts and amounts
+     * of a weak shape come up more often
+     */
+    getBias(amount) {
+        const shapeWeakness = AdaptiveDifficulty.getShapes(amount)
+            .reduce((weakest, shape) => Math.max(weakest, this.getWeakness(this.shapes[shape])), 0);
+        return 1 + 8 * this.getWeakness(this.amounts[String(amount)]) + 2 * shapeWeakness;
     }
 
     /**
-     * Initialize the chip tray display
+     * Get missed amounts that are due for review, most overdue first
      */
-    initializeChipTray() {
-        const chipTray = document.getElementById('chip-tray');
-        if (!chipTray) return;
+    getDueReviews() {
+        return Object.entries(this.amounts)
+            .filter(([, stats]) => stats.review && !stats.review.served && stats.review.due <= this.handCount)
+            .sort(([, a], [, b]) => a.review.due - b.review.due)
+            .map(([amount]) => Number(amount));
+    }
 
-        chipTray.innerHTML = '';
-        this.chipElements.clear();
-        
-        this.chips.forEach((chip, index) => {
-            const chipContainer = document.createElement('div');
-            chipContainer.className = 'chip-container';
-            chipContainer.dataset.number = (index + 1).toString();
-            
-            const chipElement = document.createElement('div');
-            chipElement.className = `chip ${chip.color}`;
-            chipElement.dataset.value = chip.value;
-            chipElement.innerHTML = chip.label;
-            chipElement.title = `Select ${chip.label} chip (${chip.count - chip.selected} available) - Press ${index + 1}`;
-            chipElement.id = chip.id;
-            chipElement.tabIndex = 0; // Make focusable for keyboard navigation
-            chipElement.setAttribute('role', 'button');
-            chipElement.setAttribute('aria-pressed', 'false');
-            chipElement.setAttribute('aria-describedby', `chip-help-${chip.id}`);
-            
-            // Add click event listener
-            chipElement.addEventListener('click', (e) => this.selectChip(chip, e));
-            
-            // Add keyboard event listener
-            chipElement.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.selectChip(chip, e);
-                } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-                    e.preventDefault();
-                    this.focusNextChip(index);
-                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-                    e.preventDefault();
-                    this.focusPreviousChip(index);
-                }
-            });
-            
-            // Add focus event listener for screen reader announcements
-            chipElement.addEventListener('focus', () => {
-                this.announceChipFocus(chip);
-            });
-            
-            // Add hover effects
-            chipElement.addEventListener('mouseenter', () => this.showChipHover(chipElement, chip));
-            chipElement.addEventListener('mouseleave', () => this.hideChipHover(chipElement));
-            
-            chipContainer.appendChild(chipElement);
-            chipTray.appendChild(chipContainer);
-            
-            this.chipElements.set(chip.id, chipElement);
+    /**
+     * Take the first due review the table can deal, so it is not dealt twice
+     * before it has been attempted
+     */
+    takeDueReview(canDeal) {
+        const amount = this.getDueReviews().find(canDeal);
+        if (amount === undefined) return null;
+
+        this.amounts[String(amount)].review.served = true;
+        return amount;
+    }
+
+    /**
+     * Get the weak spots currently being targeted, weakest first
+     */
+    getTargets(limit = 5) {
+        const describe = stats => ({
+            accuracy: Math.round((stats.correct / stats.attempts) * 100),
+            averageTime: stats.totalTime / stats.attempts,
+            weakness: this.getWeakness(stats)
         });
+        const weakest = (entries) => entries
+            .map(([key, stats]) => ({ key, ...describe(stats) }))
+            .filter(target => target.weakness >= AdaptiveDifficulty.TARGET_THRESHOLD)
+            .sort((a, b) => b.weakness - a.weakness)
+            .slice(0, limit);
 
-        // Initialize payout area reference
-        this.payoutAreaElement = document.getElementById('payout-chips');
+        return {
+            amounts: weakest(Object.entries(this.amounts)).map(({ key, ...target }) => ({ amount: Number(key), ...target })),
+            shapes: weakest(Object.entries(this.shapes)).map(({ key, ...target }) => ({ shape: key, ...target })),
+            dueReviews: this.getDueReviews()
+        };
     }
 
     /**
-     * Handle chip selection with visual feedback
+     * Get the data to persist
      */
-    selectChip(chip, event) {
-        if (!chip.canSelect()) {
-            this.showFeedback('No more chips of this denomination available', 'error');
-            return;
-        }
+    toJSON() {
+        return { amounts: this.amounts, shapes: this.shapes, handCount: this.handCount };
+    }
+}
 
-        // Select the chip
-        if (chip.select()) {
-            // Update visual feedback
-            this.updateChipVisuals(chip);
-            
-            // Add chip to payout area
-            this.addChipToPayoutArea(chip);
-            
-            // Update game state
-            if (this.gameState) {
-                this.gameState.updateSelectedChips(this.getSelectedChips());
-                this.gameState.updatePayoutTotal(this.getTotalValue());
-            }
+AdaptiveDifficulty.SHAPES = {
+    'odd': 'Odd amounts',
+    'half-dollar': 'Half-dollar amounts',
+    'multiple-of-25': 'Multiples of $25',
+    'over-100': 'Over $100'
+};
 
-            // Visual selection feedback
-            const chipElement = this.chipElements.get(chip.id);
-            if (chipElement) {
-                chipElement.classList.add('chip-selected');
-                chipElement.setAttribute('aria-pressed', 'true');
-                setTimeout(() => {
-                    chipElement.classList.remove('chip-selected');
-                    chipElement.setAttribute('aria-pressed', 'false');
-                }, 200);
-            }
+// Hands between reviews stop doubling past this and the amount graduates
+AdaptiveDifficulty.MAX_REVIEW_INTERVAL = 32;
+// Chance a due review replaces a freshly drawn bet
+AdaptiveDifficulty.REVIEW_CHANCE = 0.6;
+// Weakness score from which an amount or shape is shown as targeted
+AdaptiveDifficulty.TARGET_THRESHOLD = 0.15;
 
-            // Announce selection to screen readers
-            const totalValue = this.getTotalValue();
-            this.announceToScreenReader(`${chip.label} chip selected. ${chip.selected} selected. Payout total: $${totalValue.toFixed(2)}`);
+/**
+ * Flash Exposure Class
+ * How long bet stacks stay on screen in flash mode. Exposure starts at the
+ * chosen time, shortens after a run of correct reads and lengthens again
+ * after a miss, but never past the starting time.
+ */
+class FlashExposure {
+    constructor(startExposure = FlashExposure.DEFAULT_EXPOSURE, currentExposure = null) {
+        this.startExposure = startExposure; // Milliseconds
+        this.exposure = currentExposure ? Math.min(currentExposure, startExposure) : startExposure;
+        this.streak = 0;
+    }
 
-            // Play selection sound effect (placeholder)
-            this.playChipSound();
+    /**
+     * Adjust the exposure after a hand read in flash mode and return it
+     */
+    recordAttempt(isCorrect) {
+        if (isCorrect) {
+            this.streak++;
+            if (this.streak >= FlashExposure.STREAK_TO_SHORTEN) {
+                this.streak = 0;
+                this.exposure = Math.max(FlashExposure.MIN_EXPOSURE, FlashExposure.roundExposure(this.exposure * FlashExposure.SHORTEN_FACTOR));
+            }
+        } else {
+            this.streak = 0;
+            this.exposure = Math.min(this.startExposure, FlashExposure.roundExposure(this.exposure * FlashExposure.LENGTHEN_FACTOR));
         }
+        return this.exposure;
     }
 
     /**
-     * Add selected chip to payout area with stacking
+     * Round an exposure to the nearest 50 milliseconds
      */
-    addChipToPayoutArea(chip) {
-        if (!this.payoutAreaElement) return;
+    static roundExposure(exposure) {
+        return Math.round(exposure / 50) * 50;
+    }
+}
 
-        // Find existing stack for this chip type or create new one
-        let chipStack = this.payoutAreaElement.querySelector(`[data-chip-type="${chip.id}"]`);
-        
-        if (!chipStack) {
-            // Create new chip stack
-            chipStack = document.createElement('div');
-            chipStack.className = 'chip-stack';
-            chipStack.dataset.chipType = chip.id;
-            chipStack.dataset.count = '0';
-            this.payoutAreaElement.appendChild(chipStack);
-        }
+// Starting exposures offered in the settings (milliseconds)
+FlashExposure.EXPOSURES = [500, 1000, 1500, 2000, 3000];
+FlashExposure.DEFAULT_EXPOSURE = 1500;
+// Shortest exposure the adjustment goes down to
+FlashExposure.MIN_EXPOSURE = 200;
+// Correct reads in a row before the exposure shortens
+FlashExposure.STREAK_TO_SHORTEN = 3;
+FlashExposure.SHORTEN_FACTOR = 0.8;
+FlashExposure.LENGTHEN_FACTOR = 1.25;
 
-        // Create the chip element
-        const payoutChip = document.createElement('div');
-        payoutChip.className = `chip ${chip.color} payout-chip`;
-        payoutChip.dataset.value = chip.value;
-        payoutChip.innerHTML = chip.label;
-        payoutChip.title = `Click to remove ${chip.label} chip`;
-        
-        // Add click handler to remove chip
-        payoutChip.addEventListener('click', () => this.removeChipFromPayout(chip, payoutChip, chipStack));
-        
-        // Calculate stacking position
-        const currentCount = parseInt(chipStack.dataset.count);
-        const stackOffset = currentCount * 3; // 3px offset per chip
-        
-        // Position the chip in the stack
-        payoutChip.style.position = 'relative';
-        payoutChip.style.zIndex = currentCount + 1;
-        payoutChip.style.marginTop = currentCount > 0 ? `-${77 - stackOffset}px` : '0';
-        payoutChip.style.marginLeft = currentCount > 0 ? `${stackOffset}px` : '0';
-        
-        // Add with animation
-        payoutChip.style.opacity = '0';
-        payoutChip.style.transform = 'scale(0.8) translateY(20px)';
-        chipStack.appendChild(payoutChip);
-        
-        // Update stack count
-        chipStack.dataset.count = (currentCount + 1).toString();
-        
-        // Add stack count indicator
-        this.updateStackCountIndicator(chipStack, chip);
-        
-        // Animate in
-        requestAnimationFrame(() => {
-            payoutChip.style.transition = 'all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275)';
-            payoutChip.style.opacity = '1';
-            payoutChip.style.transform = 'scale(1) translateY(0)';
-        });
+/**
+ * Curriculum Class
+ * Progress through the lessons in Curriculum.LESSONS. A lesson unlocks once
+ * every lesson it requires is mastered, and is mastered when the trainee's
+ * last Curriculum.MASTERY_WINDOW hands in it meet its accuracy and median
+ * time criteria. Mastery is kept once earned.
+ */
+class Curriculum {
+    constructor(data = {}) {
+        this.progress = data.progress || {};
+    }
 
-        // Add chip movement sound effect
-        this.playChipStackSound();
+    /**
+     * Get a lesson by id (null if there is no such lesson)
+     */
+    getLesson(lessonId) {
+        return Curriculum.LESSONS.find(lesson => lesson.id === lessonId) || null;
     }
 
     /**
-     * Remove chip from payout area with stack management
+     * Get the saved progress for a lesson
      */
-    removeChipFromPayout(chip, chipElement, chipStack) {
-        if (chip.deselect()) {
-            // Animate out
-            chipElement.style.transition = 'all 0.3s ease';
-            chipElement.style.opacity = '0';
-            chipElement.style.transform = 'scale(0.8) translateY(-20px)';
-            
-            setTimeout(() => {
-                if (chipElement.parentNode) {
-                    chipElement.parentNode.removeChild(chipElement);
-                    
-                    // Update stack count
-                    const currentCount = parseInt(chipStack.dataset.count) - 1;
-                    chipStack.dataset.count = currentCount.toString();
-                    
-                    // Remove stack if empty
-                    if (currentCount === 0) {
-                        chipStack.remove();
-                    } else {
-                        // Update stack count indicator
-                        this.updateStackCountIndicator(chipStack, chip);
-                        // Reposition remaining chips in stack
-                        this.repositionChipsInStack(chipStack);
-                    }
-                }
-            }, 300);
+    getProgress(lessonId) {
+        return this.progress[lessonId] || { attempts: 0, correct: 0, recent: [], mastered: false };
+    }
 
-            // Update visuals and state
-            this.updateChipVisuals(chip);
-            
-            if (this.gameState) {
-                this.gameState.updateSelectedChips(this.getSelectedChips());
-                this.gameState.updatePayoutTotal(this.getTotalValue());
-            }
+    /**
+     * Check whether a lesson has been mastered
+     */
+    isMastered(lessonId) {
+        return this.getProgress(lessonId).mastered;
+    }
 
-            // Play removal sound
-            this.playChipRemoveSound();
-        }
+    /**
+     * Get the titles of the required lessons not yet mastered
+     */
+    getMissingRequirements(lessonId) {
+        const lesson = this.getLesson(lessonId);
+        if (!lesson) return [];
+        return lesson.requires
+            .filter(requiredId => !this.isMastered(requiredId))
+            .map(requiredId => this.getLesson(requiredId).title);
     }
 
     /**
-     * Update stack count indicator
+     * Check whether a lesson can be started
      */
-    updateStackCountIndicator(chipStack, chip) {
-        const count = parseInt(chipStack.dataset.count);
-        
-        // Remove existing indicator
-        const existingIndicator = chipStack.querySelector('.stack-count');
-        if (existingIndicator) {
-            existingIndicator.remove();
-        }
-        
-        // Add new indicator if more than 1 chip
-        if (count > 1) {
-            const indicator = document.createElement('div');
-            indicator.className = 'stack-count';
-            indicator.textContent = count;
-            indicator.title = `${count} × ${chip.label} = $${(count * chip.value).toFixed(2)}`;
-            chipStack.appendChild(indicator);
-        }
+    isUnlocked(lessonId) {
+        return Boolean(this.getLesson(lessonId)) && this.getMissingRequirements(lessonId).length === 0;
     }
 
     /**
-     * Reposition chips in a stack after removal
+     * Get the first unlocked lesson not yet mastered (null once all are mastered)
      */
-    repositionChipsInStack(chipStack) {
-        const chips = chipStack.querySelectorAll('.payout-chip');
-        chips.forEach((chipElement, index) => {
-            const stackOffset = index * 3;
-            chipElement.style.zIndex = index + 1;
-            chipElement.style.marginTop = index > 0 ? `-${77 - stackOffset}px` : '0';
-            chipElement.style.marginLeft = index > 0 ? `${stackOffset}px` : '0';
-        });
+    getNextLesson() {
+        return Curriculum.LESSONS.find(lesson => this.isUnlocked(lesson.id) && !this.isMastered(lesson.id)) || null;
     }
 
     /**
-     * Update chip visual state
+     * Get the lessons a newly mastered lesson has unlocked
      */
-    updateChipVisuals(chip) {
-        const chipElement = this.chipElements.get(chip.id);
-        if (!chipElement) return;
+    getUnlockedBy(lessonId) {
+        return Curriculum.LESSONS.filter(lesson => lesson.requires.includes(lessonId) && this.isUnlocked(lesson.id));
+    }
 
-        // Update tooltip
-        chipElement.title = `Select ${chip.label} chip (${chip.count - chip.selected} available)`;
-        
-        // Update visual state based on availability
-        if (!chip.canSelect()) {
-            chipElement.classList.add('chip-unavailable');
-        } else {
-            chipElement.classList.remove('chip-unavailable');
+    /**
+     * Record the first answer to a hand in a lesson. Returns true when this
+     * hand completes the lesson's mastery criteria for the first time.
+     */
+    recordAttempt(lessonId, isCorrect, responseTime) {
+        const lesson = this.getLesson(lessonId);
+        if (!lesson) return false;
+
+        const progress = this.getProgress(lessonId);
+        const recent = [...progress.recent, { isCorrect, time: responseTime }].slice(-Curriculum.MASTERY_WINDOW);
+        this.progress[lessonId] = {
+            ...progress,
+            attempts: progress.attempts + 1,
+            correct: progress.correct + (isCorrect ? 1 : 0),
+            recent
+        };
+
+        if (progress.mastered || !this.meetsMastery(lessonId)) return false;
+        this.progress[lessonId].mastered = true;
+        return true;
+    }
+
+    /**
+     * Get accuracy (percent) and median time over the lesson's recent hands
+     */
+    getMastery(lessonId) {
+        const { recent } = this.getProgress(lessonId);
+        if (recent.length === 0) {
+            return { hands: 0, accuracy: 0, medianTime: 0 };
         }
+        return {
+            hands: recent.length,
+            accuracy: Math.round((recent.filter(hand => hand.isCorrect).length / recent.length) * 100),
+            medianTime: GameState.percentile(recent.map(hand => hand.time), 50)
+        };
+    }
 
-        // Show selection count if any selected
-        if (chip.selected > 0) {
-            chipElement.classList.add('chip-has-selection');
-            chipElement.dataset.selectedCount = chip.selected;
+    /**
+     * Check the lesson's recent hands against its mastery criteria
+     */
+    meetsMastery(lessonId) {
+        const { mastery } = this.getLesson(lessonId);
+        const { hands, accuracy, medianTime } = this.getMastery(lessonId);
+        return hands >= Curriculum.MASTERY_WINDOW && accuracy >= mastery.accuracy && medianTime <= mastery.medianTime;
+    }
+
+    /**
+     * Get the data to persist
+     */
+    toJSON() {
+        return { progress: this.progress };
+    }
+}
+
+// Lessons in teaching order. Each sets the payout table, scenario type and
+// bet generator settings it is drilled with; mastery needs the accuracy
+// (percent) and median time (milliseconds) over the last MASTERY_WINDOW hands.
+Curriculum.LESSONS = [
+    {
+        id: 'five-multiples',
+        title: '$5 Multiples at 3:2',
+        description: 'Blackjacks on bets in $5 steps - learn the half-again habit on round numbers',
+        payoutTable: '3:2',
+        scenarioType: 'blackjack',
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 5, awkwardWeight: 0.25, halfDollarBets: false },
+        requires: [],
+        mastery: { accuracy: 90, medianTime: 5000 }
+    },
+    {
+        id: 'odd-bets',
+        title: 'Odd Bets at 3:2',
+        description: 'Blackjacks on any whole-dollar bet, weighted toward odd amounts and 7s',
+        payoutTable: '3:2',
+        scenarioType: 'blackjack',
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 1, awkwardWeight: 0.75, halfDollarBets: false },
+        requires: ['five-multiples'],
+        mastery: { accuracy: 90, medianTime: 5000 }
+    },
+    {
+        id: 'half-dollars',
+        title: 'Half-Dollar Bets',
+        description: 'Wins, losses and pushes with $x.50 bets - pay, take or leave each one',
+        payoutTable: '3:2',
+        scenarioType: 'mixed',
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 100, step: 1, awkwardWeight: 0.5, halfDollarBets: true },
+        requires: ['odd-bets'],
+        mastery: { accuracy: 90, medianTime: 6000 }
+    },
+    {
+        id: 'six-five',
+        title: '6:5 Blackjack',
+        description: 'Blackjacks at a 6:5 table, where bets come in $5 steps',
+        payoutTable: '6:5',
+        scenarioType: 'blackjack',
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 5, awkwardWeight: 0.5, halfDollarBets: false },
+        requires: ['odd-bets'],
+        mastery: { accuracy: 90, medianTime: 6000 }
+    },
+    {
+        id: 'insurance',
+        title: 'Insurance & Even Money',
+        description: 'Dealer shows an ace - settle the insurance at 2:1 and then the main bet',
+        payoutTable: '3:2',
+        scenarioType: 'insurance',
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 1, awkwardWeight: 0.5, halfDollarBets: false },
+        requires: ['odd-bets'],
+        mastery: { accuracy: 90, medianTime: 6000 }
+    },
+    {
+        id: 'multi-seat',
+        title: 'Multi-Seat Table',
+        description: 'Settle three seats right to left against one dealer hand',
+        payoutTable: '3:2',
+        scenarioType: 'table',
+        seatCount: 3,
+        betSettings: { tableType: 'low-limit', minBet: 5, maxBet: 200, step: 1, awkwardWeight: 0.5, halfDollarBets: false },
+        requires: ['half-dollars', 'six-five', 'insurance'],
+        mastery: { accuracy: 90, medianTime: 7000 }
+    }
+];
+// Hands judged for mastery (the most recent ones in the lesson)
+Curriculum.MASTERY_WINDOW = 20;
+
+/**
+ * Review Queue Class
+ * Missed hands kept for replay, oldest first. Each entry holds the saved
+ * scenario (see BlackjackScenario.toJSON) and what was submitted for it. A
+ * replayed hand goes to the back of the queue, and leaves it once it has been
+ * paid correctly enough times in a row.
+ */
+class ReviewQueue {
+    constructor(data = {}) {
+        this.entries = data.entries || [];
+        this.clearedCount = data.clearedCount || 0;
+        this.nextId = data.nextId || 1;
+    }
+
+    /**
+     * Add a missed hand: { scenario, submitted, expected, step }
+     */
+    add({ scenario, submitted, expected, step = null }) {
+        const entry = { id: this.nextId++, scenario, submitted, expected, step, missedAt: Date.now(), attempts: 0, streak: 0 };
+        this.entries = [...this.entries, entry].slice(-ReviewQueue.MAX_ENTRIES);
+        return entry;
+    }
+
+    /**
+     * Get the number of hands waiting for review
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Get the hand to replay next (null when the queue is empty)
+     */
+    peek() {
+        return this.entries[0] || null;
+    }
+
+    /**
+     * Get a queued hand by id
+     */
+    getEntry(entryId) {
+        return this.entries.find(entry => entry.id === entryId) || null;
+    }
+
+    /**
+     * Record a replay of a hand. A miss starts its streak over; once the
+     * streak reaches requiredStreak the hand is cleared from the queue.
+     * Returns the updated entry and whether it was cleared.
+     */
+    recordAttempt(entryId, isCorrect, requiredStreak = ReviewQueue.DEFAULT_STREAK) {
+        const entry = this.getEntry(entryId);
+        if (!entry) return { entry: null, cleared: false };
+
+        const updated = { ...entry, attempts: entry.attempts + 1, streak: isCorrect ? entry.streak + 1 : 0 };
+        const others = this.entries.filter(other => other.id !== entryId);
+        const cleared = updated.streak >= requiredStreak;
+        if (cleared) {
+            this.entries = others;
+            this.clearedCount++;
         } else {
-            chipElement.classList.remove('chip-has-selection');
-            delete chipElement.dataset.selectedCount;
+            this.entries = [...others, updated];
         }
+        return { entry: updated, cleared };
     }
 
     /**
-     * Show hover feedback
+     * Get the data to persist
      */
-    showChipHover(chipElement, chip) {
-        chipElement.style.transform = 'translateY(-3px) scale(1.05)';
-        
-        // Show denomination info
-        const info = document.createElement('div');
-        info.className = 'chip-hover-info';
-        info.innerHTML = `${chip.label}<br>Available: ${chip.count - chip.selected}`;
-        info.style.position = 'absolute';
-        info.style.bottom = '100%';
-        info.style.left = '50%';
-        info.style.transform = 'translateX(-50%)';
-        info.style.background = 'rgba(0,0,0,0.8)';
-        info.style.color = 'white';
-        info.style.padding = '5px 10px';
-        info.style.borderRadius = '5px';
-        info.style.fontSize = '0.8rem';
-        info.style.whiteSpace = 'nowrap';
-        info.style.zIndex = '1000';
-        
-        chipElement.style.position = 'relative';
-        chipElement.appendChild(info);
+    toJSON() {
+        return { entries: this.entries, clearedCount: this.clearedCount, nextId: this.nextId };
+    }
+}
+
+// Correct replays in a row offered in the settings
+ReviewQueue.STREAK_OPTIONS = [1, 2, 3, 5];
+ReviewQueue.DEFAULT_STREAK = 2;
+// Oldest misses drop off past this many queued hands
+ReviewQueue.MAX_ENTRIES = 100;
+
+/**
+ * Scenario Management Module
+ * Generates and manages blackjack scenarios for practice
+ */
+class ScenarioManager {
+    constructor(tableRules = new TableRules(), seed = SeededRandom.createSeed()) {
+        this.tableRules = tableRules;
+        this.scenarioType = 'blackjack';
+        this.seatCount = 5; // Seats dealt in a full table round
+        this.scenarios = [];
+        this.currentScenarioIndex = 0;
+        this.shoe = null;
+        this.betGenerator = new BetGenerator();
+        this.adaptive = null; // AdaptiveDifficulty when bets target weak spots
+        this.setSeed(seed);
     }
 
     /**
-     * Hide hover feedback
+     * Restart scenario generation from a seed: the same seed and settings
+     * always deal the same scenarios
      */
-    hideChipHover(chipElement) {
-        chipElement.style.transform = '';
-        
-        const hoverInfo = chipElement.querySelector('.chip-hover-info');
-        if (hoverInfo) {
-            hoverInfo.remove();
-        }
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        this.seed = this.random.seed;
+        this.shoe = new Shoe(this.shoe ? this.shoe.getSettings() : {}, this.random);
     }
 
     /**
-     * Get all selected chips
+     * Get the seed the current sequence was started from
      */
-    getSelectedChips() {
-        return this.chips.filter(chip => chip.selected > 0);
+    getSeed() {
+        return this.seed;
     }
 
     /**
-     * Get total value of selected chips
+     * Set the table rules new scenarios are dealt under
      */
-    getTotalValue() {
-        return this.chips.reduce((total, chip) => total + chip.getSelectedValue(), 0);
+    setTableRules(tableRules) {
+        this.tableRules = tableRules;
+        this.fitBetLimits();
     }
 
     /**
-     * Clear all selections with animation
+     * Set the number of decks and cut-card penetration (starts a freshly shuffled shoe)
      */
-    clearAllSelections() {
-        // Animate out all payout chips
-        const payoutChips = this.payoutAreaElement ? 
-            this.payoutAreaElement.querySelectorAll('.payout-chip') : [];
-        
-        payoutChips.forEach((chipElement, index) => {
-            setTimeout(() => {
-                chipElement.style.transition = 'all 0.3s ease';
-                chipElement.style.opacity = '0';
-                chipElement.style.transform = 'scale(0.8) translateY(-20px)';
-            }, index * 50); // Stagger the animations
-        });
+    setShoeSettings(settings) {
+        this.shoe.configure(settings);
+    }
 
-        // Clear chip selections and update visuals
-        setTimeout(() => {
-            this.chips.forEach(chip => {
-                chip.resetSelection();
-                this.updateChipVisuals(chip);
-            });
+    /**
+     * Set the type of scenario generated (see ScenarioManager.SCENARIO_TYPES)
+     */
+    setScenarioType(scenarioType) {
+        this.scenarioType = ScenarioManager.SCENARIO_TYPES[scenarioType] ? scenarioType : 'blackjack';
+    }
 
-            // Clear payout area
-            if (this.payoutAreaElement) {
-                this.payoutAreaElement.innerHTML = '';
-            }
+    /**
+     * Set the number of seats dealt in a full table round
+     */
+    setSeatCount(seatCount) {
+        this.seatCount = Math.min(Math.max(parseInt(seatCount) || 1, 1), ScenarioManager.MAX_SEATS);
+    }
 
-            // Update game state
-            if (this.gameState) {
-                this.gameState.updateSelectedChips([]);
-                this.gameState.updatePayoutTotal(0);
-            }
-        }, payoutChips.length * 50 + 300);
+    /**
+     * Configure the limits and weighting bets are generated with (see BetGenerator)
+     */
+    setBetSettings(settings) {
+        this.betGenerator.configure(settings);
+        return this.fitBetLimits();
     }
 
     /**
-     * Get total count of selected chips
+     * Widen the max bet when the limits hold no bet the table rules allow
+     * ($7-$9 at 6:5, where whole bets are multiples of $5). Returns true
+     * when the max bet was raised.
      */
-    getTotalChipCount() {
-        return this.chips.reduce((total, chip) => total + chip.selected, 0);
+    fitBetLimits() {
+        const { minBet, maxBet } = this.betGenerator.settings;
+        const betMultiple = this.tableRules.getBetMultiple();
+        const lowestBet = Math.ceil(minBet / betMultiple) * betMultiple;
+        if (lowestBet <= maxBet) return false;
+
+        this.betGenerator.configure({ ...this.betGenerator.settings, maxBet: lowestBet });
+        return true;
     }
 
     /**
-     * Get selected chips breakdown
+     * Bias bets toward the trainee's weak spots (null for the plain distribution)
      */
-    getSelectedChipsBreakdown() {
-        return this.chips
-            .filter(chip => chip.selected > 0)
-            .map(chip => ({
-                denomination: chip.label,
-                count: chip.selected,
-                value: chip.value,
-                totalValue: chip.getSelectedValue()
-            }));
+    setAdaptiveDifficulty(adaptive) {
+        this.adaptive = adaptive;
     }
 
     /**
-     * Play chip selection sound (placeholder)
+     * Get the side bet amounts for the table limits: shares of the minimum
+     * bet (see ScenarioManager.SIDE_BET_SHARES), never over the maximum
      */
-    playChipSound() {
-        // Placeholder for sound effect
-        console.log('Chip selection sound');
+    getSideBetAmounts() {
+        const { minBet, maxBet } = this.betGenerator.settings;
+        const amounts = ScenarioManager.SIDE_BET_SHARES
+            .map(share => Math.max(Math.round(minBet * share), 1))
+            .filter(amount => amount <= maxBet);
+        return [...new Set(amounts)];
     }
 
     /**
-     * Play chip stacking sound (placeholder)
+     * Get the bet amounts allowed under the current table rules
      */
-    playChipStackSound() {
-        // Placeholder for sound effect
-        console.log('Chip stack sound');
+    getAvailableBetAmounts() {
+        return this.betGenerator.getBetAmounts().filter(amount => this.isAllowedBet(amount));
     }
 
     /**
-     * Play chip removal sound (placeholder)
+     * Check a bet against the table rules. Whole bets follow the table's bet
+     * multiple. The tray's smallest unit is 50 cents, so a half-dollar bet is
+     * only dealt when everything settled on it can be paid to the half
+     * dollar: a 3:2 blackjack on $12.50 ($18.75) or half of it ($6.25) can't.
      */
-    playChipRemoveSound() {
-        // Placeholder for sound effect
-        console.log('Chip remove sound');
+    isAllowedBet(amount, { blackjack = false, halved = false } = {}) {
+        if (Number.isInteger(amount)) {
+            return amount % this.tableRules.getBetMultiple() === 0;
+        }
+        const isPayable = value => Number.isInteger(Math.round(value * 100) / 50);
+        return isPayable(amount) &&
+            (!blackjack || isPayable(this.tableRules.calculateBlackjackPayout(amount))) &&
+            (!halved || isPayable(amount / 2));
     }
 
     /**
-     * Show feedback message
+     * Check whether the current scenario type can deal a half-dollar bet.
+     * Types that pay every hand as a blackjack can't when the blackjack comes
+     * to quarters, as every half-dollar bet does at 3:2 ($12.50 pays $18.75).
      */
-    showFeedback(message, type) {
-        // This will be enhanced when feedback system is implemented
-        console.log(`${type.toUpperCase()}: ${message}`);
+    canDealHalfDollarBets() {
+        if (!ScenarioManager.SCENARIO_TYPES[this.scenarioType].blackjackOnly) return true;
+
+        const halfDollarBets = new BetGenerator({ ...this.betGenerator.settings, halfDollarBets: true })
+            .getBetAmounts().filter(amount => !Number.isInteger(amount));
+        return halfDollarBets.some(amount => this.isAllowedBet(amount, { blackjack: true }));
     }
 
     /**
-     * Get chip by value
+     * Deal the next card from the shoe
      */
-    getChipByValue(value) {
-        return this.chips.find(chip => chip.value === value);
+    dealCard() {
+        return this.shoe.deal();
     }
 
     /**
-     * Focus next chip for keyboard navigation
+     * Generate a new practice scenario of the current scenario type
      */
-    focusNextChip(currentIndex) {
-        const nextIndex = (currentIndex + 1) % this.chips.length;
-        const nextChip = this.chips[nextIndex];
-        const nextElement = this.chipElements.get(nextChip.id);
-        if (nextElement) {
-            nextElement.focus();
+    generateScenario() {
+        switch (this.scenarioType) {
+            case 'mixed':
+                return this.generateMixedScenario();
+            case 'insurance':
+                return this.generateInsuranceScenario();
+            case 'double-split':
+                return this.generateDoubleSplitScenario();
+            case 'surrender':
+                return this.generateSurrenderScenario();
+            case 'side-bets':
+                return this.generateSideBetScenario();
+            case 'table':
+                return this.generateTableRound().getActiveSeat();
+            case 'color-up':
+                return this.generateColorUpScenario();
+            case 'reverse':
+                return this.generateReverseScenario();
+            default:
+                return this.generateBlackjackScenario();
         }
     }
 
     /**
-     * Focus previous chip for keyboard navigation
+     * Generate a scenario where the player always has blackjack
      */
-    focusPreviousChip(currentIndex) {
-        const prevIndex = currentIndex === 0 ? this.chips.length - 1 : currentIndex - 1;
-        const prevChip = this.chips[prevIndex];
-        const prevElement = this.chipElements.get(prevChip.id);
-        if (prevElement) {
-            prevElement.focus();
-        }
+    generateBlackjackScenario() {
+        // Deal on until the player is dealt a natural
+        const playerHand = this.dealPlayerBlackjack();
+        const dealerHand = new Hand();
+        
+        // Deal dealer cards normally (non-blackjack)
+        this.dealDealerHandWithoutBlackjack(dealerHand);
+        
+        this.playDealerHand(dealerHand);
+        
+        const scenario = new BlackjackScenario(playerHand, dealerHand, this.pickBetAmount({ blackjack: true }), this.tableRules);
+        this.logScenario('BLACKJACK', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Announce chip focus for screen readers
+     * Generate a scenario with a normally dealt player hand and any outcome
      */
-    announceChipFocus(chip) {
-        const announcement = `${chip.label} chip. ${chip.count - chip.selected} available. ${chip.selected} selected. Press Enter or Space to select.`;
-        this.announceToScreenReader(announcement);
+    generateMixedScenario() {
+        this.shoe.startRound();
+        
+        const playerHand = new Hand();
+        const dealerHand = new Hand();
+        
+        this.dealInitialCards(playerHand, dealerHand);
+        this.playOutHand(playerHand, dealerHand);
+        
+        const betAmount = this.pickBetAmount({ blackjack: playerHand.isBlackjack });
+        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount, this.tableRules);
+        this.logScenario('MIXED', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Announce message to screen readers
+     * Generate a normally dealt hand with Perfect Pairs and/or 21+3 side bets
      */
-    announceToScreenReader(message) {
-        // Create or update screen reader announcement element
-        let announcer = document.getElementById('screen-reader-announcer');
-        if (!announcer) {
-            announcer = document.createElement('div');
-            announcer.id = 'screen-reader-announcer';
-            announcer.setAttribute('aria-live', 'assertive');
-            announcer.setAttribute('aria-atomic', 'true');
-            announcer.style.position = 'absolute';
-            announcer.style.left = '-10000px';
-            announcer.style.width = '1px';
-            announcer.style.height = '1px';
-            announcer.style.overflow = 'hidden';
-            document.body.appendChild(announcer);
+    generateSideBetScenario() {
+        const sideBetTypes = Object.keys(TableRules.SIDE_BETS).filter(() => this.random.chance(0.7));
+        if (sideBetTypes.length === 0) {
+            sideBetTypes.push(this.random.chance(0.5) ? 'perfect-pairs' : '21+3');
         }
         
-        // Clear and set new message
-        announcer.textContent = '';
-        setTimeout(() => {
-            announcer.textContent = message;
-        }, 100);
+        // Winning side bets are rare, so most drills deal on through the shoe until one hits
+        const wantWinner = this.random.chance(0.6);
+        let playerHand;
+        let dealerHand;
+        for (let attempt = 0; attempt < 200; attempt++) {
+            this.shoe.startRound();
+            playerHand = new Hand();
+            dealerHand = new Hand();
+            this.dealInitialCards(playerHand, dealerHand);
+            
+            const cards = [playerHand.cards[0], playerHand.cards[1], dealerHand.cards[0]];
+            if (!wantWinner || sideBetTypes.some(type => new SideBet(type, 0, cards, this.tableRules).isWin())) {
+                break;
+            }
+        }
+        this.playOutHand(playerHand, dealerHand);
+        
+        const sideBets = sideBetTypes.map(type => ({
+            type,
+            amount: this.random.pick(this.getSideBetAmounts())
+        }));
+        const betAmount = this.pickBetAmount({ blackjack: playerHand.isBlackjack });
+        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount, this.tableRules, { sideBets });
+        this.logScenario('SIDE BETS', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Validate if current selection matches target amount
+     * Generate a full table round: every seat is dealt and played against one dealer hand
      */
-    validateSelection(targetAmount) {
-        const currentTotal = this.getTotalValue();
-        return Math.abs(currentTotal - targetAmount) < 0.01; // Account for floating point precision
+    generateTableRound(seatCount = this.seatCount) {
+        this.shoe.startRound();
+        
+        const dealerHand = new Hand();
+        const playerHands = Array.from({ length: seatCount }, () => new Hand());
+        
+        // One card to each seat from first base, then the dealer - twice
+        // (without a hole card the dealer's second card waits until the seats have played)
+        for (let pass = 0; pass < 2; pass++) {
+            playerHands.forEach(hand => hand.addCard(this.dealCard()));
+            if (pass === 0 || this.tableRules.dealerPeeks()) {
+                dealerHand.addCard(this.dealCard());
+            }
+        }
+        
+        // A dealer blackjack found on the peek ends the round; otherwise each seat plays in turn
+        if (!dealerHand.isBlackjack) {
+            playerHands.forEach(hand => {
+                if (!hand.isBlackjack) {
+                    this.playPlayerHand(hand, dealerHand.cards[0]);
+                }
+            });
+        }
+        this.finishDealerHand(dealerHand, playerHands);
+        
+        const seats = playerHands.map(hand =>
+            new BlackjackScenario(hand, dealerHand, this.pickBetAmount({ blackjack: hand.isBlackjack }), this.tableRules)
+        );
+        seats.forEach((seat, index) => this.logScenario(`TABLE SEAT ${index + 1}`, seat));
+        
+        return new TableRound(dealerHand, seats);
     }
-}
 
-/**
- * Card Class
- * Represents a playing card with suit and rank
- */
-class Card {
-    constructor(suit, rank) {
-        this.suit = suit;
-        this.rank = rank;
-        this.value = this.getCardValue();
-        this.display = this.getDisplayString();
+    /**
+     * Generate a reverse drill: a player blackjack that has already been paid,
+     * with the bet hidden. Some payouts are mistakes that no bet could produce.
+     */
+    generateReverseScenario() {
+        const scenario = this.generateBlackjackScenario();
+        const betUnit = this.betGenerator.settings.halfDollarBets ? 0.5 : 1;
+        let shownPayout = this.tableRules.calculateBlackjackPayout(scenario.betAmount);
+
+        if (this.random.chance(ScenarioManager.REVERSE_BAD_PAYOUT_CHANCE)) {
+            // Try the usual miscounts from a random starting point until one no bet pays
+            const errors = ScenarioManager.REVERSE_PAYOUT_ERRORS;
+            const start = this.random.int(errors.length);
+            const badPayout = errors
+                .map((_, index) => shownPayout + errors[(start + index) % errors.length])
+                .find(payout => payout > 0 && this.tableRules.findBlackjackBet(payout, betUnit) === null);
+            if (badPayout !== undefined) {
+                shownPayout = badPayout;
+            }
+        }
+
+        scenario.reverse = { shownPayout, betUnit };
+        return scenario;
     }
 
     /**
-     * Get the blackjack value of the card
+     * Generate a color-up: a messy pile of $1, $5 and $25 chips
      */
-    getCardValue() {
-        if (this.rank === 'A') return 11; // Ace high initially
-        if (['K', 'Q', 'J'].includes(this.rank)) return 10;
-        return parseInt(this.rank);
+    generateColorUpScenario() {
+        const countRanges = { 25: [2, 15], 5: [4, 19], 1: [3, 14] };
+        const pile = ColorUpScenario.PILE_CHIPS.map(chipType => {
+            const [min, max] = countRanges[chipType.value];
+            return { ...chipType, count: min + this.random.int(max - min + 1) };
+        });
+        
+        const scenario = new ColorUpScenario(pile);
+        console.log('Generated COLOR UP scenario:', {
+            pile: pile.map(chipType => `${chipType.count}x ${chipType.label}`).join(', '),
+            total: `$${scenario.totalValue}`
+        });
+        
+        return scenario;
     }
 
     /**
-     * Get display string for the card
+     * Deal two cards each in table order: player, dealer, player, dealer.
+     * Without a hole card the dealer takes only the upcard until the player has acted.
      */
-    getDisplayString() {
-        const suitSymbols = {
-            'hearts': '♥',
-            'diamonds': '♦',
-            'clubs': '♣',
-            'spades': '♠'
-        };
-        return `${this.rank}${suitSymbols[this.suit]}`;
+    dealInitialCards(playerHand, dealerHand) {
+        playerHand.addCard(this.dealCard());
+        dealerHand.addCard(this.dealCard());
+        playerHand.addCard(this.dealCard());
+        if (this.tableRules.dealerPeeks()) {
+            dealerHand.addCard(this.dealCard());
+        }
     }
 
     /**
-     * Check if card is an Ace
+     * Play out a dealt hand: the player draws, then the dealer if the player is still in
      */
-    isAce() {
-        return this.rank === 'A';
+    playOutHand(playerHand, dealerHand) {
+        // Naturals end the hand before anyone draws
+        if (!playerHand.isBlackjack && !dealerHand.isBlackjack) {
+            this.playPlayerHand(playerHand, dealerHand.cards[0]);
+        }
+        this.finishDealerHand(dealerHand, [playerHand]);
     }
-}
 
-/**
- * Hand Class
- * Represents a blackjack hand with cards and value calculation
- */
-class Hand {
-    constructor() {
-        this.cards = [];
-        this.value = 0;
-        this.softAces = 0;
-        this.isBlackjack = false;
-        this.isBust = false;
+    /**
+     * Finish the dealer hand once the players have acted: take the second
+     * card if there was no hole card, then draw if any hand is still waiting
+     * on the dealer. Pass blackjack to line up a no-hole-card dealer blackjack.
+     */
+    finishDealerHand(dealerHand, playerHands, { blackjack = false } = {}) {
+        if (dealerHand.cards.length < 2) {
+            const upcard = dealerHand.cards[0];
+            dealerHand.addCard(blackjack ? this.drawMatchingCard(card => upcard.value + card.value === 21) : this.dealCard());
+        }
+        
+        if (!dealerHand.isBlackjack && playerHands.some(hand => !hand.isBust && !hand.isBlackjack)) {
+            this.playDealerHand(dealerHand);
+        }
     }
 
     /**
-     * Add a card to the hand
+     * Deal the dealer's cards for a drill where the player doubles or splits.
+     * A peeking dealer has already checked, so the hole card never makes a
+     * blackjack. Without a hole card only the upcard is dealt, and some
+     * drills line up a dealer blackjack that takes every bet the player made.
+     * Returns whether a dealer blackjack is lined up for finishDealerHand.
      */
-    addCard(card) {
-        this.cards.push(card);
-        this.calculateValue();
+    dealDealerHandForPlayerAction(dealerHand) {
+        if (this.tableRules.dealerPeeks()) {
+            this.dealDealerHandWithoutBlackjack(dealerHand);
+            return false;
+        }
+        
+        const blackjack = this.random.chance(ScenarioManager.NO_HOLE_CARD_BLACKJACK_CHANCE);
+        dealerHand.addCard(blackjack ? this.drawMatchingCard(card => card.value >= 10) : this.dealCard());
+        return blackjack;
     }
 
     /**
-     * Calculate the hand value considering Aces
+     * Generate an insurance or even money scenario against a dealer ace upcard
      */
-    calculateValue() {
-        this.value = 0;
-        this.softAces = 0;
-
-        // Add up all card values
-        for (const card of this.cards) {
-            this.value += card.value;
-            if (card.isAce()) {
-                this.softAces++;
-            }
+    generateInsuranceScenario() {
+        this.shoe.startRound();
+        
+        const dealerHand = new Hand();
+        
+        // Roughly a quarter of drills are even money offers on a player blackjack
+        const evenMoney = this.random.chance(0.25);
+        let playerHand;
+        if (evenMoney) {
+            playerHand = this.dealPlayerBlackjack();
+        } else {
+            playerHand = new Hand();
+            playerHand.addCard(this.dealCard());
+            playerHand.addCard(this.dealCard());
         }
-
-        // Convert Aces from 11 to 1 if needed
-        while (this.value > 21 && this.softAces > 0) {
-            this.value -= 10;
-            this.softAces--;
+        
+        // Dealer always shows an ace; a peeking dealer's hole card is dealt normally
+        dealerHand.addCard(this.drawMatchingCard(card => card.isAce()));
+        if (this.tableRules.dealerPeeks()) {
+            dealerHand.addCard(this.dealCard());
         }
-
-        // Check for blackjack (21 with exactly 2 cards)
-        this.isBlackjack = (this.value === 21 && this.cards.length === 2);
         
-        // Check for bust
-        this.isBust = (this.value > 21);
+        // After a peek the hand is only played out without a dealer blackjack
+        if (!dealerHand.isBlackjack && !playerHand.isBlackjack) {
+            this.playPlayerHand(playerHand, dealerHand.cards[0]);
+        }
+        this.finishDealerHand(dealerHand, [playerHand]);
+        
+        // Even money pays 1:1; otherwise half the bet goes on insurance
+        const betAmount = evenMoney ? this.pickBetAmount() :
+            this.pickBetAmount({ blackjack: playerHand.isBlackjack, halved: true });
+        const options = evenMoney ? { evenMoney: true } : { insuranceBet: betAmount / 2 };
+        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount, this.tableRules, options);
+        this.logScenario(evenMoney ? 'EVEN MONEY' : 'INSURANCE', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Get the display value of the hand
+     * Generate a double down or split scenario
      */
-    getDisplayValue() {
-        if (this.isBust) return `${this.value} (BUST)`;
-        if (this.isBlackjack) return `${this.value} (BLACKJACK)`;
-        return this.value.toString();
+    generateDoubleSplitScenario() {
+        return this.random.chance(0.4) ? this.generateDoubleScenario() : this.generateSplitScenario();
     }
 
     /**
-     * Get cards display string
+     * Generate a scenario where the player doubles down on a hard 9, 10 or 11
      */
-    getCardsDisplay() {
-        return this.cards.map(card => card.display).join(' ');
+    generateDoubleScenario() {
+        this.shoe.startRound();
+        
+        const playerHand = new Hand();
+        const dealerHand = new Hand();
+        
+        const firstCard = this.drawMatchingCard(card => !card.isAce() && card.value <= 9);
+        playerHand.addCard(firstCard);
+        playerHand.addCard(this.drawMatchingCard(
+            card => !card.isAce() && firstCard.value + card.value >= 9 && firstCard.value + card.value <= 11
+        ));
+        
+        const dealerBlackjack = this.dealDealerHandForPlayerAction(dealerHand);
+        
+        // Exactly one card on a double down (dealt sideways)
+        playerHand.addCard(this.dealCard());
+        this.finishDealerHand(dealerHand, [playerHand], { blackjack: dealerBlackjack });
+        
+        const betAmount = this.pickBetAmount();
+        const playerHands = [new PlayedHand(playerHand, betAmount * 2, { doubled: true })];
+        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount, this.tableRules, { playerHands });
+        this.logScenario('DOUBLE DOWN', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Check if hand is soft (contains usable Ace)
+     * Generate a scenario where the player splits a pair (re-splitting up to four hands)
      */
-    isSoft() {
-        return this.softAces > 0;
-    }
-}
-
-/**
- * Blackjack Scenario Class
- * Represents a complete blackjack scenario for practice
- */
-class BlackjackScenario {
-    constructor(playerHand, dealerHand, betAmount) {
-        this.playerHand = playerHand;
-        this.dealerHand = dealerHand;
-        this.betAmount = betAmount;
-        this.result = this.determineResult();
-        this.correctPayout = this.calculateCorrectPayout();
-        this.payoutRatio = this.getPayoutRatio();
+    generateSplitScenario() {
+        this.shoe.startRound();
+        
+        const dealerHand = new Hand();
+        const betAmount = this.pickBetAmount();
+        const maxHands = 4;
+        
+        // Split aces often enough to practice the 1:1 payout on a split-ace 21
+        const splitAces = this.random.chance(0.25);
+        const pairCard = this.drawMatchingCard(card => card.isAce() === splitAces);
+        const pairedCard = this.drawMatchingCard(card => card.rank === pairCard.rank);
+        
+        const dealerBlackjack = this.dealDealerHandForPlayerAction(dealerHand);
+        
+        const pendingHands = [this.createSplitHand(pairCard), this.createSplitHand(pairedCard)];
+        const playerHands = [];
+        
+        while (pendingHands.length > 0) {
+            const hand = pendingHands.shift();
+            let card = this.dealCard();
+            
+            // Re-split another pair card (never aces) while there is room for more hands
+            while (card.rank === hand.cards[0].rank && !card.isAce() &&
+                   playerHands.length + pendingHands.length + 2 <= maxHands) {
+                pendingHands.unshift(this.createSplitHand(card));
+                card = this.dealCard();
+            }
+            hand.addCard(card);
+            
+            // Split aces get one card each; other hands may double or play on
+            let doubled = false;
+            if (!hand.cards[0].isAce()) {
+                if ((hand.value === 10 || hand.value === 11) && this.random.chance(0.5)) {
+                    hand.addCard(this.dealCard());
+                    doubled = true;
+                } else {
+                    this.playPlayerHand(hand, dealerHand.cards[0]);
+                }
+            }
+            
+            playerHands.push(new PlayedHand(hand, doubled ? betAmount * 2 : betAmount, { doubled, fromSplit: true }));
+        }
+        
+        // Dealer only draws if at least one hand is still live
+        this.finishDealerHand(dealerHand, playerHands.map(played => played.hand), { blackjack: dealerBlackjack });
+        
+        const scenario = new BlackjackScenario(playerHands[0].hand, dealerHand, betAmount, this.tableRules, { playerHands });
+        this.logScenario('SPLIT', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Determine the result of the hand - ALWAYS BLACKJACK for training
+     * Generate a late surrender scenario: a hard 15 or 16 against a dealer 9, 10 or ace
      */
-    determineResult() {
-        // Force blackjack result for training purposes
-        // Player always has blackjack and always gets 3:2 payout
-        return 'blackjack';
+    generateSurrenderScenario() {
+        this.shoe.startRound();
+        
+        const playerHand = new Hand();
+        const dealerHand = new Hand();
+        
+        const firstCard = this.drawMatchingCard(card => !card.isAce() && card.value >= 6);
+        playerHand.addCard(firstCard);
+        playerHand.addCard(this.drawMatchingCard(
+            card => !card.isAce() && firstCard.value + card.value >= 15 && firstCard.value + card.value <= 16
+        ));
+        
+        // Late surrender is only offered once a peeking dealer has checked for
+        // blackjack. Without a hole card the player decides against the upcard alone.
+        const upcard = this.drawMatchingCard(card => card.value >= 9);
+        dealerHand.addCard(upcard);
+        if (this.tableRules.dealerPeeks()) {
+            dealerHand.addCard(this.drawMatchingCard(card => upcard.value + card.value !== 21));
+        }
+        
+        // Most players surrender; the rest play the hand out so the trainee has to read the table
+        const surrendered = this.random.chance(0.7);
+        if (!surrendered) {
+            this.playPlayerHand(playerHand, upcard);
+        }
+        this.finishDealerHand(dealerHand, surrendered ? [] : [playerHand]);
+        
+        const betAmount = this.pickBetAmount({ halved: surrendered });
+        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount, this.tableRules, { surrendered });
+        this.logScenario(surrendered ? 'SURRENDER' : 'SURRENDER DECLINED', scenario);
+        
+        return scenario;
     }
 
     /**
-     * Calculate the correct payout amount - ALWAYS 3:2 for blackjack training
+     * Start a split hand from one card of the pair
      */
-    calculateCorrectPayout() {
-        // Always calculate 3:2 payout for blackjack training
-        return this.betAmount * 1.5; // 3:2 payout (1.5 times the bet)
+    createSplitHand(card) {
+        const hand = new Hand();
+        hand.isSplitHand = true;
+        hand.addCard(card);
+        return hand;
     }
 
     /**
-     * Get the payout ratio string
-     */
-    getPayoutRatio() {
-        switch (this.result) {
-            case 'blackjack':
-                return '3:2';
-            case 'win':
-                return '1:1';
-            case 'push':
-                return 'Push';
-            case 'lose':
-                return 'Lose';
-            default:
-                return 'Unknown';
-        }
+     * Deal the dealer's two cards with a hole card that doesn't make a
+     * blackjack (ace up with a ten underneath, or ten up with an ace)
+     */
+    dealDealerHandWithoutBlackjack(dealerHand) {
+        const upcard = this.dealCard();
+        dealerHand.addCard(upcard);
+        dealerHand.addCard(this.drawMatchingCard(card => upcard.value + card.value !== 21));
     }
 
     /**
-     * Get result display string
+     * Deal player hands until one is a natural and return it. Hands that
+     * aren't go to the discards, so aces and tens come out of the shoe at
+     * their real rate and the cut card still decides when to shuffle.
      */
-    getResultDisplay() {
-        switch (this.result) {
-            case 'blackjack':
-                return 'BLACKJACK!';
-            case 'win':
-                return 'WIN';
-            case 'push':
-                return 'PUSH';
-            case 'lose':
-                return 'LOSE';
-            default:
-                return 'UNKNOWN';
+    dealPlayerBlackjack() {
+        for (;;) {
+            this.shoe.startRound();
+            const playerHand = new Hand();
+            playerHand.addCard(this.dealCard());
+            playerHand.addCard(this.dealCard());
+            if (playerHand.isBlackjack) return playerHand;
         }
     }
-}
 
-/**
- * Scenario Management Module
- * Generates and manages blackjack scenarios for practice
- */
-class ScenarioManager {
-    constructor() {
-        this.scenarios = [];
-        this.currentScenarioIndex = 0;
-        this.deck = [];
-        // More realistic bet amounts with some unusual ones
-        this.betAmounts = [
-            // Common amounts
-            5, 10, 15, 20, 25, 30, 35, 40, 50, 60, 75, 100, 125, 150, 200, 250, 300, 500,
-            // Unusual amounts to challenge calculation skills
-            7, 12, 17, 22, 27, 32, 37, 42, 47, 52, 67, 72, 87, 92, 107, 117, 137, 147, 167, 177
-        ];
-        this.initializeDeck();
+    /**
+     * Deal the next card from the shoe that the drill needs (see Shoe.dealMatching)
+     */
+    drawMatchingCard(predicate) {
+        return this.shoe.dealMatching(predicate);
     }
 
     /**
-     * Initialize a standard 52-card deck
+     * Play the player hand with a simplified basic strategy against the dealer upcard
      */
-    initializeDeck() {
-        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-        const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-        
-        this.deck = [];
-        for (const suit of suits) {
-            for (const rank of ranks) {
-                this.deck.push(new Card(suit, rank));
-            }
+    playPlayerHand(playerHand, dealerUpcard) {
+        // Stand on 12+ against a weak upcard, hit to 17 against a strong one
+        const standOn = dealerUpcard.value >= 7 ? 17 : 12;
+        while (playerHand.value < standOn && !playerHand.isBust) {
+            playerHand.addCard(this.dealCard());
         }
     }
 
     /**
-     * Shuffle the deck
+     * Play the dealer hand: draw to 17, and on a soft 17 at an H17 table
      */
-    shuffleDeck() {
-        for (let i = this.deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
+    playDealerHand(dealerHand) {
+        while (this.tableRules.dealerHits(dealerHand)) {
+            dealerHand.addCard(this.dealCard());
         }
     }
 
     /**
-     * Deal a card from the deck
+     * Pick a bet amount allowed at the table. Pass blackjack when the bet may
+     * be paid as a blackjack, and halved when half the bet is settled
+     * (insurance, surrender).
      */
-    dealCard() {
-        if (this.deck.length < 10) {
-            this.initializeDeck();
-            this.shuffleDeck();
+    pickBetAmount(settlement = {}) {
+        const isAllowed = amount => this.isAllowedBet(amount, settlement);
+
+        if (this.adaptive && this.random.chance(AdaptiveDifficulty.REVIEW_CHANCE)) {
+            const reviewAmount = this.adaptive.takeDueReview(amount =>
+                this.betGenerator.getBetAmounts().includes(amount) && isAllowed(amount));
+            if (reviewAmount !== null) return reviewAmount;
         }
-        return this.deck.pop();
+
+        const bias = this.adaptive ? amount => this.adaptive.getBias(amount) : null;
+        const betAmount = this.betGenerator.pick(isAllowed, { random: () => this.random.next(), bias });
+        if (betAmount !== null) return betAmount;
+
+        // No step lands on an allowed bet: fall back to the first allowed
+        // multiple, which fitBetLimits keeps within the limits
+        const betMultiple = this.tableRules.getBetMultiple();
+        return Math.ceil(this.betGenerator.settings.minBet / betMultiple) * betMultiple;
     }
 
     /**
-     * Generate a new practice scenario - ALWAYS BLACKJACK
+     * Log a generated scenario to the console
      */
-    generateScenario() {
-        this.shuffleDeck();
-        
-        // Create hands
-        const playerHand = new Hand();
-        const dealerHand = new Hand();
-        
-        // FORCE PLAYER BLACKJACK - Deal Ace and 10-value card
-        const aceCards = this.deck.filter(card => card.rank === 'A');
-        const tenCards = this.deck.filter(card => ['10', 'J', 'Q', 'K'].includes(card.rank));
-        
-        if (aceCards.length > 0 && tenCards.length > 0) {
-            // Remove and add ace
-            const aceIndex = this.deck.indexOf(aceCards[0]);
-            const ace = this.deck.splice(aceIndex, 1)[0];
-            playerHand.addCard(ace);
-            
-            // Remove and add ten-value card
-            const tenIndex = this.deck.indexOf(tenCards[0]);
-            const ten = this.deck.splice(tenIndex, 1)[0];
-            playerHand.addCard(ten);
-        } else {
-            // Fallback - create new cards if deck is low
-            playerHand.addCard(new Card('hearts', 'A'));
-            playerHand.addCard(new Card('spades', 'K'));
-        }
-        
-        // Deal dealer cards normally (non-blackjack)
-        dealerHand.addCard(this.dealCard());
-        let secondCard = this.dealCard();
-        // Ensure dealer doesn't get blackjack
-        while (dealerHand.cards[0].value === 11 && secondCard.value === 10) {
-            secondCard = this.dealCard();
-        }
-        dealerHand.addCard(secondCard);
-        
-        // Simulate dealer play (hit until 17 or bust)
-        while (dealerHand.value < 17 && !dealerHand.isBust) {
-            dealerHand.addCard(this.dealCard());
-        }
-        
-        // Random bet amount
-        const betAmount = this.betAmounts[Math.floor(Math.random() * this.betAmounts.length)];
-        
-        // Create scenario
-        const scenario = new BlackjackScenario(playerHand, dealerHand, betAmount);
-        
-        console.log('Generated BLACKJACK scenario:', {
-            player: `${playerHand.getCardsDisplay()} = ${playerHand.getDisplayValue()}`,
-            dealer: `${dealerHand.getCardsDisplay()} = ${dealerHand.getDisplayValue()}`,
-            bet: `$${betAmount}`,
+    logScenario(label, scenario) {
+        console.log(`Generated ${label} scenario:`, {
+            player: scenario.playerHands.map(played =>
+                `${played.hand.getCardsDisplay()} = ${played.hand.getDisplayValue()} (${PayoutCalculator.formatAmount(played.betAmount)})`
+            ).join(' | '),
+            dealer: `${scenario.dealerHand.getCardsDisplay()} = ${scenario.dealerHand.getDisplayValue()}`,
+            bet: PayoutCalculator.formatAmount(scenario.betAmount),
+            insurance: `$${scenario.insuranceBet.toFixed(2)}`,
+            sideBets: scenario.sideBets.map(sideBet => `${sideBet.label} $${sideBet.amount}: ${sideBet.getOutcomeDisplay()}`).join(', '),
+            table: `Blackjack pays ${this.tableRules.blackjackPayout}`,
             result: scenario.getResultDisplay(),
             payout: `$${scenario.correctPayout.toFixed(2)}`
         });
-        
-        return scenario;
     }
 
     /**
      * Generate a scenario with specific result type
      */
     generateScenarioWithResult(resultType) {
+        if (resultType === 'blackjack') {
+            return this.generateBlackjackScenario();
+        }
+
         let scenario;
         let attempts = 0;
         const maxAttempts = 50;
         
         do {
-            scenario = this.generateScenario();
+            scenario = this.generateMixedScenario();
             attempts++;
         } while (scenario.result !== resultType && attempts < maxAttempts);
         
@@ -2115,7 +7806,7 @@ class ScenarioManager {
         
         // Shuffle the scenarios
         for (let i = scenarios.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = this.random.int(i + 1);
             [scenarios[i], scenarios[j]] = [scenarios[j], scenarios[i]];
         }
         
@@ -2153,69 +7844,617 @@ class ScenarioManager {
         console.assert(scenario.betAmount > 0, 'Bet amount should be positive');
         console.assert(['blackjack', 'win', 'lose', 'push'].includes(scenario.result), 'Result should be valid');
         
+        // Test result resolution from the dealt hands
+        const bustHand = new Hand();
+        bustHand.addCard(new Card('hearts', 'K'));
+        bustHand.addCard(new Card('spades', '6'));
+        bustHand.addCard(new Card('clubs', '9'));
+        const bustScenario = new BlackjackScenario(bustHand, softHand, 10);
+        console.assert(bustScenario.result === 'lose', 'Player bust should lose');
+        console.assert(bustScenario.correctPayout === 0, 'Losing hand should pay nothing');
+        
         console.log('All tests passed!');
     }
 }
 
+// Scenario types the trainer can drill.
+// hideResult: the trainee works out the result from the cards before it is shown
+// betActions: the Take Bet / Leave Bet buttons are offered alongside chip payouts
+// multiSeat: a round deals several seats, settled one after another
+ScenarioManager.SCENARIO_TYPES = {
+    blackjack: { label: 'Blackjack Only', instruction: 'Calculate the blackjack payout', hideResult: false, betActions: false, blackjackOnly: true },
+    mixed: { label: 'Mixed Outcomes', instruction: 'Resolve the hand: pay it, take the bet, or leave it', hideResult: true, betActions: true },
+    insurance: { label: 'Insurance & Even Money', instruction: 'Settle the insurance and the main bet', hideResult: true, betActions: false },
+    'double-split': { label: 'Double & Split', instruction: 'Pay each hand in turn, or the combined total', hideResult: true, betActions: false },
+    surrender: { label: 'Late Surrender', instruction: 'Settle the hand - on a surrender collect half the bet, then return half', hideResult: false, betActions: true },
+    'side-bets': { label: 'Side Bets', instruction: 'Settle each side bet first, then the main bet', hideResult: true, betActions: true },
+    table: { label: 'Full Table', instruction: 'Settle every seat right to left, starting at third base', hideResult: true, betActions: true, multiSeat: true },
+    'color-up': { label: 'Color Up', instruction: 'Exchange the pile for the fewest chips of the same value', hideResult: true, betActions: false },
+    reverse: { label: 'Reverse (Find the Bet)', instruction: 'Read the payout and build the original bet, or flag a payout no bet could produce', hideResult: false, betActions: false, blackjackOnly: true }
+};
+
+// Most blackjack tables have seven spots
+ScenarioManager.MAX_SEATS = 7;
+
+// Side bets are usually small next to the main bet: $1 to $25 on a $5 table
+ScenarioManager.SIDE_BET_SHARES = [0.2, 0.4, 1, 2, 3, 5];
+
+// Share of no-hole-card double and split drills where the dealer draws to a blackjack
+ScenarioManager.NO_HOLE_CARD_BLACKJACK_CHANCE = 0.25;
+
+// Share of reverse drills showing a miscounted payout, and the miscounts (dollars) tried
+ScenarioManager.REVERSE_BAD_PAYOUT_CHANCE = 0.2;
+ScenarioManager.REVERSE_PAYOUT_ERRORS = [1, -1, 2, -2, 5, -5];
+
+/**
+ * Chip Solver Class
+ * Finds exact chip combinations for an amount. Unlike a greedy pass it is
+ * correct for any set of denominations ($3 with $2.50 chips in the tray) and
+ * never uses more chips of a denomination than the tray holds.
+ */
+class ChipSolver {
+    constructor(availableChips) {
+        // Work in cents, largest chip first. Chips without a count are unlimited.
+        this.stock = availableChips
+            .map(chip => ({
+                chip,
+                cents: Math.round(chip.value * 100),
+                limit: typeof chip.count === 'number' ? chip.count : Infinity
+            }))
+            .filter(item => item.cents > 0 && item.limit > 0)
+            .sort((a, b) => b.cents - a.cents);
+        this.memo = this.stock.map(() => new Map());
+
+        // Most that stock[index] onwards can make, to give up early on short trays
+        this.capacity = this.stock.map((item, index) => this.stock
+            .slice(index)
+            .reduce((total, { cents, limit }) => total + cents * limit, 0));
+    }
+
+    /**
+     * Get the fewest chips from stock[index] onwards that make up an amount
+     * in cents (Infinity when no combination exists)
+     */
+    fewest(index, remaining) {
+        if (remaining === 0) return 0;
+        if (index >= this.stock.length || remaining > this.capacity[index]) return Infinity;
+
+        const { cents, limit } = this.stock[index];
+        if (index === this.stock.length - 1) {
+            const count = remaining / cents;
+            return Number.isInteger(count) && count <= limit ? count : Infinity;
+        }
+
+        const cached = this.memo[index].get(remaining);
+        if (cached !== undefined) return cached;
+
+        let best = Infinity;
+        for (let count = Math.min(limit, Math.floor(remaining / cents)); count >= 0; count--) {
+            best = Math.min(best, count + this.fewest(index + 1, remaining - count * cents));
+        }
+        this.memo[index].set(remaining, best);
+        return best;
+    }
+
+    /**
+     * Get the fewest chips for an amount as [{ chip, count }], preferring
+     * larger chips when there is a tie, or null if the amount can't be made
+     */
+    solve(amount) {
+        const total = Math.round(amount * 100);
+        if (total <= 0) return [];
+        if (this.fewest(0, total) === Infinity) return null;
+
+        const result = [];
+        let remaining = total;
+        this.stock.forEach(({ chip, cents, limit }, index) => {
+            const needed = this.fewest(index, remaining);
+            for (let count = Math.min(limit, Math.floor(remaining / cents)); count >= 0; count--) {
+                if (count + this.fewest(index + 1, remaining - count * cents) === needed) {
+                    if (count > 0) result.push({ chip, count });
+                    remaining -= count * cents;
+                    break;
+                }
+            }
+        });
+        return result;
+    }
+
+    /**
+     * List valid combinations for an amount, fewest chips first, using at
+     * most extraChips more than the optimum
+     */
+    enumerate(amount, { limit = 5, extraChips = 2 } = {}) {
+        const total = Math.round(amount * 100);
+        const optimal = this.fewest(0, total);
+        if (total <= 0 || optimal === Infinity) return [];
+
+        const combinations = [];
+        const counts = new Array(this.stock.length).fill(0);
+        const search = (index, remaining, used, chipCount) => {
+            if (combinations.length >= limit) return;
+            if (remaining === 0) {
+                if (used === chipCount) {
+                    combinations.push(this.stock
+                        .map(({ chip }, stockIndex) => ({ chip, count: counts[stockIndex] }))
+                        .filter(item => item.count > 0));
+                }
+                return;
+            }
+            // Skip branches that can't finish within the chip count
+            if (used + this.fewest(index, remaining) > chipCount) return;
+
+            const { cents, limit: available } = this.stock[index];
+            for (let count = Math.min(available, Math.floor(remaining / cents), chipCount - used); count >= 0; count--) {
+                counts[index] = count;
+                search(index + 1, remaining - count * cents, used + count, chipCount);
+            }
+            counts[index] = 0;
+        };
+
+        for (let chipCount = optimal; chipCount <= optimal + extraChips; chipCount++) {
+            search(0, total, 0, chipCount);
+        }
+        return combinations;
+    }
+}
+
 /**
  * Payout Calculator Module
  * Handles payout calculations and validation
  */
 class PayoutCalculator {
-    constructor() {
-        this.payoutRules = {
-            blackjack: 1.5,  // 3:2 payout - ALWAYS for blackjack training
-            win: 1.0,        // 1:1 payout
-            push: 0.0,       // Return original bet (no additional payout)
-            lose: 0.0        // No payout
-        };
+    constructor(tableRules = new TableRules()) {
         this.tolerance = 0.01; // Floating point tolerance
+        this.setTableRules(tableRules);
+        this.setSpeedTargets({});
+    }
+
+    /**
+     * Set the speed target for each bet size band (milliseconds); bands left
+     * out keep their default target
+     */
+    setSpeedTargets(targets) {
+        this.speedTargets = {};
+        PayoutCalculator.SPEED_TARGET_BANDS.forEach(band => {
+            const target = Number(targets[band.key]);
+            this.speedTargets[band.key] = target > 0 ? target : band.target;
+        });
+    }
+
+    /**
+     * Get the bet size band and speed target for a bet amount
+     */
+    getSpeedTarget(betAmount) {
+        const band = PayoutCalculator.SPEED_TARGET_BANDS.find(item => betAmount <= item.upTo);
+        return { band: band.key, target: this.speedTargets[band.key] };
+    }
+
+    /**
+     * Set the table rules used for scenarios that don't carry their own
+     */
+    setTableRules(tableRules) {
+        this.tableRules = tableRules;
+        this.payoutRules = tableRules.getPayoutRules();
+    }
+
+    /**
+     * Get the table rules a scenario was dealt under
+     */
+    getTableRules(scenario) {
+        return (scenario && scenario.tableRules) || this.tableRules;
+    }
+
+    /**
+     * Calculate correct payout for a scenario, including any insurance bet
+     */
+    calculatePayout(scenario) {
+        if (!scenario) return 0;
+
+        // Even money is paid 1:1 before the dealer checks the hole card
+        if (scenario.evenMoney) return scenario.betAmount;
+
+        return this.calculateMainPayout(scenario) + this.calculateInsurancePayout(scenario);
+    }
+
+    /**
+     * Calculate the insurance payout - 2:1 when the dealer has blackjack
+     */
+    calculateInsurancePayout(scenario) {
+        return scenario.insuranceResult === 'win' ? scenario.insuranceBet * 2 : 0;
+    }
+
+    /**
+     * Calculate the payout on the main bet alone
+     */
+    calculateMainPayout(scenario) {
+        // Split and doubled hands are paid hand by hand on the bet riding on each
+        if (scenario.playerHands) {
+            return this.calculateHandPayouts(scenario).reduce((total, payout) => total + payout, 0);
+        }
+
+        return this.calculateResultPayout(scenario.result, scenario.betAmount, this.getTableRules(scenario));
+    }
+
+    /**
+     * Calculate the payout for each player hand
+     */
+    calculateHandPayouts(scenario) {
+        const tableRules = this.getTableRules(scenario);
+        return scenario.playerHands.map(played =>
+            this.calculateResultPayout(played.result, played.betAmount, tableRules)
+        );
+    }
+
+    /**
+     * Calculate the payout for a result on a given bet
+     */
+    calculateResultPayout(result, betAmount, tableRules = this.tableRules) {
+        if (result === 'blackjack') {
+            return tableRules.calculateBlackjackPayout(betAmount);
+        }
+
+        switch (result) {
+            case 'win':
+                return betAmount * this.payoutRules.win; // 1:1 payout
+            case 'push':
+                return 0; // Return original bet only (no additional payout)
+            case 'lose':
+                return 0; // House keeps the bet
+            case 'surrender':
+                return 0; // House keeps half the bet, the other half is returned
+            default:
+                console.warn(`Unknown result type: ${result}`);
+                return 0;
+        }
+    }
+
+    /**
+     * Get the action the dealer takes on the bet: pay it, take it or leave it
+     */
+    getExpectedAction(scenario) {
+        // Anything owed to the player (including insurance) means paying
+        if (this.calculatePayout(scenario) > 0) return 'pay';
+
+        switch (scenario.result) {
+            case 'lose':
+                return 'take';
+            case 'push':
+                return 'leave';
+            case 'surrender':
+                return 'surrender';
+            default:
+                return 'pay';
+        }
+    }
+
+    /**
+     * Validate if the selected payout amount is correct.
+     * An empty payout is accepted for a loss or push; an explicit 'take' or
+     * 'leave' action must also match what happens to the bet. A surrender is
+     * settled with validateSurrender instead.
+     */
+    validatePayout(scenario, selectedAmount, action = 'pay') {
+        if (!scenario) return { isCorrect: false, message: 'No scenario provided' };
+
+        const correctPayout = this.calculatePayout(scenario);
+        const expectedAction = this.getExpectedAction(scenario);
+        const amountCorrect = Math.abs(selectedAmount - correctPayout) < this.tolerance;
+        const actionCorrect = action === expectedAction || (action === 'pay' && expectedAction !== 'surrender');
+        const isCorrect = amountCorrect && actionCorrect;
+
+        return {
+            isCorrect,
+            correctAmount: correctPayout,
+            selectedAmount,
+            difference: selectedAmount - correctPayout,
+            action,
+            expectedAction,
+            message: actionCorrect ?
+                this.getValidationMessage(scenario, selectedAmount, correctPayout, isCorrect) :
+                this.getActionErrorMessage(scenario, action, expectedAction)
+        };
+    }
+
+    /**
+     * Read the original bet back from the payout shown in a reverse drill.
+     * Returns null when no bet at the table could produce that payout.
+     */
+    calculateOriginalBet(scenario) {
+        return this.getTableRules(scenario).findBlackjackBet(scenario.reverse.shownPayout, scenario.reverse.betUnit);
+    }
+
+    /**
+     * Validate the bet built for a reverse drill, or a 'flag' that the payout
+     * shown could not have come from any bet
+     */
+    validateReverseBet(scenario, selectedAmount, action = 'pay') {
+        if (!scenario || !scenario.reverse) return { isCorrect: false, message: 'No reverse drill to check' };
+
+        const originalBet = this.calculateOriginalBet(scenario);
+        const expectedAction = originalBet === null ? 'flag' : 'pay';
+        const correctAmount = originalBet === null ? 0 : originalBet;
+        const shownPayout = PayoutCalculator.formatAmount(scenario.reverse.shownPayout);
+        const ratio = this.getTableRules(scenario).blackjackPayout;
+        const isCorrect = action === expectedAction &&
+            (action === 'flag' || Math.abs(selectedAmount - correctAmount) < this.tolerance);
+
+        let message;
+        if (isCorrect) {
+            message = action === 'flag' ?
+                `✓ Correct! No bet pays ${shownPayout} at ${ratio} - the payout is wrong` :
+                `✓ Correct! ${shownPayout} pays a ${PayoutCalculator.formatAmount(correctAmount)} bet at ${ratio}`;
+        } else if (expectedAction === 'flag') {
+            message = `✗ No bet pays ${shownPayout} at ${ratio} - flag the payout`;
+        } else if (action === 'flag') {
+            message = `✗ The payout is right - ${shownPayout} pays a ${PayoutCalculator.formatAmount(correctAmount)} bet at ${ratio}`;
+        } else {
+            message = `✗ Incorrect. The bet was ${PayoutCalculator.formatAmount(correctAmount)}, you built $${selectedAmount.toFixed(2)}`;
+        }
+
+        return {
+            isCorrect,
+            correctAmount,
+            selectedAmount,
+            difference: selectedAmount - correctAmount,
+            action,
+            expectedAction,
+            message
+        };
+    }
+
+    /**
+     * Calculate what the house collects on a settled scenario: losing hands,
+     * the surrendered half, a losing insurance bet and losing side bets
+     */
+    calculateCollectedAmount(scenario) {
+        if (!scenario || scenario.evenMoney) return 0;
+
+        let collected = scenario.surrendered ?
+            scenario.getSurrenderAmounts().collected :
+            scenario.playerHands
+                .filter(played => played.result === 'lose')
+                .reduce((total, played) => total + played.betAmount, 0);
+
+        if (scenario.insuranceResult === 'lose') {
+            collected += scenario.insuranceBet;
+        }
+        scenario.sideBets.filter(sideBet => !sideBet.isWin()).forEach(sideBet => {
+            collected += sideBet.amount;
+        });
+
+        return collected;
+    }
+
+    /**
+     * Get the fewest tray chips that make up a whole-dollar color-up. The
+     * $2.50 chip is left out: two of them never beat a single $5.
+     */
+    calculateColorUpChips(amount, availableChips) {
+        return this.calculateOptimalChips(amount, availableChips.filter(chip => Number.isInteger(chip.value)));
+    }
+
+    /**
+     * Validate a color-up on both the value handed back and the number of chips used
+     */
+    validateColorUp(scenario, selectedAmount, selectedChipCount, availableChips) {
+        if (!scenario) return { isCorrect: false, message: 'No scenario provided' };
+
+        const correctAmount = scenario.totalValue;
+        const optimalChips = this.calculateColorUpChips(correctAmount, availableChips) || [];
+        const optimalChipCount = optimalChips.reduce((total, item) => total + item.count, 0);
+        const valueCorrect = Math.abs(selectedAmount - correctAmount) < this.tolerance;
+        const chipCountCorrect = selectedChipCount <= optimalChipCount;
+        const isCorrect = valueCorrect && chipCountCorrect;
+        const difference = selectedAmount - correctAmount;
+        const optimalText = optimalChips.map(item => `${item.count}x ${item.chip.label}`).join(', ');
+
+        let message = `✅ Correct! $${correctAmount} colored up in ${optimalChipCount} chips: ${optimalText}`;
+        if (!valueCorrect) {
+            message = `❌ Incorrect. You handed back $${selectedAmount.toFixed(2)} but the pile is worth $${correctAmount.toFixed(2)} (${difference > 0 ? 'over' : 'under'} by $${Math.abs(difference).toFixed(2)}).`;
+        } else if (!chipCountCorrect) {
+            message = `❌ Right value, but you used ${selectedChipCount} chips - $${correctAmount} colors up in ${optimalChipCount}: ${optimalText}`;
+        }
+
+        return {
+            isCorrect,
+            valueCorrect,
+            chipCountCorrect,
+            correctAmount,
+            selectedAmount,
+            difference,
+            selectedChipCount,
+            optimalChipCount,
+            optimalChips,
+            action: 'pay',
+            expectedAction: 'pay',
+            message
+        };
+    }
+
+    /**
+     * Validate the payout on one side bet. A losing side bet is taken, so an
+     * empty payout or the 'take' action settles it.
+     */
+    validateSideBetPayout(scenario, sideBetIndex, selectedAmount, action = 'pay') {
+        if (!scenario || !scenario.sideBets || !scenario.sideBets[sideBetIndex]) {
+            return { isCorrect: false, message: 'No such side bet to settle' };
+        }
+
+        const sideBet = scenario.sideBets[sideBetIndex];
+        const correctPayout = sideBet.calculatePayout();
+        const expectedAction = correctPayout > 0 ? 'pay' : 'take';
+        const amountCorrect = Math.abs(selectedAmount - correctPayout) < this.tolerance;
+        const actionCorrect = action === 'pay' || action === expectedAction;
+        const isCorrect = amountCorrect && actionCorrect;
+        const explanation = this.getSideBetExplanation(sideBet);
+        const difference = selectedAmount - correctPayout;
+
+        let message = `✅ Correct! ${explanation}`;
+        if (!actionCorrect) {
+            message = `❌ Incorrect. A side bet is either paid or taken - it is never left. ${explanation}`;
+        } else if (!isCorrect) {
+            message = `❌ Incorrect. You selected $${selectedAmount.toFixed(2)} for the ${sideBet.label} bet but the correct payout is $${correctPayout.toFixed(2)} (${difference > 0 ? 'over' : 'under'} by $${Math.abs(difference).toFixed(2)}). ${explanation}`;
+        }
+
+        return {
+            isCorrect,
+            correctAmount: correctPayout,
+            selectedAmount,
+            difference,
+            action,
+            expectedAction,
+            sideBetIndex,
+            isLastSideBet: sideBetIndex === scenario.sideBets.length - 1,
+            message
+        };
+    }
+
+    /**
+     * Explain how a side bet is settled
+     */
+    getSideBetExplanation(sideBet) {
+        const cardsText = sideBet.getCardsDisplay();
+        if (!sideBet.isWin()) {
+            return `${sideBet.label} $${sideBet.amount} (${cardsText}) loses - take the bet`;
+        }
+        const entry = sideBet.getPayTableEntry();
+        return `${sideBet.label} $${sideBet.amount} (${cardsText}) is a ${entry.label} paying ${entry.odds}:1: $${sideBet.amount} × ${entry.odds} = $${sideBet.calculatePayout().toFixed(2)}`;
+    }
+
+    /**
+     * Validate a surrender: the amount collected for the house and the amount
+     * returned to the player must each be half the bet
+     */
+    validateSurrender(scenario, collectedAmount, returnedAmount) {
+        if (!scenario) return { isCorrect: false, message: 'No scenario provided' };
+
+        if (scenario.result !== 'surrender') {
+            const validation = this.validatePayout(scenario, 0, 'surrender');
+            return { ...validation, selectedAmount: collectedAmount, selectedReturned: returnedAmount };
+        }
+
+        const { collected, returned } = scenario.getSurrenderAmounts();
+        const collectedCorrect = Math.abs(collectedAmount - collected) < this.tolerance;
+        const returnedCorrect = Math.abs(returnedAmount - returned) < this.tolerance;
+        const isCorrect = collectedCorrect && returnedCorrect;
+        const explanation = this.getSurrenderExplanation(scenario);
+
+        let message = `✅ Correct! ${explanation}`;
+        if (!isCorrect) {
+            const mistakes = [];
+            if (!collectedCorrect) mistakes.push(`collected $${collectedAmount.toFixed(2)} instead of $${collected.toFixed(2)}`);
+            if (!returnedCorrect) mistakes.push(`returned $${returnedAmount.toFixed(2)} instead of $${returned.toFixed(2)}`);
+            message = `❌ Incorrect. You ${mistakes.join(' and ')}. ${explanation}`;
+        }
+
+        return {
+            isCorrect,
+            collectedCorrect,
+            returnedCorrect,
+            correctAmount: collected,
+            correctReturned: returned,
+            selectedAmount: collectedAmount,
+            selectedReturned: returnedAmount,
+            difference: collectedAmount - collected,
+            action: 'surrender',
+            expectedAction: 'surrender',
+            message
+        };
+    }
+
+    /**
+     * Explain how a surrendered bet is split between the house and the player
+     */
+    getSurrenderExplanation(scenario) {
+        const { collected, returned } = scenario.getSurrenderAmounts();
+        return `Player surrenders - half the ${PayoutCalculator.formatAmount(scenario.betAmount)} bet goes to the house. Collect $${collected.toFixed(2)} and return $${returned.toFixed(2)}.`;
     }
 
     /**
-     * Calculate correct payout for a scenario - ALWAYS 3:2 for blackjack training
+     * Validate the payout for one hand of a split (hands are paid in order)
      */
-    calculatePayout(scenario) {
-        if (!scenario) return 0;
+    validateHandPayout(scenario, handIndex, selectedAmount) {
+        if (!scenario || !scenario.playerHands || !scenario.playerHands[handIndex]) {
+            return { isCorrect: false, message: 'No such hand to pay' };
+        }
 
-        const betAmount = scenario.betAmount;
-        const result = scenario.result;
+        const played = scenario.playerHands[handIndex];
+        const correctPayout = this.calculateHandPayouts(scenario)[handIndex];
+        const isCorrect = Math.abs(selectedAmount - correctPayout) < this.tolerance;
+        const explanation = this.getHandExplanation(played, handIndex, this.getTableRules(scenario));
+        const difference = selectedAmount - correctPayout;
 
-        // Since we're always doing blackjack training, always use 3:2 payout
-        if (result === 'blackjack') {
-            return betAmount * 1.5; // 3:2 payout (ALWAYS for blackjack)
-        }
+        return {
+            isCorrect,
+            correctAmount: correctPayout,
+            selectedAmount,
+            difference,
+            action: 'pay',
+            expectedAction: correctPayout > 0 ? 'pay' : (played.result === 'push' ? 'leave' : 'take'),
+            handIndex,
+            isLastHand: handIndex === scenario.playerHands.length - 1,
+            message: isCorrect ?
+                `✅ Correct! ${explanation}` :
+                `❌ Incorrect. You selected $${selectedAmount.toFixed(2)} for hand ${handIndex + 1} but the correct payout is $${correctPayout.toFixed(2)} (${difference > 0 ? 'over' : 'under'} by $${Math.abs(difference).toFixed(2)}). ${explanation}`
+        };
+    }
 
-        // Fallback for any other results (shouldn't happen in blackjack training mode)
-        switch (result) {
+    /**
+     * Explain how a single split or doubled hand is settled
+     */
+    getHandExplanation(played, handIndex, tableRules = this.tableRules) {
+        const payout = this.calculateResultPayout(played.result, played.betAmount, tableRules);
+        const betText = played.doubled ?
+            `${PayoutCalculator.formatAmount(played.getBaseBet())} doubled to ${PayoutCalculator.formatAmount(played.betAmount)}` : `${PayoutCalculator.formatAmount(played.betAmount)} bet`;
+        const label = `Hand ${handIndex + 1} (${played.hand.getDisplayValue()}, ${betText})`;
+
+        switch (played.result) {
+            case 'blackjack':
+                return `${label} is a blackjack paying ${tableRules.blackjackPayout}: $${payout.toFixed(2)}`;
             case 'win':
-                return betAmount * this.payoutRules.win; // 1:1 payout
+                return `${label} wins 1:1: ${PayoutCalculator.formatAmount(played.betAmount)} × 1 = $${payout.toFixed(2)}`;
             case 'push':
-                return 0; // Return original bet only (no additional payout)
+                return `${label} pushes - leave the bet`;
             case 'lose':
-                return 0; // House keeps the bet
+                return `${label} loses - take the bet`;
             default:
-                console.warn(`Unknown result type: ${result}`);
-                return 0;
+                return `${label}: unknown result`;
         }
     }
 
     /**
-     * Validate if the selected payout amount is correct
+     * Explain how every split or doubled hand is settled
      */
-    validatePayout(scenario, selectedAmount) {
-        if (!scenario) return { isCorrect: false, message: 'No scenario provided' };
+    getMultiHandExplanation(scenario, tableRules = this.tableRules) {
+        const handTexts = scenario.playerHands.map((played, index) =>
+            this.getHandExplanation(played, index, tableRules)
+        );
+        const total = this.calculateMainPayout(scenario);
 
-        const correctPayout = this.calculatePayout(scenario);
-        const isCorrect = Math.abs(selectedAmount - correctPayout) < this.tolerance;
+        return `${handTexts.join('. ')}. Total payout: $${total.toFixed(2)}`;
+    }
 
-        return {
-            isCorrect,
-            correctAmount: correctPayout,
-            selectedAmount,
-            difference: selectedAmount - correctPayout,
-            message: this.getValidationMessage(scenario, selectedAmount, correctPayout, isCorrect)
+    /**
+     * Get error message when the bet was taken or left incorrectly
+     */
+    getActionErrorMessage(scenario, action, expectedAction) {
+        const actionLabels = {
+            pay: 'pay the bet',
+            take: 'take the bet',
+            leave: 'leave the bet',
+            surrender: 'collect half the bet'
+        };
+        const resultLabels = {
+            blackjack: 'a blackjack',
+            win: 'a win',
+            push: 'a push',
+            lose: 'a loss',
+            surrender: 'a surrender'
         };
+        const resultLabel = resultLabels[scenario.result] || 'this hand';
+
+        return `❌ Incorrect. You chose to ${actionLabels[action]}, but this hand is ${resultLabel} - ${actionLabels[expectedAction]}.`;
     }
 
     /**
@@ -2224,23 +8463,43 @@ class PayoutCalculator {
     getValidationMessage(scenario, selectedAmount, correctAmount, isCorrect) {
         const betAmount = scenario.betAmount;
         const result = scenario.result;
+        const tableRules = this.getTableRules(scenario);
+
+        if (scenario.evenMoney || scenario.insuranceBet > 0 || this.isMultiHand(scenario)) {
+            const explanation = this.isMultiHand(scenario) ?
+                this.getMultiHandExplanation(scenario, tableRules) :
+                this.getInsuranceExplanation(scenario, tableRules);
+            if (isCorrect) {
+                return `✅ Correct! ${explanation}`;
+            }
+            const difference = selectedAmount - correctAmount;
+            return `❌ Incorrect. You selected $${selectedAmount.toFixed(2)} but the correct payout is $${correctAmount.toFixed(2)} (${difference > 0 ? 'over' : 'under'} by $${Math.abs(difference).toFixed(2)}). ${explanation}`;
+        }
 
         if (isCorrect) {
-            return this.getSuccessMessage(result, betAmount, correctAmount);
+            return this.getSuccessMessage(result, betAmount, correctAmount, tableRules);
         } else {
-            return this.getErrorMessage(result, betAmount, selectedAmount, correctAmount);
+            return this.getErrorMessage(result, betAmount, selectedAmount, correctAmount, tableRules);
         }
     }
 
+    /**
+     * Check if a scenario has split or doubled hands
+     */
+    isMultiHand(scenario) {
+        return Boolean(scenario.playerHands) &&
+            (scenario.playerHands.length > 1 || scenario.playerHands[0].doubled);
+    }
+
     /**
      * Get success message for correct payout
      */
-    getSuccessMessage(result, betAmount, correctAmount) {
+    getSuccessMessage(result, betAmount, correctAmount, tableRules = this.tableRules) {
         switch (result) {
             case 'blackjack':
-                return `✅ Correct! Blackjack pays 3:2. $${betAmount} × 1.5 = $${correctAmount.toFixed(2)}`;
+                return `✅ Correct! Blackjack pays ${tableRules.blackjackPayout}. ${PayoutCalculator.formatAmount(betAmount)} × ${tableRules.getBlackjackMultiplier()} = $${correctAmount.toFixed(2)}`;
             case 'win':
-                return `✅ Correct! Regular win pays 1:1. $${betAmount} × 1 = $${correctAmount.toFixed(2)}`;
+                return `✅ Correct! Regular win pays 1:1. ${PayoutCalculator.formatAmount(betAmount)} × 1 = $${correctAmount.toFixed(2)}`;
             case 'push':
                 return `✅ Correct! Push means no additional payout (return original bet only).`;
             case 'lose':
@@ -2253,17 +8512,17 @@ class PayoutCalculator {
     /**
      * Get error message for incorrect payout
      */
-    getErrorMessage(result, betAmount, selectedAmount, correctAmount) {
+    getErrorMessage(result, betAmount, selectedAmount, correctAmount, tableRules = this.tableRules) {
         const difference = selectedAmount - correctAmount;
         const overUnder = difference > 0 ? 'over' : 'under';
         
         let explanation = '';
         switch (result) {
             case 'blackjack':
-                explanation = `Blackjack pays 3:2. Calculate: $${betAmount} × 1.5 = $${correctAmount.toFixed(2)}`;
+                explanation = `Blackjack pays ${tableRules.blackjackPayout}. Calculate: ${PayoutCalculator.formatAmount(betAmount)} × ${tableRules.getBlackjackMultiplier()} = $${correctAmount.toFixed(2)}`;
                 break;
             case 'win':
-                explanation = `Regular win pays 1:1. Calculate: $${betAmount} × 1 = $${correctAmount.toFixed(2)}`;
+                explanation = `Regular win pays 1:1. Calculate: ${PayoutCalculator.formatAmount(betAmount)} × 1 = $${correctAmount.toFixed(2)}`;
                 break;
             case 'push':
                 explanation = `Push means no additional payout. Only return the original bet.`;
@@ -2276,64 +8535,231 @@ class PayoutCalculator {
         return `❌ Incorrect. You selected $${selectedAmount.toFixed(2)} but the correct payout is $${correctAmount.toFixed(2)} (${overUnder} by $${Math.abs(difference).toFixed(2)}). ${explanation}`;
     }
 
+    /**
+     * Explain how the insurance (or even money) and the main bet are settled
+     */
+    getInsuranceExplanation(scenario, tableRules = this.tableRules) {
+        const betAmount = scenario.betAmount;
+
+        if (scenario.evenMoney) {
+            return `Even money pays 1:1 on a blackjack against a dealer ace. ${PayoutCalculator.formatAmount(betAmount)} × 1 = $${betAmount.toFixed(2)}`;
+        }
+
+        const insuranceBet = scenario.insuranceBet;
+        const insurancePayout = this.calculateInsurancePayout(scenario);
+        const insuranceText = scenario.insuranceResult === 'win' ?
+            `Insurance pays 2:1: $${insuranceBet.toFixed(2)} × 2 = $${insurancePayout.toFixed(2)}` :
+            `Insurance loses - take the $${insuranceBet.toFixed(2)} insurance bet`;
+
+        const mainPayout = this.calculateMainPayout(scenario);
+        let mainText = '';
+        switch (scenario.result) {
+            case 'blackjack':
+                mainText = `Main bet blackjack pays ${tableRules.blackjackPayout}: ${PayoutCalculator.formatAmount(betAmount)} × ${tableRules.getBlackjackMultiplier()} = $${mainPayout.toFixed(2)}`;
+                break;
+            case 'win':
+                mainText = `Main bet pays 1:1: $${mainPayout.toFixed(2)}`;
+                break;
+            case 'push':
+                mainText = `Main bet pushes - leave it`;
+                break;
+            case 'lose':
+                mainText = `Main bet loses - take it`;
+                break;
+        }
+
+        return `${insuranceText}. ${mainText}. Total payout: $${(insurancePayout + mainPayout).toFixed(2)}`;
+    }
+
     /**
      * Get payout breakdown for educational purposes
      */
     getPayoutBreakdown(scenario) {
+        if (scenario instanceof ColorUpScenario) {
+            return {
+                betAmount: scenario.totalValue,
+                result: scenario.result,
+                payoutMultiplier: 1,
+                payoutAmount: scenario.totalValue,
+                totalReturn: scenario.totalValue,
+                explanation: `${scenario.getPileChipCount()} chips worth $${scenario.totalValue} exchanged for the same value in the fewest chips`
+            };
+        }
+
+        if (scenario.reverse) {
+            const originalBet = this.calculateOriginalBet(scenario);
+            const { shownPayout } = scenario.reverse;
+            const multiplier = this.getTableRules(scenario).getBlackjackMultiplier();
+            return {
+                betAmount: originalBet,
+                result: scenario.result,
+                payoutMultiplier: multiplier,
+                payoutAmount: shownPayout,
+                totalReturn: originalBet === null ? null : originalBet + shownPayout,
+                explanation: originalBet === null ?
+                    `$${shownPayout.toFixed(2)} ÷ ${multiplier} is not a bet the table takes - the payout is wrong` :
+                    `$${shownPayout.toFixed(2)} ÷ ${multiplier} = ${PayoutCalculator.formatAmount(originalBet)} bet`
+            };
+        }
+
+        const breakdown = this.getMainBetBreakdown(scenario);
+        if (!breakdown || !scenario.sideBets || scenario.sideBets.length === 0) return breakdown;
+
+        // Side bets are settled on their own, ahead of the main bet
+        return {
+            ...breakdown,
+            sideBetPayouts: scenario.sideBets.map(sideBet => sideBet.calculatePayout()),
+            explanation: `${scenario.sideBets.map(sideBet => this.getSideBetExplanation(sideBet)).join('. ')}. Main bet: ${breakdown.explanation}`
+        };
+    }
+
+    /**
+     * Get detailed payout breakdown for the main bet
+     */
+    getMainBetBreakdown(scenario) {
         if (!scenario) return null;
 
         const betAmount = scenario.betAmount;
         const result = scenario.result;
         const payout = this.calculatePayout(scenario);
+        const tableRules = this.getTableRules(scenario);
+
+        if (this.isMultiHand(scenario)) {
+            const handPayouts = this.calculateHandPayouts(scenario);
+
+            return {
+                betAmount,
+                result,
+                totalBet: scenario.playerHands.reduce((total, played) => total + played.betAmount, 0),
+                handPayouts,
+                payoutMultiplier: null,
+                payoutAmount: payout,
+                totalReturn: scenario.playerHands.reduce((total, played, index) =>
+                    total + (played.result === 'lose' ? 0 : played.betAmount + handPayouts[index]), 0),
+                explanation: this.getMultiHandExplanation(scenario, tableRules)
+            };
+        }
+
+        if (scenario.evenMoney || scenario.insuranceBet > 0) {
+            const mainPayout = scenario.evenMoney ? betAmount : this.calculateMainPayout(scenario);
+            const insurancePayout = this.calculateInsurancePayout(scenario);
+            const mainReturn = result === 'lose' && !scenario.evenMoney ? 0 : betAmount + mainPayout;
+            const insuranceReturn = insurancePayout > 0 ? scenario.insuranceBet + insurancePayout : 0;
+
+            return {
+                betAmount,
+                result,
+                insuranceBet: scenario.insuranceBet || 0,
+                mainPayout,
+                insurancePayout,
+                payoutMultiplier: scenario.evenMoney ? 1 : (tableRules.getPayoutRules()[result] || 0),
+                payoutAmount: payout,
+                totalReturn: mainReturn + insuranceReturn,
+                explanation: this.getInsuranceExplanation(scenario, tableRules)
+            };
+        }
 
         return {
             betAmount,
             result,
-            payoutMultiplier: this.payoutRules[result] || 0,
+            payoutMultiplier: tableRules.getPayoutRules()[result] || 0,
             payoutAmount: payout,
-            totalReturn: result === 'push' ? betAmount : (result === 'lose' ? 0 : betAmount + payout),
-            explanation: this.getPayoutExplanation(result, betAmount, payout)
+            totalReturn: this.calculateTotalReturn(result, betAmount, payout, tableRules),
+            explanation: this.getPayoutExplanation(result, betAmount, payout, tableRules)
         };
     }
 
+    /**
+     * Calculate what goes back to the player: the bet plus any payout
+     */
+    calculateTotalReturn(result, betAmount, payout, tableRules = this.tableRules) {
+        switch (result) {
+            case 'push':
+                return betAmount;
+            case 'lose':
+                return 0;
+            case 'surrender':
+                return tableRules.calculateSurrenderAmounts(betAmount).returned;
+            default:
+                return betAmount + payout;
+        }
+    }
+
     /**
      * Get detailed payout explanation
      */
-    getPayoutExplanation(result, betAmount, payout) {
+    getPayoutExplanation(result, betAmount, payout, tableRules = this.tableRules) {
         switch (result) {
             case 'blackjack':
-                return `Blackjack pays 3:2. Original bet: $${betAmount}. Payout: $${betAmount} × 1.5 = $${payout.toFixed(2)}. Total return: $${(betAmount + payout).toFixed(2)}`;
+                return `Blackjack pays ${tableRules.blackjackPayout}. Original bet: ${PayoutCalculator.formatAmount(betAmount)}. Payout: ${PayoutCalculator.formatAmount(betAmount)} × ${tableRules.getBlackjackMultiplier()} = $${payout.toFixed(2)}. Total return: $${(betAmount + payout).toFixed(2)}`;
             case 'win':
-                return `Regular win pays 1:1. Original bet: $${betAmount}. Payout: $${betAmount} × 1 = $${payout.toFixed(2)}. Total return: $${(betAmount + payout).toFixed(2)}`;
+                return `Regular win pays 1:1. Original bet: ${PayoutCalculator.formatAmount(betAmount)}. Payout: ${PayoutCalculator.formatAmount(betAmount)} × 1 = $${payout.toFixed(2)}. Total return: $${(betAmount + payout).toFixed(2)}`;
             case 'push':
-                return `Push - tie game. Return original bet of $${betAmount}. No additional payout.`;
+                return `Push - tie game. Return original bet of ${PayoutCalculator.formatAmount(betAmount)}. No additional payout.`;
             case 'lose':
-                return `House wins. Player loses original bet of $${betAmount}. No payout.`;
+                return `House wins. Player loses original bet of ${PayoutCalculator.formatAmount(betAmount)}. No payout.`;
+            case 'surrender': {
+                const { collected, returned } = tableRules.calculateSurrenderAmounts(betAmount);
+                return `Surrender - player gives up half the bet. Original bet: ${PayoutCalculator.formatAmount(betAmount)}. Collect $${collected.toFixed(2)}, return $${returned.toFixed(2)}. No payout.`;
+            }
             default:
                 return `Unknown result type: ${result}`;
         }
     }
 
     /**
-     * Calculate optimal chip combination for a payout amount
+     * Calculate the fewest chips that make up a payout amount from the chips
+     * available (a chip's count caps how many can be used). Returns
+     * [{ chip, count }], or null if exact change is not possible.
      */
     calculateOptimalChips(payoutAmount, availableChips) {
-        if (payoutAmount <= 0) return [];
+        return new ChipSolver(availableChips).solve(payoutAmount);
+    }
 
-        // Sort chips by value (descending)
-        const sortedChips = [...availableChips].sort((a, b) => b.value - a.value);
-        const result = [];
-        let remaining = payoutAmount;
+    /**
+     * List alternative chip combinations for a payout amount, fewest chips first
+     */
+    findChipCombinations(payoutAmount, availableChips, options = {}) {
+        return new ChipSolver(availableChips).enumerate(payoutAmount, options);
+    }
 
-        for (const chip of sortedChips) {
-            const count = Math.floor(remaining / chip.value);
-            if (count > 0) {
-                result.push({ chip, count });
-                remaining = Math.round((remaining - (count * chip.value)) * 100) / 100; // Handle floating point
-            }
+    /**
+     * Grade an attempt out of 100 on correctness, chips used against the
+     * fewest possible, and time. A wrong payout scores nothing; a correct
+     * one with no chips to assemble (take, leave) gets full chip credit.
+     */
+    scoreAttempt(validation, responseTime, speedTarget = PayoutCalculator.SPEED_TARGET.target) {
+        const weights = PayoutCalculator.SCORE_WEIGHTS;
+        const chipEfficiency = validation.chipEfficiency && validation.chipEfficiency.efficiency !== null ?
+            validation.chipEfficiency.efficiency : null;
+
+        if (!validation.isCorrect) {
+            return { total: 0, correctness: 0, chips: 0, speed: 0, chipEfficiency: null, responseTime };
         }
 
-        return remaining < this.tolerance ? result : null; // Return null if exact change not possible
+        // The limit keeps the same ratio to the target as the defaults
+        const target = speedTarget;
+        const limit = target * (PayoutCalculator.SPEED_TARGET.limit / PayoutCalculator.SPEED_TARGET.target);
+        const speedFraction = responseTime <= target ? 1 :
+            Math.max(0, 1 - (responseTime - target) / (limit - target));
+
+        const correctness = weights.correctness;
+        const chips = Math.round(weights.chips * (chipEfficiency === null ? 1 : chipEfficiency));
+        const speed = Math.round(weights.speed * speedFraction);
+        return { total: correctness + chips + speed, correctness, chips, speed, chipEfficiency, responseTime };
+    }
+
+    /**
+     * Compare the chips used for a payout with the fewest possible. An
+     * efficiency of 1 means no chip could have been saved.
+     */
+    calculateChipEfficiency(payoutAmount, chipCount, availableChips) {
+        const optimalChips = this.calculateOptimalChips(payoutAmount, availableChips);
+        const optimalChipCount = optimalChips ? optimalChips.reduce((total, item) => total + item.count, 0) : null;
+        const efficiency = optimalChipCount === null || chipCount === 0 ?
+            null : Math.min(1, optimalChipCount / chipCount);
+
+        return { chipCount, optimalChipCount, optimalChips, efficiency };
     }
 
     /**
@@ -2409,6 +8835,11 @@ class PayoutCalculator {
         const wrongValidation = this.validatePayout(blackjackScenario, 10);
         console.assert(!wrongValidation.isCorrect, 'Validation should fail for incorrect amount');
 
+        // Test take/leave decisions
+        console.assert(this.validatePayout(loseScenario, 0).isCorrect, 'Empty payout should be correct for a loss');
+        console.assert(this.validatePayout(pushScenario, 0, 'leave').isCorrect, 'Leaving the bet should be correct for a push');
+        console.assert(!this.validatePayout(pushScenario, 0, 'take').isCorrect, 'Taking the bet should be wrong for a push');
+
         // Test optimal chips calculation
         const chips = [
             { value: 1 }, { value: 5 }, { value: 25 }, { value: 100 }
@@ -2416,10 +8847,71 @@ class PayoutCalculator {
         const optimal = this.calculateOptimalChips(37, chips);
         console.assert(optimal && optimal.length === 3, 'Should find optimal chip combination');
 
+        // Test insurance payouts
+        const insuranceWin = { betAmount: 20, result: 'lose', insuranceBet: 10, insuranceResult: 'win' };
+        console.assert(this.calculatePayout(insuranceWin) === 20, 'Winning insurance should pay 2:1 on the insurance bet');
+        const evenMoney = { betAmount: 20, result: 'blackjack', evenMoney: true };
+        console.assert(this.calculatePayout(evenMoney) === 20, 'Even money should pay 1:1');
+
+        // Test split hands are paid per hand
+        const splitScenario = {
+            betAmount: 10,
+            result: 'split',
+            playerHands: [
+                { result: 'win', betAmount: 20 },
+                { result: 'lose', betAmount: 10 }
+            ]
+        };
+        console.assert(this.calculatePayout(splitScenario) === 20, 'Split payout should sum the hands');
+
+        // Test 6:5 table payout
+        const sixFiveScenario = { betAmount: 25, result: 'blackjack', tableRules: new TableRules({ blackjackPayout: '6:5' }) };
+        const sixFivePayout = this.calculatePayout(sixFiveScenario);
+        console.assert(sixFivePayout === 30, `6:5 blackjack payout should be 30, got ${sixFivePayout}`);
+
         console.log('PayoutCalculator tests passed!');
     }
+
+    /**
+     * Format a dollar amount the way bets are called: whole amounts as $20,
+     * anything else to the cent ($12.50)
+     */
+    static formatAmount(amount) {
+        return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+    }
+
+    /**
+     * Read a typed dollar amount such as "37.50", "$1,200" or "" (nothing
+     * paid). Returns null for anything that isn't an amount to the cent.
+     */
+    static parseAmount(text) {
+        const cleaned = String(text).replace(/[$,\s]/g, '');
+        if (cleaned === '') return 0;
+        if (!/^\d*\.?\d{0,2}$/.test(cleaned) || cleaned === '.') return null;
+        return Number(cleaned);
+    }
 }
 
+// Points out of 100 for each part of an attempt's score
+PayoutCalculator.SCORE_WEIGHTS = {
+    correctness: 50,
+    chips: 30,
+    speed: 20
+};
+
+// Full speed credit up to the target, none at the limit (milliseconds)
+PayoutCalculator.SPEED_TARGET = {
+    target: 5000,
+    limit: 20000
+};
+
+// Default speed targets by bet size (milliseconds); bigger bets take longer to pay
+PayoutCalculator.SPEED_TARGET_BANDS = [
+    { key: 'small', label: 'Up to $25', upTo: 25, target: 3000 },
+    { key: 'medium', label: '$26 to $100', upTo: 100, target: 5000 },
+    { key: 'large', label: 'Over $100', upTo: Infinity, target: 8000 }
+];
+
 /**
  * UI Controller Module
  * Manages user interface interactions and updates
@@ -2464,10 +8956,11 @@ class FeedbackSystem {
         this.currentFeedbackType = null;
         this.feedbackHistory = [];
         this.educationalTips = [
-            "💡 Tip: Blackjack always pays 3:2 (1.5 times your bet)",
+            "💡 Tip: Check the table's blackjack payout - 3:2 is 1.5×, 6:5 is 1.2×, 7:5 is 1.4× the bet",
             "💡 Tip: Regular wins pay 1:1 (equal to your bet)",
             "💡 Tip: A push means return the original bet only",
             "💡 Tip: Use larger denomination chips first for efficiency",
+            "💡 Tip: Insurance pays 2:1 on half the bet - a winning insurance bet pays the full main bet",
             "💡 Tip: Practice mental math: $15 bet × 1.5 = $22.50",
             "💡 Tip: Always double-check your chip count before submitting"
         ];
@@ -2598,6 +9091,8 @@ class FeedbackSystem {
                 <div class="validation-details">
                     <p><strong>Your Selection:</strong> $${selectedAmount.toFixed(2)}</p>
                     <p><strong>Correct Amount:</strong> $${correctAmount.toFixed(2)}</p>
+                    ${this.getChipEfficiencyLine(validation.chipEfficiency)}
+                    ${this.getAttemptScoreLine(validation.attemptScore)}
                 </div>
             `, 'success');
         } else {
@@ -2608,11 +9103,36 @@ class FeedbackSystem {
                     <p><strong>Your Selection:</strong> $${selectedAmount.toFixed(2)}</p>
                     <p><strong>Correct Amount:</strong> $${correctAmount.toFixed(2)}</p>
                     <p><strong>Difference:</strong> $${Math.abs(selectedAmount - correctAmount).toFixed(2)}</p>
+                    ${this.getAttemptScoreLine(validation.attemptScore)}
                 </div>
             `, 'error');
         }
     }
 
+    /**
+     * Describe how many chips were used against the fewest possible
+     */
+    getChipEfficiencyLine(chipEfficiency) {
+        if (!chipEfficiency || chipEfficiency.efficiency === null) return '';
+
+        const { chipCount, optimalChipCount, efficiency } = chipEfficiency;
+        const note = efficiency === 1 ? 'fewest possible' : `fewest possible: ${optimalChipCount}`;
+        return `<p><strong>Chips Used:</strong> ${chipCount} (${note}) - ${Math.round(efficiency * 100)}% efficient</p>`;
+    }
+
+    /**
+     * Describe the composite score for an attempt and its parts
+     */
+    getAttemptScoreLine(attemptScore) {
+        if (!attemptScore) return '';
+
+        const { total, correctness, chips, speed, responseTime } = attemptScore;
+        const weights = PayoutCalculator.SCORE_WEIGHTS;
+        return `<p><strong>Score:</strong> ${total}/100 ` +
+            `(correct ${correctness}/${weights.correctness} · chips ${chips}/${weights.chips} · ` +
+            `speed ${speed}/${weights.speed} in ${(responseTime / 1000).toFixed(1)}s)</p>`;
+    }
+
     /**
      * Show payout explanation
      */
@@ -2621,7 +9141,7 @@ class FeedbackSystem {
             <h4>📚 Payout Explanation</h4>
             <div class="payout-explanation">
                 <p><strong>Scenario:</strong> ${scenario.getResultDisplay()}</p>
-                <p><strong>Original Bet:</strong> $${scenario.betAmount}</p>
+                <p><strong>Original Bet:</strong> ${PayoutCalculator.formatAmount(scenario.betAmount)}</p>
                 <p><strong>Payout Rule:</strong> ${scenario.payoutRatio}</p>
                 <p><strong>Calculation:</strong> ${breakdown.explanation}</p>
                 <div class="calculation-steps">
@@ -2637,31 +9157,187 @@ class FeedbackSystem {
      * Get step-by-step calculation
      */
     getCalculationSteps(scenario) {
+        if (scenario instanceof ColorUpScenario) {
+            return this.formatSteps(this.getColorUpSteps(scenario));
+        }
+        if (scenario.reverse) {
+            return this.formatSteps(this.getReverseSteps(scenario));
+        }
+
+        const sideBetSteps = scenario.sideBets ? this.getSideBetSteps(scenario) : [];
+        return this.formatSteps([...sideBetSteps, ...this.getMainBetSteps(scenario)]);
+    }
+
+    /**
+     * Get step-by-step counting and exchange of a color-up pile
+     */
+    getColorUpSteps(scenario) {
+        const steps = scenario.pile
+            .filter(chipType => chipType.count > 0)
+            .map((chipType, index) => `Step ${index + 1}: ${chipType.count} × ${chipType.label} = $${chipType.count * chipType.value}`);
+        steps.push(`Step ${steps.length + 1}: Pile total: $${scenario.totalValue}`);
+        steps.push(`Step ${steps.length + 1}: Exchange from the largest chip down - take as many of each as fit in what is left`);
+        return steps;
+    }
+
+    /**
+     * Get step-by-step working back from a payout to the bet
+     */
+    getReverseSteps(scenario) {
+        const { shownPayout, betUnit } = scenario.reverse;
+        const multiplier = scenario.tableRules.getBlackjackMultiplier();
+        const bet = Math.round(shownPayout / multiplier * 100) / 100;
+        const originalBet = scenario.tableRules.findBlackjackBet(shownPayout, betUnit);
+        const steps = [
+            `Step 1: Count the payout: $${shownPayout.toFixed(2)}`,
+            `Step 2: Blackjack pays ${scenario.tableRules.blackjackPayout}, so divide by ${multiplier}: $${shownPayout.toFixed(2)} ÷ ${multiplier} = $${bet.toFixed(2)}`
+        ];
+        steps.push(originalBet === null ?
+            `Step 3: $${bet.toFixed(2)} is not a bet in ${betUnit === 1 ? 'whole dollars' : 'whole or half dollars'} - no bet pays $${shownPayout.toFixed(2)}, so flag it` :
+            `Step 3: Check: ${PayoutCalculator.formatAmount(originalBet)} × ${multiplier} = $${shownPayout.toFixed(2)} ✓`);
+        return steps;
+    }
+
+    /**
+     * Get step-by-step settlement of each side bet
+     */
+    getSideBetSteps(scenario) {
+        return scenario.sideBets.map(sideBet => {
+            const cardsText = sideBet.getCardsDisplay();
+            if (!sideBet.isWin()) {
+                return `${sideBet.label}: ${cardsText} - no win, take the $${sideBet.amount} bet`;
+            }
+            const entry = sideBet.getPayTableEntry();
+            return `${sideBet.label}: ${cardsText} is a ${entry.label} - $${sideBet.amount} × ${entry.odds} = $${sideBet.calculatePayout().toFixed(2)}`;
+        });
+    }
+
+    /**
+     * Get step-by-step settlement of the main bet
+     */
+    getMainBetSteps(scenario) {
         const steps = [];
         
+        if (scenario.hasInsurance()) {
+            return this.getInsuranceSteps(scenario);
+        }
+        
+        if (scenario.isMultiHand()) {
+            return this.getMultiHandSteps(scenario);
+        }
+        
         switch (scenario.result) {
             case 'blackjack':
                 steps.push(`Step 1: Identify blackjack (21 with 2 cards)`);
-                steps.push(`Step 2: Apply 3:2 payout rule`);
-                steps.push(`Step 3: $${scenario.betAmount} × 1.5 = $${scenario.correctPayout.toFixed(2)}`);
+                steps.push(`Step 2: Apply ${scenario.tableRules.blackjackPayout} payout rule`);
+                steps.push(`Step 3: ${PayoutCalculator.formatAmount(scenario.betAmount)} × ${scenario.tableRules.getBlackjackMultiplier()} = $${scenario.correctPayout.toFixed(2)}`);
                 break;
             case 'win':
-                steps.push(`Step 1: Player wins with ${scenario.playerHand.value}`);
+                steps.push(`Step 1: ${scenario.getOutcomeReason()}`);
                 steps.push(`Step 2: Apply 1:1 payout rule`);
-                steps.push(`Step 3: $${scenario.betAmount} × 1 = $${scenario.correctPayout.toFixed(2)}`);
+                steps.push(`Step 3: ${PayoutCalculator.formatAmount(scenario.betAmount)} × 1 = $${scenario.correctPayout.toFixed(2)}`);
                 break;
             case 'push':
-                steps.push(`Step 1: Tie game (both have ${scenario.playerHand.value})`);
-                steps.push(`Step 2: Return original bet only`);
+                steps.push(`Step 1: ${scenario.getOutcomeReason()}`);
+                steps.push(`Step 2: Leave the original ${PayoutCalculator.formatAmount(scenario.betAmount)} bet in place`);
                 steps.push(`Step 3: No additional payout needed`);
                 break;
             case 'lose':
-                steps.push(`Step 1: House wins`);
-                steps.push(`Step 2: Player loses bet`);
+                steps.push(`Step 1: ${scenario.getOutcomeReason()}`);
+                steps.push(`Step 2: Take the player's ${PayoutCalculator.formatAmount(scenario.betAmount)} bet`);
                 steps.push(`Step 3: No payout made`);
                 break;
+            case 'surrender': {
+                const { collected, returned } = scenario.getSurrenderAmounts();
+                steps.push(`Step 1: ${scenario.getOutcomeReason()} - the house gets half the bet`);
+                steps.push(`Step 2: Split the bet: ${PayoutCalculator.formatAmount(scenario.betAmount)} ÷ 2 = $${collected.toFixed(2)}`);
+                steps.push(`Step 3: Collect $${collected.toFixed(2)} for the house and return $${returned.toFixed(2)} to the player`);
+                break;
+            }
+        }
+        
+        return steps;
+    }
+
+    /**
+     * Get step-by-step settlement of split or doubled hands
+     */
+    getMultiHandSteps(scenario) {
+        const steps = [];
+        const rules = scenario.tableRules.getPayoutRules();
+        
+        scenario.playerHands.forEach((played, index) => {
+            const prefix = scenario.isSplit() ? `Hand ${index + 1}: ` : '';
+            if (played.doubled) {
+                steps.push(`Step ${steps.length + 1}: ${prefix}Player doubled down - bet is now ${PayoutCalculator.formatAmount(played.betAmount)}`);
+            }
+            const reason = `${prefix}${scenario.getOutcomeReason(played.hand)}`;
+            const payout = played.betAmount * rules[played.result];
+            switch (played.result) {
+                case 'blackjack':
+                case 'win':
+                    steps.push(`Step ${steps.length + 1}: ${reason} - pay ${PayoutCalculator.formatAmount(played.betAmount)} × ${rules[played.result]} = $${payout.toFixed(2)}`);
+                    break;
+                case 'push':
+                    steps.push(`Step ${steps.length + 1}: ${reason} - leave the ${PayoutCalculator.formatAmount(played.betAmount)} bet`);
+                    break;
+                case 'lose':
+                    steps.push(`Step ${steps.length + 1}: ${reason} - take the ${PayoutCalculator.formatAmount(played.betAmount)} bet`);
+                    break;
+            }
+        });
+        
+        steps.push(`Step ${steps.length + 1}: Total payout: $${scenario.correctPayout.toFixed(2)}`);
+        return steps;
+    }
+
+    /**
+     * Get step-by-step settlement of insurance or even money and the main bet
+     */
+    getInsuranceSteps(scenario) {
+        const steps = [];
+        
+        if (scenario.evenMoney) {
+            steps.push(`Step 1: Player has blackjack against a dealer ace`);
+            steps.push(`Step 2: Player takes even money - pay 1:1 instead of ${scenario.tableRules.blackjackPayout}`);
+            steps.push(`Step 3: ${PayoutCalculator.formatAmount(scenario.betAmount)} × 1 = $${scenario.correctPayout.toFixed(2)}`);
+            return steps;
+        }
+        
+        const insuranceBet = scenario.insuranceBet;
+        const insurancePayout = scenario.calculateInsurancePayout();
+        const mainPayout = scenario.calculateMainPayout();
+        
+        steps.push(`Step 1: Dealer shows an ace - insurance bet is $${insuranceBet.toFixed(2)} (half the ${PayoutCalculator.formatAmount(scenario.betAmount)} bet)`);
+        if (scenario.insuranceResult === 'win') {
+            steps.push(`Step 2: Dealer has blackjack - insurance pays 2:1: $${insuranceBet.toFixed(2)} × 2 = $${insurancePayout.toFixed(2)}`);
+        } else {
+            steps.push(`Step 2: Dealer has no blackjack - take the $${insuranceBet.toFixed(2)} insurance bet`);
+        }
+        
+        switch (scenario.result) {
+            case 'blackjack':
+                steps.push(`Step 3: ${scenario.getOutcomeReason()} - pay ${scenario.tableRules.blackjackPayout}: $${mainPayout.toFixed(2)}`);
+                break;
+            case 'win':
+                steps.push(`Step 3: ${scenario.getOutcomeReason()} - pay 1:1: $${mainPayout.toFixed(2)}`);
+                break;
+            case 'push':
+                steps.push(`Step 3: ${scenario.getOutcomeReason()} - leave the main bet`);
+                break;
+            case 'lose':
+                steps.push(`Step 3: ${scenario.getOutcomeReason()} - take the main bet`);
+                break;
         }
         
+        steps.push(`Step 4: Total payout: $${insurancePayout.toFixed(2)} + $${mainPayout.toFixed(2)} = $${scenario.correctPayout.toFixed(2)}`);
+        return steps;
+    }
+
+    /**
+     * Format calculation steps as HTML
+     */
+    formatSteps(steps) {
         return steps.map((step, index) => 
             `<div class="calculation-step">${step}</div>`
         ).join('');
@@ -2704,20 +9380,217 @@ class FeedbackSystem {
     }
 
     /**
-     * Show welcome message with instructions
+     * Show the end-of-run summary for a blitz run
+     */
+    showBlitzSummary(summary, previousBest, isPersonalBest) {
+        const bestLine = isPersonalBest ?
+            `<p style="color: #ffd700; font-weight: bold;">🏆 New personal best for ${summary.duration} seconds!</p>` :
+            `<p>Personal best: ${previousBest.correct} correct at ${previousBest.accuracy}%</p>`;
+
+        this.showFeedback(`
+            <h4>⏱ Blitz Over - ${summary.duration} seconds</h4>
+            ${bestLine}
+            <div class="progress-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Hands Paid:</span>
+                    <span class="stat-value">${summary.handsPaid}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Correct:</span>
+                    <span class="stat-value" style="color: #00ff00">${summary.correct}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Accuracy:</span>
+                    <span class="stat-value">${summary.accuracy}%</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Average Time:</span>
+                    <span class="stat-value">${(summary.averageTime / 1000).toFixed(1)}s</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Best Streak:</span>
+                    <span class="stat-value">${summary.bestStreak}</span>
+                </div>
+            </div>
+            <div style="margin-top: 15px;">
+                <button onclick="window.blackjackTrainer.startBlitz(${summary.duration})" class="submit-btn">Run Again</button>
+            </div>
+        `, isPersonalBest ? 'success' : 'info');
+    }
+
+    /**
+     * Show an exam's grade, with the marking and explanations held back during the exam
+     */
+    showExamResults(result) {
+        const formatSeconds = time => `${(time / 1000).toFixed(1)}s`;
+        const handRows = result.hands.map(hand => `
+                <li style="color: ${hand.isCorrect ? '#00ff00' : '#ff6347'}">
+                    ${hand.isCorrect ? '✓' : '✗'} Hand ${hand.number}: ${hand.hand}, ${PayoutCalculator.formatAmount(hand.betAmount)} bet${hand.step ? ` (${hand.step})` : ''} -
+                    you: ${hand.submitted}, correct: ${hand.expected} · ${formatSeconds(hand.time)}
+                    ${hand.isCorrect ? '' : `<br><small>${hand.explanation}</small>`}
+                </li>`).join('');
+
+        this.showFeedback(`
+            <h4>📝 Exam ${result.passed ? 'Passed' : 'Failed'} - ${result.accuracy}% (pass mark ${result.passThreshold}%)</h4>
+            ${result.timedOut ? `<p style="color: #ff6347;">Time ran out with ${result.handCount - result.answered} hands unanswered - they count as wrong</p>` : ''}
+            <div class="progress-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Correct:</span>
+                    <span class="stat-value">${result.correct}/${result.handCount}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Time Used:</span>
+                    <span class="stat-value">${formatSeconds(result.totalTime)} of ${result.timeLimit / 60} min</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Average Time:</span>
+                    <span class="stat-value">${formatSeconds(result.averageTime)}</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Seed:</span>
+                    <span class="stat-value">${result.seed}</span>
+                </div>
+            </div>
+            <ol class="exam-hands">${handRows}</ol>
+            <div style="margin-top: 15px;">
+                <button onclick="window.blackjackTrainer.printExamReport()" class="submit-btn">🖨 Print Results</button>
+            </div>
+        `, result.passed ? 'success' : 'error');
+    }
+
+    /**
+     * Fill the printable exam results page
+     */
+    renderExamReport(result) {
+        const report = document.getElementById('exam-report');
+        if (!report) return;
+
+        const formatSeconds = time => `${(time / 1000).toFixed(1)}s`;
+        const unanswered = Array.from({ length: result.handCount - result.answered }, (_, index) => `
+                <tr>
+                    <td>${result.answered + index + 1}</td>
+                    <td colspan="6">Not answered - time ran out</td>
+                </tr>`).join('');
+        report.innerHTML = `
+            <h1>Blackjack Payout Certification - ${result.passed ? 'PASS' : 'FAIL'}</h1>
+            <p>Trainee: ______________________ &nbsp; Date: ${result.date}</p>
+            <p>Blackjack pays ${result.payoutTable} · ${result.dealerRules} · ${result.scenarioType} · Seed ${result.seed}</p>
+            <p>Score: ${result.correct}/${result.handCount} (${result.accuracy}%) · Pass mark: ${result.passThreshold}% ·
+                Time: ${formatSeconds(result.totalTime)} of ${result.timeLimit / 60} min</p>
+            <table>
+                <thead>
+                    <tr><th>#</th><th>Hand</th><th>Bet</th><th>Trainee Payout</th><th>Correct Payout</th><th>Time</th><th>Result</th></tr>
+                </thead>
+                <tbody>
+                    ${result.hands.map(hand => `
+                    <tr>
+                        <td>${hand.number}</td>
+                        <td>${hand.hand}${hand.step ? ` (${hand.step})` : ''}</td>
+                        <td>${PayoutCalculator.formatAmount(hand.betAmount)}</td>
+                        <td>${hand.submitted}</td>
+                        <td>${hand.expected}</td>
+                        <td>${formatSeconds(hand.time)}</td>
+                        <td>${hand.isCorrect ? 'Correct' : 'Wrong'}</td>
+                    </tr>`).join('')}
+                    ${unanswered}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Show a daily challenge score and the day's leaderboard
+     */
+    showDailyResults(result, leaderboard, official) {
+        const formatSeconds = time => `${(time / 1000).toFixed(1)}s`;
+        const rows = leaderboard.slice(0, 10).map(entry => {
+            const isMine = official && DailyChallenge.isSameProfile(entry.profile, result.profile);
+            return `
+                <li${isMine ? ' style="color: #ffd700; font-weight: bold;"' : ''}>
+                    ${FeedbackSystem.escapeHtml(entry.profile)} - ${entry.score} pts · ${entry.correct}/${entry.handCount} · ${formatSeconds(entry.totalTime)}
+                </li>`;
+        }).join('');
+
+        this.showFeedback(`
+            <h4>📅 Daily Challenge ${result.date} - ${result.score} points${official ? '' : ' (practice run)'}</h4>
+            ${result.answered < result.handCount ? `<p style="color: #ff6347;">Stopped after ${result.answered} of ${result.handCount} hands - the rest score nothing</p>` : ''}
+            <div class="progress-stats">
+                <div class="stat-item">
+                    <span class="stat-label">Correct:</span>
+                    <span class="stat-value">${result.correct}/${result.handCount} (${result.accuracy}%)</span>
+                </div>
+                <div class="stat-item">
+                    <span class="stat-label">Total Time:</span>
+                    <span class="stat-value">${formatSeconds(result.totalTime)}</span>
+                </div>
+            </div>
+            <h5>Today's Leaderboard</h5>
+            ${rows ? `<ol class="daily-leaderboard">${rows}</ol>` : '<p>No official results yet today</p>'}
+            ${official ? '' : '<p>Practice runs are not ranked - only the first attempt each day counts.</p>'}
+        `, official ? 'success' : 'info');
+    }
+
+    /**
+     * Escape text typed by the trainee (such as a profile name) for display as HTML
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Introduce a lesson: what it drills and what mastering it takes
+     */
+    showLessonIntro(lesson, mastery, mastered = false) {
+        this.showFeedback(`
+            <h4>🎓 ${lesson.title}</h4>
+            <p>${lesson.description}.</p>
+            <p>${mastered ? 'Already mastered ✓ - keep practicing to stay sharp.' :
+                `Master it with ${lesson.mastery.accuracy}% accuracy and a median of ${(lesson.mastery.medianTime / 1000).toFixed(1)}s or less over your last ${Curriculum.MASTERY_WINDOW} hands.`}</p>
+            ${mastery.hands > 0 ? `<p>So far: ${mastery.accuracy}% · ${(mastery.medianTime / 1000).toFixed(1)}s median over ${mastery.hands} hands</p>` : ''}
+        `, 'info', { autoHide: true, duration: 4000 });
+    }
+
+    /**
+     * Celebrate a mastered lesson and list the lessons it unlocked
+     */
+    showLessonMastered(lesson, mastery, unlockedLessons = []) {
+        this.showFeedback(`
+            <h4>🏆 Lesson Mastered: ${lesson.title}</h4>
+            <p>${mastery.accuracy}% accuracy with a ${(mastery.medianTime / 1000).toFixed(1)}s median over your last ${mastery.hands} hands.</p>
+            ${unlockedLessons.length > 0 ? `
+            <p>Unlocked:</p>
+            <div style="margin-top: 10px;">
+                ${unlockedLessons.map(unlocked =>
+                    `<button onclick="window.blackjackTrainer.startLesson('${unlocked.id}')" class="submit-btn">${unlocked.title}</button>`
+                ).join(' ')}
+            </div>` : ''}
+        `, 'success');
+    }
+
+    /**
+     * Show welcome message with instructions, and the lesson to take next
      */
-    showWelcomeMessage() {
+    showWelcomeMessage(tableRules = new TableRules(), nextLesson = null) {
+        const ratio = tableRules.blackjackPayout;
+        const multiplier = tableRules.getBlackjackMultiplier();
         const welcomeContent = `
             <h3>🃏 Blackjack Payout Trainer - Speed Mode!</h3>
             <div class="welcome-instructions">
                 <p>Practice calculating blackjack payouts quickly and accurately:</p>
                 <ul>
-                    <li><strong>Every hand is BLACKJACK</strong> - Always pays 3:2 (1.5× the bet)</li>
+                    <li><strong>Every hand is BLACKJACK</strong> - This table pays ${ratio} (${multiplier}× the bet)</li>
                     <li><strong>Look at the bet chips</strong> - Calculate the payout from the chip stacks</li>
                     <li><strong>Work fast</strong> - Build your payout quickly with the chip tray</li>
-                    <li><strong>Get accurate</strong> - Master those 3:2 calculations!</li>
+                    <li><strong>Get accurate</strong> - Master those ${ratio} calculations!</li>
                 </ul>
-                <p><strong>Quick tip:</strong> For any bet amount, multiply by 1.5 for the payout!</p>
+                <p><strong>Quick tip:</strong> For any bet amount, multiply by ${multiplier} for the payout!</p>
+                ${nextLesson ? `
+                <p><strong>🎓 Next lesson:</strong> ${nextLesson.title} - ${nextLesson.description}. Lessons unlock one another as you master them.</p>
+                <button onclick="window.blackjackTrainer.startLesson('${nextLesson.id}')" class="submit-btn">Start Lesson</button>` : ''}
             </div>
         `;
         
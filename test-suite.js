@@ -251,6 +251,866 @@ function initializeTestSuite() {
         testSuite.assertEqual(scenario.correctPayout, 15, 'Blackjack payout should be 15 for $10 bet');
     }, 'scenario-system');
 
+    testSuite.addTest('Outcome resolution from dealt hands', () => {
+        const makeHand = (...ranks) => {
+            const hand = new Hand();
+            ranks.forEach(rank => hand.addCard(new Card('spades', rank)));
+            return hand;
+        };
+
+        testSuite.assertEqual(new BlackjackScenario(makeHand('K', '9'), makeHand('10', '8'), 20).result, 'win', '19 vs 18 should win');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('K', '7'), makeHand('10', '9'), 20).result, 'lose', '17 vs 19 should lose');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('K', 'Q'), makeHand('10', 'J'), 20).result, 'push', '20 vs 20 should push');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('K', '6', '8'), makeHand('10', '6', '9'), 20).result, 'lose', 'Player bust should lose even if dealer busts');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('K', '6'), makeHand('10', '6', '9'), 20).result, 'win', 'Dealer bust should pay the player');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('A', 'K'), makeHand('A', 'Q'), 20).result, 'push', 'Blackjack vs blackjack should push');
+        testSuite.assertEqual(new BlackjackScenario(makeHand('10', '5', '6'), makeHand('A', 'Q'), 20).result, 'lose', 'Dealer blackjack beats a three-card 21');
+
+        const win = new BlackjackScenario(makeHand('K', '9'), makeHand('10', '8'), 35);
+        testSuite.assertEqual(win.correctPayout, 35, 'Regular win should pay 1:1');
+    }, 'scenario-system');
+
+    testSuite.addTest('Mixed outcome scenario generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('mixed');
+        const results = new Set();
+
+        for (let i = 0; i < 200; i++) {
+            const scenario = scenarioManager.generateScenario();
+            results.add(scenario.result);
+            testSuite.assert(scenario.playerHand.cards.length >= 2, 'Player should be dealt at least two cards');
+        }
+
+        testSuite.assert(results.has('win') && results.has('lose') && results.has('push'), 'Mixed mode should produce wins, losses and pushes');
+    }, 'scenario-system');
+
+    testSuite.addTest('Insurance scenario generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('insurance');
+
+        for (let i = 0; i < 50; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assert(scenario.dealerHand.cards[0].isAce(), 'Dealer upcard should be an ace');
+            if (scenario.evenMoney) {
+                testSuite.assert(scenario.playerHand.isBlackjack, 'Even money should only be offered on a blackjack');
+                testSuite.assertEqual(scenario.correctPayout, scenario.betAmount, 'Even money should pay 1:1');
+            } else {
+                testSuite.assertEqual(scenario.insuranceBet, scenario.betAmount / 2, 'Insurance bet should be half the main bet');
+                testSuite.assertEqual(scenario.insuranceResult, scenario.dealerHand.isBlackjack ? 'win' : 'lose', 'Insurance should only win on dealer blackjack');
+            }
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Insurance resolution against dealer blackjack', () => {
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', '10'));
+        playerHand.addCard(new Card('spades', '9'));
+
+        const dealerBlackjack = new Hand();
+        dealerBlackjack.addCard(new Card('clubs', 'A'));
+        dealerBlackjack.addCard(new Card('diamonds', 'K'));
+
+        const scenario = new BlackjackScenario(playerHand, dealerBlackjack, 30, new TableRules(), { insuranceBet: 15 });
+        testSuite.assertEqual(scenario.result, 'lose', 'Main bet should lose to dealer blackjack');
+        testSuite.assertEqual(scenario.insuranceResult, 'win', 'Insurance should win');
+        testSuite.assertEqual(scenario.correctPayout, 30, 'Insurance should pay 2:1 on $15');
+
+        const calculator = new PayoutCalculator();
+        const breakdown = calculator.getPayoutBreakdown(scenario);
+        testSuite.assertEqual(breakdown.insurancePayout, 30, 'Breakdown should show the insurance payout');
+        testSuite.assertEqual(breakdown.totalReturn, 45, 'Player should get the insurance bet back plus 2:1');
+        testSuite.assert(calculator.validatePayout(scenario, 30).isCorrect, 'Paying the insurance should be correct');
+    }, 'payout-system');
+
+    testSuite.addTest('Insurance lost when dealer has no blackjack', () => {
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', '10'));
+        playerHand.addCard(new Card('spades', '9'));
+
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', 'A'));
+        dealerHand.addCard(new Card('diamonds', '7'));
+
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 25, new TableRules(), { insuranceBet: 12.5 });
+        testSuite.assertEqual(scenario.insuranceResult, 'lose', 'Insurance should lose');
+        testSuite.assertEqual(scenario.result, 'win', '19 should beat soft 18');
+        testSuite.assertEqual(scenario.correctPayout, 25, 'Only the main bet should be paid');
+    }, 'payout-system');
+
+    testSuite.addTest('Split and doubled hands are paid per hand', () => {
+        const calculator = new PayoutCalculator();
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', '10'));
+        dealerHand.addCard(new Card('diamonds', '8'));
+
+        // 21 on a split hand is not a blackjack
+        const firstHand = new Hand();
+        firstHand.isSplitHand = true;
+        firstHand.addCard(new Card('hearts', 'A'));
+        firstHand.addCard(new Card('spades', 'K'));
+        testSuite.assert(!firstHand.isBlackjack, '21 on a split hand should not be a blackjack');
+
+        const secondHand = new Hand();
+        secondHand.isSplitHand = true;
+        secondHand.addCard(new Card('spades', '5'));
+        secondHand.addCard(new Card('hearts', '6'));
+        secondHand.addCard(new Card('clubs', 'Q'));
+
+        const scenario = new BlackjackScenario(firstHand, dealerHand, 10, new TableRules(), {
+            playerHands: [
+                new PlayedHand(firstHand, 10, { fromSplit: true }),
+                new PlayedHand(secondHand, 20, { doubled: true, fromSplit: true })
+            ]
+        });
+
+        testSuite.assertEqual(scenario.result, 'split', 'Split scenario should report a split result');
+        testSuite.assertEqual(scenario.getTotalBet(), 30, 'Total bet should include the double');
+        testSuite.assertEqual(scenario.correctPayout, 30, '21 pays 1:1 and the doubled 21 pays $20');
+
+        const firstValidation = calculator.validateHandPayout(scenario, 0, 10);
+        testSuite.assert(firstValidation.isCorrect, 'First hand should be paid $10');
+        testSuite.assert(!firstValidation.isLastHand, 'First hand should not be the last hand');
+        testSuite.assert(!calculator.validateHandPayout(scenario, 1, 10).isCorrect, 'Doubled hand should be paid on the doubled bet');
+        testSuite.assert(calculator.validateHandPayout(scenario, 1, 20).isLastHand, 'Second hand should be the last hand');
+        testSuite.assert(calculator.validatePayout(scenario, 30).isCorrect, 'Combined total should be accepted');
+
+        const breakdown = calculator.getPayoutBreakdown(scenario);
+        testSuite.assertEqual(breakdown.handPayouts.length, 2, 'Breakdown should list each hand');
+        testSuite.assertEqual(breakdown.totalReturn, 60, 'Player gets back both bets and both payouts');
+    }, 'payout-system');
+
+    testSuite.addTest('Double and split scenario generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('double-split');
+
+        for (let i = 0; i < 30; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assert(scenario.isMultiHand(), 'Every scenario should be doubled or split');
+            testSuite.assert(scenario.playerHands.length <= 4, 'No more than four hands after splitting');
+            scenario.playerHands.forEach(played => {
+                if (played.doubled) {
+                    testSuite.assertEqual(played.betAmount, played.getBaseBet() * 2, 'Doubled bet should be twice the original');
+                    testSuite.assertEqual(played.hand.cards.length, 3, 'Doubled hand should take exactly one card');
+                }
+            });
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Late surrender collects half the bet', () => {
+        const calculator = new PayoutCalculator();
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', '10'));
+        playerHand.addCard(new Card('spades', '6'));
+
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', 'K'));
+        dealerHand.addCard(new Card('diamonds', '7'));
+
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 37, new TableRules(), { surrendered: true });
+        testSuite.assertEqual(scenario.result, 'surrender', 'Scenario should be a surrender');
+        testSuite.assertEqual(scenario.correctPayout, 0, 'A surrender pays nothing');
+        testSuite.assertEqual(scenario.getSurrenderAmounts().collected, 18.5, 'House collects half of $37');
+        testSuite.assertEqual(scenario.getSurrenderAmounts().returned, 18.5, 'Player gets back half of $37');
+
+        testSuite.assert(calculator.validateSurrender(scenario, 18.5, 18.5).isCorrect, 'Collecting and returning half should be correct');
+        const wrongReturn = calculator.validateSurrender(scenario, 18.5, 37);
+        testSuite.assert(!wrongReturn.isCorrect, 'Returning the whole bet should be incorrect');
+        testSuite.assert(wrongReturn.collectedCorrect && !wrongReturn.returnedCorrect, 'Only the returned amount should be flagged');
+        testSuite.assert(!calculator.validatePayout(scenario, 0).isCorrect, 'An empty payout should not settle a surrender');
+        testSuite.assert(!calculator.validatePayout(scenario, 0, 'take').isCorrect, 'Taking the whole bet should be incorrect');
+    }, 'payout-system');
+
+    testSuite.addTest('Surrender scenario generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('surrender');
+
+        for (let i = 0; i < 20; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assert(scenario.dealerHand.cards[0].value >= 9, 'Dealer should show a 9, 10 or ace');
+            testSuite.assert(!scenario.dealerHand.isBlackjack, 'Late surrender is never offered against a dealer blackjack');
+            if (scenario.surrendered) {
+                testSuite.assert([15, 16].includes(scenario.playerHand.value), 'Player should surrender a hard 15 or 16');
+            }
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Side bet outcome evaluation', () => {
+        const evaluate = (type, cards) => new SideBet(type, 10, cards.map(([suit, rank]) => new Card(suit, rank))).outcome;
+
+        testSuite.assertEqual(evaluate('perfect-pairs', [['hearts', '8'], ['hearts', '8']]), 'perfect-pair', 'Same suit pair');
+        testSuite.assertEqual(evaluate('perfect-pairs', [['hearts', '8'], ['diamonds', '8']]), 'colored-pair', 'Same colour pair');
+        testSuite.assertEqual(evaluate('perfect-pairs', [['hearts', '8'], ['spades', '8']]), 'mixed-pair', 'Mixed colour pair');
+        testSuite.assertEqual(evaluate('perfect-pairs', [['hearts', 'K'], ['hearts', 'Q']]), null, 'Ten-value cards are not a pair');
+
+        testSuite.assertEqual(evaluate('21+3', [['clubs', '7'], ['clubs', '7'], ['clubs', '7']]), 'suited-trips', 'Suited trips');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', '7'], ['clubs', '9'], ['clubs', '8']]), 'straight-flush', 'Straight flush');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', '7'], ['hearts', '7'], ['spades', '7']]), 'three-of-a-kind', 'Three of a kind');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', 'Q'], ['hearts', 'A'], ['spades', 'K']]), 'straight', 'Ace plays high');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', '3'], ['hearts', 'A'], ['spades', '2']]), 'straight', 'Ace plays low');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', 'K'], ['hearts', 'A'], ['spades', '2']]), null, 'Straights do not wrap around');
+        testSuite.assertEqual(evaluate('21+3', [['clubs', '2'], ['clubs', '9'], ['clubs', 'K']]), 'flush', 'Flush');
+    }, 'scenario-system');
+
+    testSuite.addTest('Side bets are paid separately from the main bet', () => {
+        const calculator = new PayoutCalculator();
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', '9'));
+        playerHand.addCard(new Card('diamonds', '9'));
+
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('spades', '9'));
+        dealerHand.addCard(new Card('clubs', '8'));
+
+        const sideBets = [{ type: 'perfect-pairs', amount: 5 }, { type: '21+3', amount: 10 }];
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 20, new TableRules(), { sideBets });
+
+        testSuite.assertEqual(scenario.sideBets[0].outcome, 'colored-pair', 'Two red nines are a colored pair');
+        testSuite.assertEqual(scenario.sideBets[1].outcome, 'three-of-a-kind', 'Three nines are trips');
+        testSuite.assertEqual(scenario.correctPayout, 20, 'Main bet payout excludes the side bets');
+        testSuite.assertEqual(scenario.calculateSideBetPayout(), 360, '5 × 12 + 10 × 30');
+
+        testSuite.assert(calculator.validateSideBetPayout(scenario, 0, 60).isCorrect, 'Colored pair pays 12:1');
+        testSuite.assert(!calculator.validateSideBetPayout(scenario, 1, 60).isCorrect, 'Trips must be paid at 30:1');
+        testSuite.assert(calculator.validateSideBetPayout(scenario, 1, 300).isLastSideBet, '21+3 is the last side bet');
+
+        // A house pay table can change the odds
+        const houseRules = new TableRules({ sideBetOdds: { 'perfect-pairs': { 'colored-pair': 10 } } });
+        const houseScenario = new BlackjackScenario(playerHand, dealerHand, 20, houseRules, { sideBets });
+        testSuite.assert(calculator.validateSideBetPayout(houseScenario, 0, 50).isCorrect, 'House pays colored pairs 10:1');
+
+        // The pay tables offered in the settings round-trip through the odds overrides
+        testSuite.assertEqual(new TableRules().getSideBetOddsKey('21+3'), '100/40/30/10/5', 'The standard 21+3 pay table');
+        const classicRules = new TableRules({ sideBetOdds: { '21+3': TableRules.createSideBetOdds('21+3', [9, 9, 9, 9, 9]) } });
+        testSuite.assertEqual(classicRules.getSideBetOddsKey('21+3'), '9/9/9/9/9', 'A classic table pays 9:1 on every win');
+        const classicScenario = new BlackjackScenario(playerHand, dealerHand, 20, classicRules, { sideBets });
+        testSuite.assert(calculator.validateSideBetPayout(classicScenario, 1, 90).isCorrect, 'Trips pay 9:1 on a classic table');
+        testSuite.assertEqual(classicScenario.calculateSideBetPayout(), 150, '5 × 12 + 10 × 9');
+    }, 'payout-system');
+
+    testSuite.addTest('Side bets follow the table limits', () => {
+        const scenarioManager = new ScenarioManager(new TableRules(), 'SIDE01');
+        testSuite.assertEqual(scenarioManager.getSideBetAmounts().join(','), '1,2,5,10,15,25', 'A $5 table takes $1 to $25 side bets');
+
+        scenarioManager.setBetSettings({ tableType: 'high-limit' });
+        testSuite.assertEqual(scenarioManager.getSideBetAmounts().join(','), '20,40,100,200,300,500', 'High limit side bets scale with the minimum');
+
+        scenarioManager.setBetSettings({ minBet: 5, maxBet: 12 });
+        scenarioManager.setScenarioType('side-bets');
+        for (let i = 0; i < 20; i++) {
+            scenarioManager.generateScenario().sideBets.forEach(sideBet => {
+                testSuite.assert(sideBet.amount >= 1 && sideBet.amount <= 12, `$${sideBet.amount} side bet is within the table limits`);
+            });
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Losing side bets are taken', () => {
+        const calculator = new PayoutCalculator();
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('side-bets');
+
+        for (let i = 0; i < 20; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assert(scenario.hasSideBets(), 'Every scenario should carry a side bet');
+            scenario.sideBets.forEach((sideBet, index) => {
+                if (!sideBet.isWin()) {
+                    testSuite.assert(calculator.validateSideBetPayout(scenario, index, 0, 'take').isCorrect, 'A losing side bet is taken');
+                    testSuite.assert(!calculator.validateSideBetPayout(scenario, index, 0, 'leave').isCorrect, 'A side bet is never left');
+                }
+            });
+        }
+    }, 'payout-system');
+
+    testSuite.addTest('Full table round generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setSeatCount(6);
+        const round = scenarioManager.generateTableRound();
+
+        testSuite.assertEqual(round.seats.length, 6, 'Every seat should be dealt');
+        testSuite.assert(round.seats.every(seat => seat.dealerHand === round.dealerHand), 'All seats play against one dealer hand');
+        testSuite.assert(round.seats.every(seat => seat.playerHand.cards.length >= 2), 'Every seat gets at least two cards');
+
+        scenarioManager.setSeatCount(12);
+        testSuite.assertEqual(scenarioManager.seatCount, ScenarioManager.MAX_SEATS, 'Seat count is capped at seven');
+        scenarioManager.setSeatCount(0);
+        testSuite.assertEqual(scenarioManager.seatCount, 1, 'At least one seat is dealt');
+    }, 'scenario-system');
+
+    testSuite.addTest('Table rounds are scored per seat and timed', () => {
+        const round = new ScenarioManager().generateTableRound(3);
+
+        testSuite.assertEqual(round.activeSeatIndex, 2, 'Settling starts at third base');
+        testSuite.assertEqual(round.getSettlePosition(), 1, 'Third base is settled first');
+        round.recordSeatAttempt(true);
+        round.advanceSeat();
+        round.recordSeatAttempt(false);
+        round.recordSeatAttempt(true);
+        testSuite.assert(!round.isComplete(), 'Round is not complete while a seat is unsettled');
+        round.advanceSeat();
+        testSuite.assertEqual(round.activeSeatIndex, 0, 'Settling ends at first base');
+        testSuite.assert(round.isLastSeat(), 'First base is the last seat');
+        round.recordSeatAttempt(true);
+
+        testSuite.assert(round.isComplete(), 'Round is complete once every seat is settled');
+        testSuite.assertEqual(round.getFirstTryCount(), 2, 'Two seats were settled first time');
+        testSuite.assertEqual(round.seatResults[1].attempts, 2, 'Second seat took two attempts');
+
+        const gameState = new GameState();
+        gameState.reset();
+        gameState.recordRoundComplete(30000);
+        gameState.recordRoundComplete(20000);
+        testSuite.assertEqual(gameState.sessionStats.roundsCompleted, 2, 'Two rounds recorded');
+        testSuite.assertEqual(gameState.sessionStats.averageRoundTime, 25000, 'Average round time');
+        testSuite.assertEqual(gameState.sessionStats.bestRoundTime, 20000, 'Best round time');
+    }, 'game-state');
+
+    testSuite.addTest('Color-up is graded on value and chip count', () => {
+        const calculator = new PayoutCalculator();
+        const chips = new ChipManager(new GameState()).chips;
+        const scenario = new ColorUpScenario([
+            { value: 25, color: 'chip-25', label: '$25', count: 6 },
+            { value: 5, color: 'chip-5', label: '$5', count: 9 },
+            { value: 1, color: 'chip-1', label: '$1', count: 17 }
+        ]);
+
+        testSuite.assertEqual(scenario.totalValue, 212, 'Pile is worth $212');
+        testSuite.assertEqual(scenario.getPileChipCount(), 32, 'Pile has 32 chips');
+
+        // $212 = 2x $100, 2x $5, 2x $1
+        const correct = calculator.validateColorUp(scenario, 212, 6, chips);
+        testSuite.assert(correct.isCorrect, 'Six chips is the fewest for $212');
+        testSuite.assertEqual(correct.optimalChipCount, 6, 'Optimal color-up uses six chips');
+
+        const tooMany = calculator.validateColorUp(scenario, 212, 9, chips);
+        testSuite.assert(!tooMany.isCorrect && tooMany.valueCorrect, 'Right value in too many chips is graded down');
+        testSuite.assert(!tooMany.chipCountCorrect, 'Chip count should be flagged');
+
+        const wrongValue = calculator.validateColorUp(scenario, 200, 2, chips);
+        testSuite.assert(!wrongValue.isCorrect && !wrongValue.valueCorrect, 'Wrong value is incorrect');
+
+        // Whole-dollar amounts never need the $2.50 chip
+        testSuite.assertEqual(calculator.calculateColorUpChips(3, chips)[0].count, 3, '$3 colors up as three $1 chips');
+    }, 'payout-system');
+
+    testSuite.addTest('Color-up pile generation', () => {
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setScenarioType('color-up');
+        const scenario = scenarioManager.generateScenario();
+
+        testSuite.assert(scenario instanceof ColorUpScenario, 'Color-up mode deals a chip pile');
+        testSuite.assert(scenario.pile.every(chipType => [1, 5, 25].includes(chipType.value)), 'Pile is made of $1, $5 and $25 chips');
+        testSuite.assert(scenario.getPileChipCount() >= 9, 'Pile should be messy');
+    }, 'scenario-system');
+
+    testSuite.addTest('Chip bank tray depletes and restocks', () => {
+        const chipManager = new ChipManager(new GameState());
+        chipManager.enableBank();
+        const openingBalance = chipManager.getTrayBalance();
+        const fives = chipManager.chips.find(chip => chip.value === 5);
+        const quarters = chipManager.chips.find(chip => chip.value === 25);
+
+        testSuite.assertEqual(fives.count, 60, 'Tray opens with a rack of $5 chips');
+
+        fives.select();
+        fives.select();
+        testSuite.assertEqual(chipManager.payOutSelected(), 10, 'Paying out two $5 chips');
+        testSuite.assertEqual(fives.count, 58, 'Paid chips leave the tray');
+        testSuite.assertEqual(fives.selected, 0, 'Selection is cleared once paid');
+
+        chipManager.collectChips([{ value: 25, count: 2 }]);
+        testSuite.assertEqual(quarters.count, 42, 'Collected chips come back into the tray');
+
+        testSuite.assert(chipManager.makeChange(25, 5), 'A $25 can be broken into $5s');
+        testSuite.assertEqual(quarters.count, 41, 'The broken chip leaves the tray');
+        testSuite.assertEqual(fives.count, 63, 'Five $5 chips replace it');
+        testSuite.assertEqual(chipManager.getTrayBalance(), openingBalance - 10 + 50, 'Making change keeps the tray value');
+
+        // A typed payout takes the fewest chips for the amount
+        testSuite.assertEqual(chipManager.payOutAmount(30), 30, 'A typed payout leaves the tray');
+        testSuite.assert(quarters.count === 40 && fives.count === 62, 'It is paid with a $25 and a $5');
+        testSuite.assertEqual(chipManager.payOutAmount(0.25), 0, 'An amount the tray cannot make takes nothing');
+
+        const thousands = chipManager.chips.find(chip => chip.value === 1000);
+        thousands.select();
+        thousands.select();
+        testSuite.assert(!thousands.canSelect(), 'Cannot select more chips than the tray holds');
+        chipManager.payOutSelected();
+        testSuite.assert(!chipManager.makeChange(1000, 500), 'Cannot break a chip the tray is out of');
+
+        const fill = chipManager.fillRack();
+        testSuite.assertEqual(fill, 2000, 'Fill restocks only the short denominations');
+        testSuite.assertEqual(thousands.count, 2, 'Rack is full again after the fill');
+
+        // The dealer's count of the tray is reconciled against the ledger
+        const count = () => chipManager.chips.map(chip => ({ value: chip.value, count: chip.count }));
+        const report = chipManager.reconcileBank(count());
+        testSuite.assert(report.isBalanced, 'A correct count should reconcile with the ledger');
+        testSuite.assertEqual(report.miscounts.length, 0, 'Every denomination was counted right');
+        testSuite.assertEqual(report.fillCount, 1, 'One fill this shift');
+        testSuite.assertEqual(report.paidOut, 2040, 'Paid out $10, $30 and two $1000 chips');
+
+        const miscounted = count().map(chipType => chipType.value === 5 ? { ...chipType, count: chipType.count - 1 } : chipType);
+        const miscountReport = chipManager.reconcileBank(miscounted);
+        testSuite.assert(!miscountReport.isBalanced, 'A miscounted tray should not reconcile');
+        testSuite.assertEqual(miscountReport.difference, -5, 'The count is $5 short');
+        testSuite.assertEqual(miscountReport.miscounts.map(miscount => miscount.label).join(','), '$5', 'The miscounted denomination is named');
+
+        quarters.count--;
+        testSuite.assert(!chipManager.reconcileBank(count()).isBalanced, 'A missing chip should not reconcile');
+    }, 'chip-system');
+
+    testSuite.addTest('Collected amount for the chip bank', () => {
+        const calculator = new PayoutCalculator();
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', 'K'));
+        dealerHand.addCard(new Card('diamonds', '9'));
+
+        const losingHand = new Hand();
+        losingHand.addCard(new Card('hearts', '10'));
+        losingHand.addCard(new Card('spades', '7'));
+        const losing = new BlackjackScenario(losingHand, dealerHand, 35, new TableRules());
+        testSuite.assertEqual(calculator.calculateCollectedAmount(losing), 35, 'A losing bet is collected');
+
+        const winningHand = new Hand();
+        winningHand.addCard(new Card('hearts', '10'));
+        winningHand.addCard(new Card('spades', 'Q'));
+        const winning = new BlackjackScenario(winningHand, dealerHand, 35, new TableRules());
+        testSuite.assertEqual(calculator.calculateCollectedAmount(winning), 0, 'Nothing is collected on a win');
+
+        const surrendered = new BlackjackScenario(losingHand, dealerHand, 37, new TableRules(), { surrendered: true });
+        testSuite.assertEqual(calculator.calculateCollectedAmount(surrendered), 18.5, 'Half a surrendered bet is collected');
+    }, 'payout-system');
+
+    testSuite.addTest('Taking a bet pays nothing out of the chip bank', () => {
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', 'K'));
+        dealerHand.addCard(new Card('diamonds', '9'));
+        const losingHand = new Hand();
+        losingHand.addCard(new Card('hearts', '10'));
+        losingHand.addCard(new Card('spades', '7'));
+        const losing = new BlackjackScenario(losingHand, dealerHand, 25, new TableRules());
+
+        const chipManager = new ChipManager(new GameState());
+        chipManager.enableBank();
+        const trainer = Object.create(BlackjackPayoutTrainer.prototype);
+        Object.assign(trainer, {
+            chipManager,
+            payoutCalculator: new PayoutCalculator(),
+            gameState: { settings: { typedAnswers: false } },
+            clearPayoutEntry: () => chipManager.clearAllSelections(),
+            updateBankDisplay() {}
+        });
+
+        const fives = chipManager.chips.find(chip => chip.value === 5);
+        fives.select();
+        fives.select();
+        const openingBalance = chipManager.getTrayBalance();
+        const validation = trainer.payoutCalculator.validatePayout(losing, 0, 'take');
+        trainer.settleChipBank(losing, validation);
+        testSuite.assertEqual(fives.count, 60, 'The chips picked go back to the tray');
+        testSuite.assertEqual(chipManager.getTrayBalance(), openingBalance + 25, 'Only the collected bet comes in');
+        testSuite.assertEqual(chipManager.bank.paidOut, 0, 'Nothing is recorded as paid out');
+    }, 'chip-system');
+
+    testSuite.addTest('Bet generator limits and weighting', () => {
+        const generator = new BetGenerator({ minBet: 10, maxBet: 50, step: 10 });
+        testSuite.assertEqual(generator.getBetAmounts().join(','), '10,20,30,40,50', 'Bets run from the minimum to the maximum in steps');
+
+        generator.configure({ tableType: 'high-limit' });
+        testSuite.assertEqual(generator.settings.minBet, 100, 'Table type sets the minimum');
+        for (let i = 0; i < 50; i++) {
+            const bet = generator.pick();
+            testSuite.assert(bet >= 100 && bet <= 10000 && bet % 5 === 0, `High limit bet $${bet} should be within limits`);
+        }
+
+        generator.configure({ awkwardWeight: 0 });
+        testSuite.assert(Array.from({ length: 50 }, () => generator.pick()).every(bet => !BetGenerator.isAwkward(bet)), 'No awkward bets at weight 0');
+        generator.configure({ awkwardWeight: 1 });
+        testSuite.assert(Array.from({ length: 50 }, () => generator.pick()).every(bet => BetGenerator.isAwkward(bet)), 'Only awkward bets at weight 1');
+        testSuite.assert(BetGenerator.isAwkward(37) && BetGenerator.isAwkward(12.5) && !BetGenerator.isAwkward(40), 'Odd and half-dollar amounts are awkward');
+
+        // Bets cluster near the table minimum
+        generator.configure({ tableType: 'low-limit' });
+        const bets = Array.from({ length: 300 }, () => generator.pick());
+        testSuite.assert(bets.filter(bet => bet < 50).length > bets.filter(bet => bet > 250).length, 'Small bets are more common than large ones');
+
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setBetSettings({ halfDollarBets: true, minBet: 5, maxBet: 30 });
+        testSuite.assert(scenarioManager.getAvailableBetAmounts().includes(12.5), 'Half-dollar bets are available');
+        testSuite.assert(scenarioManager.isAllowedBet(12.5), '$12.50 can be paid 1:1');
+        testSuite.assert(!scenarioManager.isAllowedBet(12.5, { blackjack: true }), '3:2 on $12.50 comes to quarters');
+        testSuite.assert(!scenarioManager.isAllowedBet(12.5, { halved: true }), 'Half of $12.50 comes to quarters');
+        testSuite.assert(!scenarioManager.canDealHalfDollarBets(), 'Blackjack Only deals no half-dollar bets at 3:2');
+        scenarioManager.setScenarioType('reverse');
+        testSuite.assert(!scenarioManager.canDealHalfDollarBets(), 'Neither do reverse drills, which pay blackjacks');
+        scenarioManager.setScenarioType('mixed');
+        testSuite.assert(scenarioManager.canDealHalfDollarBets(), 'Mixed hands deal half-dollar bets that are not blackjacks');
+        scenarioManager.setScenarioType('blackjack');
+        scenarioManager.setTableRules(new TableRules({ blackjackPayout: '6:5' }));
+        testSuite.assert(scenarioManager.canDealHalfDollarBets(), 'Blackjack Only deals half-dollar bets at 6:5');
+        testSuite.assert(scenarioManager.isAllowedBet(12.5, { blackjack: true }), '6:5 on $12.50 pays $15');
+        testSuite.assert(!scenarioManager.isAllowedBet(12), 'Whole 6:5 bets are multiples of $5');
+
+        scenarioManager.setBetSettings({ minBet: 6, maxBet: 14, step: 3 });
+        testSuite.assertEqual(scenarioManager.pickBetAmount(), 10, 'Falls back to the first allowed bet');
+        testSuite.assert(scenarioManager.setBetSettings({ minBet: 7, maxBet: 9 }), 'Limits that hold no $5 multiple are widened');
+        testSuite.assertEqual(scenarioManager.betGenerator.settings.maxBet, 10, 'The max bet is raised to the first allowed bet');
+        testSuite.assertEqual(scenarioManager.pickBetAmount(), 10, 'Bets stay within the widened limits');
+
+        const narrowTable = new ScenarioManager();
+        testSuite.assert(!narrowTable.setBetSettings({ minBet: 7, maxBet: 9 }), 'Any whole bet is allowed at 3:2');
+        narrowTable.setTableRules(new TableRules({ blackjackPayout: '6:5' }));
+        testSuite.assertEqual(narrowTable.betGenerator.settings.maxBet, 10, 'Switching to 6:5 widens limits it leaves empty');
+        for (let i = 0; i < 20; i++) {
+            const bet = narrowTable.pickBetAmount({ blackjack: true });
+            testSuite.assert(bet >= 7 && bet <= 10, `$${bet} is dealt within the table limits`);
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Adaptive difficulty targets weak bet amounts', () => {
+        const adaptive = new AdaptiveDifficulty();
+        testSuite.assertEqual(AdaptiveDifficulty.getShapes(137).join(','), 'odd,over-100', '$137 is odd and over $100');
+        testSuite.assertEqual(AdaptiveDifficulty.getShapes(75).join(','), 'odd,multiple-of-25', '$75 is odd and a multiple of $25');
+
+        adaptive.recordAttempt(40, true, 2000);
+        adaptive.recordAttempt(37, false, 2000);
+        testSuite.assert(adaptive.getBias(37) > adaptive.getBias(40), 'A missed amount is weighted up');
+        testSuite.assert(adaptive.getBias(47) > adaptive.getBias(40), 'Other odd amounts are weighted up too');
+        testSuite.assertEqual(adaptive.getBias(40), 1, 'A correct, fast amount keeps its normal weight');
+
+        // Spaced repetition: due next hand, then after 2, 4, ... hands
+        testSuite.assertEqual(adaptive.getDueReviews().length, 0, 'A miss is not due straight away');
+        adaptive.recordAttempt(40, true, 2000);
+        testSuite.assertEqual(adaptive.getDueReviews().join(','), '37', 'The missed amount is due after one hand');
+        testSuite.assertEqual(adaptive.takeDueReview(() => true), 37, 'The due review is dealt');
+        testSuite.assertEqual(adaptive.getDueReviews().length, 0, 'A dealt review is not dealt again');
+        adaptive.recordAttempt(37, true, 2000);
+        testSuite.assertEqual(adaptive.amounts['37'].review.interval, 2, 'A correct review doubles the interval');
+
+        adaptive.recordAttempt(150, true, 15000);
+        testSuite.assert(adaptive.getBias(150) > 1, 'Slow answers are weighted up');
+
+        // Speed is judged against each bet's own band target
+        const banded = new AdaptiveDifficulty();
+        banded.recordAttempt(20, true, 4500, 3000);
+        banded.recordAttempt(300, true, 7000, 8000);
+        testSuite.assert(banded.getBias(20) > 1, '4.5s is slow for a small bet with a 3s target');
+        testSuite.assertEqual(banded.getBias(300), 1, '7s is quick enough for a large bet with an 8s target');
+
+        const targets = adaptive.getTargets();
+        testSuite.assert(targets.amounts.some(target => target.amount === 37), '$37 is a targeted weak spot');
+        testSuite.assert(targets.shapes.some(target => target.shape === 'odd'), 'Odd amounts are a targeted weak spot');
+
+        const restored = new AdaptiveDifficulty(JSON.parse(JSON.stringify(adaptive)));
+        testSuite.assertEqual(restored.handCount, adaptive.handCount, 'Adaptive data survives a save and load');
+
+        const scenarioManager = new ScenarioManager();
+        scenarioManager.setBetSettings({ minBet: 30, maxBet: 40, step: 1, awkwardWeight: 0.5 });
+        const missed = new AdaptiveDifficulty();
+        for (let i = 0; i < 5; i++) missed.recordAttempt(33, false, 2000);
+        scenarioManager.setAdaptiveDifficulty(missed);
+        const bets = Array.from({ length: 200 }, () => scenarioManager.pickBetAmount());
+        testSuite.assert(bets.filter(bet => bet === 33).length > 40, 'The missed amount comes up far more than 1 in 11');
+    }, 'scenario-system');
+
+    testSuite.addTest('Adaptive difficulty counts only the first answer to a hand', () => {
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', 'K'));
+        playerHand.addCard(new Card('spades', '9'));
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', '10'));
+        dealerHand.addCard(new Card('diamonds', '8'));
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 37);
+
+        // Kept out of the saved progress and adaptive data
+        const gameState = new GameState();
+        gameState.saveProgress = () => {};
+        gameState.saveAdaptiveData = () => {};
+        const trainer = Object.create(BlackjackPayoutTrainer.prototype);
+        Object.assign(trainer, {
+            gameState,
+            payoutCalculator: new PayoutCalculator(),
+            adaptive: new AdaptiveDifficulty(),
+            tableRules: new TableRules(),
+            stopHandTimer() {}
+        });
+        gameState.setCurrentScenario(scenario);
+
+        // A miss, then a correct retry of the same hand
+        [0, scenario.correctPayout].forEach(amount => {
+            const validation = trainer.payoutCalculator.validatePayout(scenario, amount);
+            const timing = trainer.scoreAttempt(scenario, validation);
+            trainer.trackBetPerformance(scenario, validation, timing);
+        });
+
+        const record = trainer.adaptive.amounts['37'];
+        testSuite.assertEqual(trainer.adaptive.handCount, 1, 'The hand is counted once');
+        testSuite.assert(record.attempts === 1 && record.correct === 0, 'Only the miss is recorded for the bet');
+        testSuite.assert(record.review !== null, 'The bet stays due for review after the retry');
+    }, 'scenario-system');
+
+    testSuite.addTest('Flash exposure shortens as reads improve', () => {
+        const flash = new FlashExposure(1000);
+        flash.recordAttempt(true);
+        flash.recordAttempt(true);
+        testSuite.assertEqual(flash.exposure, 1000, 'Exposure holds until a run of correct reads');
+        flash.recordAttempt(true);
+        testSuite.assertEqual(flash.exposure, 800, 'Three correct reads in a row shorten the exposure');
+        flash.recordAttempt(false);
+        testSuite.assertEqual(flash.exposure, 1000, 'A miss lengthens it again');
+        flash.recordAttempt(false);
+        testSuite.assertEqual(flash.exposure, 1000, 'Exposure never goes past the starting time');
+
+        for (let i = 0; i < 60; i++) flash.recordAttempt(true);
+        testSuite.assertEqual(flash.exposure, FlashExposure.MIN_EXPOSURE, 'Exposure bottoms out at the minimum');
+        testSuite.assertEqual(new FlashExposure(1000, 450).exposure, 450, 'A saved exposure carries over');
+    }, 'scenario-system');
+
+    testSuite.addTest('Curriculum lessons unlock as earlier ones are mastered', () => {
+        const curriculum = new Curriculum();
+        testSuite.assert(curriculum.isUnlocked('five-multiples'), 'The first lesson is open');
+        testSuite.assert(!curriculum.isUnlocked('odd-bets'), 'Later lessons start locked');
+        testSuite.assertEqual(curriculum.getNextLesson().id, 'five-multiples', 'The next lesson is the first one');
+
+        // A slow run is accurate enough but misses the median time
+        for (let i = 0; i < Curriculum.MASTERY_WINDOW; i++) {
+            testSuite.assert(!curriculum.recordAttempt('five-multiples', true, 9000), 'Slow hands do not master the lesson');
+        }
+        testSuite.assertEqual(curriculum.getMastery('five-multiples').accuracy, 100, 'Accuracy covers the recent hands');
+
+        let mastered = false;
+        for (let i = 0; i < Curriculum.MASTERY_WINDOW; i++) {
+            mastered = curriculum.recordAttempt('five-multiples', i % 10 !== 0, 3000) || mastered;
+        }
+        testSuite.assert(mastered, '90% with a fast median masters the lesson');
+        testSuite.assertEqual(curriculum.getMastery('five-multiples').medianTime, 3000, 'Only the last hands count toward the median');
+        testSuite.assertEqual(curriculum.getUnlockedBy('five-multiples').map(lesson => lesson.id).join(','), 'odd-bets', 'Mastery unlocks the next lesson');
+        testSuite.assert(!curriculum.recordAttempt('five-multiples', true, 3000), 'Mastery is only announced once');
+
+        testSuite.assertEqual(curriculum.getMissingRequirements('multi-seat').length, 3, 'Multi-seat needs three lessons');
+        const restored = new Curriculum(JSON.parse(JSON.stringify(curriculum.toJSON())));
+        testSuite.assert(restored.isMastered('five-multiples') && restored.isUnlocked('odd-bets'), 'Progress survives saving');
+
+        Curriculum.LESSONS.forEach(lesson => {
+            testSuite.assert(TableRules.BLACKJACK_PAYOUTS[lesson.payoutTable], `${lesson.id} uses a known payout table`);
+            testSuite.assert(ScenarioManager.SCENARIO_TYPES[lesson.scenarioType], `${lesson.id} uses a known scenario type`);
+            const scenarioManager = new ScenarioManager(new TableRules({ blackjackPayout: lesson.payoutTable }), 'LESSON');
+            scenarioManager.setScenarioType(lesson.scenarioType);
+            scenarioManager.setBetSettings(lesson.betSettings);
+            testSuite.assert(scenarioManager.generateScenario().betAmount >= lesson.betSettings.minBet, `${lesson.id} deals from its bet settings`);
+        });
+    }, 'scenario-system');
+
+    testSuite.addTest('Missed hands replay exactly and clear after a streak', () => {
+        const scenarioManager = new ScenarioManager(new TableRules({ blackjackPayout: '6:5', holeCard: 'ENHC' }), 'REVIEW');
+        ['double-split', 'insurance', 'side-bets', 'surrender', 'reverse'].forEach(type => {
+            scenarioManager.setScenarioType(type);
+            const scenario = scenarioManager.generateScenario();
+            const replay = BlackjackScenario.fromJSON(JSON.parse(JSON.stringify(scenario)));
+            const describe = s => [
+                s.playerHands.map(played => `${played.hand.cards.map(card => card.display).join(' ')}:${played.betAmount}:${played.result}`).join('|'),
+                s.dealerHand.cards.map(card => card.display).join(' '),
+                s.correctPayout, s.insuranceBet, s.calculateSideBetPayout(), s.tableRules.blackjackPayout, s.tableRules.holeCard,
+                s.reverse && s.reverse.shownPayout
+            ].join(';');
+            testSuite.assertEqual(describe(replay), describe(scenario), `A saved ${type} hand replays with the same cards, bets and payout`);
+        });
+
+        const queue = new ReviewQueue();
+        const first = queue.add({ scenario: {}, submitted: 'Pay $20.00', expected: 'Pay $22.50' });
+        const second = queue.add({ scenario: {}, submitted: 'Take bet', expected: 'Leave bet' });
+        testSuite.assertEqual(queue.peek().id, first.id, 'The oldest miss is replayed first');
+
+        testSuite.assert(!queue.recordAttempt(first.id, true, 2).cleared, 'One correct replay is not enough for a streak of two');
+        testSuite.assertEqual(queue.peek().id, second.id, 'A replayed hand goes to the back of the queue');
+        queue.recordAttempt(second.id, true, 2);
+        testSuite.assertEqual(queue.recordAttempt(first.id, false, 2).entry.streak, 0, 'A miss starts the streak over');
+        queue.recordAttempt(second.id, true, 2);
+        testSuite.assertEqual(queue.size, 1, 'Two correct replays in a row clear a hand');
+
+        const restored = new ReviewQueue(JSON.parse(JSON.stringify(queue.toJSON())));
+        testSuite.assertEqual(restored.peek().submitted, 'Pay $20.00', 'The queue and what was submitted survive saving');
+        testSuite.assertEqual(restored.clearedCount, 1, 'Cleared hands are counted');
+        testSuite.assert(restored.add({ scenario: {}, submitted: '', expected: '' }).id > second.id, 'Ids keep counting after a reload');
+    }, 'scenario-system');
+
+    testSuite.addTest('Seeded scenario generation is reproducible', () => {
+        const random = new SeededRandom(' test01 ');
+        testSuite.assertEqual(random.seed, 'TEST01', 'Seeds are trimmed and case-insensitive');
+        testSuite.assertEqual(random.next().toFixed(6), '0.683624', 'First value for seed TEST01');
+        testSuite.assertEqual(random.next().toFixed(6), '0.083862', 'Second value for seed TEST01');
+        testSuite.assertEqual(new SeededRandom('TEST01').int(100), 68, 'Whole numbers come from the same stream');
+
+        const describeRun = (seed) => {
+            const scenarioManager = new ScenarioManager(new TableRules(), seed);
+            scenarioManager.setScenarioType('mixed');
+            return Array.from({ length: 10 }, () => {
+                const scenario = scenarioManager.generateScenario();
+                return [
+                    scenario.betAmount,
+                    scenario.playerHand.cards.map(card => card.display).join(' '),
+                    scenario.dealerHand.cards.map(card => card.display).join(' ')
+                ].join('|');
+            }).join(';');
+        };
+
+        testSuite.assertEqual(describeRun('DRILL1'), describeRun('drill1'), 'The same seed deals the same hands and bets');
+        testSuite.assert(describeRun('DRILL1') !== describeRun('DRILL2'), 'A different seed deals different hands');
+
+        const scenarioManager = new ScenarioManager(new TableRules(), 'DRILL1');
+        const first = scenarioManager.generateScenario().betAmount;
+        scenarioManager.generateScenario();
+        scenarioManager.setSeed('DRILL1');
+        testSuite.assertEqual(scenarioManager.generateScenario().betAmount, first, 'Restarting from a seed replays the drill');
+        testSuite.assertEqual(scenarioManager.getSeed(), 'DRILL1', 'The seed is exposed');
+    }, 'scenario-system');
+
+    testSuite.addTest('Shoe deals continuously and shuffles at the cut card', () => {
+        const shoe = new Shoe({ deckCount: 2, penetration: 0.5 }, new SeededRandom('SHOE01'));
+        testSuite.assertEqual(shoe.cards.length, 104, 'A two-deck shoe holds 104 cards');
+        testSuite.assertEqual(shoe.cards.filter(card => card.isAce()).length, 8, 'A two-deck shoe holds 8 aces');
+        testSuite.assertEqual(new Shoe({ deckCount: 3 }).deckCount, 6, 'Unsupported deck counts fall back to six decks');
+
+        const ace = shoe.dealMatching(card => card.isAce());
+        testSuite.assert(ace.isAce(), 'A drill can ask for the next ace');
+        testSuite.assertEqual(shoe.cards.length, 103, 'Only the dealt card leaves the shoe');
+        testSuite.assertEqual(shoe.cards.filter(card => card.isAce()).length, 7, 'The shoe keeps its other aces');
+
+        for (let i = 0; i < 50; i++) shoe.deal();
+        testSuite.assert(!shoe.cutCardReached, 'The cut card is not out after 51 of 104 cards');
+        shoe.deal();
+        testSuite.assert(shoe.cutCardReached, 'The cut card comes out at 50% penetration');
+        testSuite.assert(shoe.startRound(), 'The next round starts with a shuffle');
+        testSuite.assertEqual(shoe.cards.length, 104, 'Every card goes back in on a shuffle');
+        testSuite.assert(!shoe.startRound(), 'No shuffle until the cut card comes out again');
+
+        const scenarioManager = new ScenarioManager(new TableRules(), 'SHOE02');
+        scenarioManager.setShoeSettings({ deckCount: 8, penetration: 0.75 });
+        const before = scenarioManager.shoe.cards.length;
+        scenarioManager.generateScenario();
+        scenarioManager.generateScenario();
+        testSuite.assert(scenarioManager.shoe.cards.length < before - 8, 'Hands are dealt on through the same shoe');
+
+        // A single deck at a full table is never dealt a duplicate card
+        scenarioManager.setShoeSettings({ deckCount: 1 });
+        for (let i = 0; i < 20; i++) {
+            const round = scenarioManager.generateTableRound(7);
+            const cards = [round.dealerHand, ...round.seats.map(seat => seat.playerHand)].flatMap(hand => hand.cards);
+            testSuite.assertEqual(new Set(cards).size, cards.length, 'Every card on the table is a different card');
+        }
+
+        for (let i = 0; i < 300; i++) {
+            testSuite.assert(!scenarioManager.generateBlackjackScenario().dealerHand.isBlackjack, 'Blackjack drills never deal the dealer a blackjack');
+        }
+
+        // Blackjack drills leave the shoe's aces to come out at their real rate
+        const blackjackDrills = new ScenarioManager(new TableRules(), 'ABCDEF');
+        blackjackDrills.setShoeSettings({ deckCount: 6, penetration: 0.75 });
+        const drillShoe = blackjackDrills.shoe;
+        const shuffle = drillShoe.shuffle.bind(drillShoe);
+        let earlyShuffles = 0;
+        drillShoe.shuffle = inPlay => {
+            if (!drillShoe.cutCardReached) earlyShuffles++;
+            shuffle(inPlay);
+        };
+        const shuffleCount = drillShoe.shuffleCount;
+        for (let i = 0; i < 300; i++) {
+            testSuite.assert(blackjackDrills.generateBlackjackScenario().playerHand.isBlackjack, 'Blackjack drills always deal the player a natural');
+        }
+        testSuite.assertEqual(earlyShuffles, 0, 'The shoe never runs out of aces before the cut card');
+        testSuite.assert(drillShoe.shuffleCount > shuffleCount, 'The shoe is shuffled when the cut card comes out');
+    }, 'scenario-system');
+
+    testSuite.addTest('Dealer rules: soft 17 and no hole card', () => {
+        const makeHand = (...ranks) => {
+            const hand = new Hand();
+            ranks.forEach((rank, index) => hand.addCard(new Card(Card.SUITS[index % 4], rank)));
+            return hand;
+        };
+        const s17 = new TableRules();
+        const h17 = new TableRules({ soft17: 'H17' });
+        testSuite.assert(!s17.dealerHits(makeHand('A', '6')), 'S17 dealer stands on soft 17');
+        testSuite.assert(h17.dealerHits(makeHand('A', '6')), 'H17 dealer hits soft 17');
+        testSuite.assert(!h17.dealerHits(makeHand('10', '7')), 'Both stand on hard 17');
+        testSuite.assert(h17.dealerHits(makeHand('10', '6')), 'Both hit 16');
+        testSuite.assertEqual(new TableRules({ holeCard: 'nope' }).holeCard, 'peek', 'Unknown hole card rules fall back to a peek');
+
+        const softSeventeen = makeHand('A', '6');
+        new ScenarioManager(h17, 'H17TST').playDealerHand(softSeventeen);
+        testSuite.assert(softSeventeen.cards.length > 2, 'An H17 dealer draws to a soft 17');
+
+        // A doubled bet against a no-hole-card dealer blackjack loses both stacks
+        const enhc = new TableRules({ holeCard: 'enhc' });
+        const doubledHand = makeHand('5', '6', '9');
+        const doubled = new BlackjackScenario(doubledHand, makeHand('K', 'A'), 20, enhc, {
+            playerHands: [new PlayedHand(doubledHand, 40, { doubled: true })]
+        });
+        testSuite.assertEqual(doubled.result, 'lose', 'The doubled 20 loses to the dealer blackjack');
+        testSuite.assertEqual(doubled.correctPayout, 0, 'Nothing is paid');
+        testSuite.assertEqual(new PayoutCalculator(enhc).calculateCollectedAmount(doubled), 40, 'Both stacks are taken');
+        testSuite.assert(doubled.getOutcomeReason().includes('no hole card'), 'The explanation names the no-hole-card rule');
+
+        const peekManager = new ScenarioManager(new TableRules(), 'PEEK01');
+        const enhcManager = new ScenarioManager(enhc, 'ENHC01');
+        peekManager.setScenarioType('double-split');
+        enhcManager.setScenarioType('double-split');
+        let enhcBlackjacks = 0;
+        for (let i = 0; i < 100; i++) {
+            testSuite.assert(!peekManager.generateScenario().dealerHand.isBlackjack, 'A peeking dealer never has blackjack after a double or split');
+            const scenario = enhcManager.generateScenario();
+            if (scenario.dealerHand.isBlackjack) {
+                enhcBlackjacks++;
+                testSuite.assert(scenario.playerHands.every(played => played.result === 'lose'), 'Every doubled and split bet loses');
+            }
+        }
+        testSuite.assert(enhcBlackjacks > 0, 'No-hole-card drills include dealer blackjacks');
+
+        // Without a peek, surrender is decided before the dealer's second card
+        const enhcSurrenders = new ScenarioManager(enhc, 'ENHC02');
+        enhcSurrenders.setScenarioType('surrender');
+        let surrenderBlackjacks = 0;
+        for (let i = 0; i < 200; i++) {
+            const scenario = enhcSurrenders.generateScenario();
+            testSuite.assert(scenario.dealerHand.cards.length >= 2, 'The dealer hand is finished after the player acts');
+            if (scenario.dealerHand.isBlackjack) {
+                surrenderBlackjacks++;
+                testSuite.assert(scenario.surrendered || scenario.result === 'lose', 'A hand played on loses to the dealer blackjack');
+            }
+        }
+        testSuite.assert(surrenderBlackjacks > 0, 'No-hole-card surrender drills include dealer blackjacks');
+    }, 'scenario-system');
+
+    testSuite.addTest('Reverse drill reads the bet back from the payout', () => {
+        const threeToTwo = new TableRules();
+        testSuite.assertEqual(threeToTwo.findBlackjackBet(37.5), 25, '$37.50 pays a $25 bet at 3:2');
+        testSuite.assertEqual(threeToTwo.findBlackjackBet(37), null, 'No whole-dollar bet pays $37 at 3:2');
+        const sixToFive = new TableRules({ blackjackPayout: '6:5' });
+        testSuite.assertEqual(sixToFive.findBlackjackBet(30), 25, '$30 pays a $25 bet at 6:5');
+        testSuite.assertEqual(sixToFive.findBlackjackBet(31), null, 'No bet pays $31 at 6:5');
+        const twoToOne = new TableRules({ blackjackPayout: '2:1' });
+        testSuite.assertEqual(twoToOne.findBlackjackBet(25), null, '$25 needs a half-dollar bet at 2:1');
+        testSuite.assertEqual(twoToOne.findBlackjackBet(25, 0.5), 12.5, 'With half-dollar bets $25 pays $12.50');
+
+        const scenarioManager = new ScenarioManager(new TableRules(), 'REVRS1');
+        scenarioManager.setScenarioType('reverse');
+        const calculator = new PayoutCalculator();
+        let badPayouts = 0;
+        for (let i = 0; i < 100; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assert(scenario.reverse && scenario.result === 'blackjack', 'Every reverse drill is a paid blackjack');
+            const originalBet = calculator.calculateOriginalBet(scenario);
+            if (originalBet === null) {
+                badPayouts++;
+                testSuite.assert(calculator.validateReverseBet(scenario, 0, 'flag').isCorrect, 'A bad payout should be flagged');
+                testSuite.assert(!calculator.validateReverseBet(scenario, scenario.betAmount).isCorrect, 'Building the bet the dealer was given misses the bad payout');
+            } else {
+                testSuite.assertEqual(originalBet, scenario.betAmount, 'A good payout reads back to the bet');
+                testSuite.assert(calculator.validateReverseBet(scenario, scenario.betAmount).isCorrect, 'Building the bet is correct');
+                testSuite.assert(!calculator.validateReverseBet(scenario, 0, 'flag').isCorrect, 'Flagging a good payout is wrong');
+            }
+        }
+        testSuite.assert(badPayouts > 5 && badPayouts < 40, `About one in five payouts should be wrong (got ${badPayouts})`);
+    }, 'scenario-system');
+
     testSuite.addTest('Balanced scenario generation', () => {
         const scenarioManager = new ScenarioManager();
         const scenarios = scenarioManager.generateBalancedScenarios(20);
@@ -310,6 +1170,63 @@ function initializeTestSuite() {
         testSuite.assertEqual(incorrectValidation.difference, -5, 'Should calculate correct difference');
     }, 'payout-system');
 
+    testSuite.addTest('Typed payout amounts', () => {
+        testSuite.assertEqual(PayoutCalculator.parseAmount('37.50'), 37.5, 'Should read a dollars-and-cents amount');
+        testSuite.assertEqual(PayoutCalculator.parseAmount(' $1,200 '), 1200, 'Should ignore the dollar sign, commas and spaces');
+        testSuite.assertEqual(PayoutCalculator.parseAmount('.5'), 0.5, 'Should read an amount with no whole dollars');
+        testSuite.assertEqual(PayoutCalculator.parseAmount(''), 0, 'An empty answer pays nothing');
+        testSuite.assertEqual(PayoutCalculator.parseAmount('12.345'), null, 'Should reject fractions of a cent');
+        testSuite.assertEqual(PayoutCalculator.parseAmount('-15'), null, 'Should reject negative amounts');
+        testSuite.assertEqual(PayoutCalculator.parseAmount('1e3'), null, 'Should reject anything that is not a plain amount');
+
+        const calculator = new PayoutCalculator();
+        const validation = calculator.validatePayout({ betAmount: 25, result: 'blackjack' }, PayoutCalculator.parseAmount('37.50'));
+        testSuite.assert(validation.isCorrect, 'A typed amount is validated like a chip payout');
+    }, 'payout-system');
+
+    testSuite.addTest('Configurable blackjack payout tables', () => {
+        const calculator = new PayoutCalculator(new TableRules({ blackjackPayout: '6:5' }));
+        testSuite.assertEqual(calculator.payoutRules.blackjack, 1.2, '6:5 table should drive the payout rules map');
+        testSuite.assertEqual(calculator.calculatePayout({ betAmount: 25, result: 'blackjack' }), 30, '6:5 payout should be 30 for $25 bet');
+
+        const sevenFive = { betAmount: 35, result: 'blackjack', tableRules: new TableRules({ blackjackPayout: '7:5' }) };
+        testSuite.assertEqual(calculator.calculatePayout(sevenFive), 49, 'Scenario table rules should override calculator rules');
+
+        const twoToOne = new TableRules({ blackjackPayout: '2:1' });
+        testSuite.assertEqual(twoToOne.calculateBlackjackPayout(37), 74, '2:1 payout should be 74 for $37 bet');
+
+        const unknown = new TableRules({ blackjackPayout: '9:4' });
+        testSuite.assertEqual(unknown.blackjackPayout, '3:2', 'Unknown payout tables should fall back to 3:2');
+
+        const validation = calculator.validatePayout({ betAmount: 25, result: 'blackjack' }, 37.5);
+        testSuite.assert(!validation.isCorrect, 'A 3:2 payout should be wrong on a 6:5 table');
+        testSuite.assert(validation.message.includes('6:5'), 'Explanation should name the 6:5 payout');
+    }, 'payout-system');
+
+    testSuite.addTest('Scenarios follow the selected payout table', () => {
+        const scenarioManager = new ScenarioManager(new TableRules({ blackjackPayout: '6:5' }));
+
+        for (let i = 0; i < 20; i++) {
+            const scenario = scenarioManager.generateScenario();
+            testSuite.assertEqual(scenario.payoutRatio, '6:5', 'Scenario should record the 6:5 payout ratio');
+            testSuite.assertEqual(scenario.betAmount % 5, 0, '6:5 bets should be multiples of $5');
+            testSuite.assertApproxEqual(scenario.correctPayout, scenario.betAmount * 1.2, 0.01, 'Scenario payout should be 1.2× the bet');
+        }
+    }, 'scenario-system');
+
+    testSuite.addTest('Take and leave decisions', () => {
+        const calculator = new PayoutCalculator();
+        const loseScenario = { betAmount: 40, result: 'lose' };
+        const pushScenario = { betAmount: 40, result: 'push' };
+
+        testSuite.assert(calculator.validatePayout(loseScenario, 0).isCorrect, 'Empty payout should be accepted for a loss');
+        testSuite.assert(calculator.validatePayout(pushScenario, 0).isCorrect, 'Empty payout should be accepted for a push');
+        testSuite.assert(calculator.validatePayout(loseScenario, 0, 'take').isCorrect, 'Taking a losing bet should be correct');
+        testSuite.assert(!calculator.validatePayout(loseScenario, 0, 'leave').isCorrect, 'Leaving a losing bet should be wrong');
+        testSuite.assert(!calculator.validatePayout({ betAmount: 40, result: 'win' }, 0, 'take').isCorrect, 'Taking a winning bet should be wrong');
+        testSuite.assertEqual(calculator.validatePayout(pushScenario, 0, 'take').expectedAction, 'leave', 'Push should expect the bet to be left');
+    }, 'payout-system');
+
     testSuite.addTest('Optimal chip calculation', () => {
         const calculator = new PayoutCalculator();
         const chips = [
@@ -323,6 +1240,72 @@ function initializeTestSuite() {
         testSuite.assertEqual(totalValue, 37, 'Optimal combination should equal target amount');
     }, 'payout-system');
 
+    testSuite.addTest('Exact chip solver', () => {
+        const calculator = new PayoutCalculator();
+        const countChips = combination => combination.reduce((sum, item) => sum + item.count, 0);
+        const valueOf = combination => combination.reduce((sum, item) => sum + item.chip.value * item.count, 0);
+
+        // Greedy takes a $2.50 and is left with 50 cents
+        const tray = [{ value: 1 }, { value: 2.50 }, { value: 5 }];
+        const three = calculator.calculateOptimalChips(3, tray);
+        testSuite.assert(three !== null, '$3 can be paid with $2.50 chips in the tray');
+        testSuite.assertEqual(countChips(three), 3, '$3 is three $1 chips');
+
+        // Non-canonical set: greedy would pay $30 as $25 + five $1s
+        const thirty = calculator.calculateOptimalChips(30, [{ value: 1 }, { value: 15 }, { value: 25 }]);
+        testSuite.assertEqual(countChips(thirty), 2, '$30 is two $15 chips');
+
+        // Availability limits
+        const limited = [{ value: 100, count: 0 }, { value: 25, count: 2 }, { value: 5, count: 50 }];
+        const hundred = calculator.calculateOptimalChips(100, limited);
+        testSuite.assertEqual(valueOf(hundred), 100, 'Limited tray still makes $100');
+        testSuite.assertEqual(countChips(hundred), 12, 'Two $25s and ten $5s when the tray is short');
+        testSuite.assert(calculator.calculateOptimalChips(400, limited) === null, 'No combination when the tray runs out');
+        testSuite.assert(calculator.calculateOptimalChips(0.5, tray) === null, 'No combination for 50 cents');
+
+        const combinations = calculator.findChipCombinations(10, tray, { limit: 4 });
+        testSuite.assertEqual(combinations.length, 3, '$5+$5, $5+2x $2.50 and 4x $2.50 are within two chips of the best');
+        testSuite.assertEqual(countChips(combinations[0]), 2, 'Fewest chips come first');
+        testSuite.assert(combinations.every(combination => valueOf(combination) === 10), 'Every alternative makes $10');
+        testSuite.assert(combinations.every((combination, index) => index === 0 ||
+            countChips(combination) >= countChips(combinations[index - 1])), 'Alternatives are ordered by chip count');
+
+        const efficiency = calculator.calculateChipEfficiency(150, 150, [{ value: 1 }, { value: 25 }, { value: 100 }]);
+        testSuite.assertEqual(efficiency.optimalChipCount, 3, '$150 is three chips at best');
+        testSuite.assertApproxEqual(efficiency.efficiency, 0.02, 0.001, '150 $1 chips is 2% efficient');
+    }, 'payout-system');
+
+    testSuite.addTest('Attempts are scored on correctness, chips and time', () => {
+        const calculator = new PayoutCalculator();
+        const chips = [{ value: 1 }, { value: 25 }, { value: 100 }];
+        const correct = { isCorrect: true, action: 'pay', correctAmount: 150 };
+
+        const clean = calculator.scoreAttempt({ ...correct, chipEfficiency: calculator.calculateChipEfficiency(150, 3, chips) }, 3000);
+        testSuite.assertEqual(clean.total, 100, 'Fewest chips inside the speed target scores 100');
+
+        const messy = calculator.scoreAttempt({ ...correct, chipEfficiency: calculator.calculateChipEfficiency(150, 150, chips) }, 3000);
+        testSuite.assert(messy.total < clean.total, 'Paying $150 in $1 chips scores lower');
+        testSuite.assertEqual(messy.correctness, 50, 'A messy payout still gets correctness credit');
+
+        const slow = calculator.scoreAttempt({ ...correct, chipEfficiency: calculator.calculateChipEfficiency(150, 3, chips) }, 12500);
+        testSuite.assertEqual(slow.speed, 10, 'Half way to the speed limit gets half the speed credit');
+
+        const taken = calculator.scoreAttempt({ isCorrect: true, action: 'take', correctAmount: 0 }, 1000);
+        testSuite.assertEqual(taken.total, 100, 'A correct take has no chips to grade');
+
+        const wrong = calculator.scoreAttempt({ isCorrect: false, action: 'pay', correctAmount: 150 }, 1000);
+        testSuite.assertEqual(wrong.total, 0, 'A wrong payout scores nothing');
+
+        const gameState = new GameState();
+        gameState.reset();
+        gameState.recordAttemptScore(clean);
+        gameState.recordAttemptScore(wrong);
+        testSuite.assertEqual(gameState.sessionStats.scoredAttempts, 2, 'Both attempts are tracked');
+        testSuite.assertEqual(gameState.sessionStats.averageScore, 50, 'Average composite score');
+        testSuite.assertEqual(gameState.sessionStats.bestScore, 100, 'Best composite score');
+        testSuite.assertEqual(gameState.sessionStats.averageChipEfficiency, 1, 'Only chip payouts count toward chip efficiency');
+    }, 'payout-system');
+
     // ===== GAME STATE TESTS =====
     testSuite.addTest('Game state initialization', () => {
         const gameState = new GameState();
@@ -362,6 +1345,304 @@ function initializeTestSuite() {
         testSuite.assertEqual(rating.rating, 'Needs Practice', 'Should get needs practice rating for 50%');
     }, 'game-state');
 
+    testSuite.addTest('History is separated by payout table', () => {
+        const gameState = new GameState();
+        const originalSettings = { ...gameState.settings };
+        const originalHistory = localStorage.getItem('blackjack-payout-trainer-history');
+        const today = new Date().toISOString().split('T')[0];
+
+        try {
+            localStorage.setItem('blackjack-payout-trainer-history', JSON.stringify([
+                { date: today, payoutTable: '3:2', score: { correct: 9, total: 10 }, sessionStats: { bestStreak: 5 }, accuracy: 90 },
+                { date: today, payoutTable: '6:5', score: { correct: 1, total: 4 }, sessionStats: { bestStreak: 1 }, accuracy: 25 }
+            ]));
+
+            const sixFiveSummary = gameState.getProgressSummary('6:5');
+            testSuite.assertEqual(sixFiveSummary.totalAttempts, 4, 'Summary should only count 6:5 sessions');
+            testSuite.assertEqual(sixFiveSummary.averageAccuracy, 25, '6:5 accuracy should not mix with 3:2');
+            testSuite.assertEqual(gameState.getProgressSummary().totalAttempts, 14, 'Unfiltered summary should count every table');
+        } finally {
+            if (originalHistory === null) {
+                localStorage.removeItem('blackjack-payout-trainer-history');
+            } else {
+                localStorage.setItem('blackjack-payout-trainer-history', originalHistory);
+            }
+            gameState.updateSettings(originalSettings);
+        }
+    }, 'game-state');
+
+    testSuite.addTest('Blitz runs are timed and kept apart from practice history', () => {
+        const run = new BlitzRun(60);
+        run.recordAttempt(true, 3000);
+        run.recordAttempt(true, 2000);
+        run.recordAttempt(false, 7000);
+        run.recordAttempt(true, 4000);
+        const summary = run.getSummary();
+        testSuite.assertEqual(summary.handsPaid, 4, 'Every hand counts once, right or wrong');
+        testSuite.assertEqual(summary.correct, 3, 'Three hands were paid correctly');
+        testSuite.assertEqual(summary.accuracy, 75, 'Accuracy is 75%');
+        testSuite.assertEqual(summary.averageTime, 4000, 'Average time per payout is 4 seconds');
+        testSuite.assertEqual(summary.bestStreak, 2, 'Best streak is 2');
+        testSuite.assert(!run.isOver(run.startTime + 59000), 'The clock is still running after 59 seconds');
+        testSuite.assert(run.isOver(run.startTime + 60000), 'The run ends after 60 seconds');
+
+        const gameState = new GameState();
+        const originalBlitz = localStorage.getItem('blackjack-payout-trainer-blitz');
+        const originalHistory = localStorage.getItem('blackjack-payout-trainer-history');
+        try {
+            localStorage.removeItem('blackjack-payout-trainer-blitz');
+            gameState.saveBlitzResult(summary);
+            gameState.saveBlitzResult({ ...summary, correct: 10, handsPaid: 10, accuracy: 100 });
+            gameState.saveBlitzResult({ ...summary, duration: 120 });
+            testSuite.assertEqual(gameState.getBlitzHistory().length, 3, 'Every run is saved');
+            testSuite.assertEqual(gameState.getBestBlitzRun(60).correct, 10, 'The best 60 second run has the most correct hands');
+            testSuite.assertEqual(gameState.getBestBlitzRun(120).correct, 3, 'Runs are ranked per length');
+            testSuite.assertEqual(localStorage.getItem('blackjack-payout-trainer-history'), originalHistory, 'Practice history is untouched');
+        } finally {
+            if (originalBlitz === null) {
+                localStorage.removeItem('blackjack-payout-trainer-blitz');
+            } else {
+                localStorage.setItem('blackjack-payout-trainer-blitz', originalBlitz);
+            }
+        }
+    }, 'game-state');
+
+    testSuite.addTest('Hand timing distribution and speed targets', () => {
+        const gameState = new GameState();
+        const payoutCalculator = new PayoutCalculator();
+        const scenario = new BlackjackScenario(new Hand(), new Hand(), 25);
+        const originalProgress = localStorage.getItem('blackjack-payout-trainer-progress');
+        try {
+            gameState.sessionStats.handTimes = [];
+            [1000, 2000, 3000, 4000, 10000].forEach((time, index) => {
+                gameState.setCurrentScenario(scenario);
+                gameState.scenarioStartTime = Date.now() - time;
+                testSuite.assert(Math.abs(gameState.getElapsedTime() - time) < 100, 'Elapsed time runs from when the hand was shown');
+                gameState.firstChipTime = index === 4 ? null : 500;
+                const { band, target } = payoutCalculator.getSpeedTarget(index < 3 ? 25 : 150);
+                testSuite.assert(gameState.recordHandTime(target, band) !== null, 'The first answer to a hand is timed');
+                testSuite.assertEqual(gameState.recordHandTime(target, band), null, 'A retry is not timed again');
+            });
+
+            const summary = gameState.getTimingSummary();
+            testSuite.assertEqual(summary.count, 5, 'Every hand is timed once');
+            testSuite.assertEqual(Math.round(summary.median / 1000), 3, 'Median is the middle time');
+            testSuite.assertEqual(Math.round(summary.p90 / 1000), 10, 'p90 is the slowest of five hands');
+            testSuite.assertEqual(summary.firstChipMedian, 500, 'Hands without a chip are left out of the first chip time');
+            testSuite.assertEqual(summary.onTargetRate, 0.8, 'Only the 10 second hand misses its target');
+            testSuite.assertEqual(gameState.getTimingSummary({ band: 'small' }).count, 3, 'Timings are kept per bet size band');
+            testSuite.assertEqual(gameState.getTimingSummary({ band: 'medium' }), null, 'An unused band has no timings');
+        } finally {
+            if (originalProgress === null) {
+                localStorage.removeItem('blackjack-payout-trainer-progress');
+            } else {
+                localStorage.setItem('blackjack-payout-trainer-progress', originalProgress);
+            }
+        }
+
+        testSuite.assertEqual(payoutCalculator.getSpeedTarget(100).band, 'medium', '$100 is a medium bet');
+        payoutCalculator.setSpeedTargets({ large: 12000 });
+        testSuite.assertEqual(payoutCalculator.getSpeedTarget(500).target, 12000, 'Speed targets can be changed per band');
+        testSuite.assertEqual(payoutCalculator.getSpeedTarget(5).target, 3000, 'Other bands keep their defaults');
+
+        const validation = { isCorrect: true, chipEfficiency: null };
+        testSuite.assertEqual(payoutCalculator.scoreAttempt(validation, 10000, 12000).speed, 20, 'A slow hand inside a long target gets full speed credit');
+        testSuite.assert(payoutCalculator.scoreAttempt(validation, 10000, 3000).speed < 20, 'The same time misses a short target');
+    }, 'game-state');
+
+    testSuite.addTest('Exams grade every hand against the pass threshold', () => {
+        const exam = new ExamRun({ handCount: 4, timeLimit: 300, passThreshold: 75, seed: 'EXAM01' });
+        const answer = isCorrect => ({ hand: 'BLACKJACK', betAmount: 10, submitted: 'Pay $15', expected: 'Pay $15', isCorrect, time: 2000 });
+        exam.recordHand(answer(true));
+        exam.recordHand(answer(false));
+        exam.recordHand(answer(true));
+
+        let result = exam.getResult();
+        testSuite.assert(!exam.isComplete(), 'The exam runs until every hand is answered');
+        testSuite.assertEqual(result.accuracy, 50, 'An unanswered hand counts as wrong');
+        testSuite.assert(result.timedOut && !result.passed, 'Running out of time short of the pass mark fails');
+        testSuite.assert(!exam.isTimeUp(exam.startTime + 299000) && exam.isTimeUp(exam.startTime + 300000), 'The time limit is enforced');
+
+        exam.recordHand(answer(true));
+        exam.finish();
+        result = exam.getResult();
+        testSuite.assert(exam.isComplete() && !result.timedOut, 'Every hand has been answered');
+        testSuite.assertEqual(result.accuracy, 75, 'Three of four hands are correct');
+        testSuite.assert(result.passed, 'Reaching the threshold passes');
+        testSuite.assertEqual(result.hands.map(hand => hand.number).join(','), '1,2,3,4', 'Hands are numbered in order for the results page');
+        testSuite.assertEqual(result.averageTime, 2000, 'Average time covers the answered hands');
+
+        const gameState = new GameState();
+        const originalExams = localStorage.getItem('blackjack-payout-trainer-exams');
+        try {
+            localStorage.removeItem('blackjack-payout-trainer-exams');
+            gameState.saveExamResult(result);
+            const saved = gameState.getExamHistory();
+            testSuite.assertEqual(saved.length, 1, 'The exam result is saved');
+            testSuite.assert(saved[0].passed && saved[0].hands === undefined, 'Only the summary is kept');
+        } finally {
+            if (originalExams === null) {
+                localStorage.removeItem('blackjack-payout-trainer-exams');
+            } else {
+                localStorage.setItem('blackjack-payout-trainer-exams', originalExams);
+            }
+        }
+    }, 'game-state');
+
+    testSuite.addTest('Exams and the daily challenge keep side bet steps and results hidden', () => {
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', '9'));
+        playerHand.addCard(new Card('diamonds', '9'));
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('spades', '10'));
+        dealerHand.addCard(new Card('clubs', '8'));
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 20, new TableRules(), {
+            sideBets: [{ type: 'perfect-pairs', amount: 5 }]
+        });
+
+        // A trainer part-way through an exam, with the page updates left out
+        const feedback = [];
+        let revealed = false;
+        let graded = null;
+        const trainer = Object.create(BlackjackPayoutTrainer.prototype);
+        Object.assign(trainer, {
+            gameState: new GameState(),
+            payoutCalculator: new PayoutCalculator(),
+            chipManager: { payOutSelected() {} },
+            feedbackSystem: { showFeedback: (message, type) => feedback.push(type) },
+            performanceMetrics: { payoutValidationTimes: [] },
+            examRun: new ExamRun({ handCount: 5, timeLimit: 300, passThreshold: 80, seed: 'EXAM02' }),
+            activeSideBetIndex: 0,
+            activeHandIndex: 0,
+            updateBankDisplay() {},
+            clearPayoutEntry() {},
+            highlightActiveSideBet() {},
+            setInstructionText() {},
+            revealResult: () => { revealed = true; },
+            getEnteredPayout: () => scenario.correctPayout,
+            handleCorrectPayout: (settled, validation) => { graded = validation; }
+        });
+        trainer.gameState.setCurrentScenario(scenario);
+
+        trainer.submitSideBetPayout(scenario, scenario.sideBets[0].calculatePayout(), 'pay');
+        testSuite.assertEqual(trainer.activeSideBetIndex, 1, 'The correct side bet moves on to the main bet');
+        testSuite.assert(!feedback.includes('success'), 'The side bet step is not marked correct during the exam');
+
+        trainer.submitPayout();
+        testSuite.assert(graded && graded.isCorrect, 'The main bet is graded');
+        testSuite.assert(!revealed, 'The hand result stays hidden during the exam');
+
+        // The daily challenge scores each hand once it is settled, not step by step
+        feedback.length = 0;
+        Object.assign(trainer, {
+            examRun: null,
+            dailyRun: new DailyChallenge({ profile: 'Sam', official: false }),
+            activeSideBetIndex: 0
+        });
+        trainer.submitSideBetPayout(scenario, scenario.sideBets[0].calculatePayout(), 'pay');
+        testSuite.assert(!feedback.includes('success'), 'The side bet step is not marked correct during the daily challenge');
+        trainer.submitPayout();
+        testSuite.assert(!revealed, 'The hand result stays hidden during the daily challenge');
+    }, 'game-state');
+
+    testSuite.addTest('Table settings are locked during an exam', () => {
+        const feedback = [];
+        let dealt = 0;
+        const trainer = Object.create(BlackjackPayoutTrainer.prototype);
+        Object.assign(trainer, {
+            tableRules: new TableRules({ blackjackPayout: '6:5' }),
+            scenarioManager: new ScenarioManager(new TableRules({ blackjackPayout: '6:5' }), 'LOCK01'),
+            feedbackSystem: { showFeedback: (message, type) => feedback.push(type) },
+            generateNewScenario: () => { dealt++; }
+        });
+        trainer.scenarioManager.setScenarioType('mixed');
+        trainer.examRun = new ExamRun({ handCount: 5, timeLimit: 300, passThreshold: 80, seed: 'LOCK01', table: trainer.getTableSetup() });
+
+        trainer.changeScenarioType('insurance');
+        trainer.changePayoutTable('3:2');
+        trainer.changeBetSettings({ minBet: 100 });
+        testSuite.assertEqual(trainer.scenarioManager.scenarioType, 'mixed', 'The training mode is kept');
+        testSuite.assertEqual(trainer.tableRules.blackjackPayout, '6:5', 'The payout table is kept');
+        testSuite.assertEqual(dealt, 0, 'The exam hand is not thrown away');
+        testSuite.assert(feedback.every(type => type === 'warning'), 'Each change is refused with a warning');
+        testSuite.assertEqual(trainer.examRun.table.payoutTable, '6:5', 'The exam keeps the table it started with');
+        testSuite.assertEqual(trainer.examRun.table.scenarioType, 'mixed', 'The exam keeps the mode it started with');
+    }, 'game-state');
+
+    testSuite.addTest('Exam misses reach the review queue only when the exam ends', () => {
+        const playerHand = new Hand();
+        playerHand.addCard(new Card('hearts', 'K'));
+        playerHand.addCard(new Card('spades', '9'));
+        const dealerHand = new Hand();
+        dealerHand.addCard(new Card('clubs', '10'));
+        dealerHand.addCard(new Card('diamonds', '8'));
+        const scenario = new BlackjackScenario(playerHand, dealerHand, 25);
+
+        // Kept out of the saved review queue
+        let counterUpdates = 0;
+        const trainer = Object.create(BlackjackPayoutTrainer.prototype);
+        Object.assign(trainer, {
+            gameState: { settings: { reviewStreak: 2 }, saveReviewQueue() {} },
+            payoutCalculator: new PayoutCalculator(),
+            scenarioManager: new ScenarioManager(),
+            reviewQueue: new ReviewQueue(),
+            reviewEntryId: null,
+            heldMisses: [],
+            missQueued: false,
+            examRun: new ExamRun({ handCount: 5, timeLimit: 300, passThreshold: 80, seed: 'HOLD01' }),
+            updateReviewDisplay: () => { counterUpdates++; }
+        });
+
+        trainer.queueMissedHand(scenario, trainer.payoutCalculator.validatePayout(scenario, 0));
+        testSuite.assertEqual(trainer.reviewQueue.size, 0, 'The miss is not queued during the exam');
+        testSuite.assertEqual(counterUpdates, 0, 'The queue counter does not move during the exam');
+
+        trainer.examRun = null;
+        trainer.queueHeldMisses();
+        testSuite.assertEqual(trainer.reviewQueue.size, 1, 'The miss is queued once the exam ends');
+        testSuite.assertEqual(counterUpdates, 1, 'The counter is updated once');
+    }, 'game-state');
+
+    testSuite.addTest('Daily challenge deals the same hands all day and ranks one attempt per profile', () => {
+        const morning = new DailyChallenge({ date: new Date(2026, 9, 19, 8, 0), profile: 'Sam' });
+        const evening = new DailyChallenge({ date: new Date(2026, 9, 19, 21, 30), profile: 'Alex' });
+        const tomorrow = new DailyChallenge({ date: new Date(2026, 9, 20, 8, 0), profile: 'Sam' });
+        const describe = run => run.scenarios.map(scenario => `${scenario.betAmount}:${scenario.result}`).join(',');
+        testSuite.assertEqual(morning.date, '2026-10-19', 'The day is the local date');
+        testSuite.assertEqual(morning.handCount, DailyChallenge.HAND_COUNT, 'Every challenge has the same number of hands');
+        testSuite.assertEqual(describe(morning), describe(evening), 'Everyone gets the same hands on the same day');
+        testSuite.assert(describe(morning) !== describe(tomorrow), 'Each day has new hands');
+
+        testSuite.assertEqual(DailyChallenge.scoreHand(true, 0), 150, 'An instant correct answer earns the full speed bonus');
+        testSuite.assertEqual(DailyChallenge.scoreHand(true, DailyChallenge.BONUS_TIME), 100, 'A slow correct answer earns the base points');
+        testSuite.assertEqual(DailyChallenge.scoreHand(false, 1000), 0, 'A miss scores nothing');
+
+        morning.recordHand(true, 5000);
+        morning.recordHand(false, 2000);
+        const result = morning.getResult();
+        testSuite.assertEqual(result.score, 125, 'Points add up over the answered hands');
+        testSuite.assertEqual(result.accuracy, 5, 'Unanswered hands count against accuracy');
+
+        const gameState = new GameState();
+        const originalDaily = localStorage.getItem('blackjack-payout-trainer-daily');
+        try {
+            localStorage.removeItem('blackjack-payout-trainer-daily');
+            gameState.saveDailyResult({ ...result, score: 0 });
+            gameState.saveDailyResult(result);
+            gameState.saveDailyResult({ ...evening.getResult(), score: 300, totalTime: 40000 });
+            gameState.saveDailyResult({ ...tomorrow.getResult(), profile: 'Jo' });
+            testSuite.assertEqual(gameState.getDailyResult('2026-10-19', ' sam ').score, 125, 'A profile has one result per day, whatever the case or spacing');
+            testSuite.assertEqual(gameState.getDailyLeaderboard('2026-10-19').map(entry => entry.profile).join(','), 'Alex,Sam', 'The leaderboard ranks the day by score');
+            testSuite.assertEqual(gameState.getDailyHistory().length, 3, 'Past days stay in the history');
+        } finally {
+            if (originalDaily === null) {
+                localStorage.removeItem('blackjack-payout-trainer-daily');
+            } else {
+                localStorage.setItem('blackjack-payout-trainer-daily', originalDaily);
+            }
+        }
+    }, 'game-state');
+
     // ===== INTEGRATION TESTS =====
     testSuite.addTest('Complete workflow simulation', async () => {
         // Simulate a complete user workflow